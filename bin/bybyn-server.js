@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../bin/bybyn-server.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Starts the local transcription API; see src/server.js.
+- Listens on PORT (default 8787) and HOST (default 127.0.0.1).
+*/
+
+import { createApiServer } from '../src/server.js';
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || '127.0.0.1';
+
+createApiServer().listen(port, host, () => {
+  console.log(`BYBYN API listening on http://${host}:${port}/api`);
+});
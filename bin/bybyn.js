@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../bin/bybyn.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Entry point of the bybyn command; see src/cli.js.
+*/
+
+import { run } from '../src/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
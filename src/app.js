@@ -1,30 +1,47 @@
 /* 
 AUTHOR: Kenneth Agonoy 
 LOCATION: /.../src/app.js
-LAST EDITED: 2025-08-18
+LAST EDITED: 2026-10-18
 
 PURPOSE:
 - Initialize shared services and put them into views.
 - Primary controller view: run its initializer and call its teardown when navigating away.
-- Provide a small hash-based router for views: Home.
+- Provide a small hash-based router for views: Home, History, Learn, and a Not Found view for unknown hashes.
+- Pass each view its route (parameters and query string) and a way to write its state back to the URL.
 - Run application's header animation.
+- Register the <baybayin-text> element for use in the page.
 */
 
 import * as baybayin from './utils/transcription.js';
+import { matchRoute, buildHash } from './utils/router.js';
+import { createHistoryStore } from './utils/history.js';
 import { initHome } from './views/home.js';
+import { initHistory } from './views/history.js';
+import { initLearn } from './views/learn.js';
+import { initNotFound } from './views/not-found.js';
+import './components/baybayin-text.js';
 
-let teardown = null;
+let current = null;   // { entry, teardown, update } of the mounted view
 
 const services = {
   baybayin,
-  intl: { translate: baybayin.intlTranslate }
+  intl: { translate: baybayin.intlTranslate },
+  history: createHistoryStore()
 };
 
+const home = { view: initHome, id: 'home-view', path: '#/home' };
+const learn = { view: initLearn, id: 'learn-view' };
+
 const routes = {
-  '':       () => mount(initHome, 'home-view'),
-  '#/home': () => mount(initHome, 'home-view')
+  '':          home,
+  '#/home':    home,
+  '#/history': { view: initHistory, id: 'history-view' },
+  '#/learn':       learn,
+  '#/learn/:deck': learn
 };
 
+const notFound = { view: initNotFound, id: 'not-found-view' };
+
 const btn = document.querySelector('.translator-button');
 
 /* ================ FUNCTIONS ================ */
@@ -41,23 +58,69 @@ function show(id) {
   });
 }
 
+/**
+ * Mark the header link of the current view.
+ * @param {string} id - The id of the <section data-view> shown.
+ */
+function markNav(id) {
+  document.querySelectorAll('.app-nav a[data-view-link]').forEach((a) => {
+    if (a.dataset.viewLink === id) a.setAttribute('aria-current', 'page');
+    else a.removeAttribute('aria-current');
+  });
+}
+
 /**
  * Mount a view and register its teardown.
- * Calls the view initializer with shared services, then stores its teardown if any.
- * @param {ViewInit} viewInit - The initializer for the target view.
- * @param {string} id - The id of the <section data-view> to reveal.
+ * Calls the view initializer with shared services and its route, then stores its teardown if any.
+ * A view may return { teardown, update } to take later changes of its own query string without remounting.
+ * @param {RouteEntry} entry - The view to mount.
+ * @param {Route} route - Parameters and query of the current hash.
 */
-function mount(viewInit, id) {
-  show(id);
-  teardown?.();
-  teardown = typeof viewInit === 'function' ? viewInit(services) : null;
+function mount(entry, route) {
+  show(entry.id);
+  markNav(entry.id);
+  current?.teardown?.();
+  const result = typeof entry.view === 'function' ? entry.view(services, route) : null;
+  current = typeof result === 'function'
+    ? { entry, teardown: result, update: null }
+    : { entry, teardown: result?.teardown || null, update: result?.update || null };
 }
 
 /**
- * Resolve and run the current route by falls back to the default route when the hash is unknown.
+ * Describe the current hash for a view.
+ * navigate() writes a new query for the view's path as a history entry (or in place with replace),
+ * without remounting it.
+ * @param {RouteEntry} entry
+ * @param {{ path: string, params: Record<string, string>, query: Record<string, string> }} match
+ * @returns {Route}
+ */
+function routeFor(entry, { path, params, query }) {
+  const base = entry.path || path;
+  return {
+    path,
+    params,
+    query,
+    navigate(next, { replace = false } = {}) {
+      const hash = buildHash(base, next);
+      if (hash === location.hash) return;
+      try { history[replace ? 'replaceState' : 'pushState'](null, '', location.pathname + location.search + hash); } catch {}
+    },
+    href(next) {
+      return new URL(buildHash(base, next), location.href).href;
+    }
+  };
+}
+
+/**
+ * Resolve and run the current route; unknown hashes show the Not Found view.
+ * Back and forward within a mounted view go to its update() instead of a remount.
 */
 function router() {
-  (routes[location.hash] || routes[''])();
+  const match = matchRoute(routes, location.hash);
+  const entry = match ? match.route : notFound;
+  const route = routeFor(entry, match || { path: location.hash, params: {}, query: {} });
+  if (current?.entry === entry && current.update) current.update(route);
+  else mount(entry, route);
 }
 
 /**
@@ -91,8 +154,26 @@ btn.addEventListener('click', () => {
 window.addEventListener('hashchange', router);
 
 window.addEventListener('DOMContentLoaded', () => {
-  if (!routes[location.hash]) history.replaceState(null, '', location.pathname + location.search);
   router();
   splitHeaderLetters();
 });
 
+/**
+ * @typedef {Object} RouteEntry
+ * @property {ViewInit} view - Initializer, called as view(services, route).
+ * @property {string} id - The id of the <section data-view> to reveal.
+ * @property {string} [path] - Path the view writes its state under; defaults to the matched path.
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} path - Matched path, e.g. '#/home'.
+ * @property {Record<string, string>} params - ':name' parts of the route pattern.
+ * @property {Record<string, string>} query - Query string of the hash.
+ * @property {(query: Record<string, string>, opts?: { replace?: boolean }) => void} navigate - Write the view's state to the URL.
+ * @property {(query: Record<string, string>) => string} href - Absolute link to the view with that state.
+ */
+
+/**
+ * @typedef {(services: object, route: Route) => (void | (() => void) | { teardown?: () => void, update?: (route: Route) => void })} ViewInit
+ */
@@ -0,0 +1,61 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/bookmarklet.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Bookmarklet entry point that flips the page it is loaded into between Tagalog and Baybayin:
+    javascript:import('https://<host>/src/bookmarklet.js').then((m) => m.toggle({ mode: 'pamupod' }))
+- Adds the bundled Baybayin font to the page while it is transliterated and removes it on the way back.
+*/
+
+import { toggleDom } from './utils/page.js';
+
+const FONT_FAMILY = 'BYBYN Baybayin';
+const FONT_URL = new URL('../public/fonts/NotoSansTagalog.ttf', import.meta.url).href;
+const STYLE_ID = 'bybyn-bookmarklet-font';
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Put the bundled font in front of the body's own fonts.
+ * unicode-range keeps it to the Baybayin block, so Latin text keeps the page's font.
+ * @param {Document} doc
+ */
+function addFont(doc) {
+  if (doc.getElementById(STYLE_ID)) return;
+  const style = doc.createElement('style');
+  style.id = STYLE_ID;
+  style.textContent = `@font-face { font-family: '${FONT_FAMILY}'; src: url('${FONT_URL}') format('truetype'); unicode-range: U+1700-171F, U+1735-1736; }`;
+  doc.head.appendChild(style);
+  const { body } = doc;
+  body.dataset.bybynFont = body.style.fontFamily;
+  const current = doc.defaultView?.getComputedStyle(body).fontFamily || 'sans-serif';
+  body.style.fontFamily = `'${FONT_FAMILY}', ${current}`;
+}
+
+/**
+ * Undo addFont().
+ * @param {Document} doc
+ */
+function removeFont(doc) {
+  doc.getElementById(STYLE_ID)?.remove();
+  const { body } = doc;
+  if (body.dataset.bybynFont === undefined) return;
+  body.style.fontFamily = body.dataset.bybynFont;
+  delete body.dataset.bybynFont;
+}
+
+/**
+ * Transliterate the page body, or revert it if it already is.
+ * Options can also come from the page as window.BYBYN_OPTIONS.
+ * @param {import('./utils/transcription.js').TranscribeOptions} [opts] - e.g. { mode: 'pamupod' }.
+ * @param {Document} [doc = globalThis.document]
+ * @returns {boolean} True when the page is now in Baybayin.
+ */
+export function toggle(opts = {}, doc = globalThis.document) {
+  const on = toggleDom(doc.body, { ...doc.defaultView?.BYBYN_OPTIONS, ...opts });
+  if (on) addFont(doc);
+  else removeFont(doc);
+  return on;
+}
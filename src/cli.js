@@ -0,0 +1,273 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/cli.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Command-line transcriber behind bin/bybyn.js, for batch-converting lesson files.
+- Reads stdin, files or (with --recursive) directories and writes to stdout or --out.
+- --check reports words that do not survive a round trip instead of printing output.
+- Uses the same transcription.js functions as the web app.
+*/
+
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { transcribe, toBaybayinWithMode, toLatin, alignWords, PROFILES, LANGUAGES, SCRIPTS as OUTPUT_SCRIPTS, ROMANIZATIONS } from './utils/transcription.js';
+import { fromScript } from './utils/scripts.js';
+
+export const USAGE = `Usage: bybyn [options] [file|directory ...]
+
+Transcribes Latin text (Tagalog by default) to Baybayin, or back. Reads stdin when no files are given.
+
+Options:
+  -t, --to <script>      baybayin (default) or latin
+  -m, --mode <mode>      krus-kudlit (default) or pamupod
+  -p, --profile <id>     orthography profile: ${Object.keys(PROFILES).join(', ')}
+  -l, --language <id>    source language: ${Object.keys(LANGUAGES).join(', ')} (default: tl)
+  -s, --script <id>      Baybayin-family script: ${Object.keys(OUTPUT_SCRIPTS).join(', ')} (default: baybayin)
+      --romanization <id>
+                         Latin spelling of Baybayin: ${Object.keys(ROMANIZATIONS).join(', ')} (default: phonetic);
+                         with --to baybayin, lossless text is read back to its exact glyphs
+  -o, --out <path>       write to a file, or to a directory when there are several inputs
+  -r, --recursive        transcribe the files inside directories
+  -e, --ext <list>       extensions picked up from directories (default: txt)
+  -c, --check            report words that do not round-trip; exits 1 if any
+  -h, --help             show this help
+`;
+
+const SCRIPTS = ['baybayin', 'latin'];
+const MODES = ['krus-kudlit', 'pamupod'];
+
+/* ================ ARGUMENTS ================ */
+
+/**
+ * Parse command-line arguments.
+ * @param {string[]} argv - Arguments after the program name.
+ * @returns {CliOptions}
+ * @throws {Error} For unknown options, missing values or invalid choices.
+ */
+export function parseArgs(argv) {
+  const opts = { to: 'baybayin', mode: 'krus-kudlit', profile: undefined, language: undefined, script: undefined, romanization: undefined, out: null, recursive: false, ext: ['txt'], check: false, help: false, files: [] };
+  const valued = { '-t': 'to', '--to': 'to', '-m': 'mode', '--mode': 'mode', '-p': 'profile', '--profile': 'profile', '-l': 'language', '--language': 'language', '-s': 'script', '--script': 'script', '--romanization': 'romanization', '-o': 'out', '--out': 'out', '-e': 'ext', '--ext': 'ext' };
+  const flags = { '-r': 'recursive', '--recursive': 'recursive', '-c': 'check', '--check': 'check', '-h': 'help', '--help': 'help' };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [name, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    if (arg === '--') { opts.files.push(...argv.slice(i + 1)); break; }
+    if (flags[name]) { opts[flags[name]] = true; continue; }
+    if (valued[name]) {
+      const value = inline ?? argv[++i];
+      if (value === undefined || value === '') throw new Error(`${name} needs a value.`);
+      opts[valued[name]] = value;
+      continue;
+    }
+    if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option ${arg}.`);
+    opts.files.push(arg);
+  }
+
+  if (!SCRIPTS.includes(opts.to)) throw new Error(`--to must be one of ${SCRIPTS.join(', ')}.`);
+  if (!MODES.includes(opts.mode)) throw new Error(`--mode must be one of ${MODES.join(', ')}.`);
+  if (opts.profile !== undefined && !PROFILES[opts.profile]) throw new Error(`Unknown profile "${opts.profile}".`);
+  if (opts.language !== undefined && !LANGUAGES[opts.language]) throw new Error(`Unknown language "${opts.language}".`);
+  if (opts.script !== undefined && !OUTPUT_SCRIPTS[opts.script]) throw new Error(`Unknown script "${opts.script}".`);
+  if (opts.romanization !== undefined && !ROMANIZATIONS[opts.romanization]) throw new Error(`Unknown romanization "${opts.romanization}".`);
+  if (typeof opts.ext === 'string') opts.ext = opts.ext.split(',').map((e) => e.trim().replace(/^\./, '')).filter(Boolean);
+  return opts;
+}
+
+/* ================ TRANSCRIPTION ================ */
+
+/**
+ * Transcribe one text the way the web app does.
+ * @param {string} text
+ * @param {CliOptions} opts
+ * @returns {string}
+ */
+export function convert(text, { to, mode, profile, language, script, romanization }) {
+  return to === 'latin'
+    ? toLatin(text, { profile, lexicon: true, segment: 'auto', romanization })
+    : toBaybayinWithMode(text, { mode, profile, language, script, romanization });
+}
+
+/**
+ * Fold a word for round-trip comparison: case, accents, pamudpod vs kudlit and the sibling scripts
+ * (Hanunó'o, Buhid, Tagbanwa vs Baybayin) don't count.
+ * @param {string} word
+ * @returns {string}
+ */
+function fold(word) {
+  return fromScript(word).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/᜕/g, '᜔');
+}
+
+/**
+ * Find the words of a text that come back different after transcribing there and back.
+ * @param {string} text
+ * @param {CliOptions} opts
+ * @returns {{ line: number, column: number, word: string, via: string, back: string }[]}
+ */
+export function roundTripIssues(text, { to, mode, profile, language, script, romanization }) {
+  const t = transcribe(text, to === 'latin'
+    ? { direction: 'latin', profile, lexicon: true, romanization }
+    : { direction: 'baybayin', mode, profile, language, script, romanization });
+  const issues = [];
+  let line = 1;
+  let column = 1;
+  for (const run of alignWords(t, to)) {
+    const [word, via] = to === 'latin' ? [run.baybayin, run.latin] : [run.latin, run.baybayin];
+    if (run.word) {
+      const back = to === 'latin' ? toBaybayinWithMode(via, { mode, profile, script, romanization }) : toLatin(via, { profile, lexicon: true, romanization });
+      if (fold(back) !== fold(word)) issues.push({ line, column, word, via, back });
+    }
+    for (const ch of word) {
+      if (ch === '\n') { line += 1; column = 1; } else column += 1;
+    }
+  }
+  return issues;
+}
+
+/* ================ FILES ================ */
+
+/**
+ * Expand the command-line inputs into files, walking directories with --recursive.
+ * @param {string[]} inputs
+ * @param {CliOptions} opts
+ * @returns {Promise<{ file: string, base: string }[]>} base is the walked directory, or a file's own directory.
+ * @throws {Error} For a directory without --recursive.
+ */
+async function collectFiles(inputs, { recursive, ext }) {
+  const found = [];
+  const walk = async (dir, base) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(full, base);
+      else if (entry.isFile() && ext.includes(path.extname(entry.name).slice(1).toLowerCase())) found.push({ file: full, base });
+    }
+  };
+  for (const input of inputs) {
+    if ((await stat(input)).isDirectory()) {
+      if (!recursive) throw new Error(`${input} is a directory (use --recursive).`);
+      await walk(input, input);
+    } else {
+      found.push({ file: input, base: path.dirname(input) });
+    }
+  }
+  return found;
+}
+
+/**
+ * The deepest directory that holds all of the given ones.
+ * @param {string[]} dirs
+ * @returns {string} An absolute path.
+ */
+function commonDir(dirs) {
+  const [first, ...rest] = dirs.map((dir) => path.resolve(dir).split(path.sep));
+  let n = 0;
+  while (n < first.length && rest.every((parts) => parts[n] === first[n])) n += 1;
+  return first.slice(0, n).join(path.sep) || path.sep;
+}
+
+/**
+ * Read all of a stream as UTF-8 text.
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @returns {Promise<string>}
+ */
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) text += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+  return text;
+}
+
+/**
+ * Write a file, creating its directory first.
+ * @param {string} file
+ * @param {string} text
+ */
+async function writeOut(file, text) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, text, 'utf8');
+}
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the program name.
+ * @param {{ stdin?: AsyncIterable<Buffer|string>, stdout?: { write: (s: string) => void }, stderr?: { write: (s: string) => void } }} [io]
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when --check finds words, 2 on errors.
+ */
+export async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    stderr.write(`bybyn: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) { stdout.write(USAGE); return 0; }
+
+  try {
+    // "-" (or no inputs at all) stands for stdin.
+    const sources = [];
+    for (const input of opts.files.length ? opts.files : ['-']) {
+      if (input === '-') { sources.push({ file: null, base: null, text: await readStream(stdin) }); continue; }
+      for (const { file, base } of await collectFiles([input], opts)) sources.push({ file, base, text: await readFile(file, 'utf8') });
+    }
+
+    if (opts.check) {
+      let count = 0;
+      for (const { file, text } of sources) {
+        for (const issue of roundTripIssues(text, opts)) {
+          count += 1;
+          stdout.write(`${file ?? '<stdin>'}:${issue.line}:${issue.column}  ${issue.word} → ${issue.via} → ${issue.back}\n`);
+        }
+      }
+      if (count) stderr.write(`${count} word${count === 1 ? '' : 's'} did not round-trip.\n`);
+      return count ? 1 : 0;
+    }
+
+    // One input goes to stdout or the --out file; several (or a directory walk) go into the --out directory.
+    const intoDir = Boolean(opts.out) && (sources.length > 1 || opts.recursive || /[\\/]$/.test(opts.out)
+      || Boolean(await stat(opts.out).then((s) => s.isDirectory(), () => false)));
+    // Output paths keep their place under the inputs' common directory, so a/x.txt and b/x.txt stay apart.
+    const bases = sources.filter((src) => src.file).map((src) => src.base);
+    const root = bases.length ? commonDir(bases) : null;
+    const targetOf = (file) => path.join(opts.out, file ? path.relative(root, path.resolve(file)) : 'stdin.txt');
+    if (intoDir) {
+      const seen = new Map();
+      for (const { file } of sources) {
+        const target = targetOf(file);
+        if (seen.has(target)) throw new Error(`${seen.get(target) ?? '<stdin>'} and ${file ?? '<stdin>'} would both be written to ${target}.`);
+        seen.set(target, file);
+      }
+    }
+    for (const { file, text } of sources) {
+      const result = convert(text, opts);
+      if (!opts.out) stdout.write(result);
+      else if (!intoDir) await writeOut(opts.out, result);
+      else await writeOut(targetOf(file), result);
+    }
+    return 0;
+  } catch (err) {
+    stderr.write(`bybyn: ${err.code === 'ENOENT' ? `no such file ${err.path}` : err.message}\n`);
+    return 2;
+  }
+}
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {'baybayin'|'latin'} to
+ * @property {'krus-kudlit'|'pamupod'} mode
+ * @property {string} [profile]
+ * @property {string} [language] - Source language id of Latin input.
+ * @property {string} [script] - Script of the Baybayin side: baybayin, hanunoo, buhid or tagbanwa.
+ * @property {string} [romanization] - Latin spelling of Baybayin: phonetic, strict or lossless.
+ * @property {string|null} out
+ * @property {boolean} recursive
+ * @property {string[]} ext - Extensions without the dot.
+ * @property {boolean} check
+ * @property {boolean} help
+ * @property {string[]} files
+ */
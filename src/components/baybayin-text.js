@@ -0,0 +1,162 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/components/baybayin-text.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- <baybayin-text> custom element for showing Baybayin on any page:
+    <baybayin-text mode="pamupod" show-latin>Magandang umaga</baybayin-text>
+- Transcribes its own text with transcription.js and re-renders when the text or attributes change.
+- script="hanunoo" (or buhid, tagbanwa) writes a sibling script, in the reader's installed Noto font.
+- Shows the Latin reading as ruby (show-latin) or per-word tooltips (show-latin="tooltip"),
+  and exposes the Latin source to screen readers through aria-label.
+*/
+
+import { transcribe, alignWords } from '../utils/transcription.js';
+
+const FONT_FAMILY = 'Noto Sans Tagalog';
+const FONT_URL = new URL('../../public/fonts/NotoSansTagalog.ttf', import.meta.url).href;
+
+const STYLES = `
+@font-face { font-family: '${FONT_FAMILY}'; src: url('${FONT_URL}') format('truetype'); }
+:host { display: inline; font-family: '${FONT_FAMILY}', 'Noto Sans Hanunoo', 'Noto Sans Buhid', 'Noto Sans Tagbanwa', system-ui, sans-serif; white-space: pre-wrap; }
+:host([hidden]) { display: none; }
+rt { font-family: system-ui, sans-serif; font-size: 0.45em; }
+.word[title] { text-decoration: underline dotted; cursor: help; }
+`;
+
+/**
+ * Register the bundled font with the page once.
+ * Chromium ignores @font-face inside shadow roots, so the shadow styles alone are not enough there.
+ */
+function registerFont() {
+  if (registerFont.done || typeof FontFace !== 'function' || !globalThis.document?.fonts) return;
+  registerFont.done = true;
+  const face = new FontFace(FONT_FAMILY, `url('${FONT_URL}') format('truetype')`);
+  document.fonts.add(face);
+  face.load().catch(() => { /* the system font fallback still applies */ });
+}
+
+/* ================ ELEMENT ================ */
+
+/**
+ * Renders its Latin text content as Baybayin.
+ * Attributes: mode (krus-kudlit | pamupod), profile, script, show-latin ("" or "ruby" | "tooltip").
+ */
+export class BaybayinText extends HTMLElement {
+  static get observedAttributes() {
+    return ['mode', 'profile', 'script', 'show-latin'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    this.output = document.createElement('span');
+    this.output.setAttribute('aria-hidden', 'true');
+    this.output.setAttribute('part', 'baybayin');
+    this.shadowRoot.append(style, this.output);
+    this.observer = new MutationObserver(() => this.scheduleRender());
+    this.pending = false;
+    this.transcription = null;
+  }
+
+  connectedCallback() {
+    registerFont();
+    this.observer.observe(this, { childList: true, characterData: true, subtree: true });
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.observer.disconnect();
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.scheduleRender();
+  }
+
+  /** @returns {string} The Latin source (the element's text). */
+  get latin() {
+    return this.textContent;
+  }
+
+  set latin(value) {
+    this.textContent = value;
+  }
+
+  /** @returns {string} The rendered Baybayin. */
+  get baybayin() {
+    return this.transcription?.output ?? '';
+  }
+
+  /** @returns {'krus-kudlit'|'pamupod'} */
+  get mode() {
+    return this.getAttribute('mode') === 'pamupod' ? 'pamupod' : 'krus-kudlit';
+  }
+
+  set mode(value) {
+    this.setAttribute('mode', value);
+  }
+
+  /**
+   * Coalesce text and attribute changes into one render.
+   */
+  scheduleRender() {
+    if (this.pending) return;
+    this.pending = true;
+    queueMicrotask(() => {
+      this.pending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Transcribe the text content and rebuild the shadow output.
+   */
+  render() {
+    const source = this.latin;
+    const show = this.getAttribute('show-latin');
+    this.transcription = transcribe(source, {
+      direction: 'baybayin',
+      mode: this.mode,
+      profile: this.getAttribute('profile') || undefined,
+      script: this.getAttribute('script') || undefined
+    });
+
+    this.output.textContent = '';
+    for (const run of alignWords(this.transcription)) {
+      if (!run.word || show === null) {
+        this.output.append(run.baybayin);
+      } else if (show === 'tooltip') {
+        const span = document.createElement('span');
+        span.className = 'word';
+        span.title = run.latin;
+        span.textContent = run.baybayin;
+        this.output.appendChild(span);
+      } else {
+        const ruby = document.createElement('ruby');
+        const rt = document.createElement('rt');
+        rt.textContent = run.latin;
+        ruby.append(run.baybayin, rt);
+        this.output.appendChild(ruby);
+      }
+    }
+
+    // The Baybayin is decorative for screen readers; they get the Latin source instead.
+    const label = source.replace(/\s+/g, ' ').trim();
+    this.setAttribute('role', 'img');
+    if (label) this.setAttribute('aria-label', label);
+    else this.removeAttribute('aria-label');
+  }
+}
+
+/**
+ * Define the element once; safe to call from several modules.
+ * @param {string} [name='baybayin-text']
+ */
+export function defineBaybayinText(name = 'baybayin-text') {
+  if (globalThis.customElements && !customElements.get(name)) customElements.define(name, BaybayinText);
+}
+
+defineBaybayinText();
@@ -0,0 +1,186 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/server.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Small local HTTP API for tools that cannot embed the web page (LMS plugins, chat bots).
+- POST /api/transcribe converts one text or a list of texts; GET /api/health reports status.
+- Bodies are size-limited and every error is answered as JSON: { error: { code, message } }.
+- Uses the same transcription.js functions as the web app and the CLI.
+*/
+
+import http from 'node:http';
+import { transcribe, toBaybayinWithMode, toLatin, alignWords, PROFILES, LANGUAGES, SCRIPTS, ROMANIZATIONS } from './utils/transcription.js';
+
+export const DEFAULT_LIMITS = { maxBytes: 100 * 1024, maxTexts: 100 };
+
+const DIRECTIONS = ['baybayin', 'latin'];
+const MODES = ['krus-kudlit', 'pamupod'];
+
+/**
+ * An error that maps to an HTTP status and a JSON error body.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} code - Stable, machine-readable error code.
+   * @param {string} message
+   * @param {Record<string,string>} [headers] - Extra response headers (Allow on a 405).
+   */
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/* ================ TRANSCRIPTION ================ */
+
+/**
+ * Transcribe one text and list its words with their offsets in the source.
+ * The output is what toBaybayinWithMode() or toLatin() returns for the same options.
+ * @param {string} text
+ * @param {{ direction: 'baybayin'|'latin', mode: string, profile?: string, language?: string, script?: string, romanization?: string }} opts
+ * @returns {{ output: string, segments: { latin: string, baybayin: string, start: number, end: number }[] }}
+ */
+function transcribeOne(text, { direction, mode, profile, language, script, romanization }) {
+  const opts = direction === 'latin' ? { profile, romanization } : { mode, profile, language, script };
+  const output = direction === 'latin' ? toLatin(text, opts) : toBaybayinWithMode(text, opts);
+  const t = transcribe(text, { ...opts, direction });
+  const segments = [];
+  let at = 0;
+  for (const run of alignWords(t, direction)) {
+    const source = direction === 'latin' ? run.baybayin : run.latin;
+    if (run.word) segments.push({ latin: run.latin, baybayin: run.baybayin, start: at, end: at + source.length });
+    at += source.length;
+  }
+  return { output, segments };
+}
+
+/**
+ * Validate a /api/transcribe request body and run it.
+ * `text` may be a string or an array of strings (`texts` is accepted as an alias);
+ * arrays answer with `results` in the same order.
+ * @param {unknown} body - Parsed JSON.
+ * @param {{ maxTexts?: number }} [limits]
+ * @returns {object} The response body.
+ * @throws {ApiError} For invalid fields.
+ */
+export function handleTranscribe(body, { maxTexts = DEFAULT_LIMITS.maxTexts } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_body', 'Expected a JSON object.');
+  }
+  const { direction = 'baybayin', mode = 'krus-kudlit', profile, language, script, romanization } = body;
+  const text = body.text ?? body.texts;
+  if (!DIRECTIONS.includes(direction)) throw new ApiError(400, 'invalid_direction', `direction must be one of ${DIRECTIONS.join(', ')}.`);
+  if (!MODES.includes(mode)) throw new ApiError(400, 'invalid_mode', `mode must be one of ${MODES.join(', ')}.`);
+  if (profile !== undefined && !Object.hasOwn(PROFILES, profile)) throw new ApiError(400, 'invalid_profile', `Unknown profile "${profile}".`);
+  if (language !== undefined && !Object.hasOwn(LANGUAGES, language)) throw new ApiError(400, 'invalid_language', `Unknown language "${language}".`);
+  if (script !== undefined && !Object.hasOwn(SCRIPTS, script)) throw new ApiError(400, 'invalid_script', `Unknown script "${script}".`);
+  if (romanization !== undefined && !Object.hasOwn(ROMANIZATIONS, romanization)) throw new ApiError(400, 'invalid_romanization', `Unknown romanization "${romanization}".`);
+
+  const opts = { direction, mode, profile, language, script, romanization };
+  const meta = { direction, mode, profile: profile ?? null, language: language ?? null, script: script ?? null, romanization: romanization ?? null };
+  if (typeof text === 'string') return { ...meta, ...transcribeOne(text, opts) };
+  if (Array.isArray(text)) {
+    if (text.length > maxTexts) throw new ApiError(413, 'too_many_texts', `At most ${maxTexts} texts per request.`);
+    if (!text.every((t) => typeof t === 'string')) throw new ApiError(400, 'invalid_text', 'Every text must be a string.');
+    return { ...meta, results: text.map((t) => transcribeOne(t, opts)) };
+  }
+  throw new ApiError(400, 'invalid_text', 'text must be a string or an array of strings.');
+}
+
+/* ================ HTTP ================ */
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ * @param {Record<string,string>} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    ...headers
+  });
+  res.end(json);
+}
+
+/**
+ * Read a request body as UTF-8, refusing bodies over the limit.
+ * The rest of an oversized body is drained so the 413 reaches the client.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new ApiError(413, 'payload_too_large', `Request bodies are limited to ${maxBytes} bytes.`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let over = false;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) over = true;
+      else chunks.push(chunk);
+    });
+    req.on('end', () => (over ? reject(tooLarge()) : resolve(Buffer.concat(chunks).toString('utf8'))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the API server (not yet listening).
+ * @param {{ maxBytes?: number, maxTexts?: number }} [limits]
+ * @returns {http.Server}
+ */
+export function createApiServer({ maxBytes = DEFAULT_LIMITS.maxBytes, maxTexts = DEFAULT_LIMITS.maxTexts } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      let pathname;
+      try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+      } catch {
+        throw new ApiError(400, 'invalid_url', 'The request target is not a valid URL.');
+      }
+      if (pathname === '/api/health') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') throw new ApiError(405, 'method_not_allowed', 'Use GET.', { Allow: 'GET, HEAD' });
+        sendJson(res, 200, { status: 'ok', profiles: Object.keys(PROFILES) });
+        return;
+      }
+      if (pathname === '/api/transcribe') {
+        if (req.method !== 'POST') throw new ApiError(405, 'method_not_allowed', 'Use POST.', { Allow: 'POST' });
+        const type = req.headers['content-type'] || '';
+        if (!/^application\/json\b/i.test(type)) throw new ApiError(415, 'unsupported_media_type', 'Send the body as application/json.');
+        const raw = await readBody(req, maxBytes);
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          throw new ApiError(400, 'invalid_json', 'The request body is not valid JSON.');
+        }
+        sendJson(res, 200, handleTranscribe(body, { maxTexts }));
+        return;
+      }
+      throw new ApiError(404, 'not_found', `No route for ${pathname}.`);
+    } catch (err) {
+      req.resume();   // drop any unread body so the connection can be reused
+      if (!(err instanceof ApiError)) {
+        sendJson(res, 500, { error: { code: 'internal_error', message: 'Something went wrong.' } });
+        return;
+      }
+      sendJson(res, err.status, { error: { code: err.code, message: err.message } }, err.headers);
+    }
+  });
+}
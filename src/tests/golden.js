@@ -0,0 +1,138 @@
+// src/tests/golden.js
+
+// Golden corpus for the syllabifier and the Latin → Baybayin glyph mapper.
+// Each entry is [latin, syllables joined by '-', expected Krus-Kudlit output].
+// Add a word here whenever a transcription bug is fixed.
+
+export const GOLDEN_WORDS = [
+  ['araw', 'a-raw', 'ᜀᜍᜏ᜔'],
+  ['gabi', 'ga-bi', 'ᜄᜊᜒ'],
+  ['umaga', 'u-ma-ga', 'ᜂᜋᜄ'],
+  ['tanghali', 'tang-ha-li', 'ᜆᜅ᜔ᜑᜎᜒ'],
+  ['hapon', 'ha-pon', 'ᜑᜉᜓᜈ᜔'],
+  ['bahay', 'ba-hay', 'ᜊᜑᜌ᜔'],
+  ['paaralan', 'pa-a-ra-lan', 'ᜉᜀᜍᜎᜈ᜔'],
+  ['guro', 'gu-ro', 'ᜄᜓᜍᜓ'],
+  ['mag-aaral', 'mag-a-a-ral', 'ᜋᜄ᜔ᜀᜀᜍᜎ᜔'],
+  ['aklat', 'ak-lat', 'ᜀᜃ᜔ᜎᜆ᜔'],
+  ['salamat', 'sa-la-mat', 'ᜐᜎᜋᜆ᜔'],
+  ['mahal', 'ma-hal', 'ᜋᜑᜎ᜔'],
+  ['kita', 'ki-ta', 'ᜃᜒᜆ'],
+  ['puso', 'pu-so', 'ᜉᜓᜐᜓ'],
+  ['bituin', 'bi-tu-in', 'ᜊᜒᜆᜓᜁᜈ᜔'],
+  ['buwan', 'bu-wan', 'ᜊᜓᜏᜈ᜔'],
+  ['dagat', 'da-gat', 'ᜇᜄᜆ᜔'],
+  ['bundok', 'bun-dok', 'ᜊᜓᜈ᜔ᜇᜓᜃ᜔'],
+  ['ilog', 'i-log', 'ᜁᜎᜓᜄ᜔'],
+  ['ulan', 'u-lan', 'ᜂᜎᜈ᜔'],
+  ['hangin', 'ha-ngin', 'ᜑᜅᜒᜈ᜔'],
+  ['apoy', 'a-poy', 'ᜀᜉᜓᜌ᜔'],
+  ['lupa', 'lu-pa', 'ᜎᜓᜉ'],
+  ['tubig', 'tu-big', 'ᜆᜓᜊᜒᜄ᜔'],
+  ['langit', 'la-ngit', 'ᜎᜅᜒᜆ᜔'],
+  ['sanggol', 'sang-gol', 'ᜐᜅ᜔ᜄᜓᜎ᜔'],
+  ['anak', 'a-nak', 'ᜀᜈᜃ᜔'],
+  ['magulang', 'ma-gu-lang', 'ᜋᜄᜓᜎᜅ᜔'],
+  ['kapatid', 'ka-pa-tid', 'ᜃᜉᜆᜒᜇ᜔'],
+  ['kaibigan', 'ka-i-bi-gan', 'ᜃᜁᜊᜒᜄᜈ᜔'],
+  ['pamilya', 'pa-mil-ya', 'ᜉᜋᜒᜎ᜔ᜌ'],
+  ['bayan', 'ba-yan', 'ᜊᜌᜈ᜔'],
+  ['kalayaan', 'ka-la-ya-an', 'ᜃᜎᜌᜀᜈ᜔'],
+  ['kasaysayan', 'ka-say-sa-yan', 'ᜃᜐᜌ᜔ᜐᜌᜈ᜔'],
+  ['wika', 'wi-ka', 'ᜏᜒᜃ'],
+  ['salita', 'sa-li-ta', 'ᜐᜎᜒᜆ'],
+  ['pangungusap', 'pa-ngu-ngu-sap', 'ᜉᜅᜓᜅᜓᜐᜉ᜔'],
+  ['pangalan', 'pa-nga-lan', 'ᜉᜅᜎᜈ᜔'],
+  ['ngayon', 'nga-yon', 'ᜅᜌᜓᜈ᜔'],
+  ['bukas', 'bu-kas', 'ᜊᜓᜃᜐ᜔'],
+  ['kahapon', 'ka-ha-pon', 'ᜃᜑᜉᜓᜈ᜔'],
+  ['ngipin', 'ngi-pin', 'ᜅᜒᜉᜒᜈ᜔'],
+  ['ngiti', 'ngi-ti', 'ᜅᜒᜆᜒ'],
+  ['panganib', 'pa-nga-nib', 'ᜉᜅᜈᜒᜊ᜔'],
+  ['pang-gabi', 'pang-ga-bi', 'ᜉᜅ᜔ᜄᜊᜒ'],
+  ['panggabi', 'pang-ga-bi', 'ᜉᜅ᜔ᜄᜊᜒ'],
+  ['ginto', 'gin-to', 'ᜄᜒᜈ᜔ᜆᜓ'],
+  ['pilak', 'pi-lak', 'ᜉᜒᜎᜃ᜔'],
+  ['bakal', 'ba-kal', 'ᜊᜃᜎ᜔'],
+  ['kahoy', 'ka-hoy', 'ᜃᜑᜓᜌ᜔'],
+  ['bato', 'ba-to', 'ᜊᜆᜓ'],
+  ['isda', 'is-da', 'ᜁᜐ᜔ᜇ'],
+  ['manok', 'ma-nok', 'ᜋᜈᜓᜃ᜔'],
+  ['baboy', 'ba-boy', 'ᜊᜊᜓᜌ᜔'],
+  ['kalabaw', 'ka-la-baw', 'ᜃᜎᜊᜏ᜔'],
+  ['ibon', 'i-bon', 'ᜁᜊᜓᜈ᜔'],
+  ['aso', 'a-so', 'ᜀᜐᜓ'],
+  ['pusa', 'pu-sa', 'ᜉᜓᜐ'],
+  ['gatas', 'ga-tas', 'ᜄᜆᜐ᜔'],
+  ['tinapay', 'ti-na-pay', 'ᜆᜒᜈᜉᜌ᜔'],
+  ['kanin', 'ka-nin', 'ᜃᜈᜒᜈ᜔'],
+  ['ulam', 'u-lam', 'ᜂᜎᜋ᜔'],
+  ['asin', 'a-sin', 'ᜀᜐᜒᜈ᜔'],
+  ['asukal', 'a-su-kal', 'ᜀᜐᜓᜃᜎ᜔'],
+  ['kape', 'ka-pe', 'ᜃᜉᜒ'],
+  ['tsaa', 'tsa-a', 'ᜆ᜔ᜐᜀ'],
+  ['tsinelas', 'tsi-ne-las', 'ᜆ᜔ᜐᜒᜈᜒᜎᜐ᜔'],
+  ['tsismis', 'tsis-mis', 'ᜆ᜔ᜐᜒᜐ᜔ᜋᜒᜐ᜔'],
+  ['kotse', 'kot-se', 'ᜃᜓᜆ᜔ᜐᜒ'],
+  ['dyip', 'dyip', 'ᜇ᜔ᜌᜒᜉ᜔'],
+  ['trabaho', 'tra-ba-ho', 'ᜆ᜔ᜍᜊᜑᜓ'],
+  ['tren', 'tren', 'ᜆ᜔ᜍᜒᜈ᜔'],
+  ['krus', 'krus', 'ᜃ᜔ᜍᜓᜐ᜔'],
+  ['plato', 'pla-to', 'ᜉ᜔ᜎᜆᜓ'],
+  ['kontra', 'kon-tra', 'ᜃᜓᜈ᜔ᜆ᜔ᜍ'],
+  ['sobre', 'sob-re', 'ᜐᜓᜊ᜔ᜍᜒ'],
+  ['libro', 'lib-ro', 'ᜎᜒᜊ᜔ᜍᜓ'],
+  ['klase', 'kla-se', 'ᜃ᜔ᜎᜐᜒ'],
+  ['grupo', 'gru-po', 'ᜄ᜔ᜍᜓᜉᜓ'],
+  ['drama', 'dra-ma', 'ᜇ᜔ᜍᜋ'],
+  ['problema', 'prob-le-ma', 'ᜉ᜔ᜍᜓᜊ᜔ᜎᜒᜋ'],
+  ['programa', 'prog-ra-ma', 'ᜉ᜔ᜍᜓᜄ᜔ᜍᜋ'],
+  ['bintana', 'bin-ta-na', 'ᜊᜒᜈ᜔ᜆᜈ'],
+  ['kwento', 'kwen-to', 'ᜃ᜔ᜏᜒᜈ᜔ᜆᜓ'],
+  ['kwarta', 'kwar-ta', 'ᜃ᜔ᜏᜍ᜔ᜆ'],
+  ['diyos', 'di-yos', 'ᜇᜒᜌᜓᜐ᜔'],
+  ['siya', 'si-ya', 'ᜐᜒᜌ'],
+  ['kanya', 'kan-ya', 'ᜃᜈ᜔ᜌ'],
+  ['niyog', 'ni-yog', 'ᜈᜒᜌᜓᜄ᜔'],
+  ['sila', 'si-la', 'ᜐᜒᜎ'],
+  ['tayo', 'ta-yo', 'ᜆᜌᜓ'],
+  ['kami', 'ka-mi', 'ᜃᜋᜒ'],
+  ['namin', 'na-min', 'ᜈᜋᜒᜈ᜔'],
+  ['ninyo', 'nin-yo', 'ᜈᜒᜈ᜔ᜌᜓ'],
+  ['nakakapagpabagabag', 'na-ka-ka-pag-pa-ba-ga-bag', 'ᜈᜃᜃᜉᜄ᜔ᜉᜊᜄᜊᜄ᜔'],
+  ['pinakamagaling', 'pi-na-ka-ma-ga-ling', 'ᜉᜒᜈᜃᜋᜄᜎᜒᜅ᜔'],
+  ['magandang', 'ma-gan-dang', 'ᜋᜄᜈ᜔ᜇᜅ᜔'],
+  ['pagkain', 'pag-ka-in', 'ᜉᜄ᜔ᜃᜁᜈ᜔'],
+  ['inumin', 'i-nu-min', 'ᜁᜈᜓᜋᜒᜈ᜔'],
+  ['eskwela', 'es-kwe-la', 'ᜁᜐ᜔ᜃ᜔ᜏᜒᜎ'],
+  ['estudyante', 'es-tud-yan-te', 'ᜁᜐ᜔ᜆᜓᜇ᜔ᜌᜈ᜔ᜆᜒ'],
+  ['Niño', 'nin-yo', 'ᜈᜒᜈ᜔ᜌᜓ'],
+  ['kalye', 'kal-ye', 'ᜃᜎ᜔ᜌᜒ'],
+  ['silya', 'sil-ya', 'ᜐᜒᜎ᜔ᜌ'],
+  ['ekstra', 'eks-tra', 'ᜁᜃ᜔ᜐ᜔ᜆ᜔ᜍ'],
+  ['biyernes', 'bi-yer-nes', 'ᜊᜒᜌᜒᜍ᜔ᜈᜒᜐ᜔'],
+  ['Huwebes', 'hu-we-bes', 'ᜑᜓᜏᜒᜊᜒᜐ᜔'],
+  ['Sabado', 'sa-ba-do', 'ᜐᜊᜇᜓ'],
+  ['Linggo', 'ling-go', 'ᜎᜒᜅ᜔ᜄᜓ'],
+  ['Enero', 'e-ne-ro', 'ᜁᜈᜒᜍᜓ']
+];
+
+// Loanword clusters under the epenthetic strategy: [latin, expected output].
+export const GOLDEN_EPENTHETIC = [
+  ['dyip', 'ᜇᜒᜌᜒᜉ᜔'],
+  ['trabaho', 'ᜆᜍᜊᜑᜓ'],
+  ['tren', 'ᜆᜒᜍᜒᜈ᜔'],
+  ['krus', 'ᜃᜓᜍᜓᜐ᜔'],
+  ['plato', 'ᜉᜎᜆᜓ'],
+  ['klase', 'ᜃᜎᜐᜒ'],
+  ['grupo', 'ᜄᜓᜍᜓᜉᜓ'],
+  ['drama', 'ᜇᜍᜋ'],
+  ['problema', 'ᜉᜓᜍᜓᜊ᜔ᜎᜒᜋ'],
+  ['programa', 'ᜉᜓᜍᜓᜄ᜔ᜍᜋ'],
+  ['kwento', 'ᜃᜓᜏᜒᜈ᜔ᜆᜓ'],
+  ['kwarta', 'ᜃᜓᜏᜍ᜔ᜆ'],
+  // Clusters inside a word are broken up too.
+  ['kontra', 'ᜃᜓᜈ᜔ᜆᜍ'],
+  ['sentro', 'ᜐᜒᜈ᜔ᜆᜓᜍᜓ'],
+  ['kompleto', 'ᜃᜓᜋ᜔ᜉᜒᜎᜒᜆᜓ']
+];
@@ -3,8 +3,36 @@
 // This file contains tests for the transcription and download functionality of the Baybayin app.
 // To test, type 'npm test' in the terminal.
 
-import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
-import { toBaybayinWithMode, toLatin } from '../utils/transcription.js';
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { jest, describe, test, expect, beforeEach, afterEach, beforeAll, afterAll } from '@jest/globals';
+import { toBaybayinWithMode, toLatin, toLatinCandidates, syllabify, listProfiles, listLanguages, listScripts, listRomanizations, fromLegacy, toLegacy, transcribe, expandText, alignWords, scriptRuns, detectScript } from '../utils/transcription.js';
+import { selectionOffsets, rangeFromOffsets, setCaret, textBetween } from '../utils/caret.js';
+import { lintBaybayin, applyFix, applyFixes } from '../utils/lint.js';
+import { parseDictionary, serializeDictionary, upsertEntry, removeEntry, loadDictionary, saveDictionary } from '../utils/dictionary.js';
+import { EXPORT_FORMATS, buildExport, downloadBlob, timestampName } from '../utils/download.js';
+import { parseFont } from '../utils/font.js';
+import { run, parseArgs } from '../cli.js';
+import { createApiServer, handleTranscribe } from '../server.js';
+import '../components/baybayin-text.js';
+import { KEYBOARD_KEYS, KEYBOARD_SHORTCUTS, composeKey } from '../utils/keyboard.js';
+import { initKeyboardPanel } from '../views/keyboard.js';
+import { imeCompose, imeInsert, bindIme } from '../utils/ime.js';
+import { transliterateDom, revertDom, isTransliterated } from '../utils/page.js';
+import { toggle as toggleBookmarklet } from '../bookmarklet.js';
+import { parseHash, buildHash, matchRoute } from '../utils/router.js';
+import { initHome } from '../views/home.js';
+import { initHistory } from '../views/history.js';
+import { initLearn } from '../views/learn.js';
+import { initStrokePanel } from '../views/strokes.js';
+import { buildCards, checkAnswer, choicesFor, review, nextCard, deckStats, loadProgress, QUALITY } from '../utils/learn.js';
+import { BASE_STROKES, SIGN_STROKES, glyphClusters, glyphStrokes, strokePath, resample, scoreTrace } from '../utils/strokes.js';
+import { createHistoryStore, searchHistory, serializeHistory, STORAGE_KEY as HISTORY_KEY } from '../utils/history.js';
+import * as transcription from '../utils/transcription.js';
+import http from 'node:http';
+import { fontFromData, renderSvg } from '../utils/image.js';
+import { GOLDEN_WORDS, GOLDEN_EPENTHETIC } from './golden.js';
 
 /**
  * Thin wrappers to keep prior test names stable.
@@ -74,6 +102,1934 @@ describe('Transcription runs between Latin and Baybayin', () => {
 
 });
 
+/* 
+=========================
+  SYLLABIFICATION TESTS
+  
+  Verifies:
+  - Golden corpus syllable splits and Krus-Kudlit output
+  - Loanword clusters keep their consonants (no invented vowels)
+  - "ng" digraph vs. hyphenated n + g
+  - Epenthetic cluster strategy
+========================= 
+*/
+
+describe('Syllabifier feeds the glyph mapper', () => {
+  const split = (s) => syllabify(s).map((syl) => syl.text).join('-');
+
+  test.each(GOLDEN_WORDS)('Golden %s', (latin, syllables, bybn) => {
+    expect(split(latin)).toBe(syllables);
+    expect(translateToBaybayin(latin)).toBe(bybn);
+  });
+
+  test('Loanword clusters are not padded with vowels', () => {
+    expect(translateToBaybayin('kontra')).toBe('ᜃᜓᜈ᜔ᜆ᜔ᜍ');
+    expect(translateToBaybayin('sobre')).toBe('ᜐᜓᜊ᜔ᜍᜒ');
+    expect(translateToBaybayin('plato')).toBe('ᜉ᜔ᜎᜆᜓ');
+  });
+
+  test('Digraph ng vs. n + g', () => {
+    expect(split('pangalan')).toBe('pa-nga-lan');
+    expect(split('pang-gabi')).toBe('pang-ga-bi');
+    expect(split('san-gol')).toBe('san-gol');
+    expect(translateToBaybayin('pang-gabi')).toBe(translateToBaybayin('panggabi'));
+  });
+
+  test.each(GOLDEN_EPENTHETIC)('Epenthetic %s', (latin, bybn) => {
+    expect(toBaybayinWithMode(latin, { clusters: 'epenthetic' })).toBe(bybn);
+  });
+
+  test('Cluster strategy carries into Pamupod mode', () => {
+    expect(toBaybayinWithMode('krus', { mode: 'pamupod' })).toBe('ᜃ᜕ᜍᜓᜐ᜕');
+    expect(toBaybayinWithMode('krus', { mode: 'pamupod', clusters: 'epenthetic' })).toBe('ᜃᜓᜍᜓᜐ᜕');
+  });
+});
+
+/* 
+=========================
+  ORTHOGRAPHY PROFILE TESTS
+  
+  Verifies:
+  - B17 stays the default
+  - Danda punctuation and spelled-out abbreviations
+  - Doctrina drops final consonants and shares da/ra
+  - Profiles are honoured by toLatin() and combine with Pamupod mode
+========================= 
+*/
+
+describe('Orthography profiles', () => {
+  const phrase = 'Ang mga bata ng bayan, maraming salamat.';
+
+  test('Profiles are listed with B17 first', () => {
+    expect(listProfiles().map((p) => p.id)).toEqual(['b17', 'b17-danda', 'b17-spelled', 'doctrina']);
+    expect(toBaybayinWithMode(phrase, { profile: 'b17' })).toBe(translateToBaybayin(phrase));
+  });
+
+  test('Danda and spelled abbreviations', () => {
+    expect(toBaybayinWithMode(phrase, { profile: 'b17-danda' }))
+      .toBe('ᜀᜅ᜔ ᜋᜅ ᜊᜆ ᜅ ᜊᜌᜈ᜔ ᜵ ᜋᜍᜋᜒᜅ᜔ ᜐᜎᜋᜆ᜔ ᜶');
+    expect(toBaybayinWithMode('mga ng', { profile: 'b17-spelled' })).toBe('ᜋ᜔ᜄ ᜈᜅ᜔');
+  });
+
+  test('Doctrina drops finals and writes ra as da', () => {
+    expect(toBaybayinWithMode(phrase, { profile: 'doctrina' }))
+      .toBe('ᜀ ᜋᜅ ᜊᜆ ᜈᜅ ᜊᜌ ᜵ ᜋᜇᜋᜒ ᜐᜎᜋ ᜶');
+    expect(toBaybayinWithMode('bukas', { profile: 'doctrina', mode: 'pamupod' })).toBe('ᜊᜓᜃ');
+  });
+
+  test('toLatin reads abbreviations and punctuation per profile', () => {
+    expect(toLatin('ᜋᜅ ᜊᜆ ᜅ ᜊᜌᜈ᜔ //')).toBe('mga bata ng bayan.');
+    expect(toLatin('ᜋ᜔ᜄ ᜊᜆ ᜈᜅ᜔ ᜊᜌᜈ᜔ /', { profile: 'b17-spelled' })).toBe('mga bata ng bayan,');
+    expect(toLatin('ᜋᜇᜋᜒ ᜶', { profile: 'doctrina' })).toBe('madami.');
+  });
+
+  test('Custom profile objects are accepted', () => {
+    const custom = { punctuation: { '.': ' ᜶', ',': ' ᜵' }, consonants: { r: 'ᜇ' } };
+    expect(toBaybayinWithMode('sari.', { profile: custom })).toBe('ᜐᜇᜒ ᜶');
+  });
+});
+
+/* 
+=========================
+  LEXICON READING TESTS
+  
+  Verifies:
+  - e/i and o/u resolved against the bundled word list
+  - Dropped finals recovered in pre-kudlit (Doctrina) text
+  - Segmentation of run-together Baybayin
+  - Ranked candidates and guesses for unknown words
+========================= 
+*/
+
+describe('Lexicon-backed reverse transcription', () => {
+  const read = (s, opts) => toLatin(s, { lexicon: true, ...opts });
+
+  test('Chooses real words for ambiguous vowels', () => {
+    expect(read('ᜊᜓᜃᜐ᜔')).toBe('bukas');
+    expect(read('ᜀᜅ᜔ ᜉᜓᜐᜓ ᜃᜓ')).toBe('ang puso ko');
+    expect(read('ᜋᜅ ᜊᜆ ᜅ ᜊᜌᜈ᜔ //')).toBe('mga bata ng bayan.');
+  });
+
+  test('Recovers dropped finals in Doctrina text', () => {
+    const doctrina = toBaybayinWithMode('masaya ang bata ngayon', { profile: 'doctrina' });
+    expect(doctrina).toBe('ᜋᜐᜌ ᜀ ᜊᜆ ᜅᜌᜓ');
+    expect(read(doctrina, { profile: 'doctrina' })).toBe('masaya ang bata ngayon');
+  });
+
+  test('Segments run-together words', () => {
+    expect(read('ᜀᜅ᜔ᜉᜓᜐᜓᜃᜓ', { segment: true })).toBe('ang puso ko');
+    expect(read('ᜋᜐᜌᜀᜊᜆᜅᜌᜓ', { profile: 'doctrina', segment: 'auto' })).toBe('masaya ang bata ngayon');
+    expect(read('ᜈᜃᜃᜉᜄ᜔ᜉᜊᜄᜊᜄ᜔', { segment: 'auto' })).toBe('nakakapagpabagabag');
+  });
+
+  test('Returns ranked candidates per word', () => {
+    const [bukas, space, unknown] = toLatinCandidates('ᜊᜓᜃᜐ᜔ ᜃᜓᜋᜓ');
+    expect(bukas).toMatchObject({ type: 'word', reading: 'bukas', known: true });
+    expect(bukas.candidates).toEqual(['bukas', 'bokas']);
+    expect(space).toMatchObject({ type: 'other', reading: ' ' });
+    expect(unknown).toMatchObject({ reading: 'kumo', known: false });
+    expect(unknown.candidates).toEqual(['kumo', 'komo', 'kumu']);
+  });
+
+  test('Custom word lists and plain toLatin stay independent', () => {
+    expect(read('ᜃᜓᜋᜓ', { lexicon: ['komo'] })).toBe('komo');
+    expect(toLatin('ᜊᜓᜃᜐ᜔')).toBe('bokas');
+  });
+});
+
+/* 
+=========================
+  ALIGNMENT TESTS
+  
+  Verifies:
+  - transcribe() segments cover the output exactly, in order
+  - Source spans, normalized text and rules per segment
+  - String functions are wrappers over transcribe()
+  - Baybayin → Latin segments, with and without the lexicon
+  - Caret offsets in the editor round-trip through DOM ranges
+========================= 
+*/
+
+describe('transcribe() aligns source and output', () => {
+  const pick = ({ source, output, segments }) => segments.map((seg) => [
+    source.slice(seg.source.start, seg.source.end),
+    seg.rule,
+    output.slice(seg.output.start, seg.output.end)
+  ]);
+
+  test('Segments tile the output', () => {
+    const r = transcribe('Magkítâ tayo bukás, mga bata.', { mode: 'pamupod' });
+    expect(r.segments.map((seg) => r.output.slice(seg.output.start, seg.output.end)).join('')).toBe(r.output);
+    r.segments.reduce((end, seg) => {
+      expect(seg.output.start).toBe(end);
+      return seg.output.end;
+    }, 0);
+  });
+
+  test('Latin to Baybayin rules and spans', () => {
+    expect(pick(transcribe('Bukás, mga paulit-ulit'))).toEqual([
+      ['Bu', 'syllable', 'ᜊᜓ'],
+      ['kás', 'syllable', 'ᜃᜐ᜔'],
+      [',', 'punctuation', ' /'],
+      [' ', 'passthrough', ' '],
+      ['mga', 'exception', 'ᜋᜅ'],
+      [' ', 'passthrough', ' '],
+      ['pa', 'syllable', 'ᜉ'],
+      ['u', 'syllable', 'ᜂ'],
+      ['lit', 'syllable', 'ᜎᜒᜆ᜔'],
+      ['-', 'passthrough', ''],
+      ['u', 'syllable', 'ᜂ'],
+      ['lit', 'syllable', 'ᜎᜒᜆ᜔']
+    ]);
+    const [bu] = transcribe('Bukás').segments;
+    expect(bu.normalized).toBe('bu');
+  });
+
+  test('Wrappers match transcribe()', () => {
+    const text = 'Dahil ayaw kong tumingin sa salamin.';
+    expect(translateToBaybayin(text)).toBe(transcribe(text).output);
+    expect(toBaybayinWithMode(text, { mode: 'pamupod' })).toBe(transcribe(text, { mode: 'pamupod' }).output);
+    expect(translateToLatin('ᜀᜅ᜔ ᜉᜓᜐᜓ')).toBe(transcribe('ᜀᜅ᜔ ᜉᜓᜐᜓ', { direction: 'latin' }).output);
+  });
+
+  test('Baybayin to Latin segments', () => {
+    expect(pick(transcribe('  ᜋᜅ ᜊᜓᜃᜐ᜔ //', { direction: 'latin' }))).toEqual([
+      [' ', 'passthrough', ' '],
+      [' ', 'passthrough', ' '],
+      ['ᜋᜅ', 'exception', 'mga'],
+      [' ', 'passthrough', ' '],
+      ['ᜊᜓ', 'syllable', 'bo'],
+      ['ᜃ', 'syllable', 'ka'],
+      ['ᜐ᜔', 'syllable', 's'],
+      [' //', 'punctuation', '.']
+    ]);
+    const lex = transcribe('ᜊᜓᜃᜐ᜔', { direction: 'latin', lexicon: true });
+    expect(lex.segments[0]).toMatchObject({ rule: 'lexicon', candidates: ['bukas', 'bokas'], known: true });
+  });
+
+  test('Caret offsets round-trip through ranges', () => {
+    const edit = document.createElement('div');
+    edit.contentEditable = 'true';
+    edit.innerHTML = 'ang <b>puso</b><br>ko';
+    document.body.replaceChildren(edit);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(rangeFromOffsets(edit, 5, 8));
+    expect(sel.toString()).toBe('uso');
+    expect(selectionOffsets(edit)).toEqual({ start: 5, end: 8, collapsed: false });
+
+    // The <br> counts as one newline, like innerText.
+    sel.removeAllRanges();
+    sel.addRange(rangeFromOffsets(edit, 9, 11));
+    expect(sel.toString()).toBe('ko');
+    expect(selectionOffsets(edit)).toEqual({ start: 9, end: 11, collapsed: false });
+  });
+});
+
+/* 
+=========================
+  LAYOUT TESTS
+  
+  Verifies:
+  - Newlines, indentation and repeated spaces survive both directions
+  - Every common punctuation mark and digit has a rendering per profile
+  - Round trips keep paragraphs intact
+========================= 
+*/
+
+describe('Layout and punctuation are preserved', () => {
+  const poem = 'Tula\n\n  Ano? Oo!\n\tWakas.';
+
+  test('Whitespace passes through unchanged', () => {
+    expect(translateToBaybayin(poem)).toBe('ᜆᜓᜎ\n\n  ᜀᜈᜓ? ᜂᜂ!\n\tᜏᜃᜐ᜔ //');
+    expect(translateToBaybayin('isa   dalawa')).toBe('ᜁᜐ   ᜇᜎᜏ');
+    expect(translateToLatin('  ᜀᜅ᜔   ᜉᜓᜐᜓ\nᜃᜓ')).toBe('  ang   poso\nko');
+  });
+
+  test('Round trip keeps paragraphs', () => {
+    expect(translateToLatin(translateToBaybayin(poem))).toBe('tola\n\n  ano? oo!\n\twakas.');
+  });
+
+  test('Punctuation marks per profile', () => {
+    const text = '(sabi niya): "bukas"; 3 araw…';
+    expect(translateToBaybayin(text)).toBe('(ᜐᜊᜒ ᜈᜒᜌ) / "ᜊᜓᜃᜐ᜔" / 3 ᜀᜍᜏ᜔ //');
+    expect(toBaybayinWithMode(text, { profile: 'b17-danda' })).toBe('(ᜐᜊᜒ ᜈᜒᜌ) ᜵ "ᜊᜓᜃᜐ᜔" ᜵ 3 ᜀᜍᜏ᜔ ᜶');
+    expect(toBaybayinWithMode('Ano? (Oo!)', { profile: 'doctrina' })).toBe('ᜀᜈᜓ ᜶ ᜂᜂ ᜶');
+  });
+
+  test('Shared glyphs read back as the first mark listed', () => {
+    expect(translateToLatin('ᜀᜈᜓ / ᜂᜂ //')).toBe('ano, oo.');
+    expect(toLatin('ᜀᜈᜓ ᜵ ᜂᜂ ᜶', { profile: 'doctrina' })).toBe('ano, oo.');
+  });
+
+  test('Segments mark punctuation and digits', () => {
+    const rules = transcribe('Ano? 3').segments.map((s) => s.rule);
+    expect(rules).toEqual(['syllable', 'syllable', 'punctuation', 'passthrough', 'punctuation']);
+  });
+});
+
+/* 
+=========================
+  EXPANSION TESTS
+  
+  Verifies:
+  - Native and Spanish-derived numerals
+  - Negative numbers, and numbers past the scales left as written
+  - Dates, times, money, percentages and ordinals
+  - Abbreviations and symbols
+  - transcribe() only expands when asked, keeping source spans
+========================= 
+*/
+
+describe('Text normalization front end', () => {
+  test('Native numerals', () => {
+    expect(expandText('11 21 100 400 1234')).toBe(
+      "labing-isa dalawampu't isa isang daan apat na raan isang libo dalawang daan at tatlumpu't apat"
+    );
+    expect(expandText('2025')).toBe("dalawang libo at dalawampu't lima");
+    expect(expandText('007')).toBe('sero sero pito');
+  });
+
+  test('Negative and out-of-range numbers', () => {
+    expect(expandText('-5 at −3.5')).toBe('negatibo lima at negatibo tatlo punto lima');
+    expect(expandText('-5', { numerals: 'spanish' })).toBe('negatibo singko');
+    expect(expandText('3-5 at -10%')).toBe('tatlo-lima at negatibo sampung porsiyento');
+    // The scales stop at bilyon, so trillions are left as written.
+    expect(expandText('1000000000000 at 1,000,000,000,000 at ika-1000000000000')).toBe('1000000000000 at 1,000,000,000,000 at ika-1000000000000');
+  });
+
+  test('Spanish-derived numerals', () => {
+    const spanish = (s) => expandText(s, { numerals: 'spanish' });
+    expect(spanish('21 35 100 500 2025')).toBe('beinte uno trenta y singko siyento kinyentos dos mil beinte singko');
+  });
+
+  test('Dates, times, money and percentages', () => {
+    expect(expandText('12/25/2025')).toBe("ika-dalawampu't lima ng Disyembre, dalawang libo at dalawampu't lima");
+    expect(expandText('12/25/2025', { numerals: 'spanish' })).toBe('Disyembre beinte singko, dos mil beinte singko');
+    expect(expandText('3:30 PM')).toBe('ikatlo at kalahati ng hapon');
+    expect(expandText('3:30 PM', { numerals: 'spanish' })).toBe('alas tres y medya ng hapon');
+    expect(expandText('₱1,500.50')).toBe('isang libo limang daang piso at limampung sentimo');
+    expect(expandText('₱1.01 at ₱2.50', { numerals: 'spanish' })).toBe('un peso at un sentimo at dos pesos at singkuwenta sentimos');
+    expect(expandText('0:15')).toBe('ika-labindalawa at labinlimang minuto ng madaling-araw');
+    expect(expandText('50%')).toBe('limampung porsiyento');
+    expect(expandText('ika-3 at 3.5')).toBe('ikatlo at tatlo punto lima');
+  });
+
+  test('Abbreviations and symbols', () => {
+    expect(expandText('Gng. Santos & Dr. Cruz, atbp.')).toBe('Ginang Santos at Doktor Cruz, at iba pa');
+    expect(expandText('ang g. bagay')).toBe('ang g. bagay');
+  });
+
+  test('Invalid dates and times are left as written', () => {
+    expect(expandText('13/45/2020, 13/1/2025 at 10:60')).toBe('13/45/2020, 13/1/2025 at 10:60');
+    expect(expandText('2/30/2025 at 2/29/2025')).toBe('2/30/2025 at 2/29/2025');
+    expect(expandText('2/29/2024')).toBe("ika-dalawampu't siyam ng Pebrero, dalawang libo at dalawampu't apat");
+    expect(expandText('COVID19')).toBe('COVID19');
+  });
+
+  test('transcribe() expands only when asked', () => {
+    expect(translateToBaybayin('₱100')).toBe('₱100');
+    const t = transcribe('₱100.', { expand: true });
+    expect(t.output).toBe('ᜁᜐᜅ᜔ ᜇᜀᜅ᜔ ᜉᜒᜐᜓ //');
+    expect(t.segments.filter((s) => s.source.end === 4).every((s) => s.source.start === 0)).toBe(true);
+    expect(t.segments[t.segments.length - 1]).toMatchObject({ source: { start: 4, end: 5 }, rule: 'punctuation' });
+  });
+});
+
+/* 
+=========================
+  DICTIONARY TESTS
+  
+  Verifies:
+  - User words win over exceptions and abbreviations in both directions
+  - Baybayin spellings and Latin respellings
+  - Entry validation, JSON import/export and storage
+========================= 
+*/
+
+describe('User dictionary', () => {
+  const dictionary = [
+    { word: 'Agonoy', spelling: 'ᜀᜄᜓᜈᜓᜌ᜔' },
+    { word: 'FBI', spelling: 'ef bi ay' },
+    { word: 'ng', spelling: 'ᜈᜅ᜔' }
+  ];
+
+  test('Latin to Baybayin consults the dictionary first', () => {
+    expect(toBaybayinWithMode('Si Agonoy, ng FBI.', { dictionary })).toBe('ᜐᜒ ᜀᜄᜓᜈᜓᜌ᜔ / ᜈᜅ᜔ ᜁᜉ᜔ ᜊᜒ ᜀᜌ᜔ //');
+    expect(toBaybayinWithMode('Agonoy', { dictionary, mode: 'pamupod' })).toBe('ᜀᜄᜓᜈᜓᜌ᜕');
+    const t = transcribe('"Agonoy,"', { dictionary });
+    expect(t.segments.map((seg) => [t.source.slice(seg.source.start, seg.source.end), seg.rule])).toEqual([
+      ['"', 'punctuation'], ['Agonoy', 'dictionary'], [',', 'punctuation'], ['"', 'punctuation']
+    ]);
+  });
+
+  test('Baybayin to Latin reads words as entered', () => {
+    expect(toLatin('ᜐᜒ ᜀᜄᜓᜈᜓᜌ᜕ / ᜈᜅ᜔', { dictionary })).toBe('si Agonoy, ng');
+    const [seg] = transcribe('ᜀᜄᜓᜈᜓᜌ᜔', { direction: 'latin', dictionary, lexicon: true }).segments;
+    expect(seg).toMatchObject({ rule: 'dictionary', output: { start: 0, end: 6 } });
+  });
+
+  test('Entries are validated and replaced by word', () => {
+    const one = upsertEntry([], { word: ' Agonoy ', spelling: 'ᜀᜄᜓᜈᜓᜌ᜔' });
+    expect(one).toEqual([{ word: 'Agonoy', spelling: 'ᜀᜄᜓᜈᜓᜌ᜔' }]);
+    expect(upsertEntry(one, { word: 'agonoy', spelling: 'a go noy' })).toEqual([{ word: 'agonoy', spelling: 'a go noy' }]);
+    expect(removeEntry(one, 'AGONOY')).toEqual([]);
+    expect(() => upsertEntry([], { word: 'two words', spelling: 'x' })).toThrow('single word');
+    expect(() => upsertEntry([], { word: 'x', spelling: '' })).toThrow('word and a spelling');
+  });
+
+  test('JSON import and export round-trip', () => {
+    const json = serializeDictionary(dictionary);
+    expect(JSON.parse(json).version).toBe(1);
+    expect(parseDictionary(json).map((e) => e.word)).toEqual(['Agonoy', 'FBI', 'ng']);
+    expect(parseDictionary('{"Rizal": "ᜇᜒᜐᜎ᜔"}')).toEqual([{ word: 'Rizal', spelling: 'ᜇᜒᜐᜎ᜔' }]);
+    expect(() => parseDictionary('not json')).toThrow('not valid JSON');
+  });
+
+  test('Storage keeps the dictionary and survives bad data', () => {
+    localStorage.clear();
+    saveDictionary(dictionary);
+    expect(loadDictionary()).toHaveLength(3);
+    localStorage.setItem('bybyn:dictionary', '{');
+    expect(loadDictionary()).toEqual([]);
+    localStorage.clear();
+  });
+});
+
+/* 
+=========================
+  IMAGE EXPORT TESTS
+  
+  Verifies:
+  - TrueType glyph lookup, advances and outlines
+  - SVG layout with outlined or embedded glyphs
+  - ASCII-keyed fonts, fallback text and the Latin caption
+========================= 
+*/
+
+describe('Image export', () => {
+  const read = (name) => new Uint8Array(readFileSync(new URL(`../../public/fonts/${name}`, import.meta.url)));
+  const noto = fontFromData('noto', read('NotoSansTagalog.ttf'));
+  const pamudpod = fontFromData('pamudpod', read('PamudpodTakipsilimn.ttf'));
+
+  test('Fonts map characters to glyphs with outlines', () => {
+    const font = parseFont(read('NotoSansTagalog.ttf'));
+    const ba = font.glyphOf('ᜊ');
+    expect(ba).toBeGreaterThan(0);
+    expect(font.advance(ba)).toBeGreaterThan(0);
+    expect(font.path(ba)).toMatch(/^M[-\d.]+ [-\d.]+.*Z$/);
+    expect(font.advance(font.glyphOf('ᜓ'))).toBe(0);
+    expect(font.glyphOf('中')).toBe(0);
+    expect(() => parseFont(new Uint8Array([0x4f, 0x54, 0x54, 0x4f, 0, 0]))).toThrow('TrueType');
+  });
+
+  test('Outlined SVG draws each glyph from shared paths', () => {
+    const { svg, width, height } = renderSvg('ᜊᜌ᜔ ᜊᜌ᜔', noto, { size: 48, padding: 10 });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg.match(/<path id=/g)).toHaveLength(3);
+    expect(svg.match(/<use /g)).toHaveLength(6);
+    expect(svg).toContain('fill="#FFF3D9"');
+    expect(svg).not.toContain('<text');
+    expect(width).toBeGreaterThan(20);
+    expect(height).toBeGreaterThan(48);
+  });
+
+  test('Embedded SVG carries the font and the text', () => {
+    const { svg } = renderSvg('ᜊᜌ᜔', noto, { glyphs: 'embed', background: 'transparent', color: '#000' });
+    expect(svg).toContain('@font-face');
+    expect(svg).toContain('base64,');
+    expect(svg).toContain('>ᜊᜌ᜔</text>');
+    expect(svg).not.toContain('<rect');
+  });
+
+  test('ASCII-keyed fonts, fallback text and the Latin source', () => {
+    const keyed = renderSvg('ᜊᜌ᜔ //', pamudpod, { glyphs: 'embed' });
+    expect(keyed.svg).toContain('>by+ ,,</text>');
+    const { svg } = renderSvg('ᜊ 中\nᜌ', noto, { source: 'Ba?\nya & co' });
+    expect(svg).toContain('>中</text>');
+    expect(svg).toContain('>Ba?</text>');
+    expect(svg).toContain('>ya &amp; co</text>');
+    expect(svg).toContain('font-size="26"');
+  });
+});
+
+/* 
+=========================
+  EXPORT FORMAT TESTS
+  
+  Verifies:
+  - Word-by-word alignment in both directions
+  - JSON, CSV and HTML ruby exports
+  - Timestamped filenames per format
+========================= 
+*/
+
+describe('Export formats', () => {
+  const t = transcribe('Mahal ko, "mag-aral" ko!');
+  const doc = {
+    source: 'Mahal ko, "mag-aral" ko!',
+    output: t.output,
+    direction: 'baybayin',
+    sourceTitle: 'Tagalog',
+    outputTitle: 'Krus-Kudlit',
+    mode: 'krus-kudlit',
+    modeLabel: 'Krus-Kudlit',
+    profile: 'b17',
+    profileLabel: 'B17',
+    runs: alignWords(t)
+  };
+
+  test('alignWords pairs whole words and keeps the text between them', () => {
+    const runs = alignWords(t);
+    expect(runs.filter((r) => r.word).map((r) => [r.latin, r.baybayin])).toEqual([
+      ['Mahal', 'ᜋᜑᜎ᜔'], ['ko', 'ᜃᜓ'], ['mag-aral', 'ᜋᜄ᜔ᜀᜍᜎ᜔'], ['ko', 'ᜃᜓ']
+    ]);
+    expect(runs.map((r) => r.baybayin).join('')).toBe(t.output);
+    const back = transcribe('ᜊᜌᜈ᜔ / ᜃᜓ', { direction: 'latin', lexicon: true });
+    expect(alignWords(back, 'latin').filter((r) => r.word)).toEqual([
+      { latin: 'bayan', baybayin: 'ᜊᜌᜈ᜔', word: true },
+      { latin: 'ko', baybayin: 'ᜃᜓ', word: true }
+    ]);
+    const expanded = transcribe('12 ko', { expand: true });
+    expect(alignWords(expanded)[0]).toEqual({ latin: '12', baybayin: 'ᜎᜊᜒᜈ᜔ᜇᜎᜏ', word: true });
+  });
+
+  test('JSON carries source, output, mode and word pairs', () => {
+    const data = JSON.parse(EXPORT_FORMATS.json.build(doc));
+    expect(data).toMatchObject({ version: 1, direction: 'baybayin', mode: 'krus-kudlit', source: doc.source, output: t.output });
+    expect(data.pairs).toHaveLength(4);
+    expect(data.pairs[2]).toEqual({ latin: 'mag-aral', baybayin: 'ᜋᜄ᜔ᜀᜍᜎ᜔' });
+  });
+
+  test('CSV is a de-duplicated UTF-8 word list', () => {
+    const csv = EXPORT_FORMATS.csv.build({ ...doc, runs: [...doc.runs, { latin: 'a, "b"', baybayin: 'ᜀ', word: true }] });
+    expect(csv.startsWith('\uFEFFlatin,baybayin\r\n')).toBe(true);
+    expect(csv.split('\r\n')).toEqual(['\uFEFFlatin,baybayin', 'Mahal,ᜋᜑᜎ᜔', 'ko,ᜃᜓ', 'mag-aral,ᜋᜄ᜔ᜀᜍᜎ᜔', '"a, ""b""",ᜀ', '']);
+  });
+
+  test('HTML annotates every Baybayin word with its reading', () => {
+    const html = EXPORT_FORMATS.html.build(doc);
+    expect(html).toContain('<meta charset="utf-8">');
+    expect(html).toContain('<ruby>ᜋᜑᜎ᜔<rp>(</rp><rt>Mahal</rt><rp>)</rp></ruby> <ruby>ᜃᜓ');
+    expect(html).toContain(' / &quot;<ruby>ᜋᜄ᜔ᜀᜍᜎ᜔');
+    expect(html.match(/<ruby>/g)).toHaveLength(4);
+  });
+
+  test('Exports are named by format', () => {
+    const date = new Date(2025, 7, 18, 12, 25);
+    expect(timestampName('bybyn', 'txt', date)).toBe('bybyn-20250818-1225.txt');
+    const file = buildExport('csv', doc, date);
+    expect(file).toMatchObject({ filename: 'bybyn-20250818-1225.csv', type: 'text/csv;charset=utf-8' });
+    expect(buildExport('txt', doc, date).content).toBe(`Tagalog:\n${doc.source}\n\nKrus-Kudlit:\n${t.output}\n\nMode: Krus-Kudlit\nProfile: B17\n`);
+    expect(() => buildExport('docx', doc)).toThrow('Unknown export format');
+  });
+});
+
+/* 
+=========================
+  CLI TESTS
+  
+  Verifies:
+  - Argument parsing and usage errors
+  - stdin to stdout in both directions
+  - Recursive directories into an output directory, keeping same-named files apart
+  - Round-trip checking and its exit code
+========================= 
+*/
+
+describe('Command-line transcriber', () => {
+  const io = (input = '') => {
+    const out = { stdout: '', stderr: '' };
+    return {
+      out,
+      stdin: [Buffer.from(input)],
+      stdout: { write: (s) => { out.stdout += s; } },
+      stderr: { write: (s) => { out.stderr += s; } }
+    };
+  };
+
+  test('Arguments are parsed and checked', () => {
+    expect(parseArgs(['-t', 'latin', '--mode=pamupod', '-r', '--ext', '.md, txt', 'a', 'b'])).toMatchObject({
+      to: 'latin', mode: 'pamupod', recursive: true, ext: ['md', 'txt'], files: ['a', 'b']
+    });
+    expect(() => parseArgs(['--to', 'klingon'])).toThrow('--to must be one of');
+    expect(() => parseArgs(['--profile', 'nope'])).toThrow('Unknown profile');
+    expect(() => parseArgs(['--out'])).toThrow('needs a value');
+    expect(() => parseArgs(['--fast'])).toThrow('Unknown option');
+  });
+
+  test('stdin is transcribed to stdout', async () => {
+    const a = io('Mahal ko ang bayan.\n');
+    expect(await run([], a)).toBe(0);
+    expect(a.out.stdout).toBe('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔ //\n');
+    const b = io('ᜋᜑᜎ᜕ ᜃᜓ');
+    expect(await run(['--to', 'latin'], b)).toBe(0);
+    expect(b.out.stdout).toBe('mahal ko');
+    const c = io();
+    expect(await run(['--mode', 'sideways'], c)).toBe(2);
+    expect(c.out.stderr).toContain('Usage: bybyn');
+  });
+
+  test('Directories are walked with --recursive', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'bybyn-'));
+    try {
+      mkdirSync(path.join(dir, 'in', 'sub'), { recursive: true });
+      writeFileSync(path.join(dir, 'in', 'a.txt'), 'isa');
+      writeFileSync(path.join(dir, 'in', 'sub', 'b.txt'), 'dalawa');
+      writeFileSync(path.join(dir, 'in', 'notes.md'), 'skip');
+      const refused = io();
+      expect(await run([path.join(dir, 'in')], refused)).toBe(2);
+      expect(refused.out.stderr).toContain('use --recursive');
+      expect(await run(['-r', path.join(dir, 'in'), '-o', path.join(dir, 'out')], io())).toBe(0);
+      expect(readFileSync(path.join(dir, 'out', 'a.txt'), 'utf8')).toBe('ᜁᜐ');
+      expect(readFileSync(path.join(dir, 'out', 'sub', 'b.txt'), 'utf8')).toBe('ᜇᜎᜏ');
+      expect(() => readFileSync(path.join(dir, 'out', 'notes.md'))).toThrow();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('Files of the same name in different folders keep apart in --out', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'bybyn-'));
+    try {
+      for (const [sub, text] of [['a', 'isa'], ['b', 'dalawa']]) {
+        mkdirSync(path.join(dir, sub));
+        writeFileSync(path.join(dir, sub, 'x.txt'), text);
+      }
+      expect(await run([path.join(dir, 'a', 'x.txt'), path.join(dir, 'b', 'x.txt'), '-o', path.join(dir, 'out')], io())).toBe(0);
+      expect(readFileSync(path.join(dir, 'out', 'a', 'x.txt'), 'utf8')).toBe('ᜁᜐ');
+      expect(readFileSync(path.join(dir, 'out', 'b', 'x.txt'), 'utf8')).toBe('ᜇᜎᜏ');
+      const twice = io();
+      expect(await run([path.join(dir, 'a', 'x.txt'), path.join(dir, 'a', 'x.txt'), '-o', path.join(dir, 'again')], twice)).toBe(2);
+      expect(twice.out.stderr).toContain('would both be written to');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('--check reports words that do not round-trip', async () => {
+    const a = io('Mahal ko\nsi Cruz.');
+    expect(await run(['--check'], a)).toBe(1);
+    expect(a.out.stdout).toBe('<stdin>:2:4  Cruz → ᜃ᜔ᜍᜓᜐ᜔ → kros\n');
+    expect(a.out.stderr).toBe('1 word did not round-trip.\n');
+    expect(await run(['--check'], io('ang bayan'))).toBe(0);
+  });
+});
+
+/* 
+=========================
+  API SERVER TESTS
+  
+  Verifies:
+  - Health check and transcription over a local request
+  - Single texts, text arrays and per-word segments
+  - Outputs match toBaybayinWithMode() and toLatin()
+  - Size limits and JSON error responses, including unparsable request targets
+========================= 
+*/
+
+describe('Transcription API server', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = createApiServer({ maxBytes: 2048, maxTexts: 3 });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const request = (method, path, body, type = 'application/json') => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: body === undefined ? {} : { 'Content-Type': type } }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (c) => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+
+  test('GET /api/health', async () => {
+    const res = await request('GET', '/api/health');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(res.body.status).toBe('ok');
+  });
+
+  test('POST /api/transcribe returns output and per-word segments', async () => {
+    const res = await request('POST', '/api/transcribe', { text: 'Mahal ko, mag-aral!', mode: 'pamupod' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ direction: 'baybayin', mode: 'pamupod', output: toBaybayinWithMode('Mahal ko, mag-aral!', { mode: 'pamupod' }) });
+    expect(res.body.segments).toEqual([
+      { latin: 'Mahal', baybayin: 'ᜋᜑᜎ᜕', start: 0, end: 5 },
+      { latin: 'ko', baybayin: 'ᜃᜓ', start: 6, end: 8 },
+      { latin: 'mag-aral', baybayin: 'ᜋᜄ᜕ᜀᜍᜎ᜕', start: 10, end: 18 }
+    ]);
+    const many = await request('POST', '/api/transcribe', { direction: 'latin', text: ['ᜊᜌᜈ᜔', 'ᜃᜓ', 'ᜊᜓᜃᜐ᜔'] });
+    expect(many.body.results.map((r) => r.output)).toEqual(['ᜊᜌᜈ᜔', 'ᜃᜓ', 'ᜊᜓᜃᜐ᜔'].map((t) => toLatin(t)));
+    expect(many.body.results[2]).toEqual({ output: 'bokas', segments: [{ latin: 'bokas', baybayin: 'ᜊᜓᜃᜐ᜔', start: 0, end: 5 }] });
+  });
+
+  test('Errors are JSON with a status and code', async () => {
+    const cases = [
+      [await request('POST', '/api/transcribe', '{bad'), 400, 'invalid_json'],
+      [await request('POST', '/api/transcribe', { text: 'x', direction: 'up' }), 400, 'invalid_direction'],
+      [await request('POST', '/api/transcribe', { text: ['a', 'b', 'c', 'd'] }), 413, 'too_many_texts'],
+      [await request('POST', '/api/transcribe', { text: 'a'.repeat(4096) }), 413, 'payload_too_large'],
+      [await request('POST', '/api/transcribe', 'text=a', 'application/x-www-form-urlencoded'), 415, 'unsupported_media_type'],
+      [await request('GET', '/api/transcribe'), 405, 'method_not_allowed'],
+      [await request('GET', '/api/nope'), 404, 'not_found']
+    ];
+    for (const [res, status, code] of cases) {
+      expect([res.status, res.body.error.code]).toEqual([status, code]);
+    }
+    expect(cases[5][0].headers.allow).toBe('POST');
+    expect(() => handleTranscribe({ text: 5 })).toThrow('text must be a string');
+  });
+
+  test('A request target that is not a URL is a 400, not a crash', async () => {
+    const res = await request('GET', '//');
+    expect([res.status, res.body.error.code]).toEqual([400, 'invalid_url']);
+    expect((await request('GET', '/api/health')).status).toBe(200);
+  });
+});
+
+/* 
+=========================
+  CUSTOM ELEMENT TESTS (jsdom)
+  
+  Verifies:
+  - <baybayin-text> renders its text in a shadow root
+  - Re-rendering on text and attribute changes
+  - Ruby and tooltip readings, aria-label for screen readers
+========================= 
+*/
+
+describe('<baybayin-text> element', () => {
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+  const mount = (html) => {
+    document.body.innerHTML = html;
+    return document.body.firstElementChild;
+  };
+  const shown = (el) => el.shadowRoot.querySelector('[part="baybayin"]');
+
+  afterEach(() => { document.body.innerHTML = ''; });
+
+  test('Renders Baybayin with the Latin source as its label', () => {
+    const el = mount('<baybayin-text>Magandang umaga</baybayin-text>');
+    expect(shown(el).textContent).toBe(toBaybayinWithMode('Magandang umaga'));
+    expect(el.baybayin).toBe(shown(el).textContent);
+    expect(el.getAttribute('role')).toBe('img');
+    expect(el.getAttribute('aria-label')).toBe('Magandang umaga');
+    expect(shown(el).getAttribute('aria-hidden')).toBe('true');
+    expect(el.shadowRoot.querySelector('style').textContent).toContain('NotoSansTagalog.ttf');
+  });
+
+  test('Re-renders when the text or attributes change', async () => {
+    const el = mount('<baybayin-text>bayan</baybayin-text>');
+    el.textContent = 'mahal';
+    await flush();
+    expect(shown(el).textContent).toBe('ᜋᜑᜎ᜔');
+    el.setAttribute('mode', 'pamupod');
+    await flush();
+    expect(shown(el).textContent).toBe('ᜋᜑᜎ᜕');
+    el.setAttribute('profile', 'doctrina');
+    await flush();
+    expect(shown(el).textContent).toBe('ᜋᜑ');
+    expect(el.getAttribute('aria-label')).toBe('mahal');
+  });
+
+  test('Shows the Latin reading as ruby or tooltips', async () => {
+    const el = mount('<baybayin-text show-latin>ang bayan</baybayin-text>');
+    expect([...el.shadowRoot.querySelectorAll('rt')].map((rt) => rt.textContent)).toEqual(['ang', 'bayan']);
+    el.setAttribute('show-latin', 'tooltip');
+    await flush();
+    expect(el.shadowRoot.querySelector('rt')).toBeNull();
+    expect([...el.shadowRoot.querySelectorAll('.word')].map((w) => [w.textContent, w.title])).toEqual([['ᜀᜅ᜔', 'ang'], ['ᜊᜌᜈ᜔', 'bayan']]);
+    el.removeAttribute('show-latin');
+    await flush();
+    expect(el.shadowRoot.querySelector('.word')).toBeNull();
+  });
+});
+
+/* 
+=========================
+  PAGE TRANSLITERATION TESTS (jsdom)
+  
+  Verifies:
+  - Tagalog text nodes are rewritten in Baybayin in place, markup untouched
+  - Code, form fields, scripts and [data-no-baybayin] are skipped
+  - Text in other languages (lang) is skipped, but not for a page-wide <html lang>, and roots inside skipped elements too
+  - Reverting restores the exact original text
+  - The bookmarklet toggles the page and its font
+========================= 
+*/
+
+describe('Page transliteration', () => {
+  const lesson = `
+    <h1>Aralin <em>isa</em></h1>
+    <p>Mahal ko ang bayan.</p>
+    <p data-no-baybayin>Mahal ko ang <b>bayan</b>.</p>
+    <p translate="no">Tagalog</p>
+    <pre>bayan</pre><code>mahal</code>
+    <input value="bayan"><textarea>bayan</textarea>
+    <script>var bayan = 1;</script>
+    <p>ᜊᜌᜈ᜔ 2026</p>`;
+
+  afterEach(() => {
+    revertDom(document.body);
+    document.body.innerHTML = '';
+  });
+
+  test('Rewrites Tagalog text and skips excluded elements', () => {
+    document.body.innerHTML = lesson;
+    const { count } = transliterateDom(document.body, { mode: 'pamupod' });
+    expect(count).toBe(3);
+    expect(document.querySelector('h1').innerHTML).toBe(`${toBaybayinWithMode('Aralin ', { mode: 'pamupod' })}<em>${toBaybayinWithMode('isa')}</em>`);
+    expect(document.querySelector('p').textContent).toBe(toBaybayinWithMode('Mahal ko ang bayan.', { mode: 'pamupod' }));
+    expect(document.querySelector('[data-no-baybayin]').textContent).toBe('Mahal ko ang bayan.');
+    expect(document.querySelector('[translate="no"]').textContent).toBe('Tagalog');
+    expect(document.querySelector('pre').textContent).toBe('bayan');
+    expect(document.querySelector('code').textContent).toBe('mahal');
+    expect(document.querySelector('textarea').value).toBe('bayan');
+    expect(document.querySelector('script').textContent).toBe('var bayan = 1;');
+    expect(document.body.getAttribute('data-baybayin')).toBe('on');
+  });
+
+  test('Follows lang attributes and checks the root and its ancestors', () => {
+    document.body.innerHTML = `
+      <div lang="en"><p>Good morning</p><q lang="fil">Mahal ko</q></div>
+      <p lang="ceb">Mao'y balay</p>
+      <pre><span>bayan</span></pre>
+      <code>mahal</code>`;
+    expect(transliterateDom(document.body).count).toBe(2);
+    expect(document.querySelector('[lang="en"] p').textContent).toBe('Good morning');
+    expect(document.querySelector('q').textContent).toBe(toBaybayinWithMode('Mahal ko'));
+    expect(document.querySelector('[lang="ceb"]').textContent).toBe(toBaybayinWithMode("Mao'y balay", { language: 'ceb' }));
+    expect(transliterateDom(document.querySelector('pre span')).count).toBe(0);
+    expect(transliterateDom(document.querySelector('code')).count).toBe(0);
+    expect(transliterateDom(document.querySelector('[lang="en"] p').firstChild).count).toBe(0);
+    expect(document.querySelector('pre').textContent + document.querySelector('code').textContent).toBe('bayanmahal');
+  });
+
+  test('A page-wide <html lang="en"> does not hold the text back', () => {
+    const { documentElement } = document;
+    documentElement.setAttribute('lang', 'en');
+    try {
+      document.body.innerHTML = '<p>Mahal ko</p><p lang="en-US">Good morning</p>';
+      expect(transliterateDom(document.body).count).toBe(1);
+      expect(document.querySelector('p').textContent).toBe(toBaybayinWithMode('Mahal ko'));
+      expect(document.querySelector('[lang="en-US"]').textContent).toBe('Good morning');
+      documentElement.setAttribute('lang', 'ceb');
+      document.body.innerHTML = "<p>Mao'y balay</p>";
+      transliterateDom(document.body);
+      expect(document.body.textContent).toBe(toBaybayinWithMode("Mao'y balay", { language: 'ceb' }));
+    } finally {
+      documentElement.removeAttribute('lang');
+    }
+  });
+
+  test('Reverts to the original text', () => {
+    document.body.innerHTML = lesson;
+    const before = document.body.innerHTML;
+    const { count, revert } = transliterateDom(document.body);
+    expect(isTransliterated(document.body)).toBe(true);
+    expect(revert()).toBe(count);
+    expect(document.body.innerHTML).toBe(before);
+    expect(isTransliterated(document.body)).toBe(false);
+  });
+
+  test('Running again switches options; text changed since is left alone', () => {
+    document.body.innerHTML = '<p>mahal</p><p>bayan</p>';
+    transliterateDom(document.body);
+    transliterateDom(document.body, { mode: 'pamupod' });
+    expect(document.body.textContent).toBe('ᜋᜑᜎ᜕ᜊᜌᜈ᜕');
+    document.querySelector('p').textContent = 'bago';
+    expect(revertDom(document.body)).toBe(1);
+    expect(document.body.textContent).toBe('bagobayan');
+  });
+
+  test('The bookmarklet toggles the page and the Baybayin font', () => {
+    document.body.innerHTML = '<p>bayan</p>';
+    expect(toggleBookmarklet({ mode: 'pamupod' })).toBe(true);
+    expect(document.body.textContent).toBe('ᜊᜌᜈ᜕');
+    expect(document.getElementById('bybyn-bookmarklet-font').textContent).toContain('NotoSansTagalog.ttf');
+    expect(document.body.style.fontFamily).toContain('BYBYN Baybayin');
+    expect(toggleBookmarklet()).toBe(false);
+    expect(document.body.textContent).toBe('bayan');
+    expect(document.getElementById('bybyn-bookmarklet-font')).toBeNull();
+    expect(document.body.style.fontFamily).toBe('');
+  });
+});
+
+/* 
+=========================
+  BAYBAYIN KEYBOARD TESTS (jsdom)
+  
+  Verifies:
+  - Signs compose after their consonant, in either typing order
+  - The killer key follows the Krus-Kudlit/Pamudpod mode
+  - The panel inserts at the caret and re-renders through input events
+  - Physical shortcuts while the panel is open
+========================= 
+*/
+
+describe('Baybayin keyboard', () => {
+  const k = KEYBOARD_KEYS;
+
+  test('Signs attach to, replace on, or wait for a consonant', () => {
+    expect(composeKey('ᜊ', k['sign-i'])).toEqual({ remove: 0, insert: 'ᜒ', pending: '' });
+    expect(composeKey('ᜊᜒ', k['sign-u'])).toEqual({ remove: 1, insert: 'ᜓ', pending: '' });
+    expect(composeKey('ᜊᜒ', k['sign-i'])).toEqual({ remove: 1, insert: '', pending: '' });
+    expect(composeKey('ᜀ', k['sign-i'])).toEqual({ remove: 0, insert: '', pending: 'ᜒ' });
+    expect(composeKey('', k.ka, { pending: 'ᜒ' })).toEqual({ remove: 0, insert: 'ᜃᜒ', pending: '' });
+    expect(composeKey('ᜈ', k.killer, { mode: 'pamupod' }).insert).toBe('᜕');
+    expect(composeKey('ᜈ', k.killer).insert).toBe('᜔');
+    expect(composeKey('ᜈ', k.danda)).toEqual({ remove: 0, insert: '᜵', pending: '' });
+    expect(KEYBOARD_SHORTCUTS.e).toBe(k.i);
+    expect(KEYBOARD_SHORTCUTS.N).toBe(k.nga);
+  });
+
+  test('Line breaks count as text before the caret', () => {
+    document.body.innerHTML = '<p>ᜊ<br>ᜀ</p>';
+    expect(textBetween(document.body.firstChild, 0, 3)).toBe('ᜊ\nᜀ');
+    document.body.innerHTML = '';
+  });
+
+  describe('panel', () => {
+    let editor;
+    let mode;
+    let active;
+    let keyboard;
+    const click = (id) => document.querySelector(`.keyboard-key[data-key="${id}"]`).click();
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <section id="home-view">
+          <p id="editableBox" contenteditable="true"></p>
+          <button class="keyboard-button" hidden></button>
+          <aside class="keyboard-panel" hidden>
+            <button class="keyboard-close"></button>
+            <div class="keyboard-keys"></div>
+          </aside>
+        </section>`;
+      editor = document.getElementById('editableBox');
+      mode = 'krus-kudlit';
+      active = true;
+      keyboard = initKeyboardPanel(document.getElementById('home-view'), { editor, getMode: () => mode, isActive: () => active });
+      document.querySelector('.keyboard-button').click();
+    });
+
+    afterEach(() => {
+      keyboard.teardown();
+      document.body.innerHTML = '';
+    });
+
+    test('Opens only while the editor takes Baybayin', () => {
+      const btn = document.querySelector('.keyboard-button');
+      const panel = document.querySelector('.keyboard-panel');
+      expect(btn.hidden).toBe(false);
+      expect(panel.hidden).toBe(false);
+      active = false;
+      keyboard.refresh();
+      expect(btn.hidden).toBe(true);
+      expect(panel.hidden).toBe(true);
+    });
+
+    test('Inserts at the caret and composes signs', () => {
+      const onInput = jest.fn();
+      editor.addEventListener('input', onInput);
+      ['ba', 'ya', 'ba', 'ya', 'na', 'killer'].forEach(click);
+      expect(editor.textContent).toBe('ᜊᜌᜊᜌᜈ᜔');
+      expect(onInput).toHaveBeenCalledTimes(6);
+
+      setCaret(editor, 3);
+      click('sign-i');
+      expect(editor.textContent).toBe('ᜊᜌᜊᜒᜌᜈ᜔');
+      expect(selectionOffsets(editor).start).toBe(4);
+
+      click('backspace');
+      click('sign-u');
+      click('ha');
+      expect(editor.textContent).toBe('ᜊᜌᜊᜓᜑᜌᜈ᜔');
+    });
+
+    test('A sign pressed first waits for its consonant', () => {
+      click('sign-u');
+      const sign = document.querySelector('.keyboard-key[data-key="sign-u"]');
+      expect(sign.getAttribute('aria-pressed')).toBe('true');
+      expect(editor.textContent).toBe('');
+      click('ka');
+      expect(editor.textContent).toBe('ᜃᜓ');
+      expect(sign.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('The killer key follows the mode', () => {
+      const killer = document.querySelector('.keyboard-key[data-key="killer"]');
+      expect(killer.textContent).toBe('◌᜔');
+      mode = 'pamupod';
+      keyboard.refresh();
+      expect(killer.textContent).toBe('◌᜕');
+      click('na');
+      click('killer');
+      expect(editor.textContent).toBe('ᜈ᜕');
+    });
+
+    test('Physical keys type Baybayin while the panel is open', () => {
+      const type = (key, opts = {}) => {
+        const e = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...opts });
+        editor.dispatchEvent(e);
+        return e.defaultPrevented;
+      };
+      setCaret(editor, 0);
+      ['b', 'y', 'b', 'y', 'n', '+'].forEach((key) => type(key));
+      expect(editor.textContent).toBe('ᜊᜌᜊᜌᜈ᜔');
+      type('k');
+      type('I');
+      expect(editor.textContent).toBe('ᜊᜌᜊᜌᜈ᜔ᜃᜒ');
+      expect(type('c', { ctrlKey: true })).toBe(false);
+      document.querySelector('.keyboard-close').click();
+      expect(type('k')).toBe(false);
+    });
+  });
+});
+
+/* 
+=========================
+  PHONETIC INPUT TESTS (jsdom)
+  
+  Verifies:
+  - Consonants wait with a killer mark until a vowel recomposes them
+  - n + g recomposes as nga; punctuation follows the output panel
+  - Backspace removes one glyph component
+  - The binding works in contenteditable panels and text fields, keeping the caret
+========================= 
+*/
+
+describe('Phonetic input method', () => {
+  const type = (el, data, inputType = 'insertText') => {
+    const e = new InputEvent('beforeinput', { inputType, data, bubbles: true, cancelable: true });
+    el.dispatchEvent(e);
+    return e.defaultPrevented;
+  };
+
+  afterEach(() => { document.body.innerHTML = ''; });
+
+  test('Keystrokes recompose syllables', () => {
+    expect(imeCompose('', 'k')).toEqual({ remove: 0, insert: 'ᜃ᜔' });
+    expect(imeCompose('ᜃ᜔', 'a')).toEqual({ remove: 1, insert: '' });
+    expect(imeCompose('ᜃ᜔', 'E')).toEqual({ remove: 1, insert: 'ᜒ' });
+    expect(imeCompose('ᜃ', 'a')).toEqual({ remove: 0, insert: 'ᜀ' });
+    expect(imeCompose('ᜈ᜕', 'g', { mode: 'pamupod' })).toEqual({ remove: 2, insert: 'ᜅ᜕' });
+    expect(imeInsert('', 'pangalan').insert).toBe('ᜉᜅᜎᜈ᜔');
+    expect(imeInsert('', 'Mahal ko, ang bayan.').insert).toBe(toBaybayinWithMode('Mahal ko, ang bayan.'));
+    expect(imeInsert('ᜊᜌᜈ᜔', 'i')).toEqual({ remove: 1, insert: 'ᜒ' });
+  });
+
+  test('Letters keep their consonants under any profile', () => {
+    expect(imeInsert('', 'bayan', { profile: 'doctrina', mode: 'pamupod' }).insert).toBe('ᜊᜌᜈ᜕');
+  });
+
+  test('Types into a contenteditable panel at the caret', () => {
+    document.body.innerHTML = '<p contenteditable="true"></p>';
+    const el = document.body.firstChild;
+    const onInput = jest.fn();
+    el.addEventListener('input', onInput);
+    const unbind = bindIme(el);
+    for (const ch of 'bayan') expect(type(el, ch)).toBe(true);
+    expect(el.textContent).toBe('ᜊᜌᜈ᜔');
+    expect(onInput).toHaveBeenCalledTimes(5);
+
+    setCaret(el, 1);
+    type(el, 'k');
+    type(el, 'i');
+    expect(el.textContent).toBe('ᜊᜃᜒᜌᜈ᜔');
+    expect(selectionOffsets(el).start).toBe(3);
+    type(el, null, 'deleteContentBackward');
+    expect(el.textContent).toBe('ᜊᜃᜌᜈ᜔');
+    expect(selectionOffsets(el).start).toBe(2);
+
+    unbind();
+    expect(type(el, 'a')).toBe(false);
+  });
+
+  test('Types into text fields and can be switched off', () => {
+    document.body.innerHTML = '<textarea></textarea>';
+    const el = document.body.firstChild;
+    let enabled = true;
+    bindIme(el, { getOptions: () => ({ mode: 'pamupod' }), isEnabled: () => enabled });
+    el.focus();
+    for (const ch of 'mahal') type(el, ch);
+    expect(el.value).toBe('ᜋᜑᜎ᜕');
+    expect(el.selectionStart).toBe(4);
+    type(el, null, 'deleteContentBackward');
+    expect(el.value).toBe('ᜋᜑᜎ');
+    enabled = false;
+    expect(type(el, 'x')).toBe(false);
+  });
+});
+
+/* 
+=========================
+  SCRIPT DETECTION TESTS
+  
+  Verifies:
+  - The dominant script decides the direction, with Baybayin glyphs counted as syllables
+  - Mixed text is split into runs; only runs not in the target script are transcribed
+  - {Braced} foreign spans are left as written
+========================= 
+*/
+
+describe('Script detection and mixed input', () => {
+  const runs = (s, fallback) => scriptRuns(s, fallback).map((r) => [r.script, s.slice(r.start, r.end)]);
+
+  test('Detects the dominant script', () => {
+    expect(detectScript('Mahal ko ang bayan')).toBe('latin');
+    expect(detectScript('ᜋᜑᜎ᜔ ᜃᜓ si Jose')).toBe('baybayin');
+    expect(detectScript('{Facebook} ᜊᜌᜈ᜔')).toBe('baybayin');
+    expect(detectScript('123, 456')).toBeNull();
+  });
+
+  test('Splits text into script runs', () => {
+    expect(runs('ᜋᜑᜎ᜔ ᜃᜓ si Jose.', 'baybayin')).toEqual([['baybayin', 'ᜋᜑᜎ᜔ ᜃᜓ '], ['latin', 'si Jose'], ['baybayin', '.']]);
+    expect(runs('Mahal ko {Facebook}, oo', 'latin')).toEqual([['latin', 'Mahal ko '], ['foreign', '{Facebook}'], ['latin', ', oo']]);
+    expect(runs('{a}{b}')).toEqual([['foreign', '{a}'], ['foreign', '{b}']]);
+  });
+
+  test('Transcribes each run in the right direction', () => {
+    const toBay = transcribe('Mahal ko ᜊᜌᜈ᜔', { direction: 'auto' });
+    expect(toBay.direction).toBe('baybayin');
+    expect(toBay.output).toBe('ᜋᜑᜎ᜔ ᜃᜓ ᜊᜌᜈ᜔');
+    const toLat = transcribe('ᜋᜑᜎ᜔ ᜃᜓ si Jose', { direction: 'auto' });
+    expect(toLat.direction).toBe('latin');
+    expect(toLat.output).toBe('mahal ko si Jose');
+    expect(transcribe('', { direction: 'auto' }).direction).toBe('baybayin');
+  });
+
+  test('Leaves foreign spans untouched and keeps segments aligned', () => {
+    const t = transcribe('Mahal ko {Facebook}.', { direction: 'baybayin' });
+    expect(t.output).toBe(`ᜋᜑᜎ᜔ ᜃᜓ Facebook${toBaybayinWithMode('.')}`);
+    let at = 0;
+    for (const seg of t.segments) {
+      expect(seg.output.start).toBe(at);
+      at = seg.output.end;
+    }
+    expect(at).toBe(t.output.length);
+    expect(alignWords(t).filter((r) => r.word).map((r) => r.latin)).toEqual(['Mahal', 'ko']);
+    expect(toLatin('ᜊᜌᜈ᜔ {OK}')).toBe('bayan OK');
+  });
+});
+
+/* 
+=========================
+  ROUTER TESTS
+  
+  Verifies:
+  - Hashes split into a path and query, and build back
+  - Route patterns match with their parameters; unknown hashes match nothing
+  - The Home View restores its state from the query and writes changes back
+========================= 
+*/
+
+describe('Router and deep links', () => {
+  test('Parses and builds hashes', () => {
+    expect(parseHash('')).toEqual({ path: '', query: {} });
+    expect(parseHash('#/')).toEqual({ path: '', query: {} });
+    expect(parseHash('#/home?text=Mahal%20ko&mode=pamupod')).toEqual({ path: '#/home', query: { text: 'Mahal ko', mode: 'pamupod' } });
+    expect(buildHash('#/home', { text: 'a & b', mode: 'pamupod', dir: '' })).toBe('#/home?text=a+%26+b&mode=pamupod');
+    expect(buildHash('#/home', {})).toBe('#/home');
+    const query = { text: 'ᜋᜑᜎ᜔ = ?', dir: 'latin' };
+    expect(parseHash(buildHash('#/home', query)).query).toEqual(query);
+  });
+
+  test('Matches routes with parameters', () => {
+    const routes = { '': 'home', '#/home': 'home', '#/learn/:deck': 'learn' };
+    expect(matchRoute(routes, '').route).toBe('home');
+    expect(matchRoute(routes, '#/home/?mode=pamupod')).toMatchObject({ route: 'home', path: '#/home', query: { mode: 'pamupod' } });
+    expect(matchRoute(routes, '#/learn/mga%20hayop')).toMatchObject({ route: 'learn', params: { deck: 'mga hayop' } });
+    expect(matchRoute(routes, '#/learn')).toBeNull();
+    expect(matchRoute(routes, '#/nowhere')).toBeNull();
+  });
+
+  describe('Home View state', () => {
+    let teardown;
+    const route = (query) => ({ path: '#/home', params: {}, query, navigate: jest.fn(), href: (q) => `http://x/${buildHash('#/home', q)}` });
+
+    beforeEach(() => {
+      sessionStorage.clear();
+      jest.useFakeTimers();
+      document.body.innerHTML = `
+        <section id="home-view">
+          <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+          <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div>
+            <button class="change-button"></button>
+            <select class="profile-select"></select>
+            <select class="numbers-select"><option value="off"></option><option value="native"></option><option value="spanish"></option></select>
+          </div>
+          <p id="editableBox" contenteditable="true"></p>
+          <div id="outputBox"></div>
+        </section>`;
+    });
+
+    afterEach(() => {
+      teardown?.();
+      teardown = null;
+      jest.useRealTimers();
+    });
+
+    test('Restores the translator from the query', () => {
+      const view = initHome({ baybayin: transcription }, route({ text: 'Mahal ko', mode: 'pamupod', numbers: 'native' }));
+      teardown = view.teardown;
+      expect(document.getElementById('outputBox').textContent).toBe('ᜋᜑᜎ᜕ ᜃᜓ');
+      expect(document.getElementById('baybayinTitle').innerText).toBe('Pamupod');
+      expect(document.querySelector('.numbers-select').value).toBe('native');
+    });
+
+    test('Pushes discrete changes, replaces typing, and follows back and forward', () => {
+      const r = route({});
+      const view = initHome({ baybayin: transcription }, r);
+      teardown = view.teardown;
+      const edit = document.getElementById('editableBox');
+
+      edit.innerText = 'bayan';
+      edit.dispatchEvent(new Event('input'));
+      expect(r.navigate).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(500);
+      expect(r.navigate).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'bayan', mode: 'krus-kudlit', dir: 'baybayin' }), { replace: true });
+
+      window.toggleBaybayinMode();
+      expect(r.navigate).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'bayan', mode: 'pamupod' }));
+
+      view.update(route({ text: 'bayan', mode: 'krus-kudlit', dir: 'baybayin' }));
+      expect(document.getElementById('outputBox').textContent).toBe('ᜊᜌᜈ᜔');
+      view.update(route({ mode: 'krus-kudlit' }));
+      expect(edit.innerText).toBe('');
+    });
+  });
+});
+
+/* 
+=========================
+  HISTORY TESTS
+  
+  Verifies:
+  - The store falls back to localStorage, sorts pinned and newest first, and prunes old entries
+  - Search covers both scripts and ignores case and accents
+  - The Home View records one entry per piece of work; the History View restores, pins and deletes
+========================= 
+*/
+
+describe('Transcription history', () => {
+  const store = (opts) => createHistoryStore({ indexedDB: null, storage: localStorage, ...opts });
+  const record = (source, output = '') => ({ source, output, direction: 'baybayin', mode: 'krus-kudlit', profile: 'b17' });
+  const flush = async () => { for (let i = 0; i < 10; i += 1) await Promise.resolve(); };
+
+  let now;
+  const tick = () => jest.setSystemTime((now += 1000));
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.useFakeTimers({ now: (now = Date.UTC(2026, 9, 18)) });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test('Stores, pins, prunes and removes entries', async () => {
+    const history = store({ limit: 2 });
+    const a = await history.add(record('isa'));
+    tick();
+    await history.add(record('dalawa'));
+    await history.update(a.id, { pinned: true });
+    tick();
+    await history.add(record('tatlo'));
+    tick();
+    await history.add(record('apat'));
+    const sources = (await history.list()).map((e) => e.source);
+    expect(sources[0]).toBe('isa');
+    expect(sources).toHaveLength(3);
+    expect(sources).not.toContain('dalawa');
+    expect(JSON.parse(localStorage.getItem(HISTORY_KEY))).toHaveLength(3);
+    await history.remove(a.id);
+    expect(await history.list()).toHaveLength(2);
+  });
+
+  test('Searches both scripts', () => {
+    const entries = [
+      { id: '1', updatedAt: '2026-01-01', pinned: false, ...record('Mahal ko ang bayan', 'ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔') },
+      { id: '2', updatedAt: '2026-01-02', pinned: false, ...record('Salamat pô', 'ᜐᜎᜋᜆ᜔ ᜉᜓ') }
+    ];
+    expect(searchHistory(entries, 'BAYAN').map((e) => e.id)).toEqual(['1']);
+    expect(searchHistory(entries, 'po salamat').map((e) => e.id)).toEqual(['2']);
+    expect(searchHistory(entries, 'ᜊᜌᜈ᜔').map((e) => e.id)).toEqual(['1']);
+    const hanunoo = [
+      { id: '3', updatedAt: '2026-01-03', pinned: false, ...record('mahal', 'ᜫᜱᜮ᜴') },
+      { id: '4', updatedAt: '2026-01-04', pinned: false, ...record('mahali', 'ᜫᜱᜮᜲ') }
+    ];
+    expect(searchHistory(hanunoo, 'ᜫᜱᜮ᜴').map((e) => e.id)).toEqual(['3']);
+    expect(searchHistory(hanunoo, 'ᜫᜱᜮᜲ').map((e) => e.id)).toEqual(['4']);
+    expect(searchHistory(entries, '').map((e) => e.id)).toEqual(['2', '1']);
+    expect(JSON.parse(serializeHistory(entries))).toMatchObject({ version: 1, entries: [{ id: '2' }, { id: '1' }] });
+  });
+
+  test('Home View records one entry per piece of work', async () => {
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+      </section>`;
+    const history = store();
+    const view = initHome({ baybayin: transcription, history }, {});
+    const edit = document.getElementById('editableBox');
+    const type = async (text) => {
+      edit.innerText = text;
+      edit.dispatchEvent(new Event('input'));
+      jest.advanceTimersByTime(2000);
+      await flush();
+    };
+    await type('Mahal');
+    await type('Mahal ko');
+    let entries = await history.list();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ source: 'Mahal ko', output: 'ᜋᜑᜎ᜔ ᜃᜓ', direction: 'baybayin' });
+
+    await type('');
+    edit.innerText = 'bayan';
+    edit.dispatchEvent(new Event('input'));
+    view.teardown();
+    await flush();
+    entries = await history.list();
+    expect(entries.map((e) => e.source).sort()).toEqual(['Mahal ko', 'bayan']);
+  });
+
+  test('History View restores, pins and deletes entries', async () => {
+    const history = store();
+    await history.add({ ...record('ᜊᜌᜈ᜔'), direction: 'latin', mode: 'pamupod' });
+    tick();
+    await history.add(record('Mahal ko', 'ᜋᜑᜎ᜔ ᜃᜓ'));
+    document.body.innerHTML = `
+      <section id="history-view">
+        <input class="history-search" />
+        <p class="history-empty" hidden></p>
+        <ol class="history-list"></ol>
+      </section>`;
+    const view = initHistory({ history }, { query: { q: 'mahal' }, navigate: jest.fn() });
+    await flush();
+    const items = () => Array.from(document.querySelectorAll('.history-entry'));
+    expect(items().map((li) => li.querySelector('.history-source').textContent)).toEqual(['Mahal ko']);
+
+    view.update({ query: {}, navigate: jest.fn() });
+    await flush();
+    expect(items()).toHaveLength(2);
+    items()[1].querySelector('[data-action="pin"]').click();
+    await flush();
+    expect(items()[0].classList.contains('is-pinned')).toBe(true);
+
+    items()[0].querySelector('[data-action="restore"]').click();
+    expect(location.hash).toBe('#/home?text=%E1%9C%8A%E1%9C%8C%E1%9C%88%E1%9C%94&mode=pamupod&dir=latin&profile=b17&lang=tl');
+
+    items()[1].querySelector('[data-action="delete"]').click();
+    await flush();
+    expect(items()).toHaveLength(1);
+    view.teardown();
+    window.history.replaceState(null, '', '/');
+  });
+});
+
+/* 
+=========================
+  LEARN TESTS
+  
+  Verifies:
+  - Decks are built from the syllable map, with each deck's killer mark
+  - Answers are checked per exercise, allowing readings Baybayin cannot tell apart
+  - Reviews follow SM-2, and due cards come before new ones
+  - The Learn View scores answers and saves progress
+========================= 
+*/
+
+describe('Learning mode', () => {
+  const krus = buildCards('krus-kudlit');
+  const pamupod = buildCards('pamupod');
+  const card = (cards, id) => cards.find((c) => c.id === id);
+
+  test('Builds a deck per killer mark', () => {
+    expect(krus.slice(0, 4).map((c) => c.id)).toEqual(['glyph:a', 'syllable:a', 'glyph:i', 'syllable:i']);
+    expect(card(krus, 'glyph:k').prompt).toBe('ᜃ᜔');
+    expect(card(pamupod, 'glyph:k').prompt).toBe('ᜃ᜕');
+    expect(card(krus, 'syllable:ki')).toMatchObject({ prompt: 'ki/e', answer: 'ᜃᜒ' });
+    expect(card(pamupod, 'write:bahay').answer).toBe(toBaybayinWithMode('bahay', { mode: 'pamupod' }));
+  });
+
+  test('Checks answers', () => {
+    expect(checkAnswer(card(krus, 'glyph:ki'), ' KE ')).toBe(true);
+    expect(checkAnswer(card(krus, 'glyph:ki'), 'ka')).toBe(false);
+    expect(checkAnswer(card(krus, 'syllable:ka'), 'ᜃ')).toBe(true);
+    expect(checkAnswer(card(krus, 'read:puso'), 'pusu')).toBe(true);
+    expect(checkAnswer(card(krus, 'read:puso'), 'pusa')).toBe(false);
+    expect(checkAnswer(card(pamupod, 'write:bahay'), 'ᜊᜑᜌ᜕', { deck: 'pamupod' })).toBe(true);
+    expect(checkAnswer(card(pamupod, 'write:bahay'), 'ᜊᜑᜌ᜔', { deck: 'pamupod' })).toBe(false);
+    expect(checkAnswer(card(krus, 'glyph:a'), '')).toBe(false);
+  });
+
+  test('Offers the answer among distinct choices', () => {
+    const options = choicesFor(card(krus, 'syllable:ka'), krus, { random: () => 0.5 });
+    expect(options).toHaveLength(4);
+    expect(options).toContain('ᜃ');
+    expect(new Set(options).size).toBe(4);
+  });
+
+  test('Schedules reviews with SM-2', () => {
+    const now = new Date('2026-10-18T00:00:00Z');
+    let state = review(undefined, QUALITY.correct, now);
+    expect(state).toMatchObject({ interval: 1, reps: 1, due: '2026-10-19T00:00:00.000Z' });
+    state = review(state, QUALITY.correct, now);
+    expect(state.interval).toBe(6);
+    state = review(state, QUALITY.correct, now);
+    expect(state.interval).toBe(Math.round(6 * state.ease));
+    const missed = review(state, QUALITY.wrong, now);
+    expect(missed).toMatchObject({ interval: 0, reps: 0, lapses: 1, due: '2026-10-18T00:10:00.000Z' });
+    expect(missed.ease).toBeLessThan(state.ease);
+
+    const states = { 'glyph:u': { ...missed, due: '2026-10-17T00:00:00.000Z' }, 'glyph:a': state };
+    expect(nextCard(krus, states, { now }).id).toBe('glyph:u');
+    expect(nextCard(krus, states, { now, skip: 'glyph:u' }).id).toBe('syllable:a');
+    expect(nextCard(krus, {}, { now, newSeen: 10, newLimit: 10 })).toBeNull();
+    expect(deckStats(krus, states, now)).toEqual({ due: 1, fresh: krus.length - 2, learned: 1 });
+  });
+
+  test('Learn View scores answers and saves progress per deck', () => {
+    localStorage.clear();
+    document.body.innerHTML = `
+      <section id="learn-view">
+        <nav class="learn-decks"><a data-deck="krus-kudlit"></a><a data-deck="pamupod"></a></nav>
+        <p class="learn-stats"></p>
+        <div class="learn-card">
+          <p class="learn-instruction"></p>
+          <p class="learn-prompt"></p>
+          <div class="learn-choices" hidden></div>
+          <form class="learn-form"><input class="learn-answer" /></form>
+          <p class="learn-feedback" hidden></p>
+          <button class="learn-next" hidden></button>
+        </div>
+        <p class="learn-done" hidden></p>
+      </section>`;
+    const view = initLearn({}, { params: { deck: 'pamupod' }, query: {} });
+    const $ = (sel) => document.querySelector(sel);
+    expect($('[data-deck="pamupod"]').getAttribute('aria-current')).toBe('page');
+    expect($('.learn-prompt').textContent).toBe('ᜀ');
+
+    $('.learn-answer').value = 'a';
+    $('.learn-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    expect($('.learn-feedback').textContent).toBe('Correct!');
+    expect($('.learn-stats').textContent).toContain('Score 1/1');
+
+    $('.learn-next').click();
+    expect($('.learn-choices').hidden).toBe(false);
+    const wrong = Array.from(document.querySelectorAll('.learn-choice')).find((b) => b.dataset.glyph !== 'ᜀ');
+    wrong.click();
+    expect($('.learn-feedback').textContent).toBe('The answer is ᜀ.');
+    expect($('.learn-choice.is-answer').dataset.glyph).toBe('ᜀ');
+
+    const saved = loadProgress();
+    expect(Object.keys(saved.pamupod)).toEqual(['glyph:a', 'syllable:a']);
+    expect(saved.pamupod['syllable:a'].lapses).toBe(1);
+
+    view.update({ params: { deck: 'krus-kudlit' }, query: {} });
+    expect($('.learn-stats').textContent).toContain('Score 0/0');
+    view.teardown();
+  });
+});
+
+/* 
+=========================
+  STROKE ORDER TESTS (jsdom)
+  Verifies:
+  - Every base character and sign has strokes; signs are placed from the end of their base
+  - Traces are scored by how closely and in which direction they follow each stroke
+  - The stroke panel animates a glyph and scores pointer input on its tracing pad
+  - Glyphs of the Home View's output and cards of the Learn View open the panel
+========================= 
+*/
+
+describe('Stroke order', () => {
+  const panelHtml = `
+    <aside class="stroke-panel" hidden>
+      <button class="stroke-close"></button>
+      <div class="stroke-glyphs" hidden></div>
+      <svg class="stroke-viewer"></svg>
+      <button class="stroke-replay"></button>
+      <svg class="stroke-trace"></svg>
+      <button class="stroke-clear"></button>
+      <button class="stroke-check"></button>
+      <p class="stroke-score" hidden></p>
+    </aside>`;
+  const points = (glyph) => glyph.strokes.map((s) => s.points);
+
+  test('Covers every base character and sign', () => {
+    const bases = Array.from({ length: 0x12 }, (_, i) => String.fromCharCode(0x1700 + i));
+    expect(Object.keys(BASE_STROKES)).toEqual(bases);
+    expect(Object.keys(SIGN_STROKES)).toEqual(['ᜒ', 'ᜓ', '᜔', '᜕']);
+    for (const glyph of Object.values(BASE_STROKES)) {
+      expect(glyph.strokes.length).toBeGreaterThan(0);
+      for (const [x, y] of glyph.strokes.flat()) {
+        expect(x).toBeGreaterThanOrEqual(0);
+        expect(x).toBeLessThanOrEqual(glyph.width);
+        expect(y).toBeLessThanOrEqual(110);
+      }
+    }
+  });
+
+  test('Builds glyphs from a base and its signs', () => {
+    expect(glyphClusters('ᜊᜌ᜔ᜊᜌᜈ᜔ at')).toEqual(['ᜊ', 'ᜌ᜔', 'ᜊ', 'ᜌ', 'ᜈ᜔']);
+    const ka = glyphStrokes('ᜃ');
+    const ki = glyphStrokes('ᜃᜒ');
+    expect(ki.strokes).toHaveLength(ka.strokes.length + 1);
+    expect(ki.strokes.at(-1).char).toBe('ᜒ');
+    expect(ki.strokes.at(-1).points[0][0]).toBeCloseTo(ka.width + SIGN_STROKES['ᜒ'].strokes[0][0][0]);
+    expect(glyphStrokes('ᜃ᜕').width).toBeGreaterThan(ka.width);
+    expect(glyphStrokes('x')).toBeNull();
+    expect(strokePath([[0, 0], [10, 0]])).toBe('M0 0 L10 0');
+    expect(strokePath([[0, 0], [10, 0], [20, 10]])).toMatch(/^M0 0 C.+ C.+ 20 10$/);
+    expect(resample([[0, 0], [10, 0]], 3)).toEqual([[0, 0], [5, 0], [10, 0]]);
+  });
+
+  test('Scores traces against the reference', () => {
+    const ka = glyphStrokes('ᜃ');
+    expect(scoreTrace(points(ka), ka)).toMatchObject({ score: 100, passed: true, extra: 0 });
+    const shaky = points(ka).map((s) => s.map(([x, y], i) => [x + (i % 2 ? 3 : -3), y + 2]));
+    expect(scoreTrace(shaky, ka).passed).toBe(true);
+    const backwards = scoreTrace([points(ka)[0], [...points(ka)[1]].reverse(), points(ka)[2]], ka);
+    expect(backwards.strokes[1]).toMatchObject({ reversed: true, score: 50 });
+    expect(scoreTrace(points(ka).slice(0, 1), ka).strokes[2].missing).toBe(true);
+    expect(scoreTrace(points(glyphStrokes('ᜊ')), ka).passed).toBe(false);
+    expect(scoreTrace([...points(ka), [[0, 0], [5, 5]]], ka).extra).toBe(1);
+  });
+
+  test('Panel animates a glyph and scores what is traced on its pad', () => {
+    document.body.innerHTML = `<section id="v">${panelHtml}</section>`;
+    const panel = initStrokePanel(document.getElementById('v'));
+    const $ = (sel) => document.querySelector(sel);
+    expect(panel.open('abc')).toBe(false);
+    expect(panel.open('ᜊᜌ᜔')).toBe(true);
+    expect($('.stroke-panel').hidden).toBe(false);
+    expect(document.querySelectorAll('.stroke-glyph')).toHaveLength(2);
+    expect(document.querySelectorAll('.stroke-viewer .stroke-path')).toHaveLength(glyphStrokes('ᜊ').strokes.length);
+    document.querySelectorAll('.stroke-glyph')[1].click();
+    const ya = glyphStrokes('ᜌ᜔');
+    const paths = document.querySelectorAll('.stroke-viewer .stroke-path');
+    expect(paths).toHaveLength(ya.strokes.length);
+    expect(paths[1].style.animationDelay).toBe('0.8s');
+    expect($('.stroke-viewer .stroke-number').textContent).toBe('1');
+
+    // The pad is as large as the glyph's box, so client coordinates are box units.
+    const pad = $('.stroke-trace');
+    pad.getBoundingClientRect = () => ({ left: 0, top: 0, width: ya.width, height: ya.height });
+    const pointer = (type, [x, y]) => {
+      const e = new Event(type, { bubbles: true, cancelable: true });
+      Object.assign(e, { clientX: x, clientY: y, pointerId: 1, pointerType: 'pen', button: 0 });
+      pad.dispatchEvent(e);
+    };
+    for (const stroke of points(ya)) {
+      pointer('pointerdown', stroke[0]);
+      stroke.slice(1).forEach((p) => pointer('pointermove', p));
+      pointer('pointerup', stroke.at(-1));
+    }
+    expect(pad.querySelectorAll('.stroke-traced')).toHaveLength(ya.strokes.length);
+    $('.stroke-check').click();
+    expect($('.stroke-score').textContent).toBe('100/100 · Well written!');
+
+    $('.stroke-clear').click();
+    expect(pad.querySelectorAll('.stroke-traced')).toHaveLength(0);
+    $('.stroke-check').click();
+    expect($('.stroke-score').className).toContain('is-wrong');
+    expect($('.stroke-score').textContent).toContain(`${ya.strokes.length} strokes missing`);
+
+    $('.stroke-panel').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect($('.stroke-panel').hidden).toBe(true);
+    panel.teardown();
+  });
+
+  test('Opens from a glyph of the output and from a learning card', () => {
+    sessionStorage.clear();
+    localStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+        ${panelHtml}
+      </section>`;
+    const home = initHome({ baybayin: transcription }, { query: { text: 'kita' } });
+    const glyphs = document.querySelectorAll('#outputBox .glyph');
+    expect(Array.from(glyphs, (g) => g.textContent)).toEqual(['ᜃᜒ', 'ᜆ']);
+    glyphs[0].click();
+    expect(document.querySelector('.stroke-panel').hidden).toBe(false);
+    expect(document.querySelectorAll('.stroke-viewer .stroke-path')).toHaveLength(glyphStrokes('ᜃᜒ').strokes.length);
+    home.teardown();
+
+    document.body.innerHTML = `
+      <section id="learn-view">
+        <div class="learn-card">
+          <p class="learn-prompt"></p>
+          <div class="learn-choices" hidden></div>
+          <form class="learn-form"><input class="learn-answer" /></form>
+          <p class="learn-feedback" hidden></p>
+          <button class="learn-next" hidden></button>
+          <button class="learn-strokes" hidden></button>
+        </div>
+        ${panelHtml}
+      </section>`;
+    const learn = initLearn({}, { params: {}, query: {} });
+    const $ = (sel) => document.querySelector(sel);
+    expect($('.learn-strokes').hidden).toBe(false);
+    $('.learn-strokes').click();
+    expect($('.stroke-panel').hidden).toBe(false);
+    expect($('.stroke-viewer .stroke-path')).not.toBeNull();
+
+    // A syllable card would give its answer away, so the stroke order waits until it is answered.
+    $('.learn-answer').value = 'a';
+    $('.learn-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    $('.learn-next').click();
+    expect($('.stroke-panel').hidden).toBe(true);
+    expect($('.learn-strokes').hidden).toBe(true);
+    document.querySelector('.learn-choice').click();
+    expect($('.learn-strokes').hidden).toBe(false);
+    learn.teardown();
+  });
+});
+
+/* 
+=========================
+  SOURCE LANGUAGE TESTS
+  Verifies:
+  - Each language brings its own spelling rules, function words and abbreviations
+  - Loanwords keep their spelling; unknown languages fall back to Tagalog
+  - The API, the command line and the Home View's language picker pass the language on
+========================= 
+*/
+
+describe('Source languages', () => {
+  test('Lists the languages, Tagalog first', () => {
+    expect(listLanguages().map((l) => l.id)).toEqual(['tl', 'ilo', 'ceb', 'hil', 'bcl', 'pam']);
+    expect(toBaybayinWithMode('Mahal ko\'y ikaw', { language: 'nope' })).toBe(toBaybayinWithMode('Mahal ko\'y ikaw'));
+  });
+
+  test('Reads Spanish-era spellings and clitics per language', () => {
+    expect(toBaybayinWithMode('daguiti balay ken quet', { language: 'ilo' })).toBe('ᜇᜄᜒᜆᜒ ᜊᜎᜌ᜔ ᜃᜒᜈ᜔ ᜃᜒᜆ᜔');
+    expect(toBaybayinWithMode('Capampangan queng', { language: 'pam' })).toBe('ᜃᜉᜋ᜔ᜉᜅᜈ᜔ ᜃᜒᜅ᜔');
+    expect(toBaybayinWithMode('Mahal ko\'y ikaw')).toBe('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜌ᜔ ᜁᜃᜏ᜔');
+    expect(toBaybayinWithMode('Mao\'y maayo', { language: 'ceb' })).toBe('ᜋᜂ ᜀᜅ᜔ ᜋᜀᜌᜓ');
+    expect(toBaybayinWithMode('Palit ko\'g bugas', { language: 'ceb' })).toBe('ᜉᜎᜒᜆ᜔ ᜃᜓ ᜂᜄ᜔ ᜊᜓᜄᜐ᜔');
+    const og = transcribe('og', { language: 'ceb' });
+    expect([og.output, og.segments[0].rule]).toEqual(['ᜂᜄ᜔', 'exception']);
+  });
+
+  test('Abbreviations and loanwords follow the language', () => {
+    expect(toBaybayinWithMode('mga bata ng bayan')).toBe('ᜋᜅ ᜊᜆ ᜅ ᜊᜌᜈ᜔');
+    expect(toBaybayinWithMode('mga bata ng bayan', { language: 'ceb' })).toBe('ᜋᜅ ᜊᜆ ᜅ᜔ ᜊᜌᜈ᜔');
+    // A loanword's qu is not the Spanish-era k.
+    expect(toBaybayinWithMode('quiz', { language: 'ilo' })).toBe(toBaybayinWithMode('quiz'));
+  });
+
+  test('The API, the command line and the language picker take the language', () => {
+    expect(handleTranscribe({ text: 'quet', language: 'ilo' })).toMatchObject({ language: 'ilo', output: 'ᜃᜒᜆ᜔' });
+    expect(() => handleTranscribe({ text: 'x', language: 'xx' })).toThrow('Unknown language');
+    expect(parseArgs(['-l', 'ceb']).language).toBe('ceb');
+    expect(() => parseArgs(['--language', 'xx'])).toThrow('Unknown language');
+
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div><select class="language-select"></select></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+      </section>`;
+    const navigate = jest.fn();
+    const home = initHome({ baybayin: transcription }, { query: { text: 'quet' }, navigate });
+    const select = document.querySelector('.language-select');
+    expect(select.options).toHaveLength(6);
+    select.value = 'ilo';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('tagalogTitle').innerText).toBe('Ilokano');
+    expect(document.getElementById('outputBox').textContent).toBe('ᜃᜒᜆ᜔');
+    expect(sessionStorage.getItem('bybyn:language')).toBe('ilo');
+    expect(navigate).toHaveBeenLastCalledWith(expect.objectContaining({ lang: 'ilo' }));
+    home.teardown();
+  });
+});
+
+/* 
+=========================
+  SIBLING SCRIPT TESTS
+  Verifies:
+  - Hanunó'o, Buhid and Tagbanwa output, with each script's killer mark (or none) and missing letters
+  - Reading every sibling script back to Latin, finals restored from the lexicon where they are not written
+  - Segments, script detection, the API, the command line and the Home View's script picker
+========================= 
+*/
+
+describe('Sibling scripts', () => {
+  const text = 'Mahal ko ang bayan.';
+
+  test('Writes each script with its own finals', () => {
+    expect(listScripts().map((s) => s.id)).toEqual(['baybayin', 'hanunoo', 'buhid', 'tagbanwa']);
+    expect(toBaybayinWithMode(text, { script: 'baybayin' })).toBe(toBaybayinWithMode(text));
+    // Hanunó'o writes the pamudpod in either mode.
+    expect(toBaybayinWithMode(text, { script: 'hanunoo' })).toBe('ᜫᜱᜮ᜴ ᜣᜳ ᜠᜥ᜴ ᜪᜬᜨ᜴ //');
+    expect(toBaybayinWithMode(text, { script: 'hanunoo', mode: 'pamupod' })).toBe('ᜫᜱᜮ᜴ ᜣᜳ ᜠᜥ᜴ ᜪᜬᜨ᜴ //');
+    expect(toBaybayinWithMode(text, { script: 'buhid' })).toBe('ᝋᝑ ᝃᝓ ᝀ ᝊᝌ //');
+    // Tagbanwa has no ha and no ra.
+    expect(toBaybayinWithMode('hari', { script: 'tagbanwa' })).toBe('ᝠᝮᝲ');
+    expect(toBaybayinWithMode('bayan', { script: 'nope' })).toBe('ᜊᜌᜈ᜔');
+
+    const t = transcribe('bayan', { script: 'buhid' });
+    expect(t.segments.map((seg) => t.output.slice(seg.output.start, seg.output.end))).toEqual(['ᝊ', 'ᝌ']);
+  });
+
+  test('Reads every script back to Latin', () => {
+    for (const script of ['hanunoo', 'buhid', 'tagbanwa']) {
+      const glyphs = toBaybayinWithMode('bata', { script });
+      expect(detectScript(glyphs)).toBe('baybayin');
+      expect(toLatin(glyphs)).toBe('bata');
+    }
+    expect(toLatin('ᜫᜱᜮ᜴ ᜣᜳ')).toBe('mahal ko');
+    expect(toLatin('ᝊᝌ')).toBe('baya');
+    expect(toLatin('ᝋᝑ ᝃᝓ ᝀ ᝊᝌ', { lexicon: true })).toBe('mahal ko ang bayan');
+    expect(toLatinCandidates('ᝊᝌ')[0]).toMatchObject({ source: 'ᝊᝌ', reading: 'bayan', known: true });
+  });
+
+  test('The API, the command line and the script picker take the script', () => {
+    expect(handleTranscribe({ text: 'bayan', script: 'hanunoo' })).toMatchObject({ script: 'hanunoo', output: 'ᜪᜬᜨ᜴' });
+    expect(() => handleTranscribe({ text: 'x', script: 'xx' })).toThrow('Unknown script');
+    expect(parseArgs(['-s', 'buhid']).script).toBe('buhid');
+    expect(() => parseArgs(['--script', 'xx'])).toThrow('Unknown script');
+
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div><select class="script-select"></select></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+      </section>`;
+    const navigate = jest.fn();
+    const home = initHome({ baybayin: transcription }, { query: { text: 'bayan' }, navigate });
+    const select = document.querySelector('.script-select');
+    expect(select.options).toHaveLength(4);
+    select.value = 'hanunoo';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('baybayinTitle').innerText).toBe('Hanunó\'o');
+    expect(document.getElementById('outputBox').textContent).toBe('ᜪᜬᜨ᜴');
+    expect(sessionStorage.getItem('bybyn:script')).toBe('hanunoo');
+    expect(navigate).toHaveBeenLastCalledWith(expect.objectContaining({ script: 'hanunoo' }));
+    home.teardown();
+  });
+});
+
+/* 
+=========================
+  ROMANIZATION TESTS
+  Verifies:
+  - The strict transliteration: kudlit, pamudpod, dandas and ambiguous vowels spelled out
+  - Lossless text converting back to the exact code points, mixed killer marks and sibling letters included
+  - The phonetic default, the API, the command line and the Home View's romanization picker
+========================= 
+*/
+
+describe('Romanization', () => {
+  const mixed = 'ᜋᜑᜎ᜔ ᜃᜓ, ᜀᜅ᜕ ᜊᜌᜈ᜔ ᜶ {Juan} ᜫᜱᜮ᜴ ᝊᝌ // ?';
+
+  test('Strict spells out every mark', () => {
+    expect(listRomanizations().map((r) => r.id)).toEqual(['phonetic', 'strict', 'lossless']);
+    expect(toLatin('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜕ ᜊᜌᜈ᜔ ᜵', { romanization: 'strict' })).toBe('mahal+ ku/o ang× bayan+ |');
+    expect(toLatin('ᜁᜐᜒ ᜶', { romanization: 'strict' })).toBe('i/esi/e ||');
+    // The phonetic reading is the default.
+    expect(toLatin('ᜋᜑᜎ᜔ ᜃᜓ', { romanization: 'phonetic' })).toBe(toLatin('ᜋᜑᜎ᜔ ᜃᜓ'));
+  });
+
+  test('Lossless text converts back to the same code points', () => {
+    const latin = toLatin(mixed, { romanization: 'lossless' });
+    expect(latin).toBe('mahal+ ku/o, ang× bayan+ || {\\J\\u\\a\\n} ᜫᜱᜮ᜴ ᝊᝌ \\/\\/ ?');
+    expect(toBaybayinWithMode(latin, { romanization: 'lossless' })).toBe(mixed);
+    // Mode, profile and script do not touch the glyphs read back.
+    expect(toBaybayinWithMode(latin, { romanization: 'lossless', mode: 'pamupod', script: 'buhid' })).toBe(mixed);
+
+    const t = transcribe('n+ga', { romanization: 'lossless' });
+    expect(t.output).toBe('ᜈ᜔ᜄ');
+    expect(t.segments.map((seg) => seg.normalized)).toEqual(['n+', 'ga']);
+  });
+
+  test('The API, the command line and the romanization picker take the romanization', () => {
+    expect(handleTranscribe({ text: 'ᜊᜌᜈ᜕', direction: 'latin', romanization: 'strict' })).toMatchObject({ romanization: 'strict', output: 'bayan×' });
+    expect(() => handleTranscribe({ text: 'x', romanization: 'xx' })).toThrow('Unknown romanization');
+    expect(parseArgs(['--romanization', 'lossless']).romanization).toBe('lossless');
+    expect(() => parseArgs(['--romanization=xx'])).toThrow('Unknown romanization');
+
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div><select class="romanization-select" hidden></select></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+      </section>`;
+    const navigate = jest.fn();
+    const home = initHome({ baybayin: transcription }, { query: { text: 'ᜃᜒᜆ᜔' }, navigate });
+    const select = document.querySelector('.romanization-select');
+    expect(select.options).toHaveLength(3);
+    expect(select.hidden).toBe(false);
+    select.value = 'strict';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('outputBox').textContent).toBe('ki/et+');
+    expect(sessionStorage.getItem('bybyn:romanization')).toBe('strict');
+    expect(navigate).toHaveBeenLastCalledWith(expect.objectContaining({ rom: 'strict' }));
+    home.teardown();
+  });
+});
+
+/* 
+=========================
+  VALIDATOR TESTS
+  Verifies:
+  - Each rule: vowel signs on vowels, doubled signs, killer marks after signs, orphan marks, mixed killers, look-alikes
+  - Positions, severities and fixes, one at a time or all at once, in the text's own script
+  - Underlined issues in the Home View's editor and their quick fix
+========================= 
+*/
+
+describe('Baybayin validator', () => {
+  const rules = (text, opts) => lintBaybayin(text, opts).map((i) => [i.rule, i.severity, i.start, i.end]);
+
+  test('Reports invalid sequences with positions and severities', () => {
+    expect(rules('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔')).toEqual([]);
+    expect(rules('ᜀᜒ ᜃᜒᜓ')).toEqual([['vowel-sign-on-vowel', 'error', 0, 2], ['double-vowel-sign', 'error', 5, 6]]);
+    expect(rules('ᜃᜒ᜔ ᜒ᜔')).toEqual([['killer-after-vowel-sign', 'error', 2, 3], ['orphan-mark', 'error', 4, 5], ['orphan-mark', 'error', 5, 6]]);
+    expect(rules('ᜃ+ ᜆx')).toEqual([['lookalike', 'warning', 1, 2], ['lookalike', 'warning', 4, 5]]);
+    // The fewer killer marks are flagged, or the ones the mode does not use.
+    expect(rules('ᜊᜌᜈ᜔ ᜃᜒᜆ᜕ ᜋᜎ᜔')).toEqual([['mixed-killers', 'warning', 8, 9]]);
+    expect(rules('ᜊᜌᜈ᜔ ᜃᜒᜆ᜕ ᜋᜎ᜔', { mode: 'pamupod' })).toEqual([['mixed-killers', 'warning', 3, 4], ['mixed-killers', 'warning', 12, 13]]);
+  });
+
+  test('Fixes one issue or all of them', () => {
+    const text = 'ᜀᜒ ᜃᜒᜓ ᜃᜒ᜔ ᜆx';
+    const found = lintBaybayin(text);
+    expect(found[0].fix).toMatchObject({ text: 'ᜁ', label: 'Write ᜁ' });
+    expect(applyFix(text, found[0])).toBe('ᜁ ᜃᜒᜓ ᜃᜒ᜔ ᜆx');
+    expect(applyFixes(text, found)).toBe('ᜁ ᜃᜒ ᜃᜒ ᜆ᜕');
+    expect(lintBaybayin(applyFixes(text, found))).toEqual([]);
+    // Hanunó'o is fixed in Hanunó'o, with its own pamudpod.
+    expect(applyFixes('ᜠᜲ ᜣ+', lintBaybayin('ᜠᜲ ᜣ+'))).toBe('ᜡ ᜣ᜴');
+  });
+
+  test('The Home View underlines issues and applies the quick fix', () => {
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <div><p id="editableBox" contenteditable="true"></p></div>
+        <div id="outputBox"></div>
+      </section>`;
+    // jsdom has no innerText; the quick fix edits the DOM, so read it back from there.
+    const edit = document.getElementById('editableBox');
+    Object.defineProperty(edit, 'innerText', { get() { return this.textContent; }, set(v) { this.textContent = v; } });
+    const home = initHome({ baybayin: transcription }, { query: { text: 'ᜊᜌᜈ᜔ ᜃᜒᜓ' } });
+    expect(edit.getAttribute('aria-invalid')).toBe('true');
+
+    setCaret(edit, 7);
+    edit.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    const menu = document.querySelector('.lint-menu');
+    expect(menu.querySelector('.lint-message').textContent).toBe('A consonant takes one vowel sign.');
+    menu.querySelector('[role="menuitem"]').click();
+    expect(edit.innerText).toBe('ᜊᜌᜈ᜔ ᜃᜒ');
+    expect(document.getElementById('outputBox').textContent).toBe('bayan ki');
+    expect(edit.hasAttribute('aria-invalid')).toBe(false);
+    expect(document.querySelector('.lint-menu')).toBeNull();
+    home.teardown();
+  });
+});
+
+/* 
+=========================
+  LEGACY FONT TESTS
+  Verifies:
+  - Text typed for Pamudpod Takipsilim and syllable-key fonts converts to Unicode Baybayin and back
+  - The image export still types Takipsilim from the same layout
+  - Importing from the Home View's legacy font panel, and typing the output for the font
+========================= 
+*/
+
+describe('Legacy fonts', () => {
+  const unicode = 'ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔᜶ ᜁᜐᜒ ᜈ᜔ᜄ ᜊᜌᜈ᜕';
+
+  test('Converts legacy text to Unicode and back', () => {
+    expect(fromLegacy('mhl+ ku AN+ byn+.', 'takipsilim')).toBe('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔᜶');
+    expect(fromLegacy('Mahal+ ko ang+ bayan+||', 'syllabic')).toBe('ᜋᜑᜎ᜔ ᜃᜓ ᜀᜅ᜔ ᜊᜌᜈ᜔᜶');
+    // A bare consonant of a syllable layout keeps its a; nga is one letter.
+    expect(fromLegacy('b nga n+ga', 'syllabic')).toBe('ᜊ ᜅ ᜈ᜔ᜄ');
+    // Syllables joined by +: a bare consonant takes the kudlit.
+    expect(fromLegacy('ba+ya+n', 'joined')).toBe('ᜊᜌᜈ᜔');
+    expect(fromLegacy('Ma+g+a+ra+l a+ko', 'joined')).toBe('ᜋᜄ᜔ᜀᜍᜎ᜔ ᜀᜃᜓ');
+    expect(toLegacy('ᜊᜌᜈ᜔ ᜊᜌᜈ᜕', 'joined')).toBe('ba+ya+n ba+ya+nx');
+    for (const font of ['takipsilim', 'syllabic', 'joined']) expect(fromLegacy(toLegacy(unicode, font), font)).toBe(unicode);
+    expect(toLegacy(unicode, 'syllabic')).toBe('mahal+ ku ang+ bayan+|| isi n+ga bayanx');
+    // Sibling scripts are typed as the Baybayin they map to.
+    expect(toLegacy('ᜫᜱᜮ᜴', 'takipsilim')).toBe('mhl+');
+    expect(fromLegacy('bIn+')).toBe('ᜊᜁᜈ᜔');
+  });
+
+  test('Imports from the legacy font panel and types the output for the font', () => {
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <section id="home-view">
+        <div class="tagalog-header"><div id="tagalogTitle">Tagalog</div></div>
+        <div class="baybayin-header"><div id="baybayinTitle">Krus-Kudlit</div></div>
+        <p id="editableBox" contenteditable="true"></p>
+        <div id="outputBox"></div>
+        <button class="legacy-button" aria-expanded="false"></button>
+        <aside class="legacy-panel" hidden>
+          <form class="legacy-form">
+            <select class="legacy-font" name="font"></select>
+            <textarea name="text"></textarea>
+            <p class="legacy-error" hidden></p>
+          </form>
+        </aside>
+      </section>`;
+    const navigate = jest.fn();
+    const home = initHome({ baybayin: transcription }, { query: {}, navigate });
+    const $ = (sel) => document.querySelector(sel);
+    $('.legacy-button').click();
+    expect($('.legacy-panel').hidden).toBe(false);
+    expect($('.legacy-font').options).toHaveLength(3);
+
+    $('.legacy-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    expect($('.legacy-error').textContent).toBe('Paste some text typed for the font first.');
+    $('.legacy-form').elements.text.value = 'mhl+ ku';
+    $('.legacy-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    expect($('#editableBox').innerText).toBe('ᜋᜑᜎ᜔ ᜃᜓ');
+    expect($('#outputBox').textContent).toBe('mahal ko');
+    expect($('.legacy-panel').hidden).toBe(true);
+    expect(navigate).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'ᜋᜑᜎ᜔ ᜃᜓ', dir: 'latin' }));
+
+    const font = $('.legacy-font');
+    font.value = 'syllabic';
+    font.dispatchEvent(new Event('change'));
+    expect(sessionStorage.getItem('bybyn:legacy')).toBe('syllabic');
+    const submit = new Event('submit', { cancelable: true });
+    submit.submitter = { value: 'export' };
+    $('.legacy-form').dispatchEvent(submit);
+    expect($('.legacy-form').elements.text.value).toBe('mahal+ ku');
+    home.teardown();
+  });
+});
+
 /* 
 =========================
   DOWNLOAD TESTS (jsdom)
@@ -111,6 +2067,16 @@ describe('DOM Flow runs', () => {
     jest.restoreAllMocks();
   });
 
+  test('downloadBlob clicks a temporary link and revokes its URL', () => {
+    downloadBlob(timestampName('bybyn', 'png', new Date(2025, 7, 18, 12, 25)), new Blob(['png']));
+    const a = document.createElement.mock.results.map((r) => r.value).find((el) => el.tagName === 'A');
+    expect(a.download).toBe('bybyn-20250818-1225.png');
+    expect(a.href).toBe('blob:mock');
+    expect(a.isConnected).toBe(false);
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:mock');
+  });
+
   test('Download runs', () => {
     const tagalogTitle  = document.getElementById('tagalogTitle');
     const baybayinTitle = document.getElementById('baybayinTitle');
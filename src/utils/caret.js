@@ -0,0 +1,162 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/caret.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Converts between DOM selections and plain character offsets inside a contenteditable panel.
+- Offsets follow innerText: text nodes count their characters, <br> and block boundaries count as one newline.
+*/
+
+const BLOCKS = new Set(['DIV', 'P', 'LI', 'PRE', 'BLOCKQUOTE']);
+
+/**
+ * Flatten a root element into text pieces in document order.
+ * Line breaks are pieces with no node text but a length of one.
+ * @param {Node} root
+ * @returns {{ node: Node, start: number, length: number, text: boolean }[]}
+ */
+function flatten(root) {
+  const pieces = [];
+  let at = 0;
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        pieces.push({ node: child, start: at, length: child.data.length, text: true });
+        at += child.data.length;
+      } else if (child.nodeName === 'BR') {
+        pieces.push({ node: child, start: at, length: 1, text: false });
+        at += 1;
+      } else if (child.nodeType === 1) {
+        if (BLOCKS.has(child.nodeName) && at > 0 && pieces[pieces.length - 1]?.node.nodeName !== 'BR') {
+          pieces.push({ node: child, start: at, length: 1, text: false });
+          at += 1;
+        }
+        walk(child);
+      }
+    }
+  };
+  walk(root);
+  return pieces;
+}
+
+/**
+ * Character offset of a DOM position (node, offset) inside root.
+ * @param {Node} root
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number}
+ */
+export function textOffset(root, node, offset) {
+  const pieces = flatten(root);
+  if (node.nodeType === 3) {
+    const piece = pieces.find((p) => p.node === node);
+    return piece ? piece.start + Math.min(offset, piece.length) : 0;
+  }
+  // Element positions sit between children: the offset is where the first piece after them starts.
+  const following = (a, b) => Boolean(a.compareDocumentPosition(b) & 4);
+  const child = node.childNodes[offset] || null;
+  const next = pieces.find((p) => (child
+    ? p.node === child || child.contains(p.node) || following(child, p.node)
+    : !node.contains(p.node) && following(node, p.node)));
+  const last = pieces[pieces.length - 1];
+  return next ? next.start : (last ? last.start + last.length : 0);
+}
+
+/**
+ * Current selection as character offsets inside root.
+ * @param {Node} root
+ * @param {Selection|null} [sel = globalThis.getSelection?.()]
+ * @returns {{ start: number, end: number, collapsed: boolean }|null} Null when the selection is outside root.
+ */
+export function selectionOffsets(root, sel = globalThis.getSelection?.()) {
+  if (!sel || !sel.rangeCount) return null;
+  const range = sel.getRangeAt(0);
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+  const start = textOffset(root, range.startContainer, range.startOffset);
+  const end = textOffset(root, range.endContainer, range.endOffset);
+  return { start: Math.min(start, end), end: Math.max(start, end), collapsed: range.collapsed };
+}
+
+/**
+ * Resolve a character offset to a DOM position inside root.
+ * @param {Node} root
+ * @param {number} offset
+ * @returns {{ node: Node, offset: number }}
+ */
+function position(root, offset) {
+  const pieces = flatten(root);
+  for (const p of pieces) {
+    if (p.text && offset <= p.start + p.length) {
+      return { node: p.node, offset: Math.max(0, offset - p.start) };
+    }
+    if (!p.text && offset <= p.start) {
+      const parent = p.node.parentNode;
+      return { node: parent, offset: Array.prototype.indexOf.call(parent.childNodes, p.node) };
+    }
+  }
+  return { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * Build a DOM Range covering character offsets [start, end) inside root.
+ * @param {Node} root
+ * @param {number} start
+ * @param {number} [end = start]
+ * @returns {Range}
+ */
+export function rangeFromOffsets(root, start, end = start) {
+  const doc = root.ownerDocument || document;
+  const range = doc.createRange();
+  const a = position(root, start);
+  const b = position(root, end);
+  range.setStart(a.node, a.offset);
+  range.setEnd(b.node, b.offset);
+  return range;
+}
+
+/**
+ * Place the caret at a character offset inside root.
+ * @param {Node} root
+ * @param {number} offset
+ * @param {Selection|null} [sel = globalThis.getSelection?.()]
+ */
+export function setCaret(root, offset, sel = globalThis.getSelection?.()) {
+  if (!sel) return;
+  sel.removeAllRanges();
+  sel.addRange(rangeFromOffsets(root, offset));
+}
+
+/**
+ * Text between two character offsets inside root, with line breaks as "\n".
+ * @param {Node} root
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+export function textBetween(root, start, end) {
+  let text = '';
+  for (const p of flatten(root)) {
+    const from = Math.max(start, p.start);
+    const to = Math.min(end, p.start + p.length);
+    if (from >= to) continue;
+    text += p.text ? p.node.data.slice(from - p.start, to - p.start) : '\n';
+  }
+  return text;
+}
+
+/**
+ * Replace the text between two character offsets inside root and put the caret after the new text.
+ * @param {Node} root
+ * @param {number} start
+ * @param {number} end
+ * @param {string} text
+ * @param {Selection|null} [sel = globalThis.getSelection?.()]
+ */
+export function replaceText(root, start, end, text, sel = globalThis.getSelection?.()) {
+  const range = rangeFromOffsets(root, start, end);
+  range.deleteContents();
+  if (text) range.insertNode((root.ownerDocument || document).createTextNode(text));
+  root.normalize();
+  setCaret(root, start + text.length, sel);
+}
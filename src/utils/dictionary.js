@@ -0,0 +1,115 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/dictionary.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- User dictionary of word overrides, consulted by transcription.js before its exceptions.
+- Entries pair a word with a spelling: Baybayin glyphs as written, or a Latin respelling
+  ("ef bi ay") that goes through the glyph mapper.
+- Persists to localStorage and round-trips through JSON so a team can share one dictionary.
+*/
+
+export const STORAGE_KEY = 'bybyn:dictionary';
+const FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string} word - A single Latin word, matched case-insensitively.
+ * @property {string} spelling - Baybayin glyphs, or a Latin respelling.
+ */
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Check and tidy one entry.
+ * @param {unknown} entry
+ * @returns {DictionaryEntry}
+ * @throws {Error} When the word or spelling is missing, or the word has spaces.
+ */
+export function validateEntry(entry) {
+  const word = typeof entry?.word === 'string' ? entry.word.trim() : '';
+  const spelling = typeof entry?.spelling === 'string' ? entry.spelling.trim() : '';
+  if (!word || !spelling) throw new Error('Each entry needs a word and a spelling.');
+  if (/\s/.test(word)) throw new Error(`"${word}" must be a single word.`);
+  return { word, spelling };
+}
+
+/**
+ * Add an entry, replacing any entry for the same word.
+ * @param {DictionaryEntry[]} entries
+ * @param {DictionaryEntry} entry
+ * @returns {DictionaryEntry[]} A new, alphabetized list.
+ */
+export function upsertEntry(entries, entry) {
+  const next = validateEntry(entry);
+  const key = next.word.toLowerCase();
+  return [...entries.filter((e) => e.word.toLowerCase() !== key), next]
+    .sort((a, b) => a.word.localeCompare(b.word));
+}
+
+/**
+ * Remove the entry for a word.
+ * @param {DictionaryEntry[]} entries
+ * @param {string} word
+ * @returns {DictionaryEntry[]}
+ */
+export function removeEntry(entries, word) {
+  const key = `${word}`.toLowerCase();
+  return entries.filter((e) => e.word.toLowerCase() !== key);
+}
+
+/**
+ * Parse a dictionary from JSON.
+ * Accepts the exported shape ({ version, entries: [...] }), a bare entry array,
+ * or a plain { word: spelling } object.
+ * @param {string} json
+ * @returns {DictionaryEntry[]}
+ * @throws {Error} When the JSON is malformed or an entry is invalid.
+ */
+export function parseDictionary(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  let list;
+  if (Array.isArray(data)) list = data;
+  else if (Array.isArray(data?.entries)) list = data.entries;
+  else if (data && typeof data === 'object') list = Object.entries(data).map(([word, spelling]) => ({ word, spelling }));
+  else throw new Error('Expected a list of { word, spelling } entries.');
+  return list.reduce((acc, entry) => upsertEntry(acc, entry), []);
+}
+
+/**
+ * Serialize a dictionary for export.
+ * @param {DictionaryEntry[]} entries
+ * @returns {string}
+ */
+export function serializeDictionary(entries) {
+  return `${JSON.stringify({ version: FORMAT_VERSION, entries }, null, 2)}\n`;
+}
+
+/**
+ * Load the saved dictionary; a missing or unreadable one is empty.
+ * @param {Storage|null} [storage = globalThis.localStorage]
+ * @returns {DictionaryEntry[]}
+ */
+export function loadDictionary(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(STORAGE_KEY);
+    return saved ? parseDictionary(saved) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the dictionary.
+ * @param {DictionaryEntry[]} entries
+ * @param {Storage|null} [storage = globalThis.localStorage]
+ */
+export function saveDictionary(entries, storage = globalThis.localStorage) {
+  try { storage?.setItem(STORAGE_KEY, serializeDictionary(entries)); } catch {}
+}
@@ -1,10 +1,12 @@
-/* 
-AUTHOR: Kenneth Agonoy 
+/*
+AUTHOR: Kenneth Agonoy
 LOCATION: .../src/utils/download.js
-LAST EDITED: 2025-08-22
+LAST EDITED: 2026-10-18
 
 PURPOSE:
 - Includes the ability to download text content as a file with a timestamped filename.
+- A registry of export formats (plain text, JSON, CSV, HTML with ruby annotations)
+  that turn the current transcription into a downloadable file.
 */
 
 /**
@@ -13,7 +15,44 @@ PURPOSE:
  * @returns {string}
  */
 function normalizeNewlines(content) {
-  return String(content).replace(/\r?\n/g, "\n");
+  return String(content).replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Escape text for HTML content and attributes.
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break (RFC 4180).
+ * @param {string} s
+ * @returns {string}
+ */
+function csvField(s) {
+  const v = String(s);
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+/**
+ * Trim a text block for export: no CRs, leading blank lines or trailing whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+function block(text) {
+  return normalizeNewlines(text || "").replace(/^\s*\n|\s+$/g, "");
+}
+
+/**
+ * Word runs that are actual words, as Latin/Baybayin pairs.
+ * @param {ExportDocument} doc
+ * @returns {{ latin: string, baybayin: string }[]}
+ */
+function wordPairs(doc) {
+  return (doc.runs || []).filter((r) => r.word).map(({ latin, baybayin }) => ({ latin, baybayin }));
 }
 
 /**
@@ -24,26 +63,21 @@ function normalizeNewlines(content) {
  * @param {Date} [date = new Date()]
  * @returns {string}
  */
-function timestampName(prefix = "bybyn", ext = "txt", date = new Date()) {
+export function timestampName(prefix = "bybyn", ext = "txt", date = new Date()) {
   const pad = (n) => String(n).padStart(2, "0");
-  const stamp = [
-    date.getFullYear(),
-    pad(d.getMonth() + 1),
-    pad(d.getDate())
-  ].join("");
-  return `${prefix}-${stamp}.${ext}`;
+  const day = [date.getFullYear(), pad(date.getMonth() + 1), pad(date.getDate())].join("");
+  const time = pad(date.getHours()) + pad(date.getMinutes());
+  return `${prefix}-${day}-${time}.${ext}`;
 }
 
 /**
- * Trigger a client-side download of plain text.
- * Uses createObjectURL when available and falls back to a data URL.
+ * Trigger a client-side download of a Blob (images and other binary exports).
  * @param {string} filename
- * @param {string} content
+ * @param {Blob} blob
  * @param {Document|null} [doc = globalThis.document]
  * @param {typeof URL|null} [url = globalThis.URL]
  */
-function downloadText(filename, content, doc = global.document, url = global.URL) {
-  const blob = new Blob([normalizeNewlines(content)], { type: "text/plain;charset=utf-8" });
+export function downloadBlob(filename, blob, doc = globalThis.document, url = globalThis.URL) {
   const href = url.createObjectURL(blob);
   const a = doc.createElement("a");
   a.href = href;
@@ -54,19 +88,137 @@ function downloadText(filename, content, doc = global.document, url = global.URL
   setTimeout(() => url.revokeObjectURL(href), 0);
 }
 
-module.exports = { downloadText, timestampName };
-
-
-
-
-
-
-
-
-
+/**
+ * Trigger a client-side download of plain text.
+ * @param {string} filename
+ * @param {string} content
+ * @param {Document|null} [doc = globalThis.document]
+ * @param {typeof URL|null} [url = globalThis.URL]
+ */
+export function downloadText(filename, content, doc = globalThis.document, url = globalThis.URL) {
+  const blob = new Blob([normalizeNewlines(content)], { type: "text/plain;charset=utf-8" });
+  downloadBlob(filename, blob, doc, url);
+}
 
+/* ================ EXPORT FORMATS ================ */
 
+/**
+ * @typedef {Object} ExportDocument
+ * @property {string} source - Text of the editable panel.
+ * @property {string} output - Text of the output panel.
+ * @property {'baybayin'|'latin'} direction - Which way the source was transcribed.
+ * @property {string} sourceTitle - Heading of the source panel.
+ * @property {string} outputTitle - Heading of the output panel.
+ * @property {string} mode - Baybayin mode id (krus-kudlit, pamupod).
+ * @property {string} modeLabel
+ * @property {string} profile - Orthography profile id.
+ * @property {string} profileLabel
+ * @property {import('./transcription.js').WordRun[]} [runs] - From alignWords(); enables per-word output.
+ */
 
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} label - Name shown in the export menu.
+ * @property {string} ext - File extension.
+ * @property {string} type - MIME type, with charset.
+ * @property {(doc: ExportDocument) => string} build
+ */
 
+/** @type {Record<string, ExportFormat>} */
+export const EXPORT_FORMATS = {
+  txt: {
+    label: "Plain text",
+    ext: "txt",
+    type: "text/plain;charset=utf-8",
+    build: (doc) => `${doc.sourceTitle}:\n${block(doc.source)}\n\n${doc.outputTitle}:\n${block(doc.output)}\n\nMode: ${doc.modeLabel}\nProfile: ${doc.profileLabel}\n`
+  },
+  json: {
+    label: "JSON",
+    ext: "json",
+    type: "application/json;charset=utf-8",
+    build: (doc) => `${JSON.stringify({
+      version: 1,
+      direction: doc.direction,
+      mode: doc.mode,
+      profile: doc.profile,
+      source: block(doc.source),
+      output: block(doc.output),
+      pairs: wordPairs(doc)
+    }, null, 2)}\n`
+  },
+  // A byte order mark and CRLF rows so spreadsheet apps open the Baybayin column as UTF-8.
+  csv: {
+    label: "CSV word list",
+    ext: "csv",
+    type: "text/csv;charset=utf-8",
+    build: (doc) => {
+      const seen = new Set();
+      const rows = [["latin", "baybayin"]];
+      for (const { latin, baybayin } of wordPairs(doc)) {
+        const key = `${latin.toLowerCase()}\u0000${baybayin}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        rows.push([latin, baybayin]);
+      }
+      return `\uFEFF${rows.map((r) => r.map(csvField).join(",")).join("\r\n")}\r\n`;
+    }
+  },
+  html: {
+    label: "HTML with readings",
+    ext: "html",
+    type: "text/html;charset=utf-8",
+    build: (doc) => {
+      const body = (doc.runs || [])
+        .map((r) => (r.word
+          ? `<ruby>${escapeHtml(r.baybayin)}<rp>(</rp><rt>${escapeHtml(r.latin)}</rt><rp>)</rp></ruby>`
+          : escapeHtml(r.baybayin)))
+        .join("");
+      return [
+        "<!DOCTYPE html>",
+        '<html lang="tl">',
+        "<head>",
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(doc.modeLabel)} · BYBYN</title>`,
+        "<style>",
+        'body { margin: 2rem; background: #FFF3D9; color: #3B0918; font-family: "Noto Sans Tagalog", system-ui, sans-serif; }',
+        ".baybayin { font-size: 2.5rem; line-height: 2.4; white-space: pre-wrap; }",
+        "rt { font-family: system-ui, sans-serif; font-size: 0.35em; }",
+        "footer { margin-top: 2rem; font-family: system-ui, sans-serif; font-size: 0.9rem; opacity: 0.7; }",
+        "</style>",
+        "</head>",
+        "<body>",
+        `<p class="baybayin">${body || escapeHtml(block(doc.direction === "latin" ? doc.source : doc.output))}</p>`,
+        `<footer>Mode: ${escapeHtml(doc.modeLabel)} · Profile: ${escapeHtml(doc.profileLabel)}</footer>`,
+        "</body>",
+        "</html>",
+        ""
+      ].join("\n");
+    }
+  }
+};
 
+/**
+ * Build the file for an export format.
+ * @param {string} id - A key of EXPORT_FORMATS.
+ * @param {ExportDocument} doc
+ * @param {Date} [date = new Date()]
+ * @returns {{ filename: string, content: string, type: string }}
+ * @throws {Error} For an unknown format.
+ */
+export function buildExport(id, doc, date = new Date()) {
+  const format = EXPORT_FORMATS[id];
+  if (!format) throw new Error(`Unknown export format "${id}".`);
+  return { filename: timestampName("bybyn", format.ext, date), content: format.build(doc), type: format.type };
+}
 
+/**
+ * Build and download an export.
+ * @param {string} id - A key of EXPORT_FORMATS.
+ * @param {ExportDocument} doc
+ * @param {Document|null} [dom = globalThis.document]
+ * @param {typeof URL|null} [url = globalThis.URL]
+ */
+export function downloadExport(id, doc, dom = globalThis.document, url = globalThis.URL) {
+  const { filename, content, type } = buildExport(id, doc);
+  downloadBlob(filename, new Blob([content], { type }), dom, url);
+}
@@ -0,0 +1,366 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/expand.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Optional front end that spells out numbers, dates, times, symbols and abbreviations in Tagalog.
+- Numerals are written natively (isang daan) or with Spanish-derived words (siyento).
+- Runs before the glyph mapper in transcription.js, so the Baybayin output has no Latin leftovers.
+*/
+
+/* ================ WORDS ================ */
+const NATIVE_ONES = ['sero', 'isa', 'dalawa', 'tatlo', 'apat', 'lima', 'anim', 'pito', 'walo', 'siyam'];
+const NATIVE_TEENS = ['sampu', 'labing-isa', 'labindalawa', 'labintatlo', 'labing-apat', 'labinlima', 'labing-anim', 'labimpito', 'labingwalo', 'labinsiyam'];
+const NATIVE_TENS = ['', '', 'dalawampu', 'tatlumpu', 'apatnapu', 'limampu', 'animnapu', 'pitumpu', 'walumpu', 'siyamnapu'];
+const NATIVE_SCALES = ['', 'libo', 'milyon', 'bilyon'];
+const MAX_NUMBER = 1e12;   // the scales stop at bilyon
+const NEGATIVE = 'negatibo';
+
+const SPANISH_ONES = ['sero', 'uno', 'dos', 'tres', 'kuwatro', 'singko', 'sais', 'siyete', 'otso', 'nuwebe'];
+const SPANISH_TEENS = ['diyes', 'onse', 'dose', 'trese', 'katorse', 'kinse', 'disisais', 'disisiyete', 'disiotso', 'disinuwebe'];
+const SPANISH_TENS = ['', '', 'beinte', 'trenta', 'kuwarenta', 'singkuwenta', 'sesenta', 'setenta', 'otsenta', 'nobenta'];
+const SPANISH_HUNDREDS = ['', 'siyento', 'dos siyentos', 'tres siyentos', 'kuwatro siyentos', 'kinyentos', 'sais siyentos', 'siyete siyentos', 'otso siyentos', 'nobe siyentos'];
+
+// Native ordinals that drop the first syllable or change entirely after "ika".
+const NATIVE_ORDINALS = { 1: 'una', 2: 'ikalawa', 3: 'ikatlo' };
+
+const MONTHS = ['Enero', 'Pebrero', 'Marso', 'Abril', 'Mayo', 'Hunyo', 'Hulyo', 'Agosto', 'Setyembre', 'Oktubre', 'Nobyembre', 'Disyembre'];
+
+// Written abbreviations and what they stand for; single letters only match as written.
+const ABBREVIATIONS = {
+  G: 'Ginoo',
+  Gng: 'Ginang',
+  Bb: 'Binibini',
+  Dr: 'Doktor',
+  Dra: 'Doktora',
+  Atty: 'Abogado',
+  Engr: 'Inhinyero',
+  Hen: 'Heneral',
+  Kgg: 'Kagalang-galang',
+  Pang: 'Pangulo',
+  Sen: 'Senador',
+  Gob: 'Gobernador',
+  Sto: 'Santo',
+  Sta: 'Santa',
+  Blg: 'bilang',
+  Hal: 'halimbawa',
+  atbp: 'at iba pa'
+};
+
+/* ================ NUMERALS ================ */
+
+/**
+ * Add the Tagalog linker to a phrase: -ng after a vowel, -g after n, " na" otherwise.
+ * @example link('isa') // 'isang'
+ * @param {string} phrase
+ * @returns {string}
+ */
+function link(phrase) {
+  if (/[aeiou]$/.test(phrase)) return `${phrase}ng`;
+  if (/n$/.test(phrase)) return `${phrase}g`;
+  return `${phrase} na`;
+}
+
+/**
+ * Join a counted phrase to the noun it counts, with "daan" turning into "raan" after "na".
+ * @param {string} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function counted(count, noun) {
+  const linked = link(count);
+  return `${linked} ${linked.endsWith(' na') ? noun.replace(/^d/, 'r') : noun}`;
+}
+
+/**
+ * Native numeral below one thousand.
+ * @param {number} n
+ * @returns {string}
+ */
+function nativeBelow1000(n) {
+  const h = Math.floor(n / 100);
+  const r = n % 100;
+  let rest = '';
+  if (r >= 20) rest = NATIVE_TENS[Math.floor(r / 10)] + (r % 10 ? `'t ${NATIVE_ONES[r % 10]}` : '');
+  else if (r >= 10) rest = NATIVE_TEENS[r - 10];
+  else if (r) rest = NATIVE_ONES[r];
+  if (!h) return rest;
+  const hundreds = counted(NATIVE_ONES[h], 'daan');
+  return rest ? `${hundreds} at ${rest}` : hundreds;
+}
+
+/**
+ * Native Tagalog cardinal: 1234 → "isang libo dalawang daan at tatlumpu't apat".
+ * @param {number} n - A whole number below one trillion.
+ * @returns {string}
+ */
+function nativeCardinal(n) {
+  if (n === 0) return NATIVE_ONES[0];
+  const parts = [];
+  for (let scale = NATIVE_SCALES.length - 1; scale >= 0; scale -= 1) {
+    const group = Math.floor(n / 1000 ** scale) % 1000;
+    if (!group) continue;
+    const words = nativeBelow1000(group);
+    parts.push(scale ? counted(words, NATIVE_SCALES[scale]) : words);
+  }
+  const last = n % 1000;
+  if (parts.length > 1 && last && last < 100) parts.splice(-1, 0, 'at');
+  return parts.join(' ');
+}
+
+/**
+ * Spanish-derived numeral below one thousand.
+ * @param {number} n
+ * @returns {string}
+ */
+function spanishBelow1000(n) {
+  const h = Math.floor(n / 100);
+  const r = n % 100;
+  let rest = '';
+  if (r >= 30) rest = SPANISH_TENS[Math.floor(r / 10)] + (r % 10 ? ` y ${SPANISH_ONES[r % 10]}` : '');
+  else if (r >= 20) rest = SPANISH_TENS[2] + (r % 10 ? ` ${SPANISH_ONES[r % 10]}` : '');
+  else if (r >= 10) rest = SPANISH_TEENS[r - 10];
+  else if (r) rest = SPANISH_ONES[r];
+  return [SPANISH_HUNDREDS[h], rest].filter(Boolean).join(' ');
+}
+
+/**
+ * Spanish-derived cardinal: 2025 → "dos mil beinte singko".
+ * @param {number} n - A whole number below one trillion.
+ * @returns {string}
+ */
+function spanishCardinal(n) {
+  if (n === 0) return SPANISH_ONES[0];
+  const parts = [];
+  const billions = Math.floor(n / 1e9);
+  const millions = Math.floor(n / 1e6) % 1000;
+  const thousands = Math.floor(n / 1000) % 1000;
+  if (billions) parts.push(billions === 1 ? 'un bilyon' : `${spanishBelow1000(billions)} bilyones`);
+  if (millions) parts.push(millions === 1 ? 'un milyon' : `${spanishBelow1000(millions)} milyones`);
+  if (thousands) parts.push(thousands === 1 ? 'mil' : `${spanishBelow1000(thousands)} mil`);
+  if (n % 1000) parts.push(spanishBelow1000(n % 1000));
+  return parts.join(' ');
+}
+
+/**
+ * Spell out a digit string in the chosen numeral style.
+ * Numbers with a leading zero are read digit by digit.
+ * @param {string} digits
+ * @param {'native'|'spanish'} numerals
+ * @returns {string|null} Null from one trillion up, which the scales do not reach.
+ */
+function cardinal(digits, numerals) {
+  const ones = numerals === 'spanish' ? SPANISH_ONES : NATIVE_ONES;
+  if (digits.length > 1 && digits.startsWith('0')) {
+    return [...digits].map((d) => ones[d]).join(' ');
+  }
+  const n = Number(digits);
+  if (n >= MAX_NUMBER) return null;
+  return numerals === 'spanish' ? spanishCardinal(n) : nativeCardinal(n);
+}
+
+/**
+ * Native ordinal: 1 → "una", 3 → "ikatlo", 25 → "ika-dalawampu't lima".
+ * @param {number} n
+ * @returns {string|null} Null from one trillion up.
+ */
+function ordinal(n) {
+  if (n >= MAX_NUMBER) return null;
+  if (NATIVE_ORDINALS[n]) return NATIVE_ORDINALS[n];
+  const words = nativeCardinal(n);
+  return n < 10 ? `ika${words}` : `ika-${words}`;
+}
+
+/**
+ * Spell out a decimal written with an optional minus and thousands separator: -1,500.25.
+ * @param {string} text
+ * @param {'native'|'spanish'} numerals
+ * @returns {string|null} Null when the whole part is out of range.
+ */
+function decimal(text, numerals) {
+  const sign = /^[-−]/.test(text) ? `${NEGATIVE} ` : '';
+  const [whole, frac] = text.replace(/^[-−]|,/g, '').split('.');
+  const ones = numerals === 'spanish' ? SPANISH_ONES : NATIVE_ONES;
+  const read = cardinal(whole, numerals);
+  if (read === null) return null;
+  return sign + (frac ? `${read} punto ${[...frac].map((d) => ones[d]).join(' ')}` : read);
+}
+
+/* ================ RULES ================ */
+
+/**
+ * Part of the day for a 24-hour clock hour.
+ * @param {number} hour
+ * @returns {string}
+ */
+function dayPart(hour) {
+  if (hour < 5) return 'madaling-araw';
+  if (hour < 12) return 'umaga';
+  if (hour === 12) return 'tanghali';
+  if (hour < 18) return 'hapon';
+  return 'gabi';
+}
+
+/**
+ * Spell out a clock time (3:30, 3:30 PM, 15:30).
+ * @param {string} text
+ * @param {'native'|'spanish'} numerals
+ * @returns {string|null}
+ */
+function time(text, numerals) {
+  const [, h, m, meridiem] = text.match(/^(\d{1,2}):(\d{2})(?:\s?([ap])\.?m\.?)?$/i);
+  let hour = Number(h);
+  const minute = Number(m);
+  if (hour > 23 || minute > 59) return null;
+  if (meridiem?.toLowerCase() === 'p' && hour < 12) hour += 12;
+  if (meridiem?.toLowerCase() === 'a' && hour === 12) hour = 0;
+  const clock = hour % 12 || 12;
+  // Without am/pm only 0:00–0:59 and 13:00 on are known to be a 24-hour time.
+  const part = meridiem || hour > 12 || hour === 0 ? ` ng ${dayPart(hour)}` : '';
+
+  if (numerals === 'spanish') {
+    const head = clock === 1 ? 'ala una' : `alas ${spanishCardinal(clock)}`;
+    const tail = minute === 30 ? ' y medya' : minute ? ` ${spanishCardinal(minute)}` : '';
+    return head + tail + part;
+  }
+  const head = clock === 1 ? 'ika-isa' : ordinal(clock);
+  const tail = minute === 30 ? ' at kalahati' : minute ? ` at ${counted(nativeCardinal(minute), 'minuto')}` : '';
+  return head + tail + part;
+}
+
+/**
+ * Spell out a date written M/D/YYYY or YYYY-MM-DD.
+ * @param {string} text
+ * @param {'native'|'spanish'} numerals
+ * @returns {string|null}
+ */
+function date(text, numerals) {
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const [year, month, day] = iso
+    ? [iso[1], Number(iso[2]), Number(iso[3])]
+    : (([m, d, y]) => [y, Number(m), Number(d)])(text.split('/'));
+  // Day 0 of the next month is the last day of this one, leap years included.
+  if (!MONTHS[month - 1] || day < 1 || day > new Date(Number(year), month, 0).getDate()) return null;
+  const name = MONTHS[month - 1];
+  return numerals === 'spanish'
+    ? `${name} ${spanishCardinal(day)}, ${cardinal(year, numerals)}`
+    : `${ordinal(day)} ng ${name}, ${cardinal(year, numerals)}`;
+}
+
+/**
+ * Spell out a peso amount (₱1,500.50).
+ * @param {string} text
+ * @param {'native'|'spanish'} numerals
+ * @returns {string|null} Null when the amount is out of range.
+ */
+function money(text, numerals) {
+  const [whole, cents] = text.replace(/[₱\s,]/g, '').split('.');
+  if (cardinal(whole, numerals) === null) return null;
+  const spanish = numerals === 'spanish';
+  // Spanish-derived amounts of one take un and the singular: un peso, un sentimo.
+  const spanishAmount = (digits, unit) => (Number(digits) === 1 ? `un ${unit}` : `${cardinal(digits, numerals)} ${unit}s`);
+  const pesos = spanish
+    ? spanishAmount(whole, 'peso')
+    : counted(cardinal(whole, numerals), 'piso');
+  if (!cents || !Number(cents)) return pesos;
+  const c = cents.padEnd(2, '0').slice(0, 2).replace(/^0/, '');
+  const centavos = spanish
+    ? spanishAmount(c, 'sentimo')
+    : counted(cardinal(c, numerals), 'sentimo');
+  return `${pesos} at ${centavos}`;
+}
+
+/**
+ * Expansion rules in priority order; each pattern is matched whole.
+ * A handler returning null hands the text over to the next rule, or, for a whole rule
+ * (dates and times), leaves all of it as written.
+ * @type {{ pattern: string, spell: (text: string, numerals: 'native'|'spanish') => string|null, whole?: boolean }[]}
+ */
+const RULES = [
+  { pattern: '\\d{1,2}\\/\\d{1,2}\\/\\d{4}|\\d{4}-\\d{2}-\\d{2}', spell: date, whole: true },
+  { pattern: '\\d{1,2}:\\d{2}(?:\\s?[ap]\\.?m\\.?)?', spell: time, whole: true },
+  { pattern: '₱\\s?\\d[\\d,]*(?:\\.\\d+)?', spell: money },
+  {
+    pattern: '[-−]?\\d[\\d,]*(?:\\.\\d+)?\\s?%',
+    spell: (text, numerals) => {
+      const read = decimal(text.replace(/\s?%$/, ''), numerals);
+      if (read === null) return null;
+      return numerals === 'spanish' ? `${read} porsiyento` : `${link(read)} porsiyento`;
+    }
+  },
+  { pattern: 'ika-?\\d+', spell: (text) => ordinal(Number(text.replace(/\D/g, ''))) },
+  { pattern: '[-−]?(?:\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)', spell: decimal },
+  { pattern: '&', spell: () => 'at' },
+  {
+    pattern: `(?:${Object.keys(ABBREVIATIONS).join('|')})\\.`,
+    spell: (text) => {
+      const key = Object.keys(ABBREVIATIONS).find((k) => k.toLowerCase() === text.slice(0, -1).toLowerCase());
+      return key.length === 1 && text.slice(0, -1) !== key ? null : ABBREVIATIONS[key];
+    }
+  }
+];
+
+// Each rule anchored at a position, and one scanner for where any rule may start.
+const MATCHERS = RULES.map((r) => ({ ...r, re: new RegExp(`(?:${r.pattern})(?![\\p{L}\\d])`, 'iuy') }));
+const SCANNER = new RegExp(`(?<![\\p{L}\\d])(?:${RULES.map((r) => r.pattern).join('|')})(?![\\p{L}\\d])`, 'giu');
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Try the rules in order at one position; a rule that declines hands over to the next,
+ * unless it is a whole rule.
+ * @param {string} src
+ * @param {number} at
+ * @param {'native'|'spanish'} numerals
+ * @returns {{ end: number, text: string|null }|null} A null text keeps src up to end as written.
+ */
+function spellAt(src, at, numerals) {
+  for (const rule of MATCHERS) {
+    rule.re.lastIndex = at;
+    const hit = rule.re.exec(src);
+    const text = hit && rule.spell(hit[0], numerals);
+    if (text) return { end: at + hit[0].length, text };
+    if (hit && rule.whole) return { end: at + hit[0].length, text: null };
+  }
+  return null;
+}
+
+/**
+ * Split text into unchanged stretches and expanded matches, keeping source offsets.
+ * @param {string} text
+ * @param {{ numerals?: 'native'|'spanish' }} [opts]
+ * @returns {{ start: number, end: number, text: string, expanded: boolean }[]}
+ */
+export function expandParts(text, { numerals = 'native' } = {}) {
+  const src = `${text}`;
+  const parts = [];
+  let last = 0;
+  const keep = (end) => {
+    if (end > last) parts.push({ start: last, end, text: src.slice(last, end), expanded: false });
+  };
+  SCANNER.lastIndex = 0;
+  for (let m = SCANNER.exec(src); m; m = SCANNER.exec(src)) {
+    const hit = spellAt(src, m.index, numerals);
+    // Leave the declined text whole.
+    if (!hit?.text) { SCANNER.lastIndex = hit ? hit.end : m.index + m[0].length; continue; }
+    keep(m.index);
+    parts.push({ start: m.index, end: hit.end, text: hit.text, expanded: true });
+    last = hit.end;
+    SCANNER.lastIndex = hit.end;
+  }
+  keep(src.length);
+  return parts;
+}
+
+/**
+ * Spell out numbers, dates, times, %, &, ₱ and common abbreviations in Tagalog.
+ * @example expand('₱100') // 'isang daang piso'
+ * @example expand('3:30', { numerals: 'spanish' }) // 'alas tres y medya'
+ * @param {string} [text='']
+ * @param {{ numerals?: 'native'|'spanish' }} [opts]
+ * @returns {string}
+ */
+export function expand(text = '', opts = {}) {
+  return expandParts(text, opts).map((p) => p.text).join('');
+}
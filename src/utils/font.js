@@ -0,0 +1,268 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/font.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Minimal TrueType reader for the bundled Baybayin fonts, used by the image export.
+- Maps characters to glyphs (cmap), reads advance widths (hmtx) and turns glyph
+  outlines (glyf) into SVG path data, so exported images need no installed font.
+- No shaping: marks rely on the font's zero-width mark glyphs to sit over their base.
+*/
+
+/* ================ TABLES ================ */
+
+/**
+ * Read the table directory.
+ * @param {DataView} view
+ * @returns {Record<string, { offset: number, length: number }>}
+ */
+function readTables(view) {
+  const tables = {};
+  const count = view.getUint16(4);
+  for (let i = 0; i < count; i += 1) {
+    const at = 12 + i * 16;
+    const tag = String.fromCharCode(...[0, 1, 2, 3].map((k) => view.getUint8(at + k)));
+    tables[tag] = { offset: view.getUint32(at + 8), length: view.getUint32(at + 12) };
+  }
+  return tables;
+}
+
+/**
+ * Build a code point → glyph id lookup from the best Unicode cmap subtable.
+ * Supports formats 4 (BMP) and 12 (full range).
+ * @param {DataView} view
+ * @param {number} base - Offset of the cmap table.
+ * @returns {(cp: number) => number}
+ */
+function readCmap(view, base) {
+  const count = view.getUint16(base + 2);
+  const subtables = [];
+  for (let i = 0; i < count; i += 1) {
+    const at = base + 4 + i * 8;
+    const platform = view.getUint16(at);
+    const encoding = view.getUint16(at + 2);
+    const offset = base + view.getUint32(at + 4);
+    subtables.push({ platform, encoding, offset, format: view.getUint16(offset) });
+  }
+  const unicode = (t) => t.platform === 0 || (t.platform === 3 && (t.encoding === 1 || t.encoding === 10));
+  const table = subtables.find((t) => unicode(t) && t.format === 12) || subtables.find((t) => unicode(t) && t.format === 4);
+  if (!table) throw new Error('The font has no Unicode character map.');
+
+  const map = new Map();
+  const { offset } = table;
+  if (table.format === 12) {
+    const groups = view.getUint32(offset + 12);
+    for (let g = 0; g < groups; g += 1) {
+      const at = offset + 16 + g * 12;
+      const start = view.getUint32(at);
+      const end = view.getUint32(at + 4);
+      const glyph = view.getUint32(at + 8);
+      for (let cp = start; cp <= end; cp += 1) map.set(cp, glyph + cp - start);
+    }
+  } else {
+    const segs = view.getUint16(offset + 6) / 2;
+    const ends = offset + 14;
+    const starts = ends + segs * 2 + 2;
+    const deltas = starts + segs * 2;
+    const ranges = deltas + segs * 2;
+    for (let s = 0; s < segs; s += 1) {
+      const start = view.getUint16(starts + s * 2);
+      const end = view.getUint16(ends + s * 2);
+      const delta = view.getInt16(deltas + s * 2);
+      const range = view.getUint16(ranges + s * 2);
+      for (let cp = start; cp <= end && cp !== 0xffff; cp += 1) {
+        let glyph;
+        if (!range) glyph = (cp + delta) & 0xffff;
+        else {
+          const raw = view.getUint16(ranges + s * 2 + range + (cp - start) * 2);
+          glyph = raw ? (raw + delta) & 0xffff : 0;
+        }
+        if (glyph) map.set(cp, glyph);
+      }
+    }
+  }
+  return (cp) => map.get(cp) || 0;
+}
+
+/* ================ OUTLINES ================ */
+
+/**
+ * Read the contours of a simple glyph as lists of { x, y, on } points.
+ * @param {DataView} view
+ * @param {number} at - Offset of the glyph header.
+ * @param {number} contours
+ * @returns {{ x: number, y: number, on: boolean }[][]}
+ */
+function readSimple(view, at, contours) {
+  let p = at + 10;
+  const ends = [];
+  for (let i = 0; i < contours; i += 1, p += 2) ends.push(view.getUint16(p));
+  p += 2 + view.getUint16(p);
+  const total = ends.length ? ends[ends.length - 1] + 1 : 0;
+
+  const flags = [];
+  while (flags.length < total) {
+    const flag = view.getUint8(p++);
+    flags.push(flag);
+    if (flag & 8) {
+      for (let r = view.getUint8(p++); r > 0; r -= 1) flags.push(flag);
+    }
+  }
+  const coords = (shortBit, sameBit) => {
+    const out = [];
+    let v = 0;
+    for (const flag of flags) {
+      if (flag & shortBit) { const d = view.getUint8(p++); v += flag & sameBit ? d : -d; }
+      else if (!(flag & sameBit)) { v += view.getInt16(p); p += 2; }
+      out.push(v);
+    }
+    return out;
+  };
+  const xs = coords(2, 16);
+  const ys = coords(4, 32);
+
+  const result = [];
+  let start = 0;
+  for (const end of ends) {
+    const pts = [];
+    for (let i = start; i <= end; i += 1) pts.push({ x: xs[i], y: ys[i], on: Boolean(flags[i] & 1) });
+    result.push(pts);
+    start = end + 1;
+  }
+  return result;
+}
+
+/**
+ * Turn contours into SVG path data in font units (y up).
+ * Implied on-curve points between two off-curve points are restored.
+ * @param {{ x: number, y: number, on: boolean }[][]} contours
+ * @returns {string}
+ */
+function contoursToPath(contours) {
+  const fmt = (n) => `${Math.round(n * 100) / 100}`;
+  let d = '';
+  for (const pts of contours) {
+    if (!pts.length) continue;
+    const first = pts.findIndex((q) => q.on);
+    const startPt = first >= 0
+      ? pts[first]
+      : { x: (pts[0].x + pts[pts.length - 1].x) / 2, y: (pts[0].y + pts[pts.length - 1].y) / 2, on: true };
+    const order = first >= 0 ? [...pts.slice(first + 1), ...pts.slice(0, first + 1)] : [...pts, startPt];
+    d += `M${fmt(startPt.x)} ${fmt(startPt.y)}`;
+    let ctrl = null;
+    for (const q of order) {
+      if (q.on) {
+        d += ctrl ? `Q${fmt(ctrl.x)} ${fmt(ctrl.y)} ${fmt(q.x)} ${fmt(q.y)}` : `L${fmt(q.x)} ${fmt(q.y)}`;
+        ctrl = null;
+      } else if (ctrl) {
+        const mid = { x: (ctrl.x + q.x) / 2, y: (ctrl.y + q.y) / 2 };
+        d += `Q${fmt(ctrl.x)} ${fmt(ctrl.y)} ${fmt(mid.x)} ${fmt(mid.y)}`;
+        ctrl = q;
+      } else {
+        ctrl = q;
+      }
+    }
+    if (ctrl) d += `Q${fmt(ctrl.x)} ${fmt(ctrl.y)} ${fmt(startPt.x)} ${fmt(startPt.y)}`;
+    d += 'Z';
+  }
+  return d;
+}
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Parse a TrueType font.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Font}
+ * @throws {Error} For CFF-flavoured (OTTO) fonts or fonts missing required tables.
+ */
+export function parseFont(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0) === 0x4f54544f) throw new Error('Only TrueType outlines are supported.');
+  const t = readTables(view);
+  for (const tag of ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf']) {
+    if (!t[tag]) throw new Error(`The font is missing its ${tag} table.`);
+  }
+
+  const unitsPerEm = view.getUint16(t.head.offset + 18);
+  const longLoca = view.getInt16(t.head.offset + 50) === 1;
+  const ascender = view.getInt16(t.hhea.offset + 4);
+  const descender = view.getInt16(t.hhea.offset + 6);
+  const metrics = view.getUint16(t.hhea.offset + 34);
+  const numGlyphs = view.getUint16(t.maxp.offset + 4);
+  const glyphOf = readCmap(view, t.cmap.offset);
+
+  const loca = (id) => (longLoca
+    ? view.getUint32(t.loca.offset + id * 4)
+    : view.getUint16(t.loca.offset + id * 2) * 2);
+  const advance = (id) => view.getUint16(t.hmtx.offset + Math.min(id, metrics - 1) * 4);
+
+  const cache = new Map();
+  /**
+   * Contours of a glyph, resolving composite glyphs (offsets and scale only).
+   * @param {number} id
+   * @param {number} [depth=0]
+   * @returns {{ x: number, y: number, on: boolean }[][]}
+   */
+  const contoursOf = (id, depth = 0) => {
+    if (id >= numGlyphs || depth > 8) return [];
+    const start = loca(id);
+    if (loca(id + 1) === start) return [];
+    const at = t.glyf.offset + start;
+    const count = view.getInt16(at);
+    if (count >= 0) return readSimple(view, at, count);
+
+    const out = [];
+    let p = at + 10;
+    let flags;
+    do {
+      flags = view.getUint16(p);
+      const child = view.getUint16(p + 2);
+      p += 4;
+      const words = flags & 1;
+      const dx = words ? view.getInt16(p) : view.getInt8(p);
+      const dy = words ? view.getInt16(p + 2) : view.getInt8(p + 1);
+      p += words ? 4 : 2;
+      let [a, b, c, d] = [1, 0, 0, 1];
+      if (flags & 8) { a = d = view.getInt16(p) / 16384; p += 2; }
+      else if (flags & 0x40) { a = view.getInt16(p) / 16384; d = view.getInt16(p + 2) / 16384; p += 4; }
+      else if (flags & 0x80) {
+        [a, b, c, d] = [0, 2, 4, 6].map((k) => view.getInt16(p + k) / 16384);
+        p += 8;
+      }
+      const xy = flags & 2;
+      for (const pts of contoursOf(child, depth + 1)) {
+        out.push(pts.map((q) => ({
+          x: a * q.x + c * q.y + (xy ? dx : 0),
+          y: b * q.x + d * q.y + (xy ? dy : 0),
+          on: q.on
+        })));
+      }
+    } while (flags & 0x20);
+    return out;
+  };
+
+  return {
+    unitsPerEm,
+    ascender,
+    descender,
+    glyphOf: (ch) => glyphOf(ch.codePointAt(0)),
+    advance,
+    path: (id) => {
+      if (!cache.has(id)) cache.set(id, contoursToPath(contoursOf(id)));
+      return cache.get(id);
+    }
+  };
+}
+
+/**
+ * @typedef {Object} Font
+ * @property {number} unitsPerEm
+ * @property {number} ascender - In font units, above the baseline.
+ * @property {number} descender - In font units, negative below the baseline.
+ * @property {(ch: string) => number} glyphOf - Glyph id for a character, 0 when missing.
+ * @property {(id: number) => number} advance - Advance width in font units.
+ * @property {(id: number) => string} path - SVG path data in font units, y up.
+ */
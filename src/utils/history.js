@@ -0,0 +1,219 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/history.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Transcription history: every piece of work in the translator, with its time, direction, mode, profile, source language and script.
+- Kept in IndexedDB, or in localStorage where IndexedDB is missing or blocked (private windows, file://).
+- Search over both the Latin and Baybayin side, pinning, and a JSON export like the dictionary's.
+*/
+
+export const STORAGE_KEY = 'bybyn:history';
+export const HISTORY_LIMIT = 500;   // unpinned entries kept; the oldest go first
+const DB_NAME = 'bybyn';
+const DB_STORE = 'history';
+const FORMAT_VERSION = 1;
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Fold text for matching: lowercase, no accents, single spaces.
+ * The vowel signs and killer marks of Baybayin, Hanunó'o, Buhid and Tagbanwa (U+1700–U+177F) stay.
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return `${text}`.normalize('NFD').replace(/\p{M}/gu, (m) => (/[\u1700-\u177f]/.test(m) ? m : ''))
+    .toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Order entries for display: pinned first, then newest first.
+ * @param {HistoryEntry[]} entries
+ * @returns {HistoryEntry[]} A new list.
+ */
+export function sortHistory(entries) {
+  return [...entries].sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Find entries whose source or output contains every word of a query.
+ * Latin matches ignore case and accents; Baybayin matches glyph for glyph.
+ * @param {HistoryEntry[]} entries
+ * @param {string} [query='']
+ * @returns {HistoryEntry[]} Matching entries, sorted like sortHistory().
+ */
+export function searchHistory(entries, query = '') {
+  const words = fold(query).split(' ').filter(Boolean);
+  const hits = words.length
+    ? entries.filter((e) => {
+      const text = fold(`${e.source}\n${e.output}`);
+      return words.every((w) => text.includes(w));
+    })
+    : entries;
+  return sortHistory(hits);
+}
+
+/**
+ * Drop the oldest unpinned entries beyond the limit.
+ * @param {HistoryEntry[]} entries
+ * @param {number} [limit=HISTORY_LIMIT]
+ * @returns {HistoryEntry[]} The entries to remove.
+ */
+export function overLimit(entries, limit = HISTORY_LIMIT) {
+  return sortHistory(entries).filter((e) => !e.pinned).slice(limit);
+}
+
+/**
+ * Serialize the history for export.
+ * @param {HistoryEntry[]} entries
+ * @returns {string}
+ */
+export function serializeHistory(entries) {
+  return `${JSON.stringify({ version: FORMAT_VERSION, entries: sortHistory(entries) }, null, 2)}\n`;
+}
+
+/**
+ * Fill in a new entry from what the translator shows.
+ * @param {{ source: string, output: string, direction: 'baybayin'|'latin', mode: string, profile: string, language?: string, script?: string }} record
+ * @param {Date} [date = new Date()]
+ * @returns {HistoryEntry}
+ */
+export function createEntry({ source, output, direction, mode, profile, language = 'tl', script }, date = new Date()) {
+  const id = `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const at = date.toISOString();
+  return { id, createdAt: at, updatedAt: at, source, output, direction, mode, profile, language, script, pinned: false };
+}
+
+/**
+ * Promise for an IndexedDB request.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function done(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Backend on IndexedDB, or null when the database cannot be opened.
+ * @param {IDBFactory} idb
+ * @returns {Promise<HistoryBackend|null>}
+ */
+async function openIndexedDb(idb) {
+  try {
+    const open = idb.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(DB_STORE, { keyPath: 'id' });
+    const db = await done(open);
+    const store = (mode) => db.transaction(DB_STORE, mode).objectStore(DB_STORE);
+    return {
+      all: () => done(store('readonly').getAll()),
+      put: (entry) => done(store('readwrite').put(entry)),
+      remove: (id) => done(store('readwrite').delete(id)),
+      clear: () => done(store('readwrite').clear())
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Backend on localStorage, as one JSON list under bybyn:history.
+ * @param {Storage|null} storage
+ * @returns {HistoryBackend}
+ */
+function openStorage(storage) {
+  const read = () => {
+    try {
+      const list = JSON.parse(storage?.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (list) => { try { storage?.setItem(STORAGE_KEY, JSON.stringify(list)); } catch {} };
+  return {
+    all: async () => read(),
+    put: async (entry) => write([...read().filter((e) => e.id !== entry.id), entry]),
+    remove: async (id) => write(read().filter((e) => e.id !== id)),
+    clear: async () => write([])
+  };
+}
+
+/**
+ * Open the history store.
+ * @param {{ indexedDB?: IDBFactory|null, storage?: Storage|null, limit?: number }} [opts]
+ *   Defaults to the browser's IndexedDB and localStorage; pass indexedDB: null to use localStorage only.
+ * @returns {HistoryStore}
+ */
+export function createHistoryStore({ indexedDB = globalThis.indexedDB, storage = globalThis.localStorage, limit = HISTORY_LIMIT } = {}) {
+  let backend = null;
+  const ready = () => {
+    backend ??= (indexedDB ? openIndexedDb(indexedDB) : Promise.resolve(null))
+      .then((db) => db || openStorage(storage));
+    return backend;
+  };
+
+  return {
+    async list(query = '') {
+      return searchHistory(await (await ready()).all(), query);
+    },
+    async add(record) {
+      const db = await ready();
+      const entry = createEntry(record);
+      await db.put(entry);
+      for (const old of overLimit(await db.all(), limit)) await db.remove(old.id);
+      return entry;
+    },
+    async update(id, patch) {
+      const db = await ready();
+      const entry = (await db.all()).find((e) => e.id === id);
+      if (!entry) return null;
+      const next = { ...entry, ...patch, id, createdAt: entry.createdAt };
+      if (!('pinned' in patch) || Object.keys(patch).length > 1) next.updatedAt = new Date().toISOString();
+      await db.put(next);
+      return next;
+    },
+    async remove(id) {
+      await (await ready()).remove(id);
+    },
+    async clear() {
+      await (await ready()).clear();
+    }
+  };
+}
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} createdAt - ISO time the work started.
+ * @property {string} updatedAt - ISO time of its last change.
+ * @property {string} source - Text of the editable panel.
+ * @property {string} output - Text of the output panel.
+ * @property {'baybayin'|'latin'} direction - Script the source was transcribed into.
+ * @property {string} mode - krus-kudlit or pamupod.
+ * @property {string} profile - Orthography profile id.
+ * @property {string} [language] - Source language id; entries from before languages are Tagalog.
+ * @property {string} [script] - Script of the Baybayin side; Baybayin when missing.
+ * @property {boolean} pinned - Pinned entries sort first and are never pruned.
+ */
+
+/**
+ * @typedef {Object} HistoryStore
+ * @property {(query?: string) => Promise<HistoryEntry[]>} list - Entries matching a search, pinned and newest first.
+ * @property {(record: { source: string, output: string, direction: 'baybayin'|'latin', mode: string, profile: string, language?: string, script?: string }) => Promise<HistoryEntry>} add
+ * @property {(id: string, patch: Partial<HistoryEntry>) => Promise<HistoryEntry|null>} update - Pinning alone keeps the entry's time.
+ * @property {(id: string) => Promise<void>} remove
+ * @property {() => Promise<void>} clear
+ */
+
+/**
+ * @typedef {Object} HistoryBackend
+ * @property {() => Promise<HistoryEntry[]>} all
+ * @property {(entry: HistoryEntry) => Promise<void>} put
+ * @property {(id: string) => Promise<void>} remove
+ * @property {() => Promise<void>} clear
+ */
@@ -0,0 +1,262 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/image.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Lays out Baybayin output with the bundled fonts and renders it as SVG or PNG.
+- SVG glyphs are either outlined (paths, no font needed) or drawn with the font embedded.
+- PNG goes through a canvas, so posters and cards look the same without a Baybayin font.
+*/
+
+import { parseFont } from './font.js';
+import { legacyKeys } from './legacy.js';
+
+/* ================ FONTS ================ */
+
+// The Takipsilim font is keyed to ASCII (legacy Baybayin keyboard layout, see legacy.js), not Unicode.
+const TAKIPSILIM_KEYS = { ...legacyKeys('takipsilim'), '/': ',' };   // slashes are written as dandas
+
+/**
+ * @typedef {Object} ImageFont
+ * @property {string} id
+ * @property {string} label - Name shown in the export panel.
+ * @property {string} url - Where the bundled TrueType file lives.
+ * @property {Record<string,string>} [keys] - Character remapping for fonts not keyed to Unicode.
+ */
+
+/** @type {Record<string, ImageFont>} */
+export const IMAGE_FONTS = {
+  noto: {
+    id: 'noto',
+    label: 'Noto Sans Tagalog',
+    url: new URL('../../public/fonts/NotoSansTagalog.ttf', import.meta.url).href
+  },
+  pamudpod: {
+    id: 'pamudpod',
+    label: 'Pamudpod Takipsilim',
+    url: new URL('../../public/fonts/PamudpodTakipsilimn.ttf', import.meta.url).href,
+    keys: TAKIPSILIM_KEYS
+  }
+};
+
+const EMBEDDED_FAMILY = 'BYBYN Baybayin';
+const FALLBACK_FAMILY = "'GTVC-Book', system-ui, sans-serif";
+
+/**
+ * Load and parse a bundled font once.
+ * @type {(id: string, fetchImpl?: typeof fetch) => Promise<LoadedFont>}
+ */
+export const loadFont = (() => {
+  const cache = new Map();
+  return (id, fetchImpl = globalThis.fetch) => {
+    const spec = IMAGE_FONTS[id] || IMAGE_FONTS.noto;
+    if (!cache.has(spec.id)) {
+      const pending = fetchImpl(spec.url)
+        .then((res) => {
+          if (!res.ok) throw new Error(`Could not load ${spec.label} (${res.status}).`);
+          return res.arrayBuffer();
+        })
+        .then((buffer) => fontFromData(spec.id, new Uint8Array(buffer)));
+      pending.catch(() => cache.delete(spec.id));
+      cache.set(spec.id, pending);
+    }
+    return cache.get(spec.id);
+  };
+})();
+
+/**
+ * Wrap raw font bytes for rendering; useful where the file is read directly (Node, tests).
+ * @param {string} id - A key of IMAGE_FONTS.
+ * @param {Uint8Array} data
+ * @returns {LoadedFont}
+ */
+export function fontFromData(id, data) {
+  const spec = IMAGE_FONTS[id] || IMAGE_FONTS.noto;
+  return { spec, data, font: parseFont(data) };
+}
+
+/* ================ LAYOUT ================ */
+
+/**
+ * Escape text for XML content and attributes.
+ * @param {string} s
+ * @returns {string}
+ */
+function xml(s) {
+  return `${s}`.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Base64 of font bytes, for embedding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  if (typeof globalThis.Buffer === 'function') return globalThis.Buffer.from(bytes).toString('base64');
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+/**
+ * Width estimate for text in the fallback font, used when no measure function is given.
+ * @param {string} text
+ * @param {number} px
+ * @returns {number}
+ */
+function estimateWidth(text, px) {
+  return [...text].length * px * 0.55;
+}
+
+/**
+ * Place every character of one line.
+ * Characters the font lacks become fallback text runs in a system font.
+ * @param {string} line
+ * @param {LoadedFont} loaded
+ * @param {number} size
+ * @param {(text: string, px: number) => number} measure
+ * @returns {{ width: number, text: string, glyphs: { x: number, id: number }[], runs: { x: number, text: string }[] }}
+ */
+function layoutLine(line, { spec, font }, size, measure) {
+  const scale = size / font.unitsPerEm;
+  const glyphs = [];
+  const runs = [];
+  let text = '';
+  let x = 0;
+  let inRun = false;
+  for (const raw of line.replace(/\t/g, '    ')) {
+    const ch = spec.keys?.[raw] ?? raw;
+    const id = font.glyphOf(ch);
+    if (id) {
+      glyphs.push({ x, id });
+      text += ch;
+      x += font.advance(id) * scale;
+      inRun = false;
+      continue;
+    }
+    if (inRun) runs[runs.length - 1].text += raw;
+    else runs.push({ x, text: raw });
+    inRun = true;
+    text += raw;
+    x += measure(raw, size);
+  }
+  return { width: x, text, glyphs, runs };
+}
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Render Baybayin text (and optionally its Latin source) as an SVG document.
+ * @param {string} text - Baybayin output; newlines start new lines.
+ * @param {LoadedFont} loaded - From loadFont() or fontFromData().
+ * @param {ImageOptions} [opts]
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+export function renderSvg(text, loaded, {
+  size = 64,
+  color = '#3B0918',
+  background = '#FFF3D9',
+  padding = 32,
+  glyphs: style = 'outline',
+  source = '',
+  lineHeight = 1.6,
+  measure = estimateWidth
+} = {}) {
+  const { font, data } = loaded;
+  const scale = size / font.unitsPerEm;
+  const ascent = font.ascender * scale;
+  const descent = -font.descender * scale;
+  const lines = `${text}`.replace(/\r\n?/g, '\n').replace(/\s+$/, '').split('\n').map((l) => layoutLine(l, loaded, size, measure));
+
+  const sourceSize = Math.round(size * 0.4);
+  const sourceLines = source ? `${source}`.replace(/\r\n?/g, '\n').trim().split('\n') : [];
+  const sourceGap = sourceLines.length ? size * 0.5 : 0;
+  const sourceStep = sourceSize * 1.4;
+
+  const blockHeight = ascent + descent + (lines.length - 1) * size * lineHeight;
+  const sourceHeight = sourceLines.length ? sourceGap + sourceLines.length * sourceStep : 0;
+  const contentWidth = Math.max(1, ...lines.map((l) => l.width), ...sourceLines.map((l) => measure(l, sourceSize)));
+  const width = Math.ceil(contentWidth + padding * 2);
+  const height = Math.ceil(blockHeight + sourceHeight + padding * 2);
+  const fmt = (n) => `${Math.round(n * 100) / 100}`;
+  const unit = Math.round(scale * 1e5) / 1e5;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+  if (style === 'embed') {
+    parts.push(`<style>@font-face{font-family:"${EMBEDDED_FAMILY}";src:url(data:font/ttf;base64,${toBase64(data)}) format("truetype");}</style>`);
+  } else {
+    const used = [...new Set(lines.flatMap((l) => l.glyphs.map((g) => g.id)))];
+    const defs = used.map((id) => ({ id, d: font.path(id) })).filter((g) => g.d);
+    if (defs.length) parts.push(`<defs>${defs.map((g) => `<path id="g${g.id}" d="${g.d}"/>`).join('')}</defs>`);
+  }
+  if (background && background !== 'transparent') {
+    parts.push(`<rect width="100%" height="100%" fill="${xml(background)}"/>`);
+  }
+
+  parts.push(`<g fill="${xml(color)}">`);
+  lines.forEach((line, i) => {
+    const y = padding + ascent + i * size * lineHeight;
+    if (style === 'embed') {
+      if (line.text.trim()) {
+        parts.push(`<text x="${fmt(padding)}" y="${fmt(y)}" font-family="'${EMBEDDED_FAMILY}', ${FALLBACK_FAMILY}" font-size="${size}" xml:space="preserve">${xml(line.text)}</text>`);
+      }
+      return;
+    }
+    for (const g of line.glyphs) {
+      if (!font.path(g.id)) continue;
+      parts.push(`<use href="#g${g.id}" transform="translate(${fmt(padding + g.x)} ${fmt(y)}) scale(${unit} ${-unit})"/>`);
+    }
+    for (const run of line.runs) {
+      if (!run.text.trim()) continue;
+      parts.push(`<text x="${fmt(padding + run.x)}" y="${fmt(y)}" font-family="${FALLBACK_FAMILY}" font-size="${size}" xml:space="preserve">${xml(run.text)}</text>`);
+    }
+  });
+  sourceLines.forEach((line, i) => {
+    const y = padding + blockHeight + sourceGap + sourceSize + i * sourceStep;
+    parts.push(`<text x="${fmt(padding)}" y="${fmt(y)}" font-family="${FALLBACK_FAMILY}" font-size="${sourceSize}" xml:space="preserve">${xml(line)}</text>`);
+  });
+  parts.push('</g></svg>');
+  return { svg: parts.join(''), width, height };
+}
+
+/**
+ * Rasterize a rendered SVG to PNG through a canvas.
+ * @param {{ svg: string, width: number, height: number }} rendered - From renderSvg().
+ * @param {{ scale?: number, doc?: Document }} [opts] - scale is the pixel ratio (2 for sharp slides).
+ * @returns {Promise<Blob>}
+ */
+export async function renderPng({ svg, width, height }, { scale = 2, doc = globalThis.document } = {}) {
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await img.decode();
+  const canvas = doc.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.drawImage(img, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The image could not be created.'))), 'image/png');
+  });
+}
+
+/**
+ * @typedef {Object} LoadedFont
+ * @property {ImageFont} spec
+ * @property {Uint8Array} data - The font file, for embedding.
+ * @property {import('./font.js').Font} font
+ */
+
+/**
+ * @typedef {Object} ImageOptions
+ * @property {number} [size=64] - Baybayin font size in px.
+ * @property {string} [color='#3B0918'] - Text colour.
+ * @property {string} [background='#FFF3D9'] - Background colour, or 'transparent'.
+ * @property {number} [padding=32] - Space around the text in px.
+ * @property {'outline'|'embed'} [glyphs='outline'] - Draw glyphs as paths, or embed the font.
+ * @property {string} [source=''] - Latin text set underneath in a smaller size.
+ * @property {number} [lineHeight=1.6] - Line spacing as a multiple of size.
+ * @property {(text: string, px: number) => number} [measure] - Width of fallback text; estimated when omitted.
+ */
@@ -0,0 +1,113 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/ime.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Phonetic input method: typing Latin into a Baybayin field writes Baybayin in place ("k" → ᜃ᜔, then "a" → ᜃ).
+- Composition only looks at the text before the caret, so it works anywhere in the text and survives re-renders.
+- bindIme() attaches it to a contenteditable element, <textarea> or <input>.
+*/
+
+import { toBaybayinWithMode } from './transcription.js';
+import { selectionOffsets, replaceText, textBetween, textOffset } from './caret.js';
+
+const CONSONANT = /[ᜃ-ᜑ]/;
+const LETTER = /\p{L}/u;
+const KILLER = /[᜔᜕]/;
+const VOWEL_SIGNS = { a: '', e: 'ᜒ', i: 'ᜒ', o: 'ᜓ', u: 'ᜓ' };
+const NA = 'ᜈ';
+const NGA = 'ᜅ';
+const CONTEXT = 4;   // characters before the caret a keystroke can rewrite
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Work out what typing one character writes, given the text just before the caret.
+ * - A consonant is written with the killer mark of the mode, as a final consonant would be.
+ * - A vowel after such a consonant drops the mark (a) or turns it into a vowel sign (i/e, o/u);
+ *   anywhere else it is an independent vowel.
+ * - "g" after a killed "n" recomposes the pair as nga.
+ * - Everything else goes through the transcriber, so loan letters and punctuation match the output panel.
+ *   Punctuation follows the profile; letters always use modern spelling.
+ * @param {string} before - Text before the caret; the last few characters are enough.
+ * @param {string} ch - The typed character.
+ * @param {{ mode?: 'krus-kudlit'|'pamupod', profile?: string }} [opts]
+ * @returns {{ remove: number, insert: string }} Characters to delete before the caret and text to insert.
+ */
+export function imeCompose(before, ch, { mode = 'krus-kudlit', profile } = {}) {
+  const letter = ch.toLowerCase();
+  const prev = before.slice(-1);
+  const killed = KILLER.test(prev) && CONSONANT.test(before.slice(-2, -1));
+
+  if (letter in VOWEL_SIGNS && killed) return { remove: 1, insert: VOWEL_SIGNS[letter] };
+  if (letter === 'g' && killed && before.slice(-2, -1) === NA) return { remove: 2, insert: NGA + prev };
+  // Letters skip the profile: one that drops final consonants (doctrina) would leave nothing for the vowel to join.
+  return { remove: 0, insert: toBaybayinWithMode(letter, LETTER.test(letter) ? { mode } : { mode, profile }) };
+}
+
+/**
+ * Compose a run of typed text (one keystroke, or several characters from autocorrect or dictation).
+ * @param {string} before - Text before the caret.
+ * @param {string} data - Typed text.
+ * @param {{ mode?: 'krus-kudlit'|'pamupod', profile?: string }} [opts]
+ * @returns {{ remove: number, insert: string }}
+ */
+export function imeInsert(before, data, opts = {}) {
+  let text = before;
+  for (const ch of data) {
+    const { remove, insert } = imeCompose(text, ch, opts);
+    text = text.slice(0, text.length - remove) + insert;
+  }
+  let same = 0;
+  while (same < before.length && same < text.length && before[same] === text[same]) same += 1;
+  return { remove: before.length - same, insert: text.slice(same) };
+}
+
+/**
+ * Attach the input method to a text field. Typed text is composed into Baybayin and
+ * Backspace removes one glyph component (a vowel sign or killer mark before its consonant).
+ * The field fires its usual input event afterwards.
+ * @param {HTMLElement} el - A contenteditable element, <textarea> or <input>.
+ * @param {{ getOptions?: () => { mode?: 'krus-kudlit'|'pamupod', profile?: string }, isEnabled?: () => boolean }} [opts]
+ * @returns {() => void} Detaches the input method.
+ */
+export function bindIme(el, { getOptions = () => ({}), isEnabled = () => true } = {}) {
+  const field = typeof el.setRangeText === 'function';
+
+  /**
+   * Current selection of the field as offsets; the end of the text when it has none.
+   * @returns {{ start: number, end: number }}
+   */
+  const selection = () => {
+    if (field) return { start: el.selectionStart ?? el.value.length, end: el.selectionEnd ?? el.value.length };
+    const length = textOffset(el, el, el.childNodes.length);
+    return selectionOffsets(el) || { start: length, end: length };
+  };
+
+  const before = (start) => (field
+    ? el.value.slice(Math.max(0, start - CONTEXT), start)
+    : textBetween(el, Math.max(0, start - CONTEXT), start));
+
+  const replace = (from, to, text) => {
+    if (field) el.setRangeText(text, from, to, 'end');
+    else replaceText(el, from, to, text);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const onBeforeInput = (e) => {
+    if (!isEnabled() || e.isComposing) return;
+    const { start, end } = selection();
+    if (e.inputType === 'insertText' && e.data) {
+      e.preventDefault();
+      const { remove, insert } = imeInsert(before(start), e.data, getOptions());
+      replace(start - remove, end, insert);
+    } else if (e.inputType === 'deleteContentBackward' && start === end && start > 0) {
+      e.preventDefault();
+      replace(start - 1, start, '');
+    }
+  };
+
+  el.addEventListener('beforeinput', onBeforeInput);
+  return () => el.removeEventListener('beforeinput', onBeforeInput);
+}
@@ -0,0 +1,115 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/keyboard.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Layout of the on-screen Baybayin keyboard: independent vowels, consonants, vowel signs, killer mark and dandas.
+- Physical-keyboard shortcuts for the same keys.
+- composeKey() decides what a key press writes, so vowel signs and the killer mark always follow their consonant.
+*/
+
+const KUDLIT = '᜔';
+const PAMUDPOD = '᜕';
+const CONSONANT = /[ᜃ-ᜑ]/;
+const SIGN = /[ᜒᜓ᜔᜕]/;
+
+/**
+ * Keys of the on-screen keyboard, row by row.
+ * The killer key has no fixed glyph: it writes the kudlit or pamudpod of the active mode.
+ * @type {KeyboardKey[][]}
+ */
+export const KEYBOARD_ROWS = [
+  [
+    { id: 'a', label: 'a', glyph: 'ᜀ', kind: 'vowel', shortcut: 'a' },
+    { id: 'i', label: 'i/e', glyph: 'ᜁ', kind: 'vowel', shortcut: 'i' },
+    { id: 'u', label: 'u/o', glyph: 'ᜂ', kind: 'vowel', shortcut: 'u' },
+    { id: 'sign-i', label: 'i/e sign', glyph: 'ᜒ', kind: 'sign', shortcut: 'I' },
+    { id: 'sign-u', label: 'u/o sign', glyph: 'ᜓ', kind: 'sign', shortcut: 'U' },
+    { id: 'killer', label: 'killer mark', glyph: null, kind: 'sign', shortcut: '+' }
+  ],
+  [
+    { id: 'ka', label: 'ka', glyph: 'ᜃ', kind: 'consonant', shortcut: 'k' },
+    { id: 'ga', label: 'ga', glyph: 'ᜄ', kind: 'consonant', shortcut: 'g' },
+    { id: 'nga', label: 'nga', glyph: 'ᜅ', kind: 'consonant', shortcut: 'N' },
+    { id: 'ta', label: 'ta', glyph: 'ᜆ', kind: 'consonant', shortcut: 't' },
+    { id: 'da', label: 'da', glyph: 'ᜇ', kind: 'consonant', shortcut: 'd' },
+    { id: 'na', label: 'na', glyph: 'ᜈ', kind: 'consonant', shortcut: 'n' },
+    { id: 'pa', label: 'pa', glyph: 'ᜉ', kind: 'consonant', shortcut: 'p' },
+    { id: 'ba', label: 'ba', glyph: 'ᜊ', kind: 'consonant', shortcut: 'b' }
+  ],
+  [
+    { id: 'ma', label: 'ma', glyph: 'ᜋ', kind: 'consonant', shortcut: 'm' },
+    { id: 'ya', label: 'ya', glyph: 'ᜌ', kind: 'consonant', shortcut: 'y' },
+    { id: 'ra', label: 'ra', glyph: 'ᜍ', kind: 'consonant', shortcut: 'r' },
+    { id: 'la', label: 'la', glyph: 'ᜎ', kind: 'consonant', shortcut: 'l' },
+    { id: 'wa', label: 'wa', glyph: 'ᜏ', kind: 'consonant', shortcut: 'w' },
+    { id: 'sa', label: 'sa', glyph: 'ᜐ', kind: 'consonant', shortcut: 's' },
+    { id: 'ha', label: 'ha', glyph: 'ᜑ', kind: 'consonant', shortcut: 'h' }
+  ],
+  [
+    { id: 'danda', label: 'danda', glyph: '᜵', kind: 'punctuation', shortcut: ',' },
+    { id: 'double-danda', label: 'double danda', glyph: '᜶', kind: 'punctuation', shortcut: '.' },
+    { id: 'space', label: 'space', glyph: ' ', kind: 'space', shortcut: null },
+    { id: 'backspace', label: 'backspace', glyph: null, kind: 'backspace', shortcut: null }
+  ]
+];
+
+/** @type {Record<string, KeyboardKey>} */
+export const KEYBOARD_KEYS = Object.fromEntries(KEYBOARD_ROWS.flat().map((k) => [k.id, k]));
+
+// Physical keys (KeyboardEvent.key) to on-screen keys. e and o share the i and u keys.
+/** @type {Record<string, KeyboardKey>} */
+export const KEYBOARD_SHORTCUTS = {
+  ...Object.fromEntries(KEYBOARD_ROWS.flat().filter((k) => k.shortcut).map((k) => [k.shortcut, k])),
+  e: KEYBOARD_KEYS.i,
+  o: KEYBOARD_KEYS.u,
+  E: KEYBOARD_KEYS['sign-i'],
+  O: KEYBOARD_KEYS['sign-u']
+};
+
+/**
+ * The character a key writes in a mode.
+ * @param {KeyboardKey} key
+ * @param {'krus-kudlit'|'pamupod'} [mode='krus-kudlit']
+ * @returns {string}
+ */
+export function keyGlyph(key, mode = 'krus-kudlit') {
+  if (key.id === 'killer') return mode === 'pamupod' ? PAMUDPOD : KUDLIT;
+  return key.glyph ?? '';
+}
+
+/**
+ * Work out what a key press writes, given the text just before the caret.
+ * - A consonant is written with any sign that was waiting for it.
+ * - A sign attaches to the consonant before the caret. A consonant takes one sign:
+ *   a different sign replaces it, and the same sign again removes it.
+ * - A sign with no consonant to attach to waits (pending) for the next consonant.
+ * @param {string} before - Text before the caret; the last two characters are enough.
+ * @param {KeyboardKey} key
+ * @param {{ mode?: 'krus-kudlit'|'pamupod', pending?: string }} [state]
+ * @returns {{ remove: number, insert: string, pending: string }} Characters to delete before the caret, text to insert, and the new pending sign.
+ */
+export function composeKey(before, key, { mode = 'krus-kudlit', pending = '' } = {}) {
+  const glyph = keyGlyph(key, mode);
+  const prev = before.slice(-1);
+  const prevBase = before.slice(-2, -1);
+
+  if (key.kind === 'consonant') return { remove: 0, insert: glyph + pending, pending: '' };
+  if (key.kind !== 'sign') return { remove: 0, insert: glyph, pending: '' };
+
+  if (CONSONANT.test(prev)) return { remove: 0, insert: glyph, pending: '' };
+  if (SIGN.test(prev) && CONSONANT.test(prevBase)) {
+    return { remove: 1, insert: prev === glyph ? '' : glyph, pending: '' };
+  }
+  return { remove: 0, insert: '', pending: pending === glyph ? '' : glyph };
+}
+
+/**
+ * @typedef {Object} KeyboardKey
+ * @property {string} id
+ * @property {string} label - Latin name, used for titles and screen readers.
+ * @property {string|null} glyph - Character written; null for the killer mark and backspace.
+ * @property {'vowel'|'consonant'|'sign'|'punctuation'|'space'|'backspace'} kind
+ * @property {string|null} shortcut - KeyboardEvent.key that presses it.
+ */
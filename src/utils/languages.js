@@ -0,0 +1,115 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/languages.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Source languages consumed by transcription.js when writing Latin text in Baybayin:
+  Tagalog, Ilokano, Cebuano, Hiligaynon, Bikol and Kapampangan.
+- Each language is plain data: native spelling rules (Spanish-era qu/gu, clitic contractions),
+  function words written by respelling, and which of the profile's abbreviations it uses.
+- Loanwords (spelled with f, v, z, x or ch/sh/th/ph) skip the native rules and keep their spelling
+  for the shared normalization in transcription.js.
+*/
+
+// Spanish-era spellings of native words: daguiti → dagiti, quet → ket, Capampangan → Kapampangan.
+const SPANISH_ERA = [
+  [/qu(?=[ei])/g, 'k'],
+  [/gu(?=[ei])/g, 'g']
+];
+
+// Letters and digraphs no Philippine alphabet uses for native words.
+const LOAN_LETTERS = /[fvzx]|ch|sh|th|ph/;
+
+/**
+ * @typedef {Object} Language
+ * @property {string} id - Stable key (ISO 639), stored in sessionStorage as bybyn:language.
+ * @property {string} label - Name for the language picker and the Latin panel heading.
+ * @property {string} description - One line shown as the picker tooltip.
+ * @property {[RegExp, string][]} rules - Rewrites of native words, after lowercasing and before the shared rules.
+ * @property {Record<string,string>} exceptions - Function words and spelling variants, written by respelling.
+ * @property {string[]} abbreviations - Which of the profile's abbreviations (mga, ng, nang) apply.
+ */
+
+/** @type {Record<string, Language>} */
+export const LANGUAGES = {
+  tl: {
+    id: 'tl',
+    label: 'Tagalog',
+    description: 'Tagalog and Filipino: "’y" stands for "ay", and "mga" and "ng" take the profile\'s abbreviations.',
+    rules: [[/(?<=\w)[’'‘](?=y\b)/g, ' a']],
+    exceptions: { dyos: 'dyos', shi: 'si' },
+    abbreviations: ['mga', 'ng', 'nang']
+  },
+  ilo: {
+    id: 'ilo',
+    label: 'Ilokano',
+    description: 'Ilokano: Spanish-era spellings (daguiti, quet) are read as dagiti and ket.',
+    rules: [...SPANISH_ERA],
+    exceptions: {
+      ti: 'ti', iti: 'iti', dagiti: 'dagiti', kadagiti: 'kadagiti', ken: 'ken', ket: 'ket', nga: 'nga',
+      daguiti: 'dagiti', cadaguiti: 'kadagiti', quen: 'ken', quet: 'ket'
+    },
+    abbreviations: []
+  },
+  ceb: {
+    id: 'ceb',
+    label: 'Cebuano',
+    description: 'Cebuano: "’y" stands for "ang" and "’g" for "ug"; "og" is written as "ug".',
+    rules: [[/(?<=\w)[’'‘]y\b/g, ' ang'], [/(?<=\w)[’'‘]g\b/g, ' ug'], ...SPANISH_ERA],
+    exceptions: { sa: 'sa', ug: 'ug', og: 'ug', ang: 'ang', nga: 'nga', kay: 'kay', si: 'si', ni: 'ni' },
+    abbreviations: ['mga']
+  },
+  hil: {
+    id: 'hil',
+    label: 'Hiligaynon',
+    description: 'Hiligaynon: Spanish-era spellings are read as modern ones.',
+    rules: [...SPANISH_ERA],
+    exceptions: { ang: 'ang', sang: 'sang', sa: 'sa', kag: 'kag', nga: 'nga', si: 'si', ni: 'ni' },
+    abbreviations: ['mga']
+  },
+  bcl: {
+    id: 'bcl',
+    label: 'Bikol',
+    description: 'Central Bikol: Spanish-era spellings are read as modern ones.',
+    rules: [...SPANISH_ERA],
+    exceptions: { an: 'an', kan: 'kan', nin: 'nin', sa: 'sa', asin: 'asin', si: 'si', ni: 'ni' },
+    abbreviations: ['mga']
+  },
+  pam: {
+    id: 'pam',
+    label: 'Kapampangan',
+    description: 'Kapampangan: Spanish-era spellings (Capampangan, queng) are read as Kapampangan and keng.',
+    rules: [...SPANISH_ERA],
+    exceptions: { ing: 'ing', ding: 'ding', king: 'king', keng: 'keng', queng: 'keng', ning: 'ning', at: 'at', ampo: 'ampo' },
+    abbreviations: []
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'tl';
+
+/**
+ * Resolve a language from its id. Unknown ids fall back to Tagalog.
+ * @param {string} [language]
+ * @returns {Language}
+ */
+export function getLanguage(language = DEFAULT_LANGUAGE) {
+  return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * List the available languages in display order.
+ * @returns {Language[]}
+ */
+export function listLanguages() {
+  return Object.values(LANGUAGES);
+}
+
+/**
+ * Whether a lowercased, accent-free word is spelled as a loanword.
+ * @param {string} word
+ * @returns {boolean}
+ */
+export function isLoanword(word) {
+  return LOAN_LETTERS.test(word);
+}
@@ -0,0 +1,235 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/learn.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Exercises for the Learn View, built from the syllable map and the transcriber:
+  glyph → syllable, syllable → glyph, read a word, and write a word.
+- One deck per killer mark (Krus-Kudlit and Pamupod), since final consonants are written differently.
+- Spaced repetition (SM-2): every answer reschedules its card; progress persists to localStorage.
+*/
+
+import { syllableMap, toBaybayinWithMode } from './transcription.js';
+
+export const STORAGE_KEY = 'bybyn:learn';
+export const DECKS = {
+  'krus-kudlit': { id: 'krus-kudlit', label: 'Krus-Kudlit', mode: 'krus-kudlit' },
+  pamupod: { id: 'pamupod', label: 'Pamupod', mode: 'pamupod' }
+};
+export const NEW_PER_SESSION = 10;   // new cards introduced per session
+const FORMAT_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+const RETRY = 10 * 60 * 1000;        // a missed card comes back after ten minutes
+const MIN_EASE = 1.3;
+
+// Answer quality on the SM-2 scale (0-5).
+export const QUALITY = { wrong: 1, correct: 4 };
+
+// Everyday words for the read and write exercises; all of them are in the bundled lexicon.
+const PRACTICE_WORDS = [
+  'araw', 'buwan', 'bituin', 'ulan', 'hangin', 'apoy', 'tubig', 'bato', 'puno', 'dahon',
+  'bahay', 'bayan', 'bundok', 'dagat', 'ilog', 'langit', 'lupa', 'isda', 'manok', 'aso',
+  'pusa', 'ibon', 'kabayo', 'mata', 'ilong', 'bibig', 'kamay', 'puso', 'salita', 'wika',
+  'aklat', 'guro', 'bata', 'anak', 'kaibigan', 'pamilya', 'gabi', 'umaga', 'tinapay', 'saging'
+];
+
+// Consonants in the traditional teaching order (ka, ga, nga, ta, ...); others follow.
+const ORDER = ['k', 'g', 'ng', 't', 'd', 'n', 'p', 'b', 'm', 'y', 'r', 'l', 'w', 's', 'h'];
+
+// Readings a Baybayin vowel cannot tell apart.
+const SAME_VOWEL = { e: 'i', o: 'u' };
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Lowercase, trim and fold e/o into i/u, for comparing syllable answers.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldReading(text) {
+  return `${text}`.trim().toLowerCase().replace(/[eo]/g, (v) => SAME_VOWEL[v]);
+}
+
+/**
+ * Build the cards of a deck.
+ * - Syllable cards come from the syllable map: independent vowels, each consonant with a, i/e and u/o,
+ *   and the consonant with the deck's killer mark. Each is asked both ways (glyph and syllable).
+ * - Word cards read and write practice words through the transcriber.
+ * @param {string} deck - A key of DECKS.
+ * @param {{ profile?: string }} [opts]
+ * @returns {LearnCard[]} Cards in teaching order: syllables first, then words.
+ */
+export function buildCards(deck, { profile } = {}) {
+  const { mode } = DECKS[deck] || DECKS['krus-kudlit'];
+  const map = syllableMap({ mode, profile });
+  const rank = (c) => (ORDER.includes(c) ? ORDER.indexOf(c) : ORDER.length);
+  const consonants = Object.keys(map).filter((k) => !/[aeiou]/.test(k)).sort((a, b) => rank(a) - rank(b));
+  const syllables = ['a', 'i', 'u', ...consonants.flatMap((c) => [`${c}a`, `${c}i`, `${c}u`, c])]
+    .filter((s) => map[s]);
+
+  const cards = [];
+  for (const syllable of syllables) {
+    const label = syllable.replace(/i$/, 'i/e').replace(/u$/, 'u/o');
+    const glyph = map[syllable];
+    cards.push({ id: `glyph:${syllable}`, kind: 'glyph', prompt: glyph, answer: label, glyph, syllable });
+    cards.push({ id: `syllable:${syllable}`, kind: 'syllable', prompt: label, answer: glyph, glyph, syllable });
+  }
+  for (const word of PRACTICE_WORDS) {
+    const glyph = toBaybayinWithMode(word, { mode, profile });
+    if (!glyph) continue;
+    cards.push({ id: `read:${word}`, kind: 'read', prompt: glyph, answer: word, glyph, word });
+    cards.push({ id: `write:${word}`, kind: 'write', prompt: word, answer: glyph, glyph, word });
+  }
+  return cards;
+}
+
+/**
+ * Check an answer.
+ * - glyph: the syllable, with e/o accepted for i/u.
+ * - syllable: the glyph picked.
+ * - read: any Latin spelling that is written the same way (puso or pusu).
+ * - write: the Baybayin spelling, with the deck's killer mark.
+ * @param {LearnCard} card
+ * @param {string} answer
+ * @param {{ deck?: string, profile?: string }} [opts]
+ * @returns {boolean}
+ */
+export function checkAnswer(card, answer, { deck = 'krus-kudlit', profile } = {}) {
+  const given = `${answer ?? ''}`.trim();
+  if (!given) return false;
+  switch (card.kind) {
+    case 'glyph': return foldReading(given) === foldReading(card.syllable);
+    case 'syllable': return given === card.glyph;
+    case 'read': return toBaybayinWithMode(given.toLowerCase(), { mode: DECKS[deck]?.mode, profile }) === card.glyph;
+    case 'write': return given.replace(/\s+/g, '') === card.glyph.replace(/\s+/g, '');
+    default: return false;
+  }
+}
+
+/**
+ * Glyphs to choose from for a syllable card: the answer and distractors, shuffled.
+ * Distractors share the consonant or the vowel where possible, so the choice is not a giveaway.
+ * @param {LearnCard} card
+ * @param {LearnCard[]} cards - The deck.
+ * @param {{ count?: number, random?: () => number }} [opts]
+ * @returns {string[]}
+ */
+export function choicesFor(card, cards, { count = 4, random = Math.random } = {}) {
+  const shuffle = (list) => {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  };
+  const others = [...new Set(cards.filter((c) => c.kind === 'syllable' && c.glyph !== card.glyph).map((c) => c.glyph))];
+  const base = card.glyph[0];
+  const close = shuffle(others.filter((g) => g[0] === base || g.slice(1) === card.glyph.slice(1)));
+  const far = shuffle(others.filter((g) => !close.includes(g)));
+  return shuffle([card.glyph, ...[...close, ...far].slice(0, count - 1)]);
+}
+
+/**
+ * Reschedule a card after an answer (SM-2).
+ * A missed card starts over and comes back in ten minutes; a known one waits 1 day, 6 days,
+ * then its last interval times its ease.
+ * @param {CardState|undefined} state - Undefined for a new card.
+ * @param {number} quality - 0-5; below 3 counts as missed. See QUALITY.
+ * @param {Date} [now = new Date()]
+ * @returns {CardState}
+ */
+export function review(state, quality, now = new Date()) {
+  let { ease = 2.5, interval = 0, reps = 0, lapses = 0 } = state || {};
+  if (quality < 3) {
+    reps = 0;
+    interval = 0;
+    lapses += 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  const due = new Date(now.getTime() + (interval ? interval * DAY : RETRY)).toISOString();
+  return { ease: Math.round(ease * 100) / 100, interval, reps, lapses, due };
+}
+
+/**
+ * Pick the next card: the most overdue review, else a new card while the session allows more.
+ * @param {LearnCard[]} cards
+ * @param {Record<string, CardState>} states - Progress of the deck, by card id.
+ * @param {{ now?: Date, newSeen?: number, newLimit?: number, skip?: string }} [opts]
+ *   newSeen counts new cards already shown this session; skip avoids repeating the card just answered.
+ * @returns {LearnCard|null} Null when nothing is due.
+ */
+export function nextCard(cards, states, { now = new Date(), newSeen = 0, newLimit = NEW_PER_SESSION, skip } = {}) {
+  const at = now.toISOString();
+  const due = cards
+    .filter((c) => states[c.id] && states[c.id].due <= at && c.id !== skip)
+    .sort((a, b) => states[a.id].due.localeCompare(states[b.id].due));
+  if (due.length) return due[0];
+  if (newSeen >= newLimit) return null;
+  return cards.find((c) => !states[c.id] && c.id !== skip) || null;
+}
+
+/**
+ * Count the cards of a deck by where they stand.
+ * @param {LearnCard[]} cards
+ * @param {Record<string, CardState>} states
+ * @param {Date} [now = new Date()]
+ * @returns {{ due: number, fresh: number, learned: number }} learned: seen and not due.
+ */
+export function deckStats(cards, states, now = new Date()) {
+  const at = now.toISOString();
+  let due = 0;
+  let fresh = 0;
+  for (const c of cards) {
+    if (!states[c.id]) fresh += 1;
+    else if (states[c.id].due <= at) due += 1;
+  }
+  return { due, fresh, learned: cards.length - due - fresh };
+}
+
+/**
+ * Load saved progress; missing or unreadable progress is empty.
+ * @param {Storage|null} [storage = globalThis.localStorage]
+ * @returns {Record<string, Record<string, CardState>>} Card states by deck, then card id.
+ */
+export function loadProgress(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null');
+    return data && typeof data.decks === 'object' && data.decks ? data.decks : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save progress.
+ * @param {Record<string, Record<string, CardState>>} decks
+ * @param {Storage|null} [storage = globalThis.localStorage]
+ */
+export function saveProgress(decks, storage = globalThis.localStorage) {
+  try { storage?.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, decks })); } catch {}
+}
+
+/**
+ * @typedef {Object} LearnCard
+ * @property {string} id - kind:syllable or kind:word, unique in a deck.
+ * @property {'glyph'|'syllable'|'read'|'write'} kind
+ * @property {string} prompt - What the card shows.
+ * @property {string} answer - The expected answer, shown after a miss.
+ * @property {string} glyph - Baybayin spelling of the card.
+ * @property {string} [syllable] - Latin syllable of glyph and syllable cards.
+ * @property {string} [word] - Latin word of read and write cards.
+ */
+
+/**
+ * @typedef {Object} CardState
+ * @property {number} ease - SM-2 ease factor, 1.3 or more.
+ * @property {number} interval - Days until the next review; 0 after a miss.
+ * @property {number} reps - Correct answers in a row.
+ * @property {number} lapses - Times missed.
+ * @property {string} due - ISO time of the next review.
+ */
@@ -0,0 +1,209 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/legacy.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Key layouts of legacy Baybayin fonts, which draw Baybayin over Latin letters: text typed for them reads
+  as gibberish ("bIn+") anywhere the font is not applied.
+- fromLegacy() turns such text into Unicode Baybayin (U+1700); toLegacy() types Unicode Baybayin back
+  for the font, for people still using one.
+- Each layout is plain data: the keys for consonants, independent vowels, vowel signs, killer marks and
+  dandas, whether a consonant key carries its a (ba) or is followed by one, and what a consonant typed
+  bare or a key typed between syllables (ba+ya+n) stands for.
+*/
+
+import { fromScript } from './scripts.js';
+
+// A base letter (including the archaic ra) with its vowel sign or killer mark.
+const CLUSTER = /[ᜀ-ᜑᜟ][ᜒ-᜕]?/g;
+const LETTER = /[ᜀ-ᜑᜟ]/;
+const ARCHAIC_RA = 'ᜟ';
+const RA = 'ᜍ';
+
+/**
+ * @typedef {Object} LegacyFont
+ * @property {string} id - Stable key, stored in sessionStorage as bybyn:legacy.
+ * @property {string} label - Name for the legacy font picker.
+ * @property {string} description - One line shown as the picker tooltip.
+ * @property {Record<string,string>} consonants - Key → consonant letter.
+ * @property {Record<string,string>} vowels - Key → independent vowel.
+ * @property {Record<string,string>} signs - Key → vowel sign or killer mark, typed after a consonant.
+ * @property {Record<string,string>} dandas - Key → danda.
+ * @property {string} inherent - Key typed after a consonant for its a; empty when the consonant key is the syllable.
+ * @property {string} joiner - Key typed between the syllables of a word, dropped on import; empty for none.
+ * @property {string} bare - Mark written on a consonant typed with no vowel or sign after it; empty to keep its a.
+ * @property {boolean} caseless - Whether keys are matched without regard to case.
+ */
+
+/** @type {Record<string, LegacyFont>} */
+export const LEGACY_FONTS = {
+  takipsilim: {
+    id: 'takipsilim',
+    label: 'Pamudpod Takipsilim',
+    description: 'One key per glyph: b is ba, A I U the vowels, i u the vowel signs, + and x the killer marks, , and . the dandas.',
+    consonants: {
+      b: 'ᜊ', k: 'ᜃ', d: 'ᜇ', g: 'ᜄ', h: 'ᜑ', l: 'ᜎ', m: 'ᜋ', n: 'ᜈ', N: 'ᜅ',
+      p: 'ᜉ', r: 'ᜍ', s: 'ᜐ', t: 'ᜆ', w: 'ᜏ', y: 'ᜌ'
+    },
+    vowels: { A: 'ᜀ', I: 'ᜁ', U: 'ᜂ' },
+    signs: { i: 'ᜒ', u: 'ᜓ', '+': '᜔', x: '᜕' },   // the font has no pamudpod; x is its alternate killer mark
+    dandas: { ',': '᜵', '.': '᜶' },
+    inherent: '',
+    joiner: '',
+    bare: '',
+    caseless: false
+  },
+  syllabic: {
+    id: 'syllabic',
+    label: 'Syllable keys',
+    description: 'Syllables typed as they are said: ba bi bu, nga for ᜅ, + or x after a consonant for its killer mark, | and || the dandas.',
+    consonants: {
+      ng: 'ᜅ', b: 'ᜊ', k: 'ᜃ', d: 'ᜇ', g: 'ᜄ', h: 'ᜑ', l: 'ᜎ', m: 'ᜋ', n: 'ᜈ',
+      p: 'ᜉ', r: 'ᜍ', s: 'ᜐ', t: 'ᜆ', w: 'ᜏ', y: 'ᜌ'
+    },
+    vowels: { a: 'ᜀ', i: 'ᜁ', e: 'ᜁ', u: 'ᜂ', o: 'ᜂ' },
+    signs: { i: 'ᜒ', e: 'ᜒ', u: 'ᜓ', o: 'ᜓ', '+': '᜔', x: '᜕' },
+    dandas: { '||': '᜶', '|': '᜵' },
+    inherent: 'a',
+    joiner: '',
+    bare: '',
+    caseless: true
+  },
+  joined: {
+    id: 'joined',
+    label: 'Syllables joined by +',
+    description: 'Syllables typed as they are said and joined by +, as in ba+ya+n: a consonant with no vowel takes the kudlit, x after one the pamudpod, | and || the dandas.',
+    consonants: {
+      ng: 'ᜅ', b: 'ᜊ', k: 'ᜃ', d: 'ᜇ', g: 'ᜄ', h: 'ᜑ', l: 'ᜎ', m: 'ᜋ', n: 'ᜈ',
+      p: 'ᜉ', r: 'ᜍ', s: 'ᜐ', t: 'ᜆ', w: 'ᜏ', y: 'ᜌ'
+    },
+    vowels: { a: 'ᜀ', i: 'ᜁ', e: 'ᜁ', u: 'ᜂ', o: 'ᜂ' },
+    signs: { i: 'ᜒ', e: 'ᜒ', u: 'ᜓ', o: 'ᜓ', x: '᜕' },
+    dandas: { '||': '᜶', '|': '᜵' },
+    inherent: 'a',
+    joiner: '+',
+    bare: '᜔',
+    caseless: true
+  }
+};
+
+export const DEFAULT_LEGACY_FONT = 'takipsilim';
+
+/**
+ * Resolve a legacy font from its id. Unknown ids fall back to Pamudpod Takipsilim.
+ * @param {string} [font]
+ * @returns {LegacyFont}
+ */
+export function getLegacyFont(font = DEFAULT_LEGACY_FONT) {
+  return LEGACY_FONTS[font] || LEGACY_FONTS[DEFAULT_LEGACY_FONT];
+}
+
+/**
+ * List the available legacy fonts in display order.
+ * @returns {LegacyFont[]}
+ */
+export function listLegacyFonts() {
+  return Object.values(LEGACY_FONTS);
+}
+
+/**
+ * Find the longest key of a table that the text continues with at a position.
+ * @param {string} text
+ * @param {number} at
+ * @param {Record<string,string>} table
+ * @param {boolean} caseless
+ * @returns {string|undefined}
+ */
+function keyAt(text, at, table, caseless) {
+  const rest = caseless ? text.slice(at).toLowerCase() : text.slice(at);
+  return Object.keys(table)
+    .filter((key) => rest.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * The key of every glyph in a legacy font, the first listed where several write it.
+ * Consonants map to their own key, without the inherent a of syllable layouts.
+ * @param {string|LegacyFont} [font]
+ * @returns {Record<string,string>} Glyph → key.
+ */
+export function legacyKeys(font) {
+  const { consonants, vowels, signs, dandas } = typeof font === 'object' && font ? font : getLegacyFont(font);
+  const keys = {};
+  for (const table of [consonants, vowels, signs, dandas]) {
+    for (const [key, glyph] of Object.entries(table)) keys[glyph] ??= key;
+  }
+  return keys;
+}
+
+/**
+ * Convert text typed for a legacy Baybayin font to Unicode Baybayin.
+ * Vowel signs and killer marks are read only after a consonant, and a joiner only after a syllable;
+ * other characters are kept.
+ * @example fromLegacy('bIn+', 'takipsilim') // 'ᜊᜁᜈ᜔'
+ * @example fromLegacy('ba+ya+n', 'joined') // 'ᜊᜌᜈ᜔'
+ * @param {string} text
+ * @param {string|LegacyFont} [font]
+ * @returns {string}
+ */
+export function fromLegacy(text = '', font) {
+  const layout = typeof font === 'object' && font ? font : getLegacyFont(font);
+  const { consonants, vowels, signs, dandas, inherent, joiner, bare, caseless } = layout;
+  const src = `${text}`;
+  const skipJoiner = (at) => (joiner && keyAt(src, at, { [joiner]: '' }, caseless) ? at + joiner.length : at);
+  let out = '';
+  let i = 0;
+  while (i < src.length) {
+    const consonant = keyAt(src, i, consonants, caseless);
+    if (consonant) {
+      i += consonant.length;
+      out += consonants[consonant];
+      const sign = keyAt(src, i, signs, caseless);
+      if (inherent && keyAt(src, i, { [inherent]: '' }, caseless)) i += inherent.length;
+      else if (sign) { out += signs[sign]; i += sign.length; }
+      else out += bare || '';
+      i = skipJoiner(i);
+      continue;
+    }
+    const danda = keyAt(src, i, dandas, caseless);
+    if (danda) {
+      out += dandas[danda];
+      i += danda.length;
+      continue;
+    }
+    const vowel = keyAt(src, i, vowels, caseless);
+    if (vowel) {
+      out += vowels[vowel];
+      i = skipJoiner(i + vowel.length);
+      continue;
+    }
+    out += src[i];
+    i += 1;
+  }
+  return out;
+}
+
+/**
+ * Type Unicode Baybayin for a legacy font, the inverse of fromLegacy().
+ * Hanunó'o, Buhid and Tagbanwa are typed as the Baybayin they map to; the archaic ra as ra.
+ * Letters of one word are joined by the layout's joiner. Other characters are kept.
+ * @param {string} text
+ * @param {string|LegacyFont} [font]
+ * @returns {string}
+ */
+export function toLegacy(text = '', font) {
+  const layout = typeof font === 'object' && font ? font : getLegacyFont(font);
+  const keys = legacyKeys(layout);
+  return fromScript(text)
+    .replace(CLUSTER, (cluster, at, str) => {
+      const base = cluster[0] === ARCHAIC_RA ? RA : cluster[0];
+      const mark = cluster.slice(1);
+      if (!keys[base]) return cluster;
+      const join = layout.joiner && LETTER.test(str[at + cluster.length] || '') ? layout.joiner : '';
+      if (!Object.values(layout.consonants).includes(base)) return keys[base] + mark + join;
+      if (mark && mark === layout.bare) return keys[base] + join;
+      return keys[base] + (mark ? (keys[mark] ?? mark) : layout.inherent) + join;
+    })
+    .replace(/[᜵᜶]/g, (danda) => keys[danda] ?? danda);
+}
@@ -0,0 +1,80 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/lexicon.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Bundles an offline Tagalog word list used by toLatin() to pick readings.
+- Words are ordered roughly by frequency; the position is the rank used for ranking candidates.
+- Builds lookup indexes keyed by a word's Baybayin spelling, so e/i, o/u and dropped finals resolve to real words.
+*/
+
+/* ================ WORD LIST ================ */
+const WORD_LIST = `
+  ang ng sa na at mga ay si ni kay hindi ko mo niya ito iyan iyon siya ako ikaw ka kami tayo
+  kayo sila namin natin ninyo nila akin atin amin inyo kanila kaniya kanya aking iyong kaniyang
+  kanyang ating aming inyong kanilang may mayroon wala walang rin din lang lamang naman pa po
+  opo oo huwag ba nga kasi dahil kung kapag para upang pero ngunit subalit o saka tapos habang
+  bago noon ngayon mamaya kanina bukas kahapon lagi palagi minsan muli ulit ano sino saan kailan
+  bakit paano ilan alin magkano gaano nasaan dito diyan doon rito riyan roon heto hayan hayun
+  ganito ganyan ganoon isa dalawa tatlo apat lima anim pito walo siyam sampu daan libo tao bata
+  matanda lalaki babae ina ama nanay tatay anak kapatid kuya ate lolo lola tito tita pamilya
+  kaibigan guro estudyante mag-aaral doktor pari hari reyna bahay paaralan simbahan palengke
+  tindahan bayan lungsod bansa mundo lugar kalye tulay bundok dagat ilog lawa gubat bukid langit
+  lupa araw buwan bituin ulap ulan hangin apoy tubig bato kahoy puno bulaklak dahon ugat damo
+  prutas gulay umaga tanghali hapon gabi oras linggo taon panahon sandali pagkain kanin tinapay
+  ulam isda karne manok baboy baka itlog gatas kape tsaa asin asukal suka toyo bigas mais saging
+  mangga niyog aso pusa ibon kabayo kalabaw kambing daga ahas langgam lamok paruparo ulo mata
+  ilong bibig tainga tenga buhok mukha kamay paa braso binti daliri puso dugo katawan ngipin
+  dila leeg balikat tiyan likod damit sapatos sumbrero bag susi pinto bintana mesa silya kama
+  pera papel aklat libro lapis panulat sulat liham larawan salamin salita wika tanong sagot
+  pangalan buhay kamatayan pag-ibig pagmamahal kalayaan katotohanan kasaysayan kultura bayani
+  digmaan kapayapaan pag-asa pangarap alaala isip damdamin lakas tulong trabaho gawain laro awit
+  kanta tula kuwento balita maganda pangit mabuti masama malaki maliit mahaba maikli mataas
+  mababa mabilis mabagal mainit malamig masaya malungkot mayaman mahirap madali matamis maasim
+  maalat mapait luma puti itim pula asul berde dilaw malinis marumi malakas mahina matalino tama
+  mali totoo mahal mura masarap gutom uhaw pagod galit takot handa buo lahat iba ilang marami
+  kaunti konti bawat sarili kapwa gawa gumawa ginawa gagawa ginagawa kain kumain kinain kakain
+  kumakain inom uminom ininom iinom umiinom tulog natulog matulog natutulog gising gumising
+  nagising punta pumunta pupunta pumupunta alis umalis aalis umaalis dating dumating darating
+  dumarating uwi umuwi uuwi umuuwi lakad lumakad naglakad maglakad takbo tumakbo tatakbo
+  tumatakbo basa bumasa magbasa nagbasa binasa babasahin sumulat magsulat nagsulat isinulat aral
+  mag-aral nag-aral nag-aaral pag-aaral turo magturo nagturo itinuro sabi sinabi sabihin
+  sasabihin nagsabi magsabi nagtanong itanong tinanong sumagot sinagot kita nakita makita
+  nakikita tingin tumingin tingnan tinitingnan dinig narinig marinig naririnig alam malaman
+  nalaman alamin intindi naiintindihan bigay ibigay binigay nagbigay magbigay kuha kumuha kinuha
+  kukunin bili bumili binili bibili nagbebenta tinda minahal mamahalin nagmamahal gusto ayaw
+  kailangan dapat puwede pwede maaari kaya sana siguro talaga tunay lubha napaka sobra salamat
+  paalam kumusta mabuhay tuloy sige loob sulong laban tagumpay bigo sakit lungkot saya ganda
+  tuwa diyos panginoon dasal panalangin pananampalataya biyaya santo banal sakali hanggang mula
+  simula katapusan gitna harap tabi labas itaas ibaba ilalim ibabaw unang ikalawa huli pati
+  maging naging nagiging magiging nabuhay mamatay namatay patay tahanan kusina sala silid
+  kuwarto banyo bakuran hardin eskwela klase leksiyon aralin pagsusulit takdang-aralin pilipinas
+  pilipino tagalog maynila baybayin buksan binuksan isara isinara sarado kumanta umawit sayaw
+  sumayaw kahon lalagyan baso plato kutsara tinidor kutsilyo kaldero kawali liwanag dilim ilaw
+  tunog boses kalikasan hayop halaman kagandahan bait kabaitan pakpak lipad lumipad
+`;
+
+export const WORDS = Object.freeze(WORD_LIST.split(/\s+/).filter(Boolean));
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Build an index from Baybayin keys to Latin words in rank order.
+ * @param {string[]} words - Latin words, most frequent first.
+ * @param {(word: string) => string} keyOf - Spells a word the way it would appear in Baybayin.
+ * @returns {{ byKey: Map<string, { word: string, rank: number }[]>, maxLength: number }}
+ */
+export function buildIndex(words, keyOf) {
+  const byKey = new Map();
+  let maxLength = 0;
+  words.forEach((word, rank) => {
+    const key = keyOf(word);
+    if (!key) return;
+    const list = byKey.get(key) || [];
+    if (!list.some((e) => e.word === word)) list.push({ word, rank });
+    byKey.set(key, list);
+    maxLength = Math.max(maxLength, key.length);
+  });
+  return { byKey, maxLength };
+}
@@ -0,0 +1,185 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/lint.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Validates Baybayin text before it is read back to Latin, which otherwise passes bad sequences through as they are.
+- Each issue has its position in the text, a severity and, where there is an obvious one, a fix to apply.
+- Hanunó'o, Buhid and Tagbanwa are checked like Baybayin (see fromScript()); fixes are written in the text's own script.
+*/
+
+import { fromScript, listScripts, SCRIPTS } from './scripts.js';
+
+const CONSONANT = /[ᜃ-ᜑᜟ]/;
+const VOWEL = /[ᜀ-ᜂ]/;
+const VOWEL_SIGNS = { 'ᜒ': 'ᜁ', 'ᜓ': 'ᜂ' };
+const KILLERS = ['᜔', '᜕'];
+const MARK_NAMES = { 'ᜒ': 'vowel sign i/e', 'ᜓ': 'vowel sign u/o', '᜔': 'kudlit', '᜕': 'pamudpod', '᜴': 'pamudpod' };
+
+// Characters typed in place of a mark, often from fonts that draw Baybayin over Latin letters.
+const LOOKALIKES = {
+  '+': '᜔', '†': '᜔', '✝': '᜔', '̟': '᜔',
+  '×': '᜕', 'x': '᜕', 'X': '᜕', '͓': '᜕',
+  '̇': 'ᜒ', '˙': 'ᜒ', '̣': 'ᜓ'
+};
+
+/** @type {Record<string, { severity: 'error'|'warning', label: string }>} */
+export const LINT_RULES = {
+  'vowel-sign-on-vowel': { severity: 'error', label: 'Vowel sign on an independent vowel' },
+  'double-vowel-sign': { severity: 'error', label: 'Two vowel signs on one consonant' },
+  'killer-after-vowel-sign': { severity: 'error', label: 'Killer mark after a vowel sign' },
+  'orphan-mark': { severity: 'error', label: 'Mark without a consonant' },
+  'mixed-killers': { severity: 'warning', label: 'Kudlit and pamudpod in one text' },
+  lookalike: { severity: 'warning', label: 'Look-alike character' }
+};
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * The script a letter belongs to; Baybayin for anything else.
+ * @param {string} ch
+ * @returns {import('./scripts.js').Script}
+ */
+function scriptOf(ch) {
+  const code = ch.charCodeAt(0);
+  return listScripts().find((s) => code >= 0x1700 + s.offset && code <= 0x1713 + s.offset) || SCRIPTS.baybayin;
+}
+
+/**
+ * Write a Baybayin letter, vowel sign or killer mark in a script.
+ * @param {string} glyph
+ * @param {import('./scripts.js').Script} script
+ * @returns {string} Empty when the script has no such mark.
+ */
+function inScript(glyph, script) {
+  if (KILLERS.includes(glyph)) return script.offset ? (script.killer ?? '') : glyph;
+  return String.fromCharCode(glyph.charCodeAt(0) + script.offset);
+}
+
+/**
+ * Build an issue from its rule.
+ * @param {string} rule
+ * @param {number} start
+ * @param {number} end
+ * @param {string} message
+ * @param {LintFix|null} fix
+ * @returns {LintIssue}
+ */
+function issue(rule, start, end, message, fix) {
+  return { rule, severity: LINT_RULES[rule].severity, start, end, message, fix };
+}
+
+/**
+ * Check Baybayin text for sequences that cannot be read.
+ * - A vowel sign on an independent vowel (ᜀᜒ), fixed to the vowel it spells (ᜁ).
+ * - A second vowel sign on a consonant, or a killer mark after a vowel sign, fixed by removing it.
+ * - Vowel signs and killer marks with no consonant before them, fixed by removing them.
+ * - Both the kudlit and the pamudpod in one text: the ones not in the mode (or the fewer, without a mode)
+ *   are fixed to the other.
+ * - Latin look-alikes right after a consonant (+ or x for the killer marks, a dot for a vowel sign),
+ *   fixed to the mark they stand for.
+ * @param {string} text
+ * @param {{ mode?: 'krus-kudlit'|'pamupod' }} [opts]
+ * @returns {LintIssue[]} In text order.
+ */
+export function lintBaybayin(text = '', { mode } = {}) {
+  const src = `${text}`;
+  const glyphs = fromScript(src);
+  const issues = [];
+  const killers = [];
+
+  for (let i = 0; i < glyphs.length; i += 1) {
+    const ch = glyphs[i];
+    const prev = glyphs[i - 1] || '';
+    const name = MARK_NAMES[src[i]] || MARK_NAMES[ch];
+    const remove = { start: i, end: i + 1, text: '', label: `Remove the ${name}` };
+
+    if (VOWEL_SIGNS[ch]) {
+      if (CONSONANT.test(prev)) continue;
+      if (VOWEL.test(prev)) {
+        const vowel = inScript(VOWEL_SIGNS[ch], scriptOf(src[i - 1]));
+        issues.push(issue('vowel-sign-on-vowel', i - 1, i + 1, `${src[i - 1]} is a vowel already and takes no vowel sign.`,
+          { start: i - 1, end: i + 1, text: vowel, label: `Write ${vowel}` }));
+      } else if (VOWEL_SIGNS[prev] && CONSONANT.test(glyphs[i - 2] || '')) {
+        issues.push(issue('double-vowel-sign', i, i + 1, 'A consonant takes one vowel sign.', remove));
+      } else {
+        issues.push(issue('orphan-mark', i, i + 1, `The ${name} has no consonant to go on.`, remove));
+      }
+    } else if (KILLERS.includes(ch)) {
+      if (CONSONANT.test(prev)) {
+        if (KILLERS.includes(src[i])) killers.push(i);
+      } else if (VOWEL_SIGNS[prev] && CONSONANT.test(glyphs[i - 2] || '')) {
+        issues.push(issue('killer-after-vowel-sign', i, i + 1, `The ${name} removes the vowel, but a vowel sign comes before it.`, remove));
+      } else {
+        issues.push(issue('orphan-mark', i, i + 1, `The ${name} has no consonant to go on.`, remove));
+      }
+    } else if (LOOKALIKES[ch] && CONSONANT.test(prev)) {
+      const mark = LOOKALIKES[ch];
+      const fixed = inScript(mark, scriptOf(src[i - 1]));
+      issues.push(issue('lookalike', i, i + 1, `"${ch}" looks like the ${MARK_NAMES[mark]} but is not Baybayin.`,
+        { start: i, end: i + 1, text: fixed, label: fixed ? `Write the ${MARK_NAMES[fixed] || MARK_NAMES[mark]}` : `Remove the "${ch}"` }));
+    }
+  }
+
+  const used = (mark) => killers.filter((i) => src[i] === mark);
+  if (used('᜔').length && used('᜕').length) {
+    const keep = mode ? (mode === 'pamupod' ? '᜕' : '᜔')
+      : used('᜔').length === used('᜕').length ? src[killers[0]] : (used('᜔').length > used('᜕').length ? '᜔' : '᜕');
+    for (const i of killers.filter((at) => src[at] !== keep)) {
+      issues.push(issue('mixed-killers', i, i + 1, `The rest of the text uses the ${MARK_NAMES[keep]}.`,
+        { start: i, end: i + 1, text: keep, label: `Write the ${MARK_NAMES[keep]}` }));
+    }
+  }
+
+  return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Apply one issue's fix to the text it was found in.
+ * @param {string} text
+ * @param {LintIssue} found
+ * @returns {string} The text unchanged when the issue has no fix.
+ */
+export function applyFix(text, found) {
+  const fix = found?.fix;
+  if (!fix) return text;
+  return text.slice(0, fix.start) + fix.text + text.slice(fix.end);
+}
+
+/**
+ * Apply the fixes of several issues at once, from the end so earlier positions hold.
+ * Fixes that overlap one already applied are skipped.
+ * @param {string} text
+ * @param {LintIssue[]} issues
+ * @returns {string}
+ */
+export function applyFixes(text, issues) {
+  let out = text;
+  let limit = Infinity;
+  const fixable = issues.filter((i) => i.fix).sort((a, b) => b.fix.start - a.fix.start);
+  for (const found of fixable) {
+    if (found.fix.end > limit) continue;
+    out = applyFix(out, found);
+    limit = found.fix.start;
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} LintFix
+ * @property {number} start - Offset of the text to replace.
+ * @property {number} end
+ * @property {string} text - Replacement; empty to remove.
+ * @property {string} label - What the fix does, for the quick-fix menu.
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} rule - Key of LINT_RULES.
+ * @property {'error'|'warning'} severity
+ * @property {number} start - Offset of the issue in the text.
+ * @property {number} end
+ * @property {string} message
+ * @property {LintFix|null} fix
+ */
@@ -0,0 +1,158 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/page.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Whole-page transliteration: rewrites the Tagalog text nodes of a DOM subtree as Baybayin in place.
+- Leaves code, form fields, scripts and anything inside [data-no-baybayin] or [translate="no"] alone.
+- Follows lang attributes: text marked as a language that is not transcribed (lang="en") is left alone,
+  and text marked as Filipino or another source language is written by its rules.
+- Remembers every original text so the subtree can be reverted exactly.
+*/
+
+import { toBaybayinWithMode, LANGUAGES } from './transcription.js';
+
+// Elements whose text is never transliterated (with everything inside them).
+const SKIP_TAGS = new Set([
+  'HEAD', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'SVG', 'MATH',
+  'CODE', 'PRE', 'KBD', 'SAMP', 'VAR', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'BUTTON',
+  'BAYBAYIN-TEXT'   // its text is the Latin source it renders from
+]);
+const SKIP_SELECTOR = '[data-no-baybayin], [translate="no"], [contenteditable=""], [contenteditable="true"]';
+const LATIN_LETTER = /\p{Script=Latin}/u;
+
+// Per root: the text nodes changed, with the original and the written text.
+const changed = new WeakMap();
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Whether an element (and so its text) is excluded from transliteration.
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isSkipped(el) {
+  return SKIP_TAGS.has(el.tagName.toUpperCase()) || el.matches(SKIP_SELECTOR);
+}
+
+/**
+ * The source language of an element's text, from its closest lang attribute.
+ * Filipino (fil) is read as Tagalog. Only a lang set below the document element keeps text out:
+ * the page-wide <html lang> usually names the site's language, not that of the Tagalog text in it.
+ * @param {Element|null} el
+ * @returns {string|null} A LANGUAGES id, '' for untagged text, or null for a language that is not transcribed.
+ */
+function languageOf(el) {
+  const tagged = el?.closest('[lang]');
+  const primary = (tagged?.getAttribute('lang') || '').trim().toLowerCase().split('-')[0];
+  if (!primary) return '';
+  if (primary === 'fil') return 'tl';
+  if (Object.hasOwn(LANGUAGES, primary)) return primary;
+  return tagged === tagged.ownerDocument.documentElement ? '' : null;
+}
+
+/**
+ * Whether an element or any of its ancestors is excluded from transliteration.
+ * @param {Element|null} el
+ * @returns {boolean}
+ */
+function isInSkipped(el) {
+  for (let e = el; e; e = e.parentElement) {
+    if (isSkipped(e)) return true;
+  }
+  return false;
+}
+
+/**
+ * Collect the text nodes of a subtree that hold Latin text and are not excluded.
+ * @param {Node} root
+ * @returns {Text[]}
+ */
+function textNodes(root) {
+  // A root that is, or sits inside, an excluded element (or a lone text node) is checked up front.
+  const host = root.nodeType === 3 ? root.parentElement : root;
+  if (host?.nodeType === 1 && isInSkipped(host)) return [];
+  if (root.nodeType === 3) return LATIN_LETTER.test(root.nodeValue) && languageOf(host) !== null ? [root] : [];
+
+  const doc = root.ownerDocument || root;
+  const { NodeFilter } = doc.defaultView || globalThis;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === 1) return isSkipped(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+      // Language is checked per text, so a lang="tl" quote inside lang="en" text is still written.
+      if (!LATIN_LETTER.test(node.nodeValue) || languageOf(node.parentElement) === null) return NodeFilter.FILTER_SKIP;
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  const nodes = [];
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) nodes.push(n);
+  return nodes;
+}
+
+/**
+ * Transliterate the Tagalog text of a subtree into Baybayin, in place.
+ * Running it again on the same root first reverts the previous pass, so options can change.
+ * Text under a lang attribute is written in that source language unless opts.language is set.
+ * @param {Element|Document|Text} root
+ * @param {import('./transcription.js').TranscribeOptions} [opts] - Passed to toBaybayinWithMode().
+ * @returns {{ count: number, revert: () => number }} Number of text nodes changed, and an undo.
+ */
+export function transliterateDom(root, opts = {}) {
+  revertDom(root);
+  const records = [];
+  for (const node of textNodes(root)) {
+    const original = node.nodeValue;
+    const language = languageOf(node.parentElement);
+    const written = toBaybayinWithMode(original, language ? { language, ...opts } : opts);
+    if (written === original) continue;
+    node.nodeValue = written;
+    records.push({ node, original, written });
+  }
+  changed.set(root, records);
+  if (root.nodeType === 1) root.setAttribute('data-baybayin', 'on');
+  return { count: records.length, revert: () => revertDom(root) };
+}
+
+/**
+ * Restore the original text of a transliterated subtree.
+ * Text the page has changed or replaced since (live content) is left as it is now.
+ * @param {Element|Document|Text} root
+ * @returns {number} Number of text nodes restored.
+ */
+export function revertDom(root) {
+  const records = changed.get(root) || [];
+  let restored = 0;
+  for (const { node, original, written } of records) {
+    if (node.nodeValue !== written || !root.contains(node)) continue;
+    node.nodeValue = original;
+    restored += 1;
+  }
+  changed.delete(root);
+  if (root.nodeType === 1) root.removeAttribute('data-baybayin');
+  return restored;
+}
+
+/**
+ * Whether a subtree is currently transliterated.
+ * @param {Element|Document|Text} root
+ * @returns {boolean}
+ */
+export function isTransliterated(root) {
+  return changed.has(root);
+}
+
+/**
+ * Flip a subtree between Latin and Baybayin.
+ * @param {Element|Document|Text} root
+ * @param {import('./transcription.js').TranscribeOptions} [opts]
+ * @returns {boolean} True when the subtree is now in Baybayin.
+ */
+export function toggleDom(root, opts = {}) {
+  if (isTransliterated(root)) {
+    revertDom(root);
+    return false;
+  }
+  transliterateDom(root, opts);
+  return true;
+}
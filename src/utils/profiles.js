@@ -0,0 +1,118 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/profiles.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Named orthography profiles consumed by transcription.js in both directions.
+- Each profile is plain data: final consonant handling, glyph overrides (ra vs. da),
+  abbreviations for "mga"/"ng", and a rendering for every common punctuation mark and digit.
+- Killer mark style (Krus-Kudlit vs. Pamudpod) stays a separate mode and applies to any profile.
+*/
+
+const DANDA = '᜵';
+const DOUBLE_DANDA = '᜶';
+
+// Baybayin has no numerals; every profile writes digits as they are.
+const DIGITS = Object.fromEntries([...'0123456789'].map((d) => [d, d]));
+
+// Marks Baybayin never had; modern writing borrows them unchanged.
+const BORROWED = {
+  '?': '?', '!': '!', '"': '"', '“': '“', '”': '”',
+  '(': '(', ')': ')', '[': '[', ']': ']',
+  ...DIGITS
+};
+
+// Slashes stand in for the danda: one for a pause, two for a full stop.
+// The first mark listed for a glyph is the one read back by toLatin().
+const SLASH_PUNCTUATION = {
+  '.': ' //', ',': ' /', ';': ' /', ':': ' /', '…': ' //',
+  ...BORROWED
+};
+
+const DANDA_PUNCTUATION = {
+  '.': ` ${DOUBLE_DANDA}`, ',': ` ${DANDA}`, ';': ` ${DANDA}`, ':': ` ${DANDA}`, '…': ` ${DOUBLE_DANDA}`,
+  ...BORROWED
+};
+
+// Pre-colonial texts only know the two dandas; other marks are dropped, numerals kept.
+const HISTORICAL_PUNCTUATION = {
+  '.': ` ${DOUBLE_DANDA}`, '?': ` ${DOUBLE_DANDA}`, '!': ` ${DOUBLE_DANDA}`, '…': ` ${DOUBLE_DANDA}`,
+  ',': ` ${DANDA}`, ';': ` ${DANDA}`, ':': ` ${DANDA}`,
+  '"': '', '“': '', '”': '', '(': '', ')': '', '[': '', ']': '',
+  ...DIGITS
+};
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Stable key, stored in sessionStorage as bybyn:profile.
+ * @property {string} label - Short name for the profile picker.
+ * @property {string} description - One line shown as the picker tooltip.
+ * @property {'virama'|'drop'} finals - Write final consonants with a killer mark, or omit them.
+ * @property {Record<string,string>} consonants - Base glyph overrides keyed by Latin consonant.
+ * @property {Record<string,string>} abbreviations - Whole-word glyphs for function words.
+ * @property {Record<string,string>} punctuation - Glyphs for Latin punctuation marks; '' drops the mark.
+ */
+
+/** @type {Record<string, Profile>} */
+export const PROFILES = {
+  b17: {
+    id: 'b17',
+    label: 'B17',
+    description: 'Modern Baybayin: killer marks on final consonants, a separate ra, slashes for punctuation.',
+    finals: 'virama',
+    consonants: {},
+    abbreviations: { mga: 'ᜋᜅ', ng: 'ᜅ', nang: 'ᜅ' },
+    punctuation: SLASH_PUNCTUATION
+  },
+  'b17-danda': {
+    id: 'b17-danda',
+    label: 'B17 (Danda)',
+    description: 'B17 with the Unicode single and double danda for punctuation.',
+    finals: 'virama',
+    consonants: {},
+    abbreviations: { mga: 'ᜋᜅ', ng: 'ᜅ', nang: 'ᜅ' },
+    punctuation: DANDA_PUNCTUATION
+  },
+  'b17-spelled': {
+    id: 'b17-spelled',
+    label: 'B17 (Spelled)',
+    description: 'B17 that spells out "mga" and "ng" instead of abbreviating them.',
+    finals: 'virama',
+    consonants: {},
+    abbreviations: { mga: 'ᜋ᜔ᜄ', ng: 'ᜈᜅ᜔', nang: 'ᜈᜅ᜔' },
+    punctuation: SLASH_PUNCTUATION
+  },
+  doctrina: {
+    id: 'doctrina',
+    label: 'Doctrina',
+    description: 'Pre-kudlit style of the Doctrina Christiana (1593): final consonants dropped, da and ra share a glyph.',
+    finals: 'drop',
+    consonants: { r: 'ᜇ' },
+    abbreviations: { mga: 'ᜋᜅ', ng: 'ᜈᜅ', nang: 'ᜈᜅ' },
+    punctuation: HISTORICAL_PUNCTUATION
+  }
+};
+
+export const DEFAULT_PROFILE = 'b17';
+
+/**
+ * Resolve a profile from an id or a profile object.
+ * Unknown ids fall back to the default profile; objects are completed from it.
+ * @param {string|Partial<Profile>} [profile]
+ * @returns {Profile}
+ */
+export function getProfile(profile = DEFAULT_PROFILE) {
+  if (profile && typeof profile === 'object') {
+    return { ...PROFILES[DEFAULT_PROFILE], id: 'custom', ...profile };
+  }
+  return PROFILES[profile] || PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * List the available profiles in display order.
+ * @returns {Profile[]}
+ */
+export function listProfiles() {
+  return Object.values(PROFILES);
+}
@@ -0,0 +1,148 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/romanization.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Romanization schemes consumed by transcription.js when reading Baybayin:
+  phonetic (modern Tagalog spelling, the default), strict and lossless.
+- Strict is a one-to-one transliteration: every glyph keeps its own spelling, so the kudlit (+),
+  the pamudpod (×), the dandas (| and ||) and the ambiguous vowels (i/e, u/o) stay visible.
+- Lossless is the strict spelling with every other letter and notation character escaped by a
+  backslash; parseLossless() turns it back into the exact code points it came from.
+*/
+
+// Consonant letters of the Tagalog block, without their inherent vowel.
+const LETTERS = {
+  'ᜃ': 'k', 'ᜄ': 'g', 'ᜅ': 'ng', 'ᜆ': 't', 'ᜇ': 'd', 'ᜈ': 'n', 'ᜉ': 'p', 'ᜊ': 'b',
+  'ᜋ': 'm', 'ᜌ': 'y', 'ᜍ': 'r', 'ᜎ': 'l', 'ᜏ': 'w', 'ᜐ': 's', 'ᜑ': 'h', 'ᜟ': 'ṟ'
+};
+
+// Independent vowels read as their sign would on a consonant.
+const VOWELS = { 'ᜀ': 'a', 'ᜁ': 'i/e', 'ᜂ': 'u/o' };
+
+// What follows a consonant: its inherent vowel, a vowel sign or a killer mark.
+const SIGNS = { '': 'a', 'ᜒ': 'i/e', 'ᜓ': 'u/o', '᜔': '+', '᜕': '×' };
+
+const DANDAS = { '᜵': '|', '᜶': '||' };
+
+// Characters the lossless spelling uses itself, escaped when they occur in the text.
+const NOTATION = /[A-Za-zṟ+×|/\\]/;
+
+// Consonants by spelling, longest first, so "nga" is read as ᜅ and not ᜈ + ga.
+const CONSONANTS = Object.entries(LETTERS)
+  .map(([glyph, latin]) => [latin, glyph])
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * @typedef {Object} Romanization
+ * @property {string} id - Stable key, stored in sessionStorage as bybyn:romanization.
+ * @property {string} label - Name for the romanization picker.
+ * @property {string} description - One line shown as the picker tooltip.
+ */
+
+/** @type {Record<string, Romanization>} */
+export const ROMANIZATIONS = {
+  phonetic: {
+    id: 'phonetic',
+    label: 'Phonetic',
+    description: 'Modern Tagalog spelling: vowels and final consonants are read as the word is said.'
+  },
+  strict: {
+    id: 'strict',
+    label: 'Strict',
+    description: 'One-to-one transliteration: kudlit +, pamudpod ×, dandas | and ||, vowels i/e and u/o.'
+  },
+  lossless: {
+    id: 'lossless',
+    label: 'Lossless',
+    description: 'Strict, with other letters escaped, so the text converts back to the exact same glyphs.'
+  }
+};
+
+export const DEFAULT_ROMANIZATION = 'phonetic';
+
+/**
+ * List the available romanizations in display order.
+ * @returns {Romanization[]}
+ */
+export function listRomanizations() {
+  return Object.values(ROMANIZATIONS);
+}
+
+/**
+ * Read Baybayin glyph by glyph in the strict or lossless spelling.
+ * Glyph units (a letter with its sign or mark) and dandas become readings; anything else is kept,
+ * escaped in the lossless spelling when it could be taken for notation.
+ * @param {string} text
+ * @param {{ lossless?: boolean }} [opts]
+ * @returns {{ start: number, end: number, reading: string, rule: 'syllable'|'punctuation'|'passthrough' }[]}
+ */
+export function romanizePieces(text, { lossless = false } = {}) {
+  const s = `${text}`;
+  const pieces = [];
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    const next = s[i + 1] || '';
+    if (VOWELS[ch]) {
+      pieces.push({ start: i, end: i + 1, reading: VOWELS[ch], rule: 'syllable' });
+      i += 1;
+    } else if (Object.hasOwn(LETTERS, ch)) {
+      const sign = Object.hasOwn(SIGNS, next) && next ? next : '';
+      pieces.push({ start: i, end: i + 1 + sign.length, reading: LETTERS[ch] + SIGNS[sign], rule: 'syllable' });
+      i += 1 + sign.length;
+    } else if (DANDAS[ch]) {
+      pieces.push({ start: i, end: i + 1, reading: DANDAS[ch], rule: 'punctuation' });
+      i += 1;
+    } else {
+      const char = String.fromCodePoint(s.codePointAt(i));
+      pieces.push({ start: i, end: i + char.length, reading: lossless && NOTATION.test(char) ? `\\${char}` : char, rule: 'passthrough' });
+      i += char.length;
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Read the lossless spelling back into Baybayin.
+ * Escaped characters and anything that is not notation are kept as they are.
+ * @example parseLossless('bayan× ki/et+').map((p) => p.glyphs).join('') // 'ᜊᜌᜈ᜕ ᜃᜒᜆ᜔'
+ * @param {string} text
+ * @returns {{ start: number, end: number, normalized: string, glyphs: string, rule: 'syllable'|'punctuation'|'passthrough' }[]}
+ */
+export function parseLossless(text) {
+  const s = `${text}`;
+  const pieces = [];
+  let i = 0;
+  const push = (length, glyphs, rule) => {
+    pieces.push({ start: i, end: i + length, normalized: s.slice(i, i + length), glyphs, rule });
+    i += length;
+  };
+  const signAt = (at) => Object.entries(SIGNS).find(([, latin]) => s.startsWith(latin, at));
+
+  while (i < s.length) {
+    if (s[i] === '\\' && i + 1 < s.length) {
+      const char = String.fromCodePoint(s.codePointAt(i + 1));
+      push(1 + char.length, char, 'passthrough');
+      continue;
+    }
+    const danda = s.startsWith('||', i) ? '᜶' : s[i] === '|' ? '᜵' : '';
+    if (danda) { push(danda === '᜶' ? 2 : 1, danda, 'punctuation'); continue; }
+
+    const vowel = Object.entries(VOWELS).find(([, latin]) => s.startsWith(latin, i));
+    if (vowel) { push(vowel[1].length, vowel[0], 'syllable'); continue; }
+
+    const consonant = CONSONANTS.find(([latin]) => s.startsWith(latin, i) && signAt(i + latin.length));
+    if (consonant) {
+      const [latin, glyph] = consonant;
+      const [sign, reading] = signAt(i + latin.length);
+      push(latin.length + reading.length, glyph + sign, 'syllable');
+      continue;
+    }
+
+    const char = String.fromCodePoint(s.codePointAt(i));
+    push(char.length, char, 'passthrough');
+  }
+  return pieces;
+}
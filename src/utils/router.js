@@ -0,0 +1,69 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/router.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Hash routes with parameters and a query string: '#/home?text=...&mode=pamupod' or '#/learn/:deck'.
+- parseHash() and buildHash() convert between a location hash and { path, query }.
+- matchRoute() finds the route a hash belongs to, with its parameters; app.js does the mounting.
+*/
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Split a location hash into its path and query.
+ * The path keeps its '#/' prefix; an empty hash, '#' and '#/' are all the root path ''.
+ * @param {string} [hash='']
+ * @returns {{ path: string, query: Record<string, string> }}
+ */
+export function parseHash(hash = '') {
+  const raw = hash.startsWith('#') ? hash : `#${hash}`;
+  const at = raw.indexOf('?');
+  let path = at < 0 ? raw : raw.slice(0, at);
+  path = path.replace(/\/+$/, '');
+  if (path === '#' || path === '#/') path = '';
+  const query = Object.fromEntries(new URLSearchParams(at < 0 ? '' : raw.slice(at + 1)));
+  return { path, query };
+}
+
+/**
+ * Build a location hash from a path and query. Empty and missing query values are left out.
+ * @param {string} path - e.g. '#/home'.
+ * @param {Record<string, string|number|null|undefined>} [query]
+ * @returns {string}
+ */
+export function buildHash(path, query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/**
+ * Find the route for a hash. Patterns are paths whose ':name' parts match one path part each.
+ * @template T
+ * @param {Record<string, T>} routes - Pattern to route, e.g. { '#/home': ..., '#/learn/:deck': ... }.
+ * @param {string} hash
+ * @returns {{ route: T, pattern: string, path: string, params: Record<string, string>, query: Record<string, string> }|null}
+ *   Null when no pattern matches.
+ */
+export function matchRoute(routes, hash) {
+  const { path, query } = parseHash(hash);
+  const parts = path.split('/');
+  for (const [pattern, route] of Object.entries(routes)) {
+    const want = pattern.split('/');
+    if (want.length !== parts.length) continue;
+    const params = {};
+    const ok = want.every((part, i) => {
+      if (!part.startsWith(':')) return part === parts[i];
+      if (!parts[i]) return false;
+      try { params[part.slice(1)] = decodeURIComponent(parts[i]); } catch { params[part.slice(1)] = parts[i]; }
+      return true;
+    });
+    if (ok) return { route, pattern, path, params, query };
+  }
+  return null;
+}
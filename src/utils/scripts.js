@@ -0,0 +1,161 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/scripts.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Target scripts consumed by transcription.js: Baybayin (the Unicode Tagalog block, U+1700) and its
+  siblings Hanunó'o (U+1720), Buhid (U+1740) and Tagbanwa (U+1760).
+- The sibling blocks follow the Tagalog block's order, so each script is plain data: how far its letters
+  sit from their Baybayin counterparts, its killer mark (Buhid and Tagbanwa write no final consonants),
+  and the glyphs it writes differently because it lacks the letter.
+- Transcription builds Baybayin first and rewrites it with toScript(); fromScript() maps any sibling
+  script back to Baybayin character for character, so offsets into the text stay the same.
+*/
+
+// Tagalog block: letters and vowel signs (U+1700-U+1713), then the killer marks.
+const FIRST = 0x1700;
+const LAST = 0x1713;
+const KILLER_MARKS = /[\u1714\u1715]/;
+const ARCHAIC_RA = 'ᜟ';
+const RA = 'ᜍ';
+
+// A base letter (including the archaic ra) with its vowel sign or killer mark.
+const CLUSTER = /[\u1700-\u1711\u171F][\u1712-\u1715]?/g;
+
+/**
+ * @typedef {Object} Script
+ * @property {string} id - Stable key, stored in sessionStorage as bybyn:script.
+ * @property {string} label - Name for the script picker and the output heading.
+ * @property {string} description - One line shown as the picker tooltip.
+ * @property {number} offset - Distance of the script's letters and vowel signs from the Tagalog block.
+ * @property {string|null} killer - Mark for final consonants; null when they are not written.
+ * @property {Record<string,string>} glyphs - Baybayin clusters written differently, for letters the script lacks.
+ * @property {string} font - Font family that has the script's glyphs.
+ */
+
+/** @type {Record<string, Script>} */
+export const SCRIPTS = {
+  baybayin: {
+    id: 'baybayin',
+    label: 'Baybayin',
+    description: 'Baybayin (Tagalog block): killer mark as the mode says.',
+    offset: 0,
+    killer: '᜔',
+    glyphs: {},
+    font: 'Noto Sans Tagalog'
+  },
+  hanunoo: {
+    id: 'hanunoo',
+    label: 'Hanunó\'o',
+    description: 'Hanunó\'o (Mangyan): final consonants take the pamudpod in either mode.',
+    offset: 0x20,
+    killer: '᜴',
+    glyphs: {},
+    font: 'Noto Sans Hanunoo'
+  },
+  buhid: {
+    id: 'buhid',
+    label: 'Buhid',
+    description: 'Buhid (Mangyan): no killer mark, so final consonants are not written.',
+    offset: 0x40,
+    killer: null,
+    glyphs: {},
+    font: 'Noto Sans Buhid'
+  },
+  tagbanwa: {
+    id: 'tagbanwa',
+    label: 'Tagbanwa',
+    description: 'Tagbanwa (Palawan): no killer mark, no ra (written la) and no ha (written as the bare vowel).',
+    offset: 0x60,
+    killer: null,
+    glyphs: {
+      'ᜍ': 'ᝮ', 'ᜍᜒ': 'ᝮᝲ', 'ᜍᜓ': 'ᝮᝳ',
+      'ᜑ': 'ᝠ', 'ᜑᜒ': 'ᝡ', 'ᜑᜓ': 'ᝢ'
+    },
+    font: 'Noto Sans Tagbanwa'
+  }
+};
+
+export const DEFAULT_SCRIPT = 'baybayin';
+
+/**
+ * Resolve a script from its id. Unknown ids fall back to Baybayin.
+ * @param {string} [script]
+ * @returns {Script}
+ */
+export function getScript(script = DEFAULT_SCRIPT) {
+  return SCRIPTS[script] || SCRIPTS[DEFAULT_SCRIPT];
+}
+
+/**
+ * List the available scripts in display order.
+ * @returns {Script[]}
+ */
+export function listScripts() {
+  return Object.values(SCRIPTS);
+}
+
+/**
+ * Shift a Tagalog block letter or vowel sign into a script.
+ * @param {string} ch
+ * @param {number} offset
+ * @returns {string}
+ */
+function shift(ch, offset) {
+  return String.fromCharCode(ch.charCodeAt(0) + offset);
+}
+
+/**
+ * Rewrite Baybayin in a sibling script, cluster by cluster. Anything outside the Tagalog block's
+ * letters (spaces, punctuation, the shared dandas) is kept.
+ * @param {string} text - Baybayin, with either killer mark.
+ * @param {string|Script} [script]
+ * @returns {string}
+ */
+export function toScript(text, script) {
+  const target = typeof script === 'object' && script ? script : getScript(script);
+  if (!target.offset) return text;
+  return text.replace(CLUSTER, (cluster) => {
+    const base = cluster[0] === ARCHAIC_RA ? RA : cluster[0];
+    const mark = cluster.slice(1);
+    if (KILLER_MARKS.test(mark)) {
+      if (!target.killer) return '';
+      return (target.glyphs[base] ?? shift(base, target.offset)) + target.killer;
+    }
+    const own = target.glyphs[base + mark];
+    if (own !== undefined) return own;
+    return shift(base, target.offset) + (mark ? shift(mark, target.offset) : '');
+  });
+}
+
+/**
+ * Map Hanunó'o, Buhid and Tagbanwa letters back to Baybayin, one character for one,
+ * with Hanunó'o's pamudpod read as the kudlit. Baybayin and other text is kept.
+ * @param {string} text
+ * @returns {string}
+ */
+export function fromScript(text) {
+  let out = '';
+  for (const ch of `${text}`) {
+    const code = ch.charCodeAt(0);
+    const script = ch.length === 1 && listScripts().find((s) => s.offset && code >= FIRST + s.offset && code <= LAST + s.offset);
+    if (script) out += shift(ch, -script.offset);
+    else if (ch === SCRIPTS.hanunoo.killer) out += '᜔';
+    else out += ch;
+  }
+  return out;
+}
+
+/**
+ * Whether a text can show final consonants: false when it has letters of a script without a killer mark.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function writesFinals(text) {
+  for (const ch of `${text}`) {
+    const code = ch.charCodeAt(0);
+    if (listScripts().some((s) => !s.killer && code >= FIRST + s.offset && code <= LAST + s.offset)) return false;
+  }
+  return true;
+}
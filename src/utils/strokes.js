@@ -0,0 +1,310 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/strokes.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Stroke order of every base character and sign, traced over the bundled Noto Sans Tagalog so the
+  animation lines up with the glyphs in the output panel.
+- Points are in a box 110 units high (the font's ascender at the top, below-base signs at the bottom);
+  each base is as wide as its advance. Signs are placed from the end of their base.
+- Builds SVG paths for the stroke viewer and scores traced strokes against the reference.
+*/
+
+export const BOX_HEIGHT = 110;
+export const PASS_SCORE = 70;     // a trace scoring this or more counts as written
+const SAMPLES = 24;               // points compared per stroke
+const TOLERANCE = 18;             // mean distance, in box units, at which a stroke scores nothing
+
+// Base characters: their width and strokes in writing order, each stroke a list of [x, y] points.
+export const BASE_STROKES = {
+  'ᜀ': {   // U+1700 a
+    width: 96.7,
+    strokes: [
+      [[15.1, 19.7], [21.5, 23.5], [26.2, 27.3], [28.6, 33.0], [29.4, 40.5], [29.4, 50.0]],
+      [[14.3, 36.7], [29.4, 36.7], [45.3, 36.7]],
+      [[14.3, 50.0], [27.8, 50.0], [27.8, 55.7], [26.2, 67.0], [26.2, 76.5], [29.4, 82.2], [35.8, 84.1], [43.8, 80.3], [51.7, 70.8], [58.1, 59.5], [64.4, 46.2], [70.8, 38.6], [78.8, 33.0], [86.7, 31.1], [93.1, 33.0], [95.5, 36.7]]
+    ]
+  },
+  'ᜁ': {   // U+1701 i
+    width: 96.5,
+    strokes: [
+      [[11.1, 36.7], [16.7, 42.4], [32.6, 44.3], [48.5, 42.4], [61.2, 38.6], [72.4, 36.7], [83.5, 37.9], [89.9, 42.4], [91.5, 45.1]],
+      [[8.8, 76.5], [19.9, 77.3], [31.0, 74.6], [37.4, 67.0], [41.4, 56.4], [44.5, 65.2], [48.5, 70.8], [53.3, 65.2], [60.5, 56.4], [64.4, 67.0], [69.2, 73.5], [80.3, 76.5], [88.3, 75.8]]
+    ]
+  },
+  'ᜂ': {   // U+1702 u
+    width: 53.2,
+    strokes: [
+      [[17.5, 38.6], [21.5, 33.0], [29.4, 31.1], [39.0, 34.1], [43.8, 40.5], [43.0, 48.1], [35.8, 53.8], [25.5, 54.9], [35.8, 56.4], [43.0, 61.4], [45.3, 68.9], [44.5, 76.5], [39.0, 82.2], [27.8, 84.5], [16.7, 83.0], [11.1, 80.3]]
+    ]
+  },
+  'ᜃ': {   // U+1703 ka
+    width: 94.0,
+    strokes: [
+      [[11.1, 44.3], [19.9, 48.1], [32.6, 48.1], [43.8, 44.3], [53.3, 39.8], [64.4, 34.8], [77.2, 33.7], [86.7, 36.7], [89.1, 40.5]],
+      [[49.3, 48.1], [49.3, 59.5], [49.3, 70.8]],
+      [[12.7, 75.4], [19.9, 79.2], [32.6, 79.5], [43.8, 75.8], [50.1, 72.0], [61.2, 69.7], [72.4, 68.2], [83.5, 68.2], [85.9, 70.8]]
+    ]
+  },
+  'ᜄ': {   // U+1704 ga
+    width: 80.6,
+    strokes: [
+      [[17.5, 38.6], [21.5, 33.0], [29.4, 31.1], [39.0, 34.1], [43.8, 40.5], [43.0, 48.1], [35.8, 53.8], [25.5, 54.9], [35.8, 56.4], [43.0, 61.4], [45.3, 68.9], [44.5, 76.5], [39.0, 82.2], [27.8, 84.5], [16.7, 83.0], [11.1, 80.3]],
+      [[42.2, 35.2], [50.1, 33.7], [58.1, 36.0], [62.8, 42.4], [63.6, 51.9], [63.6, 70.8], [65.2, 79.5], [69.2, 83.3], [75.6, 84.1]]
+    ]
+  },
+  'ᜅ': {   // U+1705 nga
+    width: 96.5,
+    strokes: [
+      [[19.9, 31.1], [13.5, 36.7], [11.9, 42.4], [15.1, 46.2], [24.7, 46.2], [35.8, 43.2], [43.8, 46.2], [47.7, 51.9], [48.5, 59.5], [48.5, 70.8], [45.3, 74.6], [32.6, 76.5], [19.9, 77.3], [14.3, 79.5], [14.3, 86.0]],
+      [[49.3, 59.5], [56.5, 58.7], [64.4, 53.8], [72.4, 49.2], [80.3, 49.2], [88.3, 53.8], [89.1, 61.4], [87.5, 68.9], [81.9, 73.9], [75.6, 77.3], [73.2, 79.2]]
+    ]
+  },
+  'ᜆ': {   // U+1706 ta
+    width: 93.2,
+    strokes: [
+      [[14.3, 48.1], [14.3, 56.8], [21.5, 58.7], [31.0, 57.6]],
+      [[21.5, 87.9], [23.1, 74.6], [26.2, 65.2], [32.6, 55.7], [40.6, 45.5], [50.1, 38.6], [61.2, 34.1], [74.0, 32.2], [83.5, 33.0], [88.3, 36.7]]
+    ]
+  },
+  'ᜇ': {   // U+1707 da
+    width: 99.8,
+    strokes: [
+      [[11.9, 37.5], [16.7, 42.4], [29.4, 45.1], [43.8, 42.8], [58.1, 38.6], [72.4, 37.5], [83.5, 38.6], [89.9, 42.4], [92.3, 45.5]],
+      [[22.3, 47.3], [19.1, 51.9], [15.9, 57.6], [14.3, 63.3], [15.1, 68.9], [18.3, 73.5], [24.7, 75.8], [35.8, 75.4], [48.5, 72.3], [61.2, 68.9], [74.0, 68.2], [85.1, 70.1], [92.3, 74.6]]
+    ]
+  },
+  'ᜈ': {   // U+1708 na
+    width: 81.8,
+    strokes: [
+      [[17.5, 86.0], [15.1, 74.6], [14.3, 63.3], [15.9, 51.9], [19.9, 42.4], [26.2, 36.7], [34.2, 33.0], [43.8, 31.8], [53.3, 34.1], [61.2, 38.6], [66.8, 46.2], [70.0, 55.7], [71.6, 67.0], [70.8, 78.4], [68.4, 86.7]],
+      [[41.4, 36.7], [43.8, 44.3], [46.9, 51.9], [42.2, 55.7], [39.0, 57.6], [45.3, 61.4], [48.5, 65.2], [43.8, 68.9], [39.8, 70.8], [45.3, 74.6], [48.5, 79.5], [43.8, 84.1], [38.2, 89.8]]
+    ]
+  },
+  'ᜉ': {   // U+1709 pa
+    width: 101.8,
+    strokes: [
+      [[11.1, 50.0], [27.8, 51.1], [28.6, 55.7], [26.2, 67.0], [25.5, 78.4], [29.4, 83.3], [37.4, 84.1], [45.3, 80.3], [53.3, 70.8], [59.7, 61.4], [66.0, 51.9], [70.8, 44.3], [75.6, 37.9], [83.5, 33.0], [91.5, 33.0], [94.7, 36.7]],
+      [[67.6, 53.8], [72.4, 57.6], [77.2, 63.3], [78.8, 67.8]]
+    ]
+  },
+  'ᜊ': {   // U+170A ba
+    width: 81.9,
+    strokes: [
+      [[43.0, 76.5], [39.0, 80.3], [32.6, 83.3], [23.1, 84.1], [16.7, 80.3], [14.3, 70.8], [14.3, 59.5], [16.7, 51.9], [20.7, 44.3], [26.2, 37.9], [34.2, 33.7], [45.3, 31.8], [54.9, 33.7], [62.0, 38.6], [67.6, 46.2], [70.8, 53.8], [72.4, 63.3], [72.4, 70.8], [69.2, 78.4], [62.8, 83.0], [53.3, 84.8], [46.9, 81.4], [43.0, 76.5]]
+    ]
+  },
+  'ᜋ': {   // U+170B ma
+    width: 98.2,
+    strokes: [
+      [[11.1, 46.2], [26.2, 46.6], [28.6, 51.9], [26.2, 59.5], [25.5, 70.8], [26.2, 78.4], [31.0, 83.3], [39.0, 83.3], [46.9, 76.5], [53.3, 68.9], [58.1, 59.5], [62.8, 50.0], [67.6, 41.3], [74.0, 34.8], [83.5, 32.2], [91.5, 33.7], [94.7, 36.7]],
+      [[29.4, 53.0], [42.2, 53.4], [50.1, 55.7], [61.2, 55.7]]
+    ]
+  },
+  'ᜌ': {   // U+170C ya
+    width: 98.1,
+    strokes: [
+      [[11.1, 50.0], [27.8, 51.1], [28.6, 55.7], [26.2, 67.0], [25.5, 78.4], [29.4, 83.3], [37.4, 84.1], [45.3, 80.3], [53.3, 70.8], [59.7, 61.4], [66.0, 51.9], [70.8, 44.3], [75.6, 37.9], [83.5, 33.0], [89.9, 33.0], [93.9, 36.7], [94.3, 44.3], [91.5, 49.2], [83.5, 50.4], [78.0, 53.0]]
+    ]
+  },
+  'ᜍ': {   // U+170D ra
+    width: 99.8,
+    strokes: [
+      [[11.9, 37.5], [16.7, 42.4], [29.4, 45.1], [43.8, 42.8], [58.1, 38.6], [72.4, 37.5], [83.5, 38.6], [89.9, 42.4], [92.3, 45.5]],
+      [[22.3, 47.3], [19.1, 51.9], [15.9, 57.6], [14.3, 63.3], [15.1, 68.9], [18.3, 73.5], [24.7, 75.8], [35.8, 75.4], [48.5, 72.3], [61.2, 68.9], [74.0, 68.2], [85.1, 70.1], [92.3, 74.6]],
+      [[53.3, 59.5], [57.3, 65.2], [59.7, 70.8], [60.5, 78.4], [60.5, 85.2]]
+    ]
+  },
+  'ᜎ': {   // U+170E la
+    width: 87.5,
+    strokes: [
+      [[9.5, 39.4], [15.1, 43.2], [26.2, 44.3], [37.4, 42.4], [46.9, 38.6], [56.5, 34.1], [67.6, 31.8], [77.2, 33.0], [81.9, 36.7]],
+      [[43.8, 44.3], [43.8, 51.9], [48.5, 56.4], [52.5, 61.4], [46.9, 64.4], [44.5, 67.8], [48.5, 71.6], [53.3, 74.6], [48.5, 79.2], [43.8, 83.3], [43.0, 86.0]]
+    ]
+  },
+  'ᜏ': {   // U+170F wa
+    width: 73.7,
+    strokes: [
+      [[11.1, 50.0], [27.8, 51.1], [28.6, 55.7], [26.2, 67.0], [25.5, 78.4], [29.4, 83.3], [37.4, 84.1], [45.3, 80.3], [53.3, 72.7], [59.7, 63.3], [63.6, 53.8], [65.2, 44.3], [64.4, 36.7], [59.7, 31.1], [51.7, 28.0], [43.8, 30.3], [39.0, 34.8], [39.0, 37.5]]
+    ]
+  },
+  'ᜐ': {   // U+1710 sa
+    width: 88.4,
+    strokes: [
+      [[8.0, 31.1], [16.7, 31.1], [23.9, 34.1], [23.9, 51.9], [23.9, 86.0]],
+      [[23.9, 78.4], [27.8, 72.7], [32.6, 65.2], [37.4, 55.7], [42.2, 48.1], [48.5, 40.5], [54.9, 34.8], [64.4, 31.4], [74.0, 33.7], [79.5, 40.5], [78.8, 50.0], [74.0, 54.5], [64.4, 56.4], [58.9, 57.6], [70.8, 59.5], [78.8, 63.3], [81.1, 70.8], [79.5, 78.4], [72.4, 83.3], [61.2, 84.5], [52.5, 85.2]]
+    ]
+  },
+  'ᜑ': {   // U+1711 ha
+    width: 99.9,
+    strokes: [
+      [[11.1, 55.7], [16.7, 59.5], [26.2, 61.4], [39.0, 61.4], [50.1, 58.7], [61.2, 55.7], [72.4, 53.8], [81.9, 54.2], [88.3, 56.8], [93.9, 60.6]]
+    ]
+  }
+};
+
+// Vowel signs and killer marks, with x measured from the end of the base they follow.
+// The pamudpod takes room of its own (advance); the others sit over or under the base.
+export const SIGN_STROKES = {
+  'ᜒ': {   // U+1712 kudlit (i/e)
+    strokes: [
+      [[-16.2, 16.4], [-14.4, 18.4]]
+    ]
+  },
+  'ᜓ': {   // U+1713 kudlit (u/o)
+    strokes: [
+      [[-9.8, 92.9], [-8.0, 94.8]]
+    ]
+  },
+  '᜔': {   // U+1714 krus-kudlit
+    strokes: [
+      [[-32.1, 96.4], [-15.7, 96.4]],
+      [[-23.9, 88.2], [-23.9, 104.5]]
+    ]
+  },
+  '᜕': {   // U+1715 pamudpod
+    advance: 17.8,
+    strokes: [
+      [[9.1, 48.5], [9.1, 77.3], [7.7, 84.5], [3.6, 90.0], [-3.6, 94.1], [-13.6, 96.8], [-29.1, 98.7]]
+    ]
+  }
+};
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Split Baybayin text into glyph clusters: a base character with the signs that follow it.
+ * Anything else (spaces, punctuation, Latin) is left out.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function glyphClusters(text) {
+  return `${text ?? ''}`.normalize('NFC').match(/[\u1700-\u1711\u171F][\u1712-\u1715]*/g) || [];
+}
+
+/**
+ * Strokes of a glyph cluster in writing order: the base first, then its signs.
+ * @param {string} cluster - e.g. 'ᜃ', 'ᜃᜒ' or 'ᜃ᜔'.
+ * @returns {GlyphStrokes|null} Null when the base has no stroke data.
+ */
+export function glyphStrokes(cluster) {
+  const [base, ...signs] = Array.from(`${cluster ?? ''}`.normalize('NFC'));
+  const glyph = BASE_STROKES[base];
+  if (!glyph) return null;
+  const strokes = glyph.strokes.map((points) => ({ char: base, points }));
+  let width = glyph.width;
+  for (const sign of signs) {
+    const data = SIGN_STROKES[sign];
+    if (!data) continue;
+    const at = glyph.width;
+    strokes.push(...data.strokes.map((points) => ({ char: sign, points: points.map(([x, y]) => [at + x, y]) })));
+    width = Math.max(width, at + (data.advance || 0));
+  }
+  return { cluster: `${cluster}`.normalize('NFC'), width, height: BOX_HEIGHT, strokes };
+}
+
+/**
+ * Smooth SVG path through a stroke's points (Catmull-Rom turned into cubic Béziers).
+ * @param {number[][]} points - [x, y] pairs.
+ * @returns {string} Path data; '' for no points.
+ */
+export function strokePath(points) {
+  if (!points?.length) return '';
+  const r = (n) => Math.round(n * 10) / 10;
+  const [first] = points;
+  if (points.length < 3) return `M${points.map(([x, y]) => `${r(x)} ${r(y)}`).join(' L')}`;
+  let d = `M${r(first[0])} ${r(first[1])}`;
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const p0 = points[i - 1] || points[i];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[i + 2] || p2;
+    const c1 = [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6];
+    const c2 = [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6];
+    d += ` C${r(c1[0])} ${r(c1[1])} ${r(c2[0])} ${r(c2[1])} ${r(p2[0])} ${r(p2[1])}`;
+  }
+  return d;
+}
+
+/**
+ * Resample a stroke to evenly spaced points along its length.
+ * A stroke without length (a single tap) repeats its point.
+ * @param {number[][]} points
+ * @param {number} [count=SAMPLES]
+ * @returns {number[][]}
+ */
+export function resample(points, count = SAMPLES) {
+  if (!points?.length) return [];
+  const lengths = [0];
+  for (let i = 1; i < points.length; i += 1) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+  }
+  const total = lengths[lengths.length - 1];
+  if (!total) return Array.from({ length: count }, () => [...points[0]]);
+  const out = [];
+  let seg = 1;
+  for (let k = 0; k < count; k += 1) {
+    const at = (total * k) / (count - 1);
+    while (seg < points.length - 1 && lengths[seg] < at) seg += 1;
+    const span = lengths[seg] - lengths[seg - 1] || 1;
+    const t = Math.min(1, Math.max(0, (at - lengths[seg - 1]) / span));
+    const [ax, ay] = points[seg - 1];
+    const [bx, by] = points[seg];
+    out.push([ax + (bx - ax) * t, ay + (by - ay) * t]);
+  }
+  return out;
+}
+
+/**
+ * Mean distance between two strokes once both are resampled.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number}
+ */
+function meanDistance(a, b) {
+  const pa = resample(a);
+  const pb = resample(b);
+  return pa.reduce((sum, [x, y], i) => sum + Math.hypot(x - pb[i][0], y - pb[i][1]), 0) / pa.length;
+}
+
+/**
+ * Score a traced glyph against its reference strokes.
+ * Traced strokes are compared with the reference in order; each scores by how closely it follows its stroke,
+ * half as much when drawn backwards. Missing and extra strokes score nothing.
+ * @param {number[][][]} traced - Strokes drawn, in box units, in the order drawn.
+ * @param {GlyphStrokes} reference
+ * @returns {TraceScore}
+ */
+export function scoreTrace(traced, reference) {
+  const want = reference?.strokes || [];
+  const drawn = (traced || []).filter((s) => s.length);
+  const strokes = want.map(({ points }, i) => {
+    const mine = drawn[i];
+    if (!mine) return { score: 0, reversed: false, missing: true };
+    const forward = meanDistance(mine, points);
+    const backward = meanDistance([...mine].reverse(), points);
+    const reversed = backward < forward;
+    const fit = Math.max(0, 1 - Math.min(forward, backward) / TOLERANCE);
+    return { score: Math.round((reversed ? fit / 2 : fit) * 100), reversed, missing: false };
+  });
+  const count = Math.max(want.length, drawn.length);
+  const score = count ? Math.round(strokes.reduce((sum, s) => sum + s.score, 0) / count) : 0;
+  return { score, passed: score >= PASS_SCORE, strokes, extra: Math.max(0, drawn.length - want.length) };
+}
+
+/**
+ * @typedef {Object} GlyphStrokes
+ * @property {string} cluster - The glyph cluster drawn.
+ * @property {number} width - Width of the drawing, in box units.
+ * @property {number} height - Always BOX_HEIGHT.
+ * @property {{ char: string, points: number[][] }[]} strokes - In writing order; char is the base or sign a stroke belongs to.
+ */
+
+/**
+ * @typedef {Object} TraceScore
+ * @property {number} score - 0-100.
+ * @property {boolean} passed - score is PASS_SCORE or more.
+ * @property {{ score: number, reversed: boolean, missing: boolean }[]} strokes - One per reference stroke.
+ * @property {number} extra - Strokes drawn beyond the reference.
+ */
@@ -0,0 +1,160 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/utils/syllabify.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Splits normalized Tagalog words into syllables (onset, nucleus, coda).
+- Handles the "ng" digraph, loanword consonant clusters, and hyphen boundaries (pang-gabi).
+- Feeds the glyph mapper in transcription.js so each syllable maps to one Baybayin unit.
+*/
+
+/* ================ INVENTORY ================ */
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+const CONSONANTS = new Set([
+  'b', 'k', 'd', 'g', 'h', 'l', 'm', 'n', 'p', 'r', 's', 't', 'w', 'y', 'ng'
+]);
+
+// Consonant pairs that may open a syllable (mostly Spanish and English loans).
+const ONSET_CLUSTERS = new Set([
+  'pr', 'br', 'tr', 'dr', 'kr', 'gr',
+  'pl', 'bl', 'kl', 'gl',
+  'ts', 'dy', 'sy', 'ty', 'ny', 'ly', 'ky', 'py', 'by', 'my', 'ry', 'gy', 'hy',
+  'kw', 'gw', 'sw', 'tw', 'dw', 'bw', 'pw', 'hw'
+]);
+
+/* ================ FUNCTIONS ================ */
+
+/**
+ * Check whether a unit is a vowel.
+ * @param {string} unit
+ * @returns {boolean}
+ */
+export function isVowel(unit) {
+  return VOWELS.has(unit);
+}
+
+/**
+ * Check whether a unit is a consonant of the Baybayin inventory.
+ * @param {string} unit
+ * @returns {boolean}
+ */
+export function isConsonant(unit) {
+  return CONSONANTS.has(unit);
+}
+
+/**
+ * Split a word into letter runs and everything else.
+ * Letter runs only contain the normalized inventory; hyphens, digits and
+ * punctuation end a run and act as syllable boundaries.
+ * @param {string} word - A lowercased, normalized word.
+ * @returns {{ type: 'letters'|'other', text: string }[]}
+ */
+export function splitRuns(word) {
+  const runs = [];
+  for (const ch of `${word}`) {
+    const type = VOWELS.has(ch) || CONSONANTS.has(ch) ? 'letters' : 'other';
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += ch;
+    else runs.push({ type, text: ch });
+  }
+  return runs;
+}
+
+/**
+ * Break a letter run into phoneme units.
+ * "ng" is read as a single velar nasal; write "n-g" to force n + g.
+ * @param {string} run
+ * @returns {string[]}
+ */
+export function toUnits(run) {
+  const units = [];
+  let i = 0;
+  while (i < run.length) {
+    if (run.startsWith('ng', i)) { units.push('ng'); i += 2; }
+    else { units.push(run[i]); i += 1; }
+  }
+  return units;
+}
+
+/**
+ * Decide how many consonants of an intervocalic sequence open the next syllable.
+ * VCV → V.CV, VCCV → VC.CV, VCCCV → VC.CCV when the last pair is a valid onset.
+ * @param {string[]} cons
+ * @returns {number}
+ */
+function onsetLength(cons) {
+  if (cons.length <= 2) return Math.min(cons.length, 1);
+  const pair = cons.slice(-2).join('');
+  return ONSET_CLUSTERS.has(pair) ? 2 : 1;
+}
+
+/**
+ * Build a syllable record.
+ * @param {string[]} onset
+ * @param {string} nucleus
+ * @param {string[]} coda
+ * @returns {Syllable}
+ */
+function syllable(onset, nucleus, coda) {
+  return { onset, nucleus, coda, text: onset.join('') + nucleus + coda.join('') };
+}
+
+/**
+ * Syllabify a single letter run.
+ * Consonants before the first vowel form its onset, consonants after the last
+ * vowel form its coda, and intervocalic consonants are split by onsetLength().
+ * A run without vowels becomes one nucleus-less syllable of coda consonants.
+ * @param {string} run
+ * @returns {Syllable[]}
+ */
+function syllabifyRun(run) {
+  const units = toUnits(run);
+  const vowelAt = units.reduce((acc, u, i) => (VOWELS.has(u) ? [...acc, i] : acc), []);
+  if (!vowelAt.length) return units.length ? [syllable([], '', units)] : [];
+
+  const out = [];
+  let start = 0;
+  vowelAt.forEach((v, n) => {
+    const next = vowelAt[n + 1];
+    const end = next === undefined
+      ? units.length
+      : next - onsetLength(units.slice(v + 1, next));
+    out.push(syllable(units.slice(start, v), units[v], units.slice(v + 1, end)));
+    start = end;
+  });
+  return out;
+}
+
+/**
+ * Syllabify a normalized word.
+ * Non-letters (hyphens, digits, punctuation) are treated as boundaries and skipped.
+ * @example syllabify('kontra').map((s) => s.text) // ['kon', 'tra']
+ * @param {string} word - A lowercased, normalized word.
+ * @returns {Syllable[]}
+ */
+export function syllabify(word) {
+  return splitRuns(word)
+    .filter((r) => r.type === 'letters')
+    .flatMap((r) => syllabifyRun(r.text));
+}
+
+/**
+ * Syllabify each letter run of a word, keeping the runs in between.
+ * Used by the glyph mapper to interleave syllables with passthrough text.
+ * @param {string} word
+ * @returns {({ type: 'letters', text: string, syllables: Syllable[] }|{ type: 'other', text: string })[]}
+ */
+export function syllabifyRuns(word) {
+  return splitRuns(word).map((r) => (
+    r.type === 'letters' ? { ...r, syllables: syllabifyRun(r.text) } : r
+  ));
+}
+
+/**
+ * @typedef {Object} Syllable
+ * @property {string[]} onset - Consonant units before the vowel.
+ * @property {string} nucleus - The vowel, or '' for vowel-less runs.
+ * @property {string[]} coda - Consonant units after the vowel.
+ * @property {string} text - The syllable as written.
+ */
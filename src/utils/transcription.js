@@ -1,13 +1,38 @@
 /* 
 AUTHOR: Kenneth Agonoy 
 LOCATION: .../src/utils/transcription.js
-LAST EDITED: 2025-08-22
+LAST EDITED: 2026-10-18
 
 PURPOSE:
 - Features functions to convert Tagalog text to Baybayin script and vice versa. 
 - Supports two Baybayin styles: Krus-Kudlit (with virama) and Pamudpod (with Pamudpod).
+- Latin words are syllabified first, with loanword clusters written B17-style or with an epenthetic vowel.
+- Glyph tables, abbreviations and punctuation come from the orthography profiles in profiles.js.
+- The source language (languages.js) adds its own spelling rules and function words; Tagalog by default.
+- Output can be Baybayin or a sibling script (scripts.js): Hanunó'o, Buhid or Tagbanwa, all read back to Latin.
+- Baybayin reads back in a romanization (romanization.js): phonetic, strict, or lossless, which converts back exactly.
+- Reverse transcription can rank readings against the bundled lexicon in lexicon.js.
+- An optional front end (expand.js) spells out numbers, dates, symbols and abbreviations first.
+- A user dictionary (dictionary.js) overrides words in both directions before any built-in rule.
+- Text typed for legacy ASCII-mapped Baybayin fonts converts to Unicode and back (legacy.js, re-exported here).
+- Mixed text is split into script runs: each run is transcribed only if it is not in the target script yet,
+  {braced} foreign spans are left as written, and direction 'auto' picks the target from the dominant script.
 */
 
+import { syllabify as syllabifyNormalized, syllabifyRuns, isConsonant, isVowel } from './syllabify.js';
+import { getProfile } from './profiles.js';
+import { getLanguage, isLoanword } from './languages.js';
+import { getScript, toScript, fromScript, writesFinals } from './scripts.js';
+import { romanizePieces, parseLossless } from './romanization.js';
+import { WORDS, buildIndex } from './lexicon.js';
+import { expand as expandWords, expandParts } from './expand.js';
+
+export { PROFILES, DEFAULT_PROFILE, listProfiles } from './profiles.js';
+export { LANGUAGES, DEFAULT_LANGUAGE, listLanguages } from './languages.js';
+export { SCRIPTS, DEFAULT_SCRIPT, listScripts } from './scripts.js';
+export { ROMANIZATIONS, DEFAULT_ROMANIZATION, listRomanizations } from './romanization.js';
+export { LEGACY_FONTS, DEFAULT_LEGACY_FONT, listLegacyFonts, fromLegacy, toLegacy } from './legacy.js';
+
 /* ================ BAYBAYIN MAPPINGS ================ */
 const VOWEL_A = 'ᜀ';
 const VOWEL_I = 'ᜁ';
@@ -16,76 +41,60 @@ const KUDLIT  = '᜔';
 const PAMUDPOD = '᜕';
 const TOP_ACCENT = 'ᜒ';  // i/e
 const BOTTOM_ACCENT = 'ᜓ';  // o/u
-const PUNCT = { '.': ' //', ',': ' /' };
-
-const mapBybn = {
-  a: VOWEL_A, e: VOWEL_I, i: VOWEL_I, o: VOWEL_U, u: VOWEL_U,
-
-  ba: 'ᜊ', ka: 'ᜃ', da: 'ᜇ', ga: 'ᜄ', ha: 'ᜑ',
-  la: 'ᜎ', ma: 'ᜋ', na: 'ᜈ', pa: 'ᜉ', ra: 'ᜍ',
-  sa: 'ᜐ', ta: 'ᜆ', wa: 'ᜏ', ya: 'ᜌ', nga: 'ᜅ',
-
-  b: 'ᜊ' + KUDLIT, k: 'ᜃ' + KUDLIT, d: 'ᜇ' + KUDLIT, g: 'ᜄ' + KUDLIT, h: 'ᜑ' + KUDLIT,
-  l: 'ᜎ' + KUDLIT, m: 'ᜋ' + KUDLIT, n: 'ᜈ' + KUDLIT, p: 'ᜉ' + KUDLIT, r: 'ᜍ' + KUDLIT,
-  s: 'ᜐ' + KUDLIT, t: 'ᜆ' + KUDLIT, w: 'ᜏ' + KUDLIT, y: 'ᜌ' + KUDLIT, ng: 'ᜅ' + KUDLIT,
-
-  bi: 'ᜊ' + TOP_ACCENT, be: 'ᜊ' + TOP_ACCENT,
-  ki: 'ᜃ' + TOP_ACCENT, ke: 'ᜃ' + TOP_ACCENT,
-  di: 'ᜇ' + TOP_ACCENT, de: 'ᜇ' + TOP_ACCENT,
-  gi: 'ᜄ' + TOP_ACCENT, ge: 'ᜄ' + TOP_ACCENT,
-  hi: 'ᜑ' + TOP_ACCENT, he: 'ᜑ' + TOP_ACCENT,
-  li: 'ᜎ' + TOP_ACCENT, le: 'ᜎ' + TOP_ACCENT,
-  mi: 'ᜋ' + TOP_ACCENT, me: 'ᜋ' + TOP_ACCENT,
-  ni: 'ᜈ' + TOP_ACCENT, ne: 'ᜈ' + TOP_ACCENT,
-  pi: 'ᜉ' + TOP_ACCENT, pe: 'ᜉ' + TOP_ACCENT,
-  ri: 'ᜍ' + TOP_ACCENT, re: 'ᜍ' + TOP_ACCENT,
-  si: 'ᜐ' + TOP_ACCENT, se: 'ᜐ' + TOP_ACCENT,
-  ti: 'ᜆ' + TOP_ACCENT, te: 'ᜆ' + TOP_ACCENT,
-  wi: 'ᜏ' + TOP_ACCENT, we: 'ᜏ' + TOP_ACCENT,
-  yi: 'ᜌ' + TOP_ACCENT, ye: 'ᜌ' + TOP_ACCENT,
-  ngi: 'ᜅ' + TOP_ACCENT, nge: 'ᜅ' + TOP_ACCENT,
-
-  bo: 'ᜊ' + BOTTOM_ACCENT, bu: 'ᜊ' + BOTTOM_ACCENT,
-  ko: 'ᜃ' + BOTTOM_ACCENT, ku: 'ᜃ' + BOTTOM_ACCENT,
-  do: 'ᜇ' + BOTTOM_ACCENT, du: 'ᜇ' + BOTTOM_ACCENT,
-  go: 'ᜄ' + BOTTOM_ACCENT, gu: 'ᜄ' + BOTTOM_ACCENT,
-  ho: 'ᜑ' + BOTTOM_ACCENT, hu: 'ᜑ' + BOTTOM_ACCENT,
-  lo: 'ᜎ' + BOTTOM_ACCENT, lu: 'ᜎ' + BOTTOM_ACCENT,
-  mo: 'ᜋ' + BOTTOM_ACCENT, mu: 'ᜋ' + BOTTOM_ACCENT,
-  no: 'ᜈ' + BOTTOM_ACCENT, nu: 'ᜈ' + BOTTOM_ACCENT,
-  po: 'ᜉ' + BOTTOM_ACCENT, pu: 'ᜉ' + BOTTOM_ACCENT,
-  ro: 'ᜍ' + BOTTOM_ACCENT, ru: 'ᜍ' + BOTTOM_ACCENT,
-  so: 'ᜐ' + BOTTOM_ACCENT, su: 'ᜐ' + BOTTOM_ACCENT,
-  to: 'ᜆ' + BOTTOM_ACCENT, tu: 'ᜆ' + BOTTOM_ACCENT,
-  wo: 'ᜏ' + BOTTOM_ACCENT, wu: 'ᜏ' + BOTTOM_ACCENT,
-  yo: 'ᜌ' + BOTTOM_ACCENT, yu: 'ᜌ' + BOTTOM_ACCENT,
-  ngo: 'ᜅ' + BOTTOM_ACCENT, ngu: 'ᜅ' + BOTTOM_ACCENT,
-
-  '.': PUNCT['.'],
-  ',': PUNCT[','],
-};
 
-const exceptions = {
-  mga: 'ᜋᜅ',
-  ng:  'ᜅ',
-  nang:'ᜅ',
-  dyos:'ᜇ᜔ᜌᜓᜐ᜔',
-  shi:  'ᜐ' + TOP_ACCENT
+const INDEPENDENT = { a: VOWEL_A, e: VOWEL_I, i: VOWEL_I, o: VOWEL_U, u: VOWEL_U };
+
+const CONSONANTS = {
+  b: 'ᜊ', k: 'ᜃ', d: 'ᜇ', g: 'ᜄ', h: 'ᜑ',
+  l: 'ᜎ', m: 'ᜋ', n: 'ᜈ', p: 'ᜉ', r: 'ᜍ',
+  s: 'ᜐ', t: 'ᜆ', w: 'ᜏ', y: 'ᜌ', ng: 'ᜅ'
 };
 
+// Vowel signs in reverse-reading priority: the first vowel listed wins in toLatin().
+const VOWEL_SIGNS = [['a', ''], ['i', TOP_ACCENT], ['e', TOP_ACCENT], ['o', BOTTOM_ACCENT], ['u', BOTTOM_ACCENT]];
+
 /**
- * Builds and caches reverse mappings for Baybayin to Latin.
+ * Build the syllable map for a profile.
+ * Keys are Latin syllables (ka, ki, k) and values their glyphs, in the same
+ * order buildReverse() relies on to pick a reading.
+ * @param {import('./profiles.js').Profile} profile
+ * @returns {Record<string,string>}
+ */
+function buildMap(profile) {
+  const map = { ...INDEPENDENT };
+  const base = { ...CONSONANTS, ...profile.consonants };
+  for (const [c, glyph] of Object.entries(base)) map[c + 'a'] = glyph;
+  for (const [c, glyph] of Object.entries(base)) map[c] = profile.finals === 'drop' ? '' : glyph + KUDLIT;
+  for (const [v, sign] of VOWEL_SIGNS.slice(1)) {
+    for (const [c, glyph] of Object.entries(base)) map[c + v] = glyph + sign;
+  }
+  return map;
+}
+
+/**
+ * Builds and caches the forward and reverse mappings for a profile.
  * Also precomputes a glyph list sorted by length through greedy matching.
- * @returns {{ rev: Record<string,string>, glyphs: string[] }}
+ * Custom profile objects are cached per object, so reusing one builds its tables once.
+ * @param {string|Partial<import('./profiles.js').Profile>} [profileRef]
+ * @returns {{ profile: import('./profiles.js').Profile, map: Record<string,string>, rev: Record<string,string>, glyphs: string[], words: Record<string,string> }}
  */
 const buildReverse = (() => {
-  let cache;
-  return () => {
-    if (cache) return cache;
-    const rev = Object.entries(mapBybn).reduce((acc, [latin, bay]) => {
-      if (!/[.,]/.test(latin)) acc[bay] = acc[bay] || latin;
+  const named = new Map();
+  const custom = new WeakMap();
+  return (profileRef) => {
+    const isCustom = Boolean(profileRef) && typeof profileRef === 'object';
+    const cache = isCustom ? custom : named;
+    const key = isCustom ? profileRef : getProfile(profileRef);
+    if (cache.has(key)) return cache.get(key);
+    const profile = isCustom ? getProfile(profileRef) : key;
+    const map = buildMap(profile);
+    const rev = Object.entries(map).reduce((acc, [latin, bay]) => {
+      if (bay) acc[bay] = acc[bay] || latin;
       return acc;
     }, {});
+    // Independent vowels keep their historical e/o readings.
+    rev[VOWEL_I] = 'e';
+    rev[VOWEL_U] = 'o';
     // Accept pamupod variants (swap ᜔ → ᜕)
     for (const [bay, latin] of Object.entries(rev)) {
       if (bay.endsWith(KUDLIT)) {
@@ -93,169 +102,931 @@ const buildReverse = (() => {
         if (!rev[pam]) rev[pam] = latin;
       }
     }
-    cache = {
+    // Punctuation, with and without its leading space; the first mark listed wins.
+    for (const [latin, bay] of Object.entries(profile.punctuation)) {
+      if (!bay) continue;
+      rev[bay] = rev[bay] || latin;
+      rev[bay.trim()] = rev[bay.trim()] || latin;
+    }
+    const words = Object.entries(profile.abbreviations).reduce((acc, [latin, bay]) => {
+      acc[bay] = acc[bay] || latin;
+      return acc;
+    }, {});
+    const entry = {
+      profile,
+      map,
       rev,
+      words,
       glyphs: Object.keys(rev).sort((a, b) => b.length - a.length)
     };
-    return cache;
+    cache.set(key, entry);
+    return entry;
   };
 })();
 
 /* ================ FUNCTIONS ================ */
 
 /**
- * Remove hyphens that appear within Baybayin runs.
+ * Characters that count as Baybayin when deciding whether a hyphen sits inside a run.
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isBaybayinChar(ch) {
+  return /[ᜀ-᜶]/.test(ch || '');
+}
+
+// Latin rewrites applied in order by normalize(), after the language's own; clusters are left to syllabify().
+const NORMALIZE_RULES = [
+  [/[’‘']/g, ''],
+  [/z/g, 's'],
+  [/ll/g, 'ly'],
+  [/ch/g, 'ts'],
+  [/sh/g, 'sy'],
+  [/j/g, 'h'],
+  [/c(?=[eiy])/g, 's'],
+  [/c/g, 'k'],
+  [/x/g, 'ks'],
+  [/v/g, 'b'],
+  [/q/g, 'k'],
+  [/f/g, 'p'],
+  [/th/g, 't'],
+  [/ph/g, 'p']
+];
+
+/**
+ * Canonicalize Latin input before mapping, tracking where each output
+ * character came from in the input.
+ * Steps:
+ * 1) Lowercase, map ñ to "ny", then Unicode NFD and strip combining marks.
+ * 2) Apply the language's rules (Tagalog expands elided “’y” to “ ay”), unless the word is spelled as a loanword.
+ * 3) Drop remaining quotes and normalize letters and common digraphs to the expected inventory.
+ * Consonant clusters are left intact; syllabify() decides where they split.
  * @param {string} word
- * @returns {string}
+ * @param {import('./languages.js').Language} [language] - Tagalog when omitted.
+ * @returns {{ text: string, spans: [number, number][] }} spans[i] is the input range behind text[i].
  */
-function clean(word) {
-  return word.replace(/(?<=[ᜀ-᜶])-+(?=[ᜀ-᜶])/g, '');
+function normalizeTracked(word, language = getLanguage()) {
+  let text = '';
+  let spans = [];
+  let i = 0;
+  for (const ch of word) {
+    const lower = ch.toLowerCase();
+    const plain = lower === 'ñ' ? 'ny' : lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    for (const c of plain) { text += c; spans.push([i, i + ch.length]); }
+    i += ch.length;
+  }
+
+  const rules = isLoanword(text) ? NORMALIZE_RULES : [...language.rules, ...NORMALIZE_RULES];
+  for (const [re, repl] of rules) {
+    let next = '';
+    const nextSpans = [];
+    let last = 0;
+    for (const m of text.matchAll(re)) {
+      next += text.slice(last, m.index);
+      nextSpans.push(...spans.slice(last, m.index));
+      const from = spans[m.index]?.[0] ?? spans[m.index - 1]?.[1] ?? 0;
+      const to = spans[m.index + m[0].length - 1]?.[1] ?? from;
+      for (const c of repl) { next += c; nextSpans.push([from, to]); }
+      last = m.index + m[0].length;
+    }
+    text = next + text.slice(last);
+    spans = nextSpans.concat(spans.slice(last));
+  }
+  return { text, spans };
 }
 
 /**
  * Canonicalize Latin input before mapping.
- * Steps:
- * 1) Unicode NFD, strip combining marks.
- * 2) Expand elided “’y” to “ ay”, drop remaining quotes.
- * 3) Normalize letters and common digraphs to the expected inventory.
  * @param {string} word
+ * @param {import('./languages.js').Language} [language]
  * @returns {string}
  */
-function normalize(word) {
-  let s = word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  s = s.replace(/\b(\w+)[’'‘]y\b/gi, '$1 ay').replace(/[’‘']/g, '');
-  return s
-  .replace(/z/g, 's')
-  .replace(/ñ/g, 'ny')
-  .replace(/ll/g, 'ly')
-  .replace(/ch/g, 'ts')
-  .replace(/sh/g, 'sy')
-  .replace(/j/g, 'h')
-  .replace(/c(?=[eiy])/g, 's')
-  .replace(/c/g, 'k')
-  .replace(/x/g, 'ks')
-  .replace(/v/g, 'b')
-  .replace(/q/g, 'k')
-  .replace(/f/g, 'p')
-  .replace(/th/g, 't')
-  .replace(/ph/g, 'p')
-  .replace(/tr/g, 'tar')
-  .replace(/dr/g, 'dar')
-  .replace(/br/g, 'bar')
-  .replace(/gr/g, 'gar')
-  .replace(/cr/g, 'kar')
-  .replace(/fr/g, 'par')
-  .replace(/pr/g, 'par')
-  .replace(/pl/g, 'pal')
-  .replace(/gl/g, 'gal')
-  .replace(/cl/g, 'kal')
-  .replace(/bl/g, 'bal')
-  .replace(/sl/g, 'sal')
-  .replace(/fl/g, 'pal');
+function normalize(word, language) {
+  return normalizeTracked(word, language).text;
 }
 
 /**
- * Converts Latin to Baybayin (Krus-Kudlit mode).
- * Algorithm:
- * - Lowercase, split on ASCII whitespace.
- * - For each word, apply normalize(), exceptions, and punctuation tables.
- * - Greedy scan choosing tri-graph, bi-graph, then single mappings.
- * - Clean internal hyphens inside Baybayin runs.
+ * Pick the vowel inserted to break up a consonant cluster.
+ * Glides take their matching vowel (kwento → kuwento, dyos → diyos),
+ * anything else copies the syllable's own vowel (plato → palato).
+ * The affricate "ts" is a single sound and is never broken up.
+ * @param {string} c - The consonant taking the inserted vowel.
+ * @param {string} next - The consonant following the inserted vowel.
+ * @param {string} nucleus
+ * @returns {string}
+ */
+function epentheticVowel(c, next, nucleus) {
+  if (c + next === 'ts') return '';
+  if (next === 'y') return 'i';
+  if (next === 'w') return 'u';
+  return nucleus;
+}
+
+/**
+ * Map one syllable to glyphs.
+ * Onset clusters either take a kudlit on every consonant but the last (B17)
+ * or, with the epenthetic strategy, a copied vowel, wherever they fall in the word.
+ * @param {import('./syllabify.js').Syllable} syl
+ * @param {{ map: Record<string,string>, clusters: 'kudlit'|'epenthetic' }} opts
+ * @returns {string}
+ */
+function mapSyllable({ onset, nucleus, coda }, { map, clusters }) {
+  let acc = '';
+  const lead = nucleus ? onset.slice(0, -1) : onset;
+  lead.forEach((c, i) => {
+    const v = clusters === 'epenthetic' && nucleus
+      ? epentheticVowel(c, onset[i + 1], nucleus)
+      : '';
+    acc += map[c + v];
+  });
+  if (nucleus) acc += map[(onset[onset.length - 1] || '') + nucleus];
+  for (const c of coda) acc += map[c];
+  return acc;
+}
+
+/**
+ * Map a normalized word to glyph pieces through the syllabifier.
+ * Each syllable is one piece; punctuation uses the profile's table, hyphens
+ * inside a Baybayin run are dropped, anything else passes through unchanged.
+ * @param {string} w
+ * @param {WordContext} ctx
+ * @returns {{ from: number, to: number, rule: TranscribeRule, glyphs: string }[]} from/to index into w.
+ */
+function mapWordPieces(w, { map, punctuation, clusters }) {
+  const pieces = [];
+  let n = 0;
+  for (const run of syllabifyRuns(w)) {
+    if (run.type === 'letters') {
+      run.syllables.forEach((syl) => {
+        const glyphs = mapSyllable(syl, { map, clusters });
+        pieces.push({ from: n, to: n + syl.text.length, rule: 'syllable', glyphs });
+        n += syl.text.length;
+      });
+      continue;
+    }
+    for (const ch of run.text) {
+      const known = Object.hasOwn(punctuation, ch);
+      const rule = known ? 'punctuation' : 'passthrough';
+      let glyphs = known ? punctuation[ch] : ch;
+      if (ch === '-') {
+        const before = pieces.map((p) => p.glyphs).join('').slice(-1);
+        const after = w.slice(n).replace(/^-+/, '')[0];
+        if (isBaybayinChar(before) && (isBaybayinChar(after) || isConsonant(after) || isVowel(after))) glyphs = '';
+      }
+      pieces.push({ from: n, to: n + ch.length, rule, glyphs });
+      n += ch.length;
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Syllabify a Latin word after the same normalization used for transcription.
+ * @example syllabify('Niño').map((s) => s.text) // ['nin', 'yo']
+ * @param {string} [word='']
+ * @param {{ language?: string }} [opts] - Source language; Tagalog by default.
+ * @returns {import('./syllabify.js').Syllable[]}
+ */
+export function syllabify(word = '', { language } = {}) {
+  return syllabifyNormalized(normalize(`${word}`, getLanguage(language)));
+}
+
+/**
+ * Map a Latin respelling to glyphs word by word, keeping its spaces.
+ * @param {string} text
+ * @param {WordContext} ctx
+ * @returns {string}
+ */
+function spellOut(text, ctx) {
+  return text.split(/(\s+)/)
+    .map((part) => (/^\s*$/.test(part) ? part : mapWordPieces(normalize(part, ctx.language), ctx).map((p) => p.glyphs).join('')))
+    .join('');
+}
+
+/**
+ * Build lookups for a user dictionary in the active profile.
+ * Forward keys are normalized words; reverse keys are single-word glyph spellings,
+ * read back as the word was entered. The first entry for a word or spelling wins.
+ * @param {import('./dictionary.js').DictionaryEntry[]} [entries]
+ * @param {WordContext} ctx
+ * @returns {{ forward: Record<string,string>, reverse: Record<string,string> }}
+ */
+function dictionaryTables(entries, ctx) {
+  const forward = {};
+  const reverse = {};
+  for (const { word, spelling } of entries || []) {
+    const key = normalize(`${word}`, ctx.language);
+    if (!key || Object.hasOwn(forward, key)) continue;
+    const glyphs = BAYBAYIN_LETTER.test(spelling) ? `${spelling}` : spellOut(`${spelling}`, ctx);
+    forward[key] = glyphs;
+    const back = lexiconKey(glyphs);
+    if (!/\s/.test(back) && !Object.hasOwn(reverse, back)) reverse[back] = `${word}`;
+  }
+  return { forward, reverse };
+}
+
+/**
+ * Spell out numbers, dates, times, %, &, ₱ and common abbreviations in Tagalog.
+ * The same step transcribe() runs with `expand: true`; use it to preview the text
+ * that will be mapped to glyphs.
+ * @example expandText('₱100') // 'isang daang piso'
+ * @example expandText('₱100', { numerals: 'spanish' }) // 'siyento pesos'
  * @param {string} [text='']
+ * @param {{ numerals?: 'native'|'spanish' }} [opts]
  * @returns {string}
  */
-export function toBaybayinKrusKudlit(text = '') {
-  const out = [];
-  for (const raw of `${text}`.toLowerCase().split(/\s+/)) {
-    const w = normalize(raw);
-    if (!w) { out.push(''); continue; }
-    if (exceptions[w]) { out.push(exceptions[w]); continue; }
-    if (PUNCT[w])      { out.push(PUNCT[w]);      continue; }
-
-    let acc = '';
-    let i = 0;
-    while (i < w.length) {
-      const tri = w.slice(i, i + 3);
-      const bi  = w.slice(i, i + 2);
-      const s   = w[i];
-
-      if (mapBybn[tri])         { acc += mapBybn[tri]; i += 3; }
-      else if (mapBybn[bi])     { acc += mapBybn[bi];  i += 2; }
-      else if (mapBybn[s])      { acc += mapBybn[s];   i += 1; }
-      else                    { acc += s;          i += 1; }
+export function expandText(text = '', opts = {}) {
+  return expandWords(`${text}`, opts);
+}
+
+/**
+ * Latin → Baybayin half of transcribe().
+ * Algorithm:
+ * - With `expand`, spell out numbers, dates and abbreviations first (see expandText()).
+ * - Split on whitespace; whitespace runs (newlines, indentation) pass through unchanged.
+ * - For each word, apply normalize() with the language's rules, the user dictionary, the profile's abbreviations
+ *   the language uses, the language's exceptions, and punctuation.
+ * - Otherwise syllabify the word and map each syllable (onset, vowel, coda) to glyphs.
+ * - Pamupod mode swaps the kudlit for the pamudpod in every piece; a sibling script then rewrites it (see toScript()).
+ * @param {string} src
+ * @param {TranscribeOptions} opts
+ * @returns {Transcription}
+ */
+function transcribeToBaybayin(src, { mode = 'krus-kudlit', clusters = 'kudlit', profile, language, script, expand = false, numerals = 'native', dictionary } = {}) {
+  const tables = buildReverse(profile);
+  const lang = getLanguage(language);
+  const target = getScript(script);
+  const { punctuation } = tables.profile;
+  const abbreviations = Object.fromEntries(Object.entries(tables.profile.abbreviations).filter(([w]) => lang.abbreviations.includes(w)));
+  const { exceptions } = lang;
+  const ctx = { map: tables.map, punctuation, clusters, language: lang };
+  const { forward: userWords } = dictionaryTables(dictionary, ctx);
+  const segments = [];
+  let output = '';
+
+  const emit = (start, end, normalized, rule, glyphs) => {
+    const text = toScript(mode === 'pamupod' ? glyphs.replace(/\u1714/g, PAMUDPOD) : glyphs, target);
+    segments.push({
+      source: { start, end },
+      output: { start: output.length, end: output.length + text.length },
+      normalized,
+      rule
+    });
+    output += text;
+  };
+
+  /**
+   * Map a stretch of Latin text word by word.
+   * @param {string} text
+   * @param {number} offset - Where text starts in src.
+   * @param {{ start: number, end: number }} [pinned] - Source span for every segment (expanded text).
+   */
+  const mapText = (text, offset, pinned) => {
+    const at = (start, end) => (pinned ? [pinned.start, pinned.end] : [start, end]);
+    const emitPieces = (pieces, w, spans, start, base = 0) => {
+      for (const p of pieces) {
+        const from = start + spans[base + p.from][0];
+        const to = start + spans[base + p.to - 1][1];
+        // Pieces that share an input character (x → ks) only claim it once.
+        const claimed = Math.max(from, segments[segments.length - 1]?.source.end ?? start);
+        emit(...at(claimed, Math.max(to, claimed)), w.slice(base + p.from, base + p.to), p.rule, p.glyphs);
+      }
+    };
+    for (const m of text.matchAll(/\s+|\S+/g)) {
+      const start = offset + m.index;
+      const end = start + m[0].length;
+      if (/^\s/.test(m[0])) { emit(...at(start, end), m[0], 'passthrough', m[0]); continue; }
+
+      const { text: w, spans } = normalizeTracked(m[0], lang);
+      if (!w) continue;
+      // User words may carry punctuation on either side ("Agonoy,").
+      const [, lead, core, trail] = w.match(/^(\P{L}*)(.*?)(\P{L}*)$/u);
+      if (core && Object.hasOwn(userWords, core)) {
+        emitPieces(mapWordPieces(lead, ctx), w, spans, start);
+        const from = start + spans[lead.length][0];
+        const to = start + spans[lead.length + core.length - 1][1];
+        emit(...at(from, to), core, 'dictionary', userWords[core]);
+        emitPieces(mapWordPieces(trail, ctx), w, spans, start, lead.length + core.length);
+        continue;
+      }
+      if (abbreviations[w]) { emit(...at(start, end), w, 'exception', abbreviations[w]); continue; }
+      if (Object.hasOwn(exceptions, w)) {
+        const glyphs = mapWordPieces(exceptions[w], ctx).map((p) => p.glyphs).join('');
+        emit(...at(start, end), w, 'exception', glyphs);
+        continue;
+      }
+      if (Object.hasOwn(punctuation, w)) { emit(...at(start, end), w, 'punctuation', punctuation[w]); continue; }
+
+      emitPieces(mapWordPieces(w, ctx), w, spans, start);
+    }
+  };
+
+  if (!expand) mapText(src, 0);
+  else {
+    for (const part of expandParts(src, { numerals })) {
+      mapText(part.text, part.start, part.expanded ? part : undefined);
+    }
+  }
+  return { source: src, output, segments };
+}
+
+/**
+ * Lossless Latin → Baybayin half of transcribe(): the exact glyphs the lossless romanization was read from.
+ * Mode, profile and script do not apply; every kudlit and pamudpod is spelled out.
+ * @param {string} src
+ * @returns {Transcription}
+ */
+function transcribeLossless(src) {
+  const segments = [];
+  let output = '';
+  for (const p of parseLossless(src)) {
+    segments.push({
+      source: { start: p.start, end: p.end },
+      output: { start: output.length, end: output.length + p.glyphs.length },
+      normalized: p.normalized,
+      rule: p.rule
+    });
+    output += p.glyphs;
+  }
+  return { source: src, output, segments };
+}
+
+/**
+ * Read a Baybayin string into pieces glyph by glyph.
+ * Greedy matches the longest glyph at each position, falling back to
+ * independent vowels and passthrough for other chars. User dictionary
+ * words, then whole-word abbreviations, are read first when given.
+ * @param {string} s
+ * @param {{ rev: Record<string,string>, glyphs: string[], profile: import('./profiles.js').Profile }} tables
+ * @param {Record<string,string>} [words]
+ * @param {Record<string,string>} [userWords] - Reverse user dictionary (see dictionaryTables()).
+ * @returns {{ start: number, end: number, reading: string, rule: TranscribeRule }[]}
+ */
+function readPieces(s, { rev, glyphs, profile }, words, userWords) {
+  const punct = new Set(Object.keys(profile.punctuation));
+  const pieces = [];
+  let i = 0;
+  const push = (length, reading, rule) => {
+    pieces.push({ start: i, end: i + length, reading, rule });
+    i += length;
+  };
+
+  while (i < s.length) {
+    if (userWords && !BAYBAYIN_LETTER.test(s[i - 1] || '')) {
+      const run = s.slice(i).match(/^[\u1700-\u1715]+/)?.[0];
+      if (run && Object.hasOwn(userWords, lexiconKey(run))) { push(run.length, userWords[lexiconKey(run)], 'dictionary'); continue; }
+    }
+
+    const atWordStart = i === 0 || /\s/.test(s[i - 1]);
+    const word = words && atWordStart ? s.slice(i).match(/^\S+/)?.[0] : null;
+    if (word && words[word]) { push(word.length, words[word], 'exception'); continue; }
+
+    const g = glyphs.find((glyph) => s.startsWith(glyph, i));
+    if (g) { push(g.length, rev[g], punct.has(rev[g]) ? 'punctuation' : 'syllable'); continue; }
+
+    // independent vowels
+    const ch = s[i];
+    if (ch === VOWEL_A) { push(1, 'a', 'syllable'); continue; }
+    if (ch === VOWEL_I) { push(1, 'i', 'syllable'); continue; }
+    if (ch === VOWEL_U) { push(1, 'u', 'syllable'); continue; }
+
+    // whitespace and others
+    push(1, ch === ' ' ? ' ' : ch, 'passthrough');
+  }
+  return pieces;
+}
+
+/**
+ * Read a Baybayin string glyph by glyph.
+ * @param {string} s
+ * @param {{ rev: Record<string,string>, glyphs: string[], profile: import('./profiles.js').Profile }} tables
+ * @param {Record<string,string>} [words]
+ * @returns {string}
+ */
+function readGlyphs(s, tables, words) {
+  return readPieces(s, tables, words).map((p) => p.reading).join('');
+}
+
+/**
+ * Baybayin → Latin half of transcribe().
+ * Algorithm:
+ * - Use the profile's cached reverse map and a glyph list sorted by length.
+ * - Read user dictionary words, then whole-word abbreviations (ᜋᜅ → mga), before anything else.
+ * - Greedy match the longest glyph at each position.
+ * - With a lexicon, take the top-ranked reading of each word instead (see toLatinCandidates()).
+ * - Whitespace (newlines, indentation, repeated spaces) passes through unchanged.
+ * - Hanunó'o, Buhid and Tagbanwa are read as the Baybayin they map to (see fromScript()).
+ * - The strict and lossless romanizations spell every glyph as it is, without the lexicon;
+ *   lossless keeps the sibling scripts' letters as they are, so they come back too.
+ * @param {string} src
+ * @param {TranscribeOptions} opts
+ * @returns {Transcription}
+ */
+function transcribeToLatin(src, { profile, lexicon = false, segment = false, dictionary, romanization = 'phonetic' } = {}) {
+  const tables = buildReverse(profile);
+  const glyphs = fromScript(src);
+  let pieces;
+  if (romanization === 'strict' || romanization === 'lossless') {
+    const lossless = romanization === 'lossless';
+    pieces = romanizePieces(lossless ? src : glyphs, { lossless });
+  } else if (lexicon) {
+    pieces = [];
+    let at = 0;
+    for (const seg of toLatinCandidates(src, { profile, lexicon, segment, dictionary })) {
+      if (seg.type === 'word' && seg.dictionary) {
+        pieces.push({ start: at, end: at + seg.source.length, reading: seg.reading, rule: 'dictionary' });
+      } else if (seg.type === 'word') {
+        pieces.push({ start: at, end: at + seg.source.length, reading: seg.reading, rule: 'lexicon', candidates: seg.candidates, known: seg.known });
+      } else if (!seg.source) {
+        pieces.push({ start: at, end: at, reading: seg.reading, rule: 'passthrough' });
+      } else {
+        for (const p of readPieces(fromScript(seg.source), tables)) pieces.push({ ...p, start: p.start + at, end: p.end + at });
+      }
+      at += seg.source.length;
+    }
+  } else {
+    const ctx = { map: tables.map, punctuation: tables.profile.punctuation, clusters: 'kudlit' };
+    pieces = readPieces(glyphs, tables, tables.words, dictionary && dictionaryTables(dictionary, ctx).reverse);
+  }
+
+  const segments = [];
+  let output = '';
+  for (const p of pieces) {
+    const seg = {
+      source: { start: p.start, end: p.end },
+      output: { start: output.length, end: output.length + p.reading.length },
+      normalized: src.slice(p.start, p.end),
+      rule: p.rule
+    };
+    if (p.candidates) Object.assign(seg, { candidates: p.candidates, known: p.known });
+    segments.push(seg);
+    output += p.reading;
+  }
+  return { source: src, output, segments };
+}
+
+/* ================ SCRIPT DETECTION ================ */
+
+// The Tagalog block and its siblings (Hanunó'o, Buhid, Tagbanwa), which share the dandas.
+const BAYBAYIN_SCRIPT = /[\u1700-\u1773]/;
+const LATIN_SCRIPT = /\p{Script=Latin}/u;
+// Text in braces is a foreign-language span: {Facebook} stays as written, without the braces.
+const FOREIGN_SPAN = /\{[^{}]*\}/g;
+
+/**
+ * Split text into runs of one script.
+ * Spaces, digits and punctuation between two letters of the same script belong to it;
+ * anywhere else they take the fallback script. Braced spans become 'foreign' runs.
+ * @param {string} [text='']
+ * @param {'latin'|'baybayin'} [fallback='latin'] - Script of neutral text at script boundaries
+ *   (transcribe() passes the script it converts from, so that text is still transcribed).
+ * @returns {ScriptRun[]}
+ */
+export function scriptRuns(text = '', fallback = 'latin') {
+  const src = `${text}`;
+  const kinds = new Array(src.length).fill(null);
+  for (const m of src.matchAll(FOREIGN_SPAN)) kinds.fill('foreign', m.index, m.index + m[0].length);
+  for (let i = 0; i < src.length; i += 1) {
+    if (kinds[i]) continue;
+    if (BAYBAYIN_SCRIPT.test(src[i])) kinds[i] = 'baybayin';
+    else if (LATIN_SCRIPT.test(src[i])) kinds[i] = 'latin';
+  }
+
+  // Resolve each stretch of neutral characters from the letters on both sides.
+  for (let i = 0; i < src.length; i += 1) {
+    if (kinds[i]) continue;
+    let j = i;
+    while (j < src.length && !kinds[j]) j += 1;
+    const before = kinds[i - 1];
+    kinds.fill(before && before !== 'foreign' && before === kinds[j] ? before : fallback, i, j);
+    i = j - 1;
+  }
+
+  const runs = [];
+  for (let i = 0; i < src.length; i += 1) {
+    const run = runs[runs.length - 1];
+    if (run?.script === kinds[i] && kinds[i] !== 'foreign') run.end = i + 1;
+    else if (run?.script === 'foreign' && kinds[i] === 'foreign' && src[i - 1] !== '}') run.end = i + 1;
+    else runs.push({ script: kinds[i], start: i, end: i + 1 });
+  }
+  return runs;
+}
+
+/**
+ * The script most of a text is written in, ignoring foreign spans.
+ * A Baybayin glyph is a syllable, so it weighs as much as two Latin letters; marks don't count.
+ * @param {string} [text='']
+ * @returns {'latin'|'baybayin'|null} Null when there are no letters.
+ */
+export function detectScript(text = '') {
+  const src = `${text}`.replace(FOREIGN_SPAN, '');
+  let latin = 0;
+  let baybayin = 0;
+  for (const ch of src) {
+    if (/[\u1700-\u1711\u171F\u1720-\u1731\u1740-\u1751\u1760-\u1770]/.test(ch)) baybayin += 2;
+    else if (LATIN_SCRIPT.test(ch)) latin += 1;
+  }
+  if (!latin && !baybayin) return null;
+  return baybayin > latin ? 'baybayin' : 'latin';
+}
+
+/**
+ * Transcribe text and report how every part of the source maps to the output.
+ * Segments are in source order and cover the output exactly; spans are
+ * half-open UTF-16 ranges, so they can be used directly with DOM selections.
+ * Rules: 'dictionary' (user words), 'exception' (abbreviations, exception words), 'punctuation',
+ * 'syllable' (glyph map), 'lexicon' (word read from the lexicon) and 'passthrough'.
+ * Text spelled out by `expand` keeps the source span of what was written (12/25/2025).
+ * Runs already in the target script and {foreign} spans pass through; with direction 'auto'
+ * the target is the script the text is not mostly written in, and is reported as `direction`.
+ * @param {string} [text='']
+ * @param {TranscribeOptions} [opts]
+ * @returns {Transcription}
+ */
+export function transcribe(text = '', { direction = 'baybayin', ...opts } = {}) {
+  const src = `${text}`;
+  const target = direction === 'auto' ? (detectScript(src) === 'baybayin' ? 'latin' : 'baybayin') : direction;
+  const from = target === 'latin' ? 'baybayin' : 'latin';
+  const lossless = opts.romanization === 'lossless';
+  const convert = (s) => {
+    if (target === 'latin') return transcribeToLatin(s, opts);
+    return lossless ? transcribeLossless(s) : transcribeToBaybayin(s, opts);
+  };
+
+  // The strict and lossless romanizations spell out Latin text and braces themselves.
+  const exact = lossless || (target === 'latin' && opts.romanization === 'strict');
+  const runs = scriptRuns(src, from);
+  if (exact || (runs.length <= 1 && runs[0]?.script !== 'foreign')) return { ...convert(src), direction: target };
+
+  const segments = [];
+  let output = '';
+  const pass = (start, end, text) => {
+    segments.push({ source: { start, end }, output: { start: output.length, end: output.length + text.length }, normalized: src.slice(start, end), rule: 'passthrough' });
+    output += text;
+  };
+  for (const { script, start, end } of runs) {
+    if (script === 'foreign') {
+      pass(start, start + 1, '');
+      if (end - start > 2) pass(start + 1, end - 1, src.slice(start + 1, end - 1));
+      pass(end - 1, end, '');
+    } else if (script !== from) {
+      pass(start, end, src.slice(start, end));
+    } else {
+      const part = convert(src.slice(start, end));
+      for (const seg of part.segments) {
+        segments.push({
+          ...seg,
+          source: { start: seg.source.start + start, end: seg.source.end + start },
+          output: { start: seg.output.start + output.length, end: seg.output.end + output.length }
+        });
+      }
+      output += part.output;
     }
-    out.push(clean(acc));
   }
-  return out.join(' ');
+  return { source: src, output, segments, direction: target };
+}
+
+/**
+ * Converts Latin to Baybayin (Krus-Kudlit mode).
+ * @param {string} [text='']
+ * @param {TranscribeOptions} [opts]
+ * @returns {string}
+ */
+export function toBaybayinKrusKudlit(text = '', opts = {}) {
+  return transcribe(text, { ...opts, direction: 'baybayin', mode: 'krus-kudlit' }).output;
 }
 
 /**
  * Converts Latin to Baybayin in Pamupod mode.
- * Produces Krus-Kudlit then swaps into Pamudpod.
  * @param {string} [text='']
+ * @param {TranscribeOptions} [opts]
  * @returns {string}
- */export function toBaybayinPamupod(text = '') {
-  return toBaybayinKrusKudlit(text).replace(/\u1714/g, PAMUDPOD);
+ */
+export function toBaybayinPamupod(text = '', opts = {}) {
+  return transcribe(text, { ...opts, direction: 'baybayin', mode: 'pamupod' }).output;
 }
 
 /**
  * Alias for the current default mode (Krus-Kudlit).
  * @param {string} [text='']
+ * @param {TranscribeOptions} [opts]
  * @returns {string}
  */
-export function toBaybayin(text = '') {
-  return toBaybayinKrusKudlit(text);
+export function toBaybayin(text = '', opts = {}) {
+  return toBaybayinKrusKudlit(text, opts);
 }
 
 /**
  * Convert Latin text to Baybayin with an explicit mode.
  * @param {string} [text='']
- * @param {{ mode?: 'krus-kudlit'|'pamupod' }} [opts]
+ * @param {TranscribeOptions} [opts]
  * @returns {string}
  */
-export function toBaybayinWithMode(text = '', { mode } = { mode: 'krus-kudlit' }) {
-  return mode === 'pamupod' ? toBaybayinPamupod(text) : toBaybayinKrusKudlit(text);
+export function toBaybayinWithMode(text = '', { mode = 'krus-kudlit', ...opts } = {}) {
+  return mode === 'pamupod' ? toBaybayinPamupod(text, opts) : toBaybayinKrusKudlit(text, opts);
+}
+
+/**
+ * The syllable map of a profile in a mode: Latin syllables (a, ka, ki, k) to their glyphs.
+ * Final consonants carry the mode's killer mark; profiles that drop finals map them to ''.
+ * @param {{ mode?: 'krus-kudlit'|'pamupod', profile?: string }} [opts]
+ * @returns {Record<string, string>} A copy, safe to change.
+ */
+export function syllableMap({ mode = 'krus-kudlit', profile } = {}) {
+  const { map } = buildReverse(profile);
+  if (mode !== 'pamupod') return { ...map };
+  return Object.fromEntries(Object.entries(map).map(([latin, bay]) => [latin, bay.replace(KUDLIT, PAMUDPOD)]));
 }
 
 /**
  * Converts Baybayin to Latin.
- * Algorithm:
- * - Use the cached reverse map and a glyph list sorted by length.
- * - Greedy match the longest glyph at each position.
- * - Fall back to independent vowels and passthrough for other chars.
- * - Normalize whitespace to single spaces and trim.
  * @param {string} [text='']
+ * @param {TranscribeOptions} [opts]
  * @returns {string}
  */
-export function toLatin(text = '') {
-  const { rev, glyphs } = buildReverse();
-  const s = `${text}`;
-  let res = '';
-  let i = 0;
+export function toLatin(text = '', opts = {}) {
+  return transcribe(text, { ...opts, direction: 'latin' }).output;
+}
 
-  while (i < s.length) {
-    let matched = false;
-    for (const g of glyphs) {
-      if (s.startsWith(g, i)) {
-        res += rev[g];
-        i += g.length;
-        matched = true;
-        break;
-      }
+/**
+ * Pair the Latin and Baybayin sides of a transcription word by word.
+ * Runs cover the whole text in order: segments of one word merge into a word run,
+ * and spaces and punctuation between words become runs of their own.
+ * @param {Transcription} t
+ * @param {'baybayin'|'latin'} [direction='baybayin'] - The direction `t` was transcribed in.
+ * @returns {WordRun[]}
+ */
+export function alignWords({ source, output, segments }, direction = 'baybayin') {
+  const groups = [];
+  for (const seg of segments) {
+    const word = seg.rule !== 'punctuation' && seg.rule !== 'passthrough';
+    const last = groups[groups.length - 1];
+    if (word && last?.word && seg.source.start <= last.source.end) {
+      last.source.end = Math.max(last.source.end, seg.source.end);
+      last.output.end = seg.output.end;
+      continue;
+    }
+    groups.push({ word, source: { ...seg.source }, output: { ...seg.output } });
+  }
+  // A silent joiner inside a word (the hyphen of mag-aral) keeps the word whole.
+  for (let i = groups.length - 2; i > 0; i -= 1) {
+    const [prev, mid, next] = groups.slice(i - 1, i + 2);
+    const silent = mid.output.start === mid.output.end && !/\s/.test(source.slice(mid.source.start, mid.source.end));
+    if (!mid.word && silent && prev.word && next?.word) {
+      prev.source.end = next.source.end;
+      prev.output.end = next.output.end;
+      groups.splice(i, 2);
     }
-    if (matched) continue;
+  }
+  return groups.map(({ word, source: s, output: o }) => {
+    const from = source.slice(s.start, s.end);
+    const to = output.slice(o.start, o.end);
+    return direction === 'latin' ? { latin: to, baybayin: from, word } : { latin: from, baybayin: to, word };
+  });
+}
 
-    // independent vowels
-    const ch = s[i];
-    if (ch === VOWEL_A) { res += 'a'; i += 1; continue; }
-    if (ch === VOWEL_I) { res += 'i'; i += 1; continue; }
-    if (ch === VOWEL_U) { res += 'u'; i += 1; continue; }
+/**
+ * @typedef {Object} WordRun
+ * @property {string} latin
+ * @property {string} baybayin
+ * @property {boolean} word - False for the spaces and punctuation between words.
+ */
 
-    // whitespace and others
-    res += ch === '\u00A0' ? ' ' : ch;
-    i += 1;
+/**
+ * @typedef {'dictionary'|'exception'|'punctuation'|'syllable'|'lexicon'|'passthrough'} TranscribeRule
+ */
+
+/**
+ * @typedef {Object} WordContext
+ * @property {Record<string,string>} map - Syllable map of the profile.
+ * @property {Record<string,string>} punctuation - Punctuation table of the profile.
+ * @property {'kudlit'|'epenthetic'} clusters
+ * @property {import('./languages.js').Language} [language] - Source language; Tagalog when omitted.
+ */
+
+/**
+ * @typedef {Object} TranscribeOptions
+ * @property {'baybayin'|'latin'|'auto'} [direction='baybayin'] - Target script; 'auto' picks the one the text is not in.
+ * @property {'krus-kudlit'|'pamupod'} [mode='krus-kudlit'] - Killer mark style (to Baybayin).
+ * @property {'kudlit'|'epenthetic'} [clusters='kudlit'] - Onset cluster strategy (to Baybayin).
+ * @property {string|object} [profile] - Orthography profile id or object.
+ * @property {string} [language='tl'] - Source language id (to Baybayin): tl, ilo, ceb, hil, bcl or pam. See languages.js.
+ * @property {string} [script='baybayin'] - Target script (to Baybayin): baybayin, hanunoo, buhid or tagbanwa. See scripts.js.
+ * @property {boolean} [expand=false] - Spell out numbers, dates, symbols and abbreviations first (to Baybayin).
+ * @property {'native'|'spanish'} [numerals='native'] - Numeral words used by `expand`.
+ * @property {import('./dictionary.js').DictionaryEntry[]} [dictionary] - User word overrides, consulted first (both directions).
+ * @property {boolean|string[]} [lexicon=false] - Rank readings against a word list (to Latin).
+ * @property {boolean|'auto'} [segment=false] - Split run-together words (to Latin, with lexicon).
+ * @property {'phonetic'|'strict'|'lossless'} [romanization='phonetic'] - Latin spelling (to Latin). Lossless text
+ *   reads back to the exact glyphs with the same option (to Baybayin). See romanization.js.
+ */
+
+/**
+ * @typedef {Object} Segment
+ * @property {{ start: number, end: number }} source - Span in the input.
+ * @property {{ start: number, end: number }} output - Span in the output.
+ * @property {string} normalized - The normalized Latin (or source glyphs) the rule saw.
+ * @property {TranscribeRule} rule - Which rule produced the output.
+ * @property {string[]} [candidates] - Ranked readings, for 'lexicon' segments.
+ * @property {boolean} [known] - Whether the lexicon knows the word, for 'lexicon' segments.
+ */
+
+/**
+ * @typedef {Object} Transcription
+ * @property {string} source
+ * @property {string} output
+ * @property {Segment[]} segments
+ * @property {'baybayin'|'latin'} [direction] - Target script, as resolved by transcribe().
+ */
+
+/**
+ * @typedef {Object} ScriptRun
+ * @property {'latin'|'baybayin'|'foreign'} script
+ * @property {number} start
+ * @property {number} end - Exclusive.
+ */
+
+/* ================ LEXICON READINGS ================ */
+
+// Baybayin letters and the marks that attach to them.
+const BAYBAYIN_LETTER = /[\u1700-\u1715]/;
+const BAYBAYIN_MARK = /[\u1712-\u1715]/;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Split a Baybayin run into glyph units (a base letter plus its marks).
+ * @param {string} run
+ * @returns {string[]}
+ */
+function glyphUnits(run) {
+  const units = [];
+  for (const ch of run) {
+    if (BAYBAYIN_MARK.test(ch) && units.length) units[units.length - 1] += ch;
+    else units.push(ch);
+  }
+  return units;
+}
+
+/**
+ * Canonical lookup key for a Baybayin word: Pamudpod read as Krus-Kudlit.
+ * @param {string} glyphs
+ * @returns {string}
+ */
+function lexiconKey(glyphs) {
+  return glyphs.replace(/\u1715/g, KUDLIT);
+}
+
+/**
+ * Build and cache a lexicon index for a profile.
+ * The bundled list is cached per profile object (see buildReverse()); custom word arrays per array.
+ * @param {import('./profiles.js').Profile} profile
+ * @param {true|string[]} lexicon
+ * @returns {{ byKey: Map<string, { word: string, rank: number }[]>, maxUnits: number }}
+ */
+const lexiconIndex = (() => {
+  const bundled = new WeakMap();
+  const custom = new WeakMap();
+  return (profile, lexicon) => {
+    const words = Array.isArray(lexicon) ? lexicon : WORDS;
+    const cache = Array.isArray(lexicon)
+      ? (custom.get(lexicon) || custom.set(lexicon, new WeakMap()).get(lexicon))
+      : bundled;
+    if (cache.has(profile)) return cache.get(profile);
+    const { byKey } = buildIndex(words, (w) => toBaybayinKrusKudlit(w, { profile }).replace(/\s+/g, ''));
+    const maxUnits = Math.max(0, ...Array.from(byKey.keys(), (k) => glyphUnits(k).length));
+    const index = { byKey, maxUnits };
+    cache.set(profile, index);
+    return index;
+  };
+})();
+
+/**
+ * Tables of a profile that leaves final consonants out, for text in scripts without a killer mark.
+ * Cached per profile, so its lexicon index is built once.
+ * @type {(profile: import('./profiles.js').Profile) => ReturnType<typeof buildReverse>}
+ */
+const withoutFinals = (() => {
+  const cache = new WeakMap();
+  return (profile) => {
+    if (!cache.has(profile)) cache.set(profile, buildReverse({ ...profile, finals: 'drop' }));
+    return cache.get(profile);
+  };
+})();
+
+/**
+ * Guess readings for a word the lexicon does not know, best first.
+ * Follows Tagalog spelling habits: i for the top mark, u for the bottom
+ * mark except in the last syllable, where o is far more common. The
+ * alternatives flip one ambiguous vowel at a time.
+ * @param {string[]} units
+ * @param {{ rev: Record<string,string>, glyphs: string[] }} tables
+ * @returns {string[]}
+ */
+function guessReadings(units, tables) {
+  const voiced = units.map((u) => !/[\u1714\u1715]/.test(u));
+  const last = voiced.lastIndexOf(true);
+  const options = units.map((u, i) => {
+    const r = readGlyphs(u, tables);
+    if (u.includes(TOP_ACCENT) || u === VOWEL_I) {
+      const stem = r.replace(/[ei]$/, '');
+      return [stem + 'i', stem + 'e'];
+    }
+    if (u.includes(BOTTOM_ACCENT) || u === VOWEL_U) {
+      const stem = r.replace(/[ou]$/, '');
+      return i === last ? [stem + 'o', stem + 'u'] : [stem + 'u', stem + 'o'];
+    }
+    return [r];
+  });
+  const best = options.map((o) => o[0]);
+  const flips = options.flatMap((o, i) => o.slice(1).map((alt) => best.map((b, j) => (j === i ? alt : b)).join('')));
+  return [best.join(''), ...flips];
+}
+
+/**
+ * Split a run of glyph units into known words.
+ * Dynamic programming over unit positions; each word costs a fixed amount
+ * plus a little more the rarer it is, so fewer and commoner words win.
+ * @param {string[]} units
+ * @param {{ byKey: Map<string, { word: string, rank: number }[]>, maxUnits: number }} index
+ * @returns {string[][]|null} Unit groups, or null when no full split exists.
+ */
+function segmentUnits(units, index) {
+  const best = [{ cost: 0, prev: -1 }];
+  for (let j = 1; j <= units.length; j += 1) {
+    for (let i = Math.max(0, j - index.maxUnits); i < j; i += 1) {
+      if (!best[i]) continue;
+      const hits = index.byKey.get(lexiconKey(units.slice(i, j).join('')));
+      if (!hits) continue;
+      const cost = best[i].cost + 8 + Math.log(hits[0].rank + 1);
+      if (!best[j] || cost < best[j].cost) best[j] = { cost, prev: i };
+    }
   }
+  if (!best[units.length]) return null;
+  const groups = [];
+  for (let j = units.length; j > 0; j = best[j].prev) groups.unshift(units.slice(best[j].prev, j));
+  return groups;
+}
 
-  return res.replace(/\s+/g, ' ').trim();
+/**
+ * Read one Baybayin word into ranked Latin candidates.
+ * @param {string} source
+ * @param {object} ctx
+ * @returns {{ type: 'word', source: string, reading: string, candidates: string[], known: boolean, dictionary?: true }}
+ */
+function readWord(source, { tables, index, limit, userWords }) {
+  const own = userWords?.[lexiconKey(source)];
+  if (own) return { type: 'word', source, reading: own, candidates: [own], known: true, dictionary: true };
+  const hits = index.byKey.get(lexiconKey(source)) || [];
+  const guesses = tables.words[source] ? [tables.words[source]] : guessReadings(glyphUnits(source), tables);
+  const candidates = [...new Set([...hits.map((h) => h.word), ...guesses])].slice(0, limit);
+  return { type: 'word', source, reading: candidates[0], candidates, known: hits.length > 0 };
 }
 
+/**
+ * Converts Baybayin to Latin with ranked alternatives per word.
+ * Algorithm:
+ * - Split the text into Baybayin words and everything else (spaces, punctuation).
+ * - Words in the user dictionary are read as entered, without alternatives.
+ * - Look each word up in the lexicon by its Baybayin spelling in the active profile,
+ *   which resolves e/i, o/u, da/ra and finals dropped by pre-kudlit profiles.
+ * - Unknown words get best-guess readings; the top guess is always among the candidates.
+ * - With segmentation, run-together words are split into known words when possible.
+ *   'auto' only segments unspaced text longer than six glyphs.
+ * - Hanunó'o, Buhid and Tagbanwa words are read as the Baybayin they map to; sources stay as given.
+ * @param {string} [text='']
+ * @param {{ profile?: string|object, lexicon?: boolean|string[], segment?: boolean|'auto', limit?: number, dictionary?: import('./dictionary.js').DictionaryEntry[] }} [opts]
+ * @returns {({ type: 'word', source: string, reading: string, candidates: string[], known: boolean, dictionary?: true }|{ type: 'other', source: string, reading: string })[]}
+ */
+export function toLatinCandidates(text = '', { profile, lexicon = true, segment = false, limit = MAX_CANDIDATES, dictionary } = {}) {
+  const s = `${text}`;
+  const glyphs = fromScript(s);
+  // Buhid and Tagbanwa leave final consonants out; look their words up the way such a profile spells them.
+  const tables = writesFinals(s) ? buildReverse(profile) : withoutFinals(buildReverse(profile).profile);
+  const index = lexiconIndex(tables.profile, lexicon === true || !lexicon ? true : lexicon);
+  const mapCtx = { map: tables.map, punctuation: tables.profile.punctuation, clusters: 'kudlit' };
+  const ctx = { tables, index, limit, userWords: dictionary && dictionaryTables(dictionary, mapCtx).reverse };
+  const shouldSegment = segment === 'auto'
+    ? !/\s/.test(glyphs.trim()) && glyphUnits(glyphs.trim()).length > 6
+    : Boolean(segment);
+
+  const out = [];
+  for (const part of glyphs.split(/([\u1700-\u1715]+)/)) {
+    if (!part) continue;
+    if (!BAYBAYIN_LETTER.test(part)) {
+      out.push({ type: 'other', source: part, reading: readGlyphs(part, tables) });
+      continue;
+    }
+    const whole = readWord(part, ctx);
+    const groups = shouldSegment && !whole.known ? segmentUnits(glyphUnits(part), index) : null;
+    if (!groups || groups.length < 2) { out.push(whole); continue; }
+    groups.forEach((g, n) => {
+      if (n) out.push({ type: 'other', source: '', reading: ' ' });
+      out.push(readWord(g.join(''), ctx));
+    });
+  }
+  if (glyphs !== s) {
+    let at = 0;
+    for (const seg of out) seg.source = s.slice(at, (at += seg.source.length));
+  }
+  return out;
+}
@@ -0,0 +1,163 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/dictionary.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Custom dictionary panel of the Home View: list, add, edit and remove word overrides.
+- Saves every change to localStorage and imports/exports the dictionary as JSON.
+- Returns a teardown that removes its listeners, like the views themselves.
+*/
+
+import {
+  loadDictionary, saveDictionary, upsertEntry, removeEntry, parseDictionary, serializeDictionary
+} from '../utils/dictionary.js';
+
+/**
+ * Wire up the dictionary panel inside a view.
+ * @param {HTMLElement} root - The view containing .dictionary-panel and .dictionary-button.
+ * @param {{ onChange?: (entries: import('../utils/dictionary.js').DictionaryEntry[]) => void, download?: (json: string) => void, storage?: Storage|null }} [opts]
+ * @returns {{ entries: () => import('../utils/dictionary.js').DictionaryEntry[], teardown: () => void }}
+ */
+export function initDictionaryPanel(root, { onChange = () => {}, download, storage = globalThis.localStorage } = {}) {
+  let entries = loadDictionary(storage);
+  const panel = root.querySelector('.dictionary-panel');
+  const openBtn = root.querySelector('.dictionary-button');
+  if (!panel) return { entries: () => entries, teardown: () => {} };
+
+  const form = panel.querySelector('.dictionary-form');
+  const list = panel.querySelector('.dictionary-list');
+  const error = panel.querySelector('.dictionary-error');
+  const closeBtn = panel.querySelector('.dictionary-close');
+  const importInput = panel.querySelector('.dictionary-import input[type="file"]');
+  const exportBtn = panel.querySelector('.dictionary-export');
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Show or clear the panel's error line.
+   * @param {string} [message='']
+   */
+  function showError(message = '') {
+    if (!error) return;
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * Rebuild the entry list.
+   */
+  function renderList() {
+    if (!list) return;
+    list.textContent = '';
+    for (const { word, spelling } of entries) {
+      const li = document.createElement('li');
+      li.className = 'dictionary-entry';
+      li.dataset.word = word;
+      const w = document.createElement('span');
+      w.className = 'dictionary-word';
+      w.textContent = word;
+      const sp = document.createElement('span');
+      sp.className = 'dictionary-spelling';
+      sp.textContent = spelling;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'dictionary-remove';
+      remove.setAttribute('aria-label', `Remove ${word}`);
+      remove.innerHTML = '<i class="fas fa-times"></i>';
+      li.append(w, sp, remove);
+      list.appendChild(li);
+    }
+  }
+
+  /**
+   * Store a new entry list, persist it and notify the view.
+   * @param {import('../utils/dictionary.js').DictionaryEntry[]} next
+   */
+  function commit(next) {
+    entries = next;
+    saveDictionary(entries, storage);
+    renderList();
+    showError();
+    onChange(entries);
+  }
+
+  /**
+   * Open or close the panel.
+   * @param {boolean} [open]
+   */
+  function toggle(open = panel.hidden) {
+    panel.hidden = !open;
+    openBtn?.setAttribute('aria-expanded', String(open));
+    if (open) form?.elements.word?.focus();
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  const onOpenClick = () => toggle();
+  const onCloseClick = () => toggle(false);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    try {
+      commit(upsertEntry(entries, { word: form.elements.word.value, spelling: form.elements.spelling.value }));
+      form.reset();
+      form.elements.word.focus();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  // Remove an entry, or load it into the form for editing.
+  const onListClick = (e) => {
+    const li = e.target.closest('.dictionary-entry');
+    if (!li) return;
+    if (e.target.closest('.dictionary-remove')) { commit(removeEntry(entries, li.dataset.word)); return; }
+    const entry = entries.find((x) => x.word === li.dataset.word);
+    if (entry && form) {
+      form.elements.word.value = entry.word;
+      form.elements.spelling.value = entry.spelling;
+      form.elements.spelling.focus();
+    }
+  };
+
+  // Imported entries are merged in and win over existing ones for the same word.
+  const onImport = async () => {
+    const file = importInput.files?.[0];
+    if (!file) return;
+    try {
+      const imported = parseDictionary(await file.text());
+      commit(imported.reduce((acc, entry) => upsertEntry(acc, entry), entries));
+    } catch (err) {
+      showError(err.message);
+    }
+    importInput.value = '';
+  };
+
+  const onExport = () => download?.(serializeDictionary(entries));
+
+  const onKeydown = (e) => { if (e.key === 'Escape' && !panel.hidden) toggle(false); };
+
+  /* ================ INITALIZATIONS ================ */
+  renderList();
+  openBtn?.addEventListener('click', onOpenClick);
+  closeBtn?.addEventListener('click', onCloseClick);
+  form?.addEventListener('submit', onSubmit);
+  list?.addEventListener('click', onListClick);
+  importInput?.addEventListener('change', onImport);
+  exportBtn?.addEventListener('click', onExport);
+  panel.addEventListener('keydown', onKeydown);
+
+  /* ================ TEARDOWNS ================ */
+  const teardown = () => {
+    openBtn?.removeEventListener('click', onOpenClick);
+    closeBtn?.removeEventListener('click', onCloseClick);
+    form?.removeEventListener('submit', onSubmit);
+    list?.removeEventListener('click', onListClick);
+    importInput?.removeEventListener('change', onImport);
+    exportBtn?.removeEventListener('click', onExport);
+    panel.removeEventListener('keydown', onKeydown);
+  };
+
+  return { entries: () => entries, teardown };
+}
@@ -0,0 +1,184 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/history.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Initalization of the History View (#/history): past transcriptions, pinned first and newest first.
+- Search over the Latin and Baybayin text, kept in the URL as #/history?q=...
+- Restore an entry into the translator, pin or delete it, and export the whole history as JSON.
+*/
+
+import { buildHash } from '../utils/router.js';
+import { serializeHistory } from '../utils/history.js';
+import { downloadText, timestampName } from '../utils/download.js';
+
+/**
+ * Initialize the History View.
+ * @param {{ history?: import('../utils/history.js').HistoryStore, baybayin?: object }} services - Shared services from app.js.
+ * @param {import('../app.js').Route} [route] - Current route; q is the search.
+ * @returns {{ teardown: () => void, update: (route: import('../app.js').Route) => void }|(() => void)}
+ */
+export function initHistory(services, route = {}) {
+  const root = document.getElementById('history-view');
+  const store = services?.history;
+  if (!root || !store) return () => {};
+
+  const search = root.querySelector('.history-search');
+  const list = root.querySelector('.history-list');
+  const empty = root.querySelector('.history-empty');
+  const exportBtn = root.querySelector('.history-export');
+
+  let entries = [];       // entries shown for the current search
+  let searchTimer = null; // pending write of the search to the URL
+  let generation = 0;     // drops lists that arrive after a newer search
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Describe an entry's direction the way the translator headings do.
+   * @param {import('../utils/history.js').HistoryEntry} entry
+   * @returns {string}
+   */
+  function directionLabel(entry) {
+    const modeLabel = (entry.script !== 'baybayin' && services?.baybayin?.SCRIPTS?.[entry.script]?.label)
+      || (entry.mode === 'pamupod' ? 'Pamupod' : 'Krus-Kudlit');
+    const languageLabel = services?.baybayin?.LANGUAGES?.[entry.language]?.label || 'Tagalog';
+    return entry.direction === 'latin' ? `${modeLabel} → ${languageLabel}` : `${languageLabel} → ${modeLabel}`;
+  }
+
+  /**
+   * Rebuild the list from the loaded entries.
+   */
+  function renderList() {
+    if (!list) return;
+    list.textContent = '';
+    for (const entry of entries) {
+      const li = document.createElement('li');
+      li.className = 'history-entry';
+      li.classList.toggle('is-pinned', entry.pinned);
+      li.dataset.id = entry.id;
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      const time = document.createElement('time');
+      time.dateTime = entry.updatedAt;
+      time.textContent = new Date(entry.updatedAt).toLocaleString();
+      meta.append(time, ` · ${directionLabel(entry)}`);
+
+      const source = document.createElement('p');
+      source.className = 'history-source';
+      source.textContent = entry.source;
+      const output = document.createElement('p');
+      output.className = 'history-output';
+      output.textContent = entry.output;
+
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+      const button = (action, label, icon) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.dataset.action = action;
+        btn.setAttribute('aria-label', label);
+        btn.title = label;
+        btn.innerHTML = `<i class="fas fa-${icon}"></i>`;
+        return btn;
+      };
+      const pin = button('pin', entry.pinned ? 'Unpin' : 'Pin', 'thumbtack');
+      pin.setAttribute('aria-pressed', String(entry.pinned));
+      actions.append(button('restore', 'Open in translator', 'undo'), pin, button('delete', 'Delete', 'trash'));
+
+      li.append(meta, source, output, actions);
+      list.appendChild(li);
+    }
+    if (empty) {
+      empty.hidden = entries.length > 0;
+      empty.textContent = search?.value.trim() ? 'No transcriptions match your search.' : 'No transcriptions yet.';
+    }
+  }
+
+  /**
+   * Load the entries matching the search box and show them.
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    const mine = ++generation;
+    const found = await store.list(search?.value || '').catch(() => []);
+    if (mine !== generation) return;
+    entries = found;
+    renderList();
+  }
+
+  /**
+   * Open an entry in the translator through its deep link.
+   * @param {import('../utils/history.js').HistoryEntry} entry
+   */
+  function restore(entry) {
+    location.hash = buildHash('#/home', {
+      text: entry.source,
+      mode: entry.mode,
+      dir: entry.direction,
+      profile: entry.profile,
+      lang: entry.language,
+      script: entry.script
+    });
+  }
+
+  /**
+   * Download every entry, whatever the search, as JSON.
+   * @returns {Promise<void>}
+   */
+  async function exportAll() {
+    const all = await store.list().catch(() => []);
+    downloadText(timestampName('bybyn-history', 'json'), serializeHistory(all));
+  }
+
+  /**
+   * Take the search from a new route (back and forward) without remounting.
+   * @param {import('../app.js').Route} next
+   */
+  function update(next) {
+    route = next;
+    if (search) search.value = next.query?.q || '';
+    load();
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  // Searching filters as you type and keeps the search in the URL once typing pauses.
+  const onSearch = () => {
+    load();
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => route.navigate?.({ q: search.value.trim() }, { replace: true }), 400);
+  };
+
+  const onListClick = async (e) => {
+    const btn = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+    const entry = entries.find((x) => x.id === btn?.closest('.history-entry')?.dataset.id);
+    if (!entry) return;
+    if (btn.dataset.action === 'restore') { restore(entry); return; }
+    if (btn.dataset.action === 'pin') await store.update(entry.id, { pinned: !entry.pinned }).catch(() => {});
+    if (btn.dataset.action === 'delete') await store.remove(entry.id).catch(() => {});
+    load();
+  };
+
+  const onExportClick = () => { exportAll(); };
+
+  /* ================ INITALIZATIONS ================ */
+  if (search) search.value = route.query?.q || '';
+  search?.addEventListener('input', onSearch);
+  list?.addEventListener('click', onListClick);
+  exportBtn?.addEventListener('click', onExportClick);
+  load();
+
+  /* ================ TEARDOWNS ================ */
+  const teardown = () => {
+    clearTimeout(searchTimer);
+    generation += 1;
+    search?.removeEventListener('input', onSearch);
+    list?.removeEventListener('click', onListClick);
+    exportBtn?.removeEventListener('click', onExportClick);
+  };
+
+  return { teardown, update };
+}
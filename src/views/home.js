@@ -1,14 +1,38 @@
 /* 
 AUTHOR: Kenneth Agonoy 
 LOCATION: .../src/views/home.js
-LAST EDITED: 2025-08-22
+LAST EDITED: 2026-10-18
 
 PURPOSE:
 - Initalization of the Home View
 - Binding Events, setting inital states, and returns a teardown that removes listeners. 
+- Restores the translator from the URL (#/home?text=...&mode=pamupod&dir=latin) and writes its state back,
+  so links can be shared and back/forward step through mode, direction and profile changes.
+- Records the work in the history store once edits pause; one entry per piece of work.
+- Clicking a Baybayin glyph of the output opens its stroke order.
+- A language picker beside the Latin heading sets the source language (Tagalog, Ilokano, Cebuano, ...).
+- A script picker writes the output in Baybayin or a sibling script (Hanunó'o, Buhid, Tagbanwa).
+- A romanization picker beside the Latin heading reads Baybayin as phonetic, strict or lossless Latin.
+- Baybayin in the editor is checked as it changes: issues are underlined, and clicking one (or Ctrl+.) offers its fix.
+- Text typed for a legacy ASCII-mapped Baybayin font can be imported as Unicode, and the output typed for one.
 */
 
-export function initHome(services) {
+import { selectionOffsets, rangeFromOffsets, setCaret, replaceText } from '../utils/caret.js';
+import { bindIme } from '../utils/ime.js';
+import { lintBaybayin, applyFixes } from '../utils/lint.js';
+import { initDictionaryPanel } from './dictionary.js';
+import { initImagePanel } from './image-export.js';
+import { initKeyboardPanel } from './keyboard.js';
+import { initLegacyPanel } from './legacy.js';
+import { initStrokePanel } from './strokes.js';
+
+/**
+ * Initialize the Home View.
+ * @param {object} services - Shared services from app.js.
+ * @param {import('../app.js').Route} [route] - Current route; its query restores the translator state.
+ * @returns {{ teardown: () => void, update: (route: import('../app.js').Route) => void }|(() => void)}
+ */
+export function initHome(services, route = {}) {
   
   const root = document.getElementById('home-view');
   if (!root) return () => {};
@@ -22,18 +46,30 @@ export function initHome(services) {
   const tagalogHeader  = titleTagalog?.closest('.tagalog-header') || null;
   const baybayinHeader = titleBaybayin?.closest('.baybayin-header') || null;
   const modeBtn = root.querySelector('.baybayin-header .change-button');
+  const profileSelect = root.querySelector('.profile-select');
+  const languageSelect = root.querySelector('.language-select');
+  const scriptSelect = root.querySelector('.script-select');
+  const romanizationSelect = root.querySelector('.romanization-select');
+  const numbersSelect = root.querySelector('.numbers-select');
+  const imeBtn = root.querySelector('.ime-button');
+  const linkBtn = root.querySelector('.link-button');
   
   const modeLabel = () => (mode === 'pamupod' ? 'Pamupod' : 'Krus-Kudlit');  // Current mode label for headings
+  const languageLabel = () => baybayin.LANGUAGES?.[language]?.label || 'Tagalog';  // Latin panel heading
+  // Baybayin panel heading: the mode, or the sibling script, which has a killer mark of its own or none.
+  const scriptLabel = () => (script !== 'baybayin' && baybayin.SCRIPTS?.[script]?.label) || modeLabel();
 
   // Constants for the download functionality.
   const downloadBtn = root.querySelector('.download-button'); 
-  const onDownloadClick = () => { 
-  const content = buildExportText();
-  const filename = timestampName('bybyn');
-    downloadText(filename, content);
+  const exportMenu = root.querySelector('.export-menu');
+  const onDownloadClick = (e) => {
+    // Without a menu in the page, the button downloads plain text straight away.
+    if (!exportMenu) { exportAs('txt'); return; }
+    e.stopPropagation();
+    toggleExportMenu();
   };
 
-  const { baybayin } = services || {};
+  const { baybayin, history: historyStore } = services || {};
   if (!edit || !out || !baybayin?.toBaybayin) return () => {};
 
   /* ================ RESILIENT DOWNLOAD HELPERS ================ */
@@ -49,6 +85,14 @@ export function initHome(services) {
     a.click(); a.remove();
     setTimeout(() => URL.revokeObjectURL(url), 0);
   };
+  let downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a);
+    a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
   let timestampName = (prefix = 'bybyn', ext = 'txt', d = new Date()) => {
     const pad = (n) => String(n).padStart(2, '0');
     return `${prefix}-${d.getFullYear()}${pad(d.getMonth()+1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}.${ext}`;
@@ -57,18 +101,52 @@ export function initHome(services) {
   // Attempts to load helpers, but includes fallbacks. The dynamic import is intentional to avoid top level importing errors.
   import('../utils/download.js').then((mod) => {
     if (typeof mod.downloadText === 'function') downloadText = mod.downloadText;
+    if (typeof mod.downloadBlob === 'function') downloadBlob = mod.downloadBlob;
     if (typeof mod.timestampName === 'function') timestampName = mod.timestampName;
+    if (mod.EXPORT_FORMATS) { exportFormats = mod.EXPORT_FORMATS; populateExportMenu(); }
   }).catch(() => { /* keep fallbacks */ });
 
   /* ================ UI STATES ================ */
-  let isSwapped = false;      // false: Tagalog (editable), Baybayin right (readonly)
+  let isSwapped = false;      // false: Tagalog (editable), Baybayin right (readonly); follows the script typed
   let mode = 'krus-kudlit';   // or 'pamupod'
+  let profile = baybayin.DEFAULT_PROFILE || 'b17';   // orthography profile id
+  let language = baybayin.DEFAULT_LANGUAGE || 'tl';  // source language of the Latin text
+  let script = baybayin.DEFAULT_SCRIPT || 'baybayin';  // script the output is written in
+  let romanization = baybayin.DEFAULT_ROMANIZATION || 'phonetic';  // how Baybayin is read into Latin
+  let numbers = 'off';        // spell out numbers and abbreviations: 'off', 'native' or 'spanish'
+  let ime = false;            // type Latin into the swapped editor and get Baybayin
+  let transcription = null;   // segments linking the editable source to the output
+  let readingMenu = null;     // open alternatives menu, if any
+  let issues = [];            // validator issues of the Baybayin in the editor
+  let lintMenu = null;        // open quick-fix menu, if any
+  let dictionary = [];        // user word overrides from the dictionary panel
+  // Export formats offered by the download menu; plain text until download.js loads its registry.
+  let exportFormats = { txt: { label: 'Plain text', ext: 'txt', build: () => buildExportText() } };
+  let urlTimer = null;        // pending write of typed text to the URL
+  let linkTimer = null;       // resets the copy link button after its confirmation
+  let recordTimer = null;     // pending write to the history store
+  let historyId = null;       // history entry of the current piece of work
+  let historyWrite = Promise.resolve();   // keeps history writes in order
 
   try {
     const saved = sessionStorage.getItem('bybyn:mode');
     if (saved === 'pamupod' || saved === 'krus-kudlit') mode = saved;
+    const savedProfile = sessionStorage.getItem('bybyn:profile');
+    if (savedProfile && baybayin.PROFILES?.[savedProfile]) profile = savedProfile;
+    const savedLanguage = sessionStorage.getItem('bybyn:language');
+    if (savedLanguage && baybayin.LANGUAGES?.[savedLanguage]) language = savedLanguage;
+    const savedScript = sessionStorage.getItem('bybyn:script');
+    if (savedScript && baybayin.SCRIPTS?.[savedScript]) script = savedScript;
+    const savedRomanization = sessionStorage.getItem('bybyn:romanization');
+    if (savedRomanization && baybayin.ROMANIZATIONS?.[savedRomanization]) romanization = savedRomanization;
+    const savedNumbers = sessionStorage.getItem('bybyn:numbers');
+    if (savedNumbers === 'native' || savedNumbers === 'spanish') numbers = savedNumbers;
+    ime = sessionStorage.getItem('bybyn:ime') === 'on';
   } catch {}
 
+  // A shared link wins over the stored preferences.
+  applyQuery(route.query);
+
   /* ================ HELPERS ================ */
 
   /**
@@ -79,7 +157,7 @@ export function initHome(services) {
    */
     function translateWithMode(text) {
     if (typeof baybayin.toBaybayinWithMode === 'function') {
-      return baybayin.toBaybayinWithMode(text, { mode }) || '';
+      return baybayin.toBaybayinWithMode(text, { mode, profile, language, script, dictionary }) || '';
     }
     if (mode === 'pamupod' && typeof baybayin.toBaybayinPamupod === 'function') {
       return baybayin.toBaybayinPamupod(text) || '';
@@ -92,12 +170,136 @@ export function initHome(services) {
 
   /**
    * Return the node that currently shows Baybayin text.
-   * This depends on the heading labels rather than layout assumptions.
    * @returns {HTMLElement|null}
    */
   function baybayinBox() {
-    const leftIsBaybayin = titleTagalog?.innerText.trim().toLowerCase() !== 'tagalog';
-    return leftIsBaybayin ? edit : out;
+    return isSwapped ? edit : out;
+  }
+
+  /**
+   * Label the panels from the current direction: the Baybayin side shows the mode, the Latin side the language.
+   */
+  function updateHeadings() {
+    if (titleTagalog) titleTagalog.innerText = isSwapped ? scriptLabel() : languageLabel();
+    if (titleBaybayin) titleBaybayin.innerText = isSwapped ? languageLabel() : scriptLabel();
+  }
+
+  /**
+   * Bring headings, header controls, styling and the Baybayin-only tools in line with the direction.
+   */
+  function updateDirection() {
+    updateHeadings();
+    placeModeButton();
+    applyModeStyling();
+    keyboardPanel.refresh();
+    updateImeButton();
+  }
+
+  /**
+   * Take translator state from a route query. Unknown values are ignored;
+   * missing keys leave the current state as it is.
+   * @param {Record<string, string>} [query]
+   */
+  function applyQuery(query = {}) {
+    if (query.mode === 'pamupod' || query.mode === 'krus-kudlit') mode = query.mode;
+    if (query.profile && baybayin.PROFILES?.[query.profile]) profile = query.profile;
+    if (query.lang && baybayin.LANGUAGES?.[query.lang]) language = query.lang;
+    if (query.script && baybayin.SCRIPTS?.[query.script]) script = query.script;
+    if (query.rom && baybayin.ROMANIZATIONS?.[query.rom]) romanization = query.rom;
+    if (query.numbers === 'off' || query.numbers === 'native' || query.numbers === 'spanish') numbers = query.numbers;
+    if (query.dir === 'latin' || query.dir === 'baybayin') isSwapped = query.dir === 'latin';
+    if (typeof query.text === 'string') edit.innerText = query.text;
+  }
+
+  /**
+   * The translator state as a route query, the inverse of applyQuery().
+   * @returns {Record<string, string>}
+   */
+  function stateQuery() {
+    return { text: edit.innerText || '', mode, dir: isSwapped ? 'latin' : 'baybayin', profile, lang: language, script, rom: romanization, numbers };
+  }
+
+  /**
+   * Write the translator state to the URL. Discrete changes (mode, direction, profile, language, script, romanization, numbers)
+   * push a history entry; typing replaces the current one once it pauses.
+   * @param {{ push?: boolean }} [opts]
+   */
+  function syncUrl({ push = false } = {}) {
+    clearTimeout(urlTimer);
+    urlTimer = null;
+    if (push) route.navigate?.(stateQuery());
+    else urlTimer = setTimeout(() => { urlTimer = null; route.navigate?.(stateQuery(), { replace: true }); }, 400);
+    scheduleRecord();
+  }
+
+  /**
+   * Record the translator in the history once changes pause for a moment.
+   */
+  function scheduleRecord() {
+    if (!historyStore) return;
+    clearTimeout(recordTimer);
+    recordTimer = setTimeout(recordHistory, 1500);
+  }
+
+  /**
+   * Write the translator to the history now. The first write of a piece of work adds an entry
+   * and later ones update it; clearing the editor starts a new piece of work.
+   */
+  function recordHistory() {
+    clearTimeout(recordTimer);
+    recordTimer = null;
+    const source = edit.innerText || '';
+    if (!source.trim()) { historyId = null; return; }
+    const record = { source, output: shownTranscription()?.output ?? (out.innerText || ''), direction: isSwapped ? 'latin' : 'baybayin', mode, profile, language, script };
+    historyWrite = historyWrite
+      .then(() => (historyId ? historyStore.update(historyId, record) : null))
+      .then((entry) => entry || historyStore.add(record))
+      .then((entry) => { historyId = entry.id; })
+      .catch(() => {});
+  }
+
+  // Leaving the page or the view keeps the last edit.
+  const flushRecord = () => { if (recordTimer) recordHistory(); };
+
+  /**
+   * Follow back and forward to another state of this view without remounting it.
+   * @param {import('../app.js').Route} next
+   */
+  function update(next) {
+    route = next;
+    clearTimeout(urlTimer);
+    urlTimer = null;
+    flushRecord();
+    historyId = null;
+    applyQuery({ text: '', ...next.query });
+    if (profileSelect) profileSelect.value = profile;
+    if (languageSelect) languageSelect.value = language;
+    if (scriptSelect) scriptSelect.value = script;
+    if (romanizationSelect) romanizationSelect.value = romanization;
+    if (numbersSelect) numbersSelect.value = numbers;
+    modeBtn?.classList.toggle('rotated', mode === 'pamupod');
+    updateDirection();
+    render();
+  }
+
+  /**
+   * Copy a link to the current translator state, and confirm on the button.
+   * Browsers without clipboard access get the link in a prompt to copy by hand.
+   */
+  function copyLink() {
+    const url = route.href?.(stateQuery()) || location.href;
+    const copied = () => {
+      linkBtn?.classList.add('is-copied');
+      linkBtn?.setAttribute('title', 'Link copied');
+      clearTimeout(linkTimer);
+      linkTimer = setTimeout(() => {
+        linkBtn?.classList.remove('is-copied');
+        linkBtn?.setAttribute('title', 'Copy link');
+      }, 2000);
+    };
+    const clipboard = navigator.clipboard?.writeText?.(url);
+    if (clipboard) clipboard.then(copied, () => window.prompt('Copy this link:', url));
+    else window.prompt('Copy this link:', url);
   }
 
   /**
@@ -116,6 +318,7 @@ export function initHome(services) {
   /**
    * Flip killer marks in place to match the active mode.
    * Acts as a safety net if the source already contains marks.
+   * The caret stays where it was when the box being fixed is the one being edited.
    */
   function enforceKillerStyle() {
     const box = baybayinBox();
@@ -124,31 +327,422 @@ export function initHome(services) {
     const fixed = mode === 'pamupod'
       ? text.replace(/\u1714/g, '\u1715')
       : text.replace(/\u1715/g, '\u1714');
-    if (fixed !== text) box.innerText = fixed;
+    if (fixed === text) return;
+    const caret = selectionOffsets(box);
+    box.innerText = fixed;
+    if (caret) setCaret(box, caret.end);
   }
 
   /**
-   * Place the mode button under the header that currently shows Baybayin.
+   * Place the mode button, script and profile pickers, number toggle and input method toggle under the header that currently shows Baybayin,
+   * and the language picker under the one that shows Latin, with the romanization picker while it shows the reading.
    */
   function placeModeButton() {
-    if (!modeBtn) return;
-    const leftText  = (titleTagalog?.innerText || '').trim().toLowerCase();
-    const bayIsLeft = leftText === modeLabel().toLowerCase();
-    if (bayIsLeft && tagalogHeader) tagalogHeader.appendChild(modeBtn);
-    else if (!bayIsLeft && baybayinHeader) baybayinHeader.appendChild(modeBtn);
+    if (languageSelect) (isSwapped ? baybayinHeader : tagalogHeader)?.appendChild(languageSelect);
+    if (romanizationSelect) {
+      (isSwapped ? baybayinHeader : tagalogHeader)?.appendChild(romanizationSelect);
+      romanizationSelect.hidden = !isSwapped;
+    }
+    const controls = [modeBtn, scriptSelect, profileSelect, numbersSelect, imeBtn].filter(Boolean);
+    if (!controls.length) return;
+    const header = isSwapped ? tagalogHeader : baybayinHeader;
+    controls.forEach((el) => header?.appendChild(el));
+  }
+
+  /**
+   * Show the input method toggle only while the editable panel holds Baybayin.
+   */
+  function updateImeButton() {
+    if (!imeBtn) return;
+    imeBtn.hidden = !isSwapped;
+    imeBtn.setAttribute('aria-pressed', String(ime));
+  }
+
+  /**
+   * Fill the profile picker from the available orthography profiles.
+   */
+  function populateProfiles() {
+    if (!profileSelect || typeof baybayin.listProfiles !== 'function') return;
+    profileSelect.innerHTML = '';
+    for (const p of baybayin.listProfiles()) {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.label;
+      opt.title = p.description;
+      profileSelect.appendChild(opt);
+    }
+    profileSelect.value = profile;
+  }
+
+  /**
+   * Fill the script picker from the available target scripts.
+   */
+  function populateScripts() {
+    if (!scriptSelect || typeof baybayin.listScripts !== 'function') return;
+    scriptSelect.innerHTML = '';
+    for (const s of baybayin.listScripts()) {
+      const opt = document.createElement('option');
+      opt.value = s.id;
+      opt.textContent = s.label;
+      opt.title = s.description;
+      scriptSelect.appendChild(opt);
+    }
+    scriptSelect.value = script;
+  }
+
+  /**
+   * Fill the language picker from the available source languages.
+   */
+  function populateLanguages() {
+    if (!languageSelect || typeof baybayin.listLanguages !== 'function') return;
+    languageSelect.innerHTML = '';
+    for (const l of baybayin.listLanguages()) {
+      const opt = document.createElement('option');
+      opt.value = l.id;
+      opt.textContent = l.label;
+      opt.title = l.description;
+      languageSelect.appendChild(opt);
+    }
+    languageSelect.value = language;
+  }
+
+  /**
+   * Fill the romanization picker from the available romanizations.
+   */
+  function populateRomanizations() {
+    if (!romanizationSelect || typeof baybayin.listRomanizations !== 'function') return;
+    romanizationSelect.innerHTML = '';
+    for (const r of baybayin.listRomanizations()) {
+      const opt = document.createElement('option');
+      opt.value = r.id;
+      opt.textContent = r.label;
+      opt.title = r.description;
+      romanizationSelect.appendChild(opt);
+    }
+    romanizationSelect.value = romanization;
   }
 
   /**
    * Render the output panel from the editable source.
-   * Uses mode-aware translation or reverse conversion when swapped.
+   * The direction follows the script most of the source is written in; an editor
+   * without letters keeps the current one. Runs already in the target script and
+   * {braced} foreign spans pass through.
    */
   function render() {
     const src = edit.innerText || '';
-    const result = isSwapped
-      ? (services.baybayin.toLatin?.(src) || '')
-      : translateWithMode(src);
-    out.innerText = result;
+    const detected = baybayin.detectScript?.(src);
+    if (detected && (detected === 'baybayin') !== isSwapped) {
+      isSwapped = detected === 'baybayin';
+      updateDirection();
+    }
+    closeReadingMenu();
+    clearLinks();
+    transcription = null;
+    if (typeof baybayin.transcribe === 'function') {
+      transcription = isSwapped
+        ? baybayin.transcribe(src, { direction: 'latin', profile, lexicon: true, segment: 'auto', dictionary, romanization })
+        : baybayin.transcribe(src, { direction: 'baybayin', mode, profile, language, script, expand: numbers !== 'off', numerals: numbers, dictionary });
+      renderSegments();
+    } else {
+      out.innerText = isSwapped
+        ? (services.baybayin.toLatin?.(src, { profile, dictionary }) || '')
+        : translateWithMode(src);
+    }
     enforceKillerStyle();
+    markIssues();
+  }
+
+  /**
+   * Check the Baybayin in the editor and underline its issues through the CSS Custom Highlight API
+   * where available, errors and warnings apart. Latin in the editor is not checked.
+   */
+  function markIssues() {
+    closeLintMenu();
+    issues = isSwapped ? lintBaybayin(edit.innerText || '', { mode }) : [];
+    if (issues.some((i) => i.severity === 'error')) edit.setAttribute('aria-invalid', 'true');
+    else edit.removeAttribute('aria-invalid');
+    if (typeof globalThis.Highlight !== 'function' || !globalThis.CSS?.highlights) return;
+    for (const severity of ['error', 'warning']) {
+      const ranges = issues.filter((i) => i.severity === severity).map((i) => rangeFromOffsets(edit, i.start, i.end));
+      if (ranges.length) CSS.highlights.set(`bybyn-lint-${severity}`, new Highlight(...ranges));
+      else CSS.highlights.delete(`bybyn-lint-${severity}`);
+    }
+  }
+
+  /**
+   * Close the quick-fix menu.
+   */
+  function closeLintMenu() {
+    lintMenu?.remove();
+    lintMenu = null;
+  }
+
+  /**
+   * Show an issue of the editor with its fix, and a fix for every issue when there are more.
+   * Picking one rewrites the editor and renders again.
+   * @param {import('../utils/lint.js').LintIssue} found
+   */
+  function openLintMenu(found) {
+    closeReadingMenu();
+    closeLintMenu();
+    const menu = document.createElement('ul');
+    menu.className = 'reading-menu lint-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', found.message);
+
+    const message = document.createElement('li');
+    message.className = `lint-message is-${found.severity}`;
+    message.textContent = found.message;
+    menu.appendChild(message);
+
+    const fixable = issues.filter((i) => i.fix);
+    const actions = [
+      found.fix && [found.fix.label, () => replaceText(edit, found.fix.start, found.fix.end, found.fix.text)],
+      fixable.length > 1 && [`Fix all ${fixable.length} issues`, () => {
+        edit.innerText = applyFixes(edit.innerText || '', issues);
+        setCaret(edit, (edit.innerText || '').length);
+      }]
+    ].filter(Boolean);
+    for (const [label, apply] of actions) {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      item.textContent = label;
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeLintMenu();
+        apply();
+        onEdit();
+      });
+      menu.appendChild(item);
+    }
+
+    const host = edit.parentElement || edit;
+    const at = rangeFromOffsets(edit, found.start, found.end).getBoundingClientRect?.() || { left: 0, bottom: 0 };
+    const origin = host.getBoundingClientRect();
+    menu.style.left = `${at.left - origin.left}px`;
+    menu.style.top = `${at.bottom - origin.top}px`;
+    host.appendChild(menu);
+    lintMenu = menu;
+  }
+
+  /**
+   * The issue at the caret in the editor, if any.
+   * @returns {import('../utils/lint.js').LintIssue|undefined}
+   */
+  function issueAtCaret() {
+    const sel = selectionOffsets(edit);
+    if (!sel) return undefined;
+    return issues.find((i) => i.start <= sel.start && sel.end <= i.end);
+  }
+
+  /**
+   * Render transcription segments into the output panel.
+   * Every segment becomes a span so it can be linked back to its source;
+   * lexicon words open their alternative readings on click, and words
+   * with more than one candidate are marked for styling. Baybayin glyphs
+   * get a span of their own, to open their stroke order on click.
+   */
+  function renderSegments() {
+    out.textContent = '';
+    const { output, segments } = transcription;
+    segments.forEach((seg, i) => {
+      const text = output.slice(seg.output.start, seg.output.end);
+      if (!text) return;
+      if (/^\s+$/.test(text)) {
+        out.appendChild(document.createTextNode(text));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = 'seg';
+      span.dataset.seg = String(i);
+      if (isSwapped) span.textContent = text;
+      else appendGlyphs(span, text);
+      if (seg.rule === 'lexicon') {
+        span.classList.add('latin-word');
+        if (seg.candidates.length > 1) span.classList.add('has-alternatives');
+        if (!seg.known) span.classList.add('is-unknown');
+      }
+      out.appendChild(span);
+    });
+  }
+
+  /**
+   * Write text into an element with each Baybayin glyph (a base and its signs) in a .glyph span.
+   * @param {HTMLElement} el
+   * @param {string} text
+   */
+  function appendGlyphs(el, text) {
+    for (const part of text.split(/([\u1700-\u1711\u171F][\u1712-\u1715]*)/)) {
+      if (!part) continue;
+      if (!/^[\u1700-\u1711\u171F]/.test(part)) { el.appendChild(document.createTextNode(part)); continue; }
+      const glyph = document.createElement('span');
+      glyph.className = 'glyph';
+      glyph.textContent = part;
+      el.appendChild(glyph);
+    }
+  }
+
+  /**
+   * Remove linked highlighting from both panels.
+   */
+  function clearLinks() {
+    out.querySelectorAll('.seg.is-linked').forEach((el) => el.classList.remove('is-linked'));
+    globalThis.CSS?.highlights?.delete('bybyn-linked');
+  }
+
+  /**
+   * Highlight segments in both panels: output spans by class, and the
+   * matching source text through the CSS Custom Highlight API where available.
+   * @param {number[]} indexes - Segment indexes to highlight.
+   */
+  function linkSegments(indexes) {
+    clearLinks();
+    if (!transcription || !indexes.length) return;
+    const segs = indexes.map((i) => transcription.segments[i]);
+    indexes.forEach((i) => out.querySelector(`.seg[data-seg="${i}"]`)?.classList.add('is-linked'));
+    if (typeof globalThis.Highlight === 'function' && globalThis.CSS?.highlights) {
+      const ranges = segs
+        .filter((s) => s.source.end > s.source.start)
+        .map((s) => rangeFromOffsets(edit, s.source.start, s.source.end));
+      if (ranges.length) CSS.highlights.set('bybyn-linked', new Highlight(...ranges));
+    }
+  }
+
+  /**
+   * Find the segments whose span touches a selection.
+   * A collapsed caret picks the segment just before it, or the one it starts.
+   * @param {{ start: number, end: number, collapsed: boolean }} sel
+   * @param {'source'|'output'} side
+   * @returns {number[]}
+   */
+  function segmentsAt(sel, side) {
+    const segs = transcription?.segments || [];
+    const visible = (s) => s[side].end > s[side].start && s.rule !== 'passthrough';
+    if (!sel.collapsed) {
+      return segs.flatMap((s, i) => (visible(s) && s[side].start < sel.end && s[side].end > sel.start ? [i] : []));
+    }
+    const before = segs.findIndex((s) => visible(s) && s[side].start < sel.start && s[side].end >= sel.start);
+    if (before >= 0) return [before];
+    const after = segs.findIndex((s) => visible(s) && s[side].start === sel.start);
+    return after >= 0 ? [after] : [];
+  }
+
+  /**
+   * Follow the caret or selection in either panel and highlight its counterpart.
+   */
+  function onSelectionChange() {
+    if (!transcription) return;
+    const inSource = selectionOffsets(edit);
+    if (inSource) { linkSegments(segmentsAt(inSource, 'source')); return; }
+
+    const sel = window.getSelection();
+    if (!sel?.rangeCount || !out.contains(sel.anchorNode)) return;
+    const range = sel.getRangeAt(0);
+    const spans = Array.from(out.querySelectorAll('.seg'));
+    const hit = range.collapsed
+      ? [sel.anchorNode.parentElement?.closest('.seg')].filter(Boolean)
+      : spans.filter((el) => range.intersectsNode(el));
+    linkSegments(hit.map((el) => Number(el.dataset.seg)));
+  }
+
+  /**
+   * Close the alternative readings menu.
+   */
+  function closeReadingMenu() {
+    readingMenu?.remove();
+    readingMenu = null;
+  }
+
+  /**
+   * Show the ranked alternatives for a clicked word in the Latin output.
+   * Picking one replaces the word in place.
+   * @param {HTMLElement} span
+   */
+  function openReadingMenu(span) {
+    closeReadingMenu();
+    const seg = transcription?.segments[Number(span.dataset.seg)];
+    if (!seg || seg.rule !== 'lexicon') return;
+    const current = span.textContent;
+
+    const menu = document.createElement('ul');
+    menu.className = 'reading-menu';
+    menu.setAttribute('role', 'listbox');
+    menu.setAttribute('aria-label', `Readings of ${seg.normalized}`);
+    for (const candidate of seg.candidates) {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(candidate === current));
+      item.textContent = candidate;
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        span.textContent = candidate;
+        closeReadingMenu();
+      });
+      menu.appendChild(item);
+    }
+    const host = out.parentElement || out;
+    const at = span.getBoundingClientRect();
+    const origin = host.getBoundingClientRect();
+    menu.style.left = `${at.left - origin.left}px`;
+    menu.style.top = `${at.bottom - origin.top}px`;
+    host.appendChild(menu);
+    readingMenu = menu;
+  }
+
+  /**
+   * Click handler for the output panel: open alternatives for Latin words while swapped,
+   * and the stroke order of a Baybayin glyph otherwise.
+   * @param {MouseEvent} e
+   */
+  function onOutputClick(e) {
+    const glyph = e.target instanceof Element ? e.target.closest('.glyph') : null;
+    if (!isSwapped && glyph && !window.getSelection()?.toString()) {
+      e.stopPropagation();
+      strokePanel.open(glyph.textContent);
+      return;
+    }
+    const span = e.target instanceof Element ? e.target.closest('.latin-word') : null;
+    if (!isSwapped || !span) return;
+    e.stopPropagation();
+    openReadingMenu(span);
+  }
+
+  /**
+   * Open the quick fix of an issue clicked in the editor.
+   * @param {MouseEvent} e
+   */
+  function onEditClick(e) {
+    const found = issueAtCaret();
+    if (!found) return;
+    e.stopPropagation();
+    openLintMenu(found);
+  }
+
+  /**
+   * Open the quick fix of the issue at the caret with Ctrl+. (Cmd+. on macOS).
+   * @param {KeyboardEvent} e
+   */
+  function onEditKeydown(e) {
+    if (e.key !== '.' || !(e.ctrlKey || e.metaKey)) return;
+    const found = issueAtCaret();
+    if (!found) return;
+    e.preventDefault();
+    openLintMenu(found);
+    lintMenu?.querySelector('[role="menuitem"]')?.focus();
+  }
+
+  /**
+   * Close the alternatives and quick-fix menus on outside clicks and Escape.
+   * @param {Event} e
+   */
+  function onDocumentDismiss(e) {
+    if (e.type === 'keydown' && e.key !== 'Escape') return;
+    if (exportMenu && !exportMenu.hidden && !(e.type === 'click' && exportMenu.contains(e.target))) toggleExportMenu(false);
+    if (lintMenu && !(e.type === 'click' && lintMenu.contains(e.target))) closeLintMenu();
+    if (!readingMenu) return;
+    if (e.type === 'click' && readingMenu.contains(e.target)) return;
+    closeReadingMenu();
   }
 
   /**
@@ -164,26 +758,25 @@ export function initHome(services) {
     sel.deleteFromDocument();
     sel.getRangeAt(0).insertNode(document.createTextNode(text));
     sel.collapseToEnd();
+    onEdit();
+  }
+
+  /**
+   * Re-render after the source changed, and keep the URL in step once typing pauses.
+   */
+  function onEdit() {
     render();
+    syncUrl();
   }
 
   /**
    * Swap headings and contents between Tagalog and Baybayin panels.
    * Maintains contenteditable on the left panel and readonly on the right.
+   * With an empty editor this is how to start typing Baybayin; otherwise render() confirms the direction.
    */
   function switchFormats() {
     if (!titleTagalog || !titleBaybayin) return;
 
-    const tagalogWasLeft = titleTagalog.innerText.trim().toLowerCase() === 'tagalog';
-
-    if (tagalogWasLeft) {
-      titleTagalog.innerText = modeLabel();
-      titleBaybayin.innerText = 'Tagalog';
-    } else {
-      titleTagalog.innerText = 'Tagalog';
-      titleBaybayin.innerText = modeLabel();
-    }
-
     // Swap contents
     const t = edit.innerText;
     edit.innerText = out.innerText;
@@ -194,10 +787,10 @@ export function initHome(services) {
 
     isSwapped = !isSwapped;
 
-    placeModeButton();
-    applyModeStyling();
+    updateDirection();
     enforceKillerStyle();
     render();
+    syncUrl({ push: true });
   }
 
   /**
@@ -206,39 +799,193 @@ export function initHome(services) {
    */
   function toggleMode() {
     mode = mode === 'krus-kudlit' ? 'pamupod' : 'krus-kudlit';
-
-    const leftIsBaybayin = titleTagalog?.innerText.trim().toLowerCase() !== 'tagalog';
-    if (leftIsBaybayin) {
-      titleTagalog.innerText = modeLabel();
-    } else {
-      titleBaybayin.innerText = modeLabel();
-    }
+    updateHeadings();
 
     if (!isSwapped) render();
-    else enforceKillerStyle();
+    else { enforceKillerStyle(); markIssues(); }
 
     applyModeStyling();
     placeModeButton();
+    keyboardPanel.refresh();
 
     // ANIMATION: Rotate the change-button icon each toggle.
     modeBtn?.classList.toggle('rotated');
 
     try { sessionStorage.setItem('bybyn:mode', mode); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Switch the orthography profile from the picker.
+   * Re-renders and stores the preference like bybyn:mode.
+   */
+  function changeProfile() {
+    profile = profileSelect.value;
+    render();
+    try { sessionStorage.setItem('bybyn:profile', profile); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Change the source language from the picker and relabel the Latin panel.
+   */
+  function changeLanguage() {
+    language = languageSelect.value;
+    updateHeadings();
+    render();
+    try { sessionStorage.setItem('bybyn:language', language); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Write the output in another script from the picker and relabel the Baybayin panel.
+   */
+  function changeScript() {
+    script = scriptSelect.value;
+    updateHeadings();
+    render();
+    try { sessionStorage.setItem('bybyn:script', script); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Read the Baybayin in another romanization from the picker.
+   */
+  function changeRomanization() {
+    romanization = romanizationSelect.value;
+    render();
+    try { sessionStorage.setItem('bybyn:romanization', romanization); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Turn spelling out of numbers, dates and abbreviations on or off,
+   * and pick native or Spanish-derived numerals.
+   */
+  function changeNumbers() {
+    numbers = numbersSelect.value;
+    render();
+    try { sessionStorage.setItem('bybyn:numbers', numbers); } catch {}
+    syncUrl({ push: true });
+  }
+
+  /**
+   * Turn typing Latin as Baybayin on or off, and store the preference like bybyn:mode.
+   */
+  function toggleIme() {
+    ime = !ime;
+    updateImeButton();
+    edit.focus();
+    try { sessionStorage.setItem('bybyn:ime', ime ? 'on' : 'off'); } catch {}
   }
 
   /**
    * Build the text block used for export.
    * Includes headings, source, output, and the current mode label.
+   * Panel text keeps its line breaks and indentation; only blank lines
+   * before the first line and trailing whitespace are dropped.
    * @returns {string}
    */
   function buildExportText() {
+    const block = (text) => (text || '').replace(/\r\n?/g, '\n').replace(/^\s*\n|\s+$/g, '');
     const leftTitle  = (titleTagalog?.innerText || 'Tagalog').trim();
     const rightTitle = (titleBaybayin?.innerText || 'Baybayin').trim();
-    const srcText = (edit?.innerText || '').trim();
-    const outText = (out?.innerText || '').trim();
-    return `${leftTitle}:\n${srcText}\n\n${rightTitle}:\n${outText}\n\nMode: ${modeLabel()}\n`;
+    const srcText = block(edit?.innerText);
+    const outText = block(out?.innerText);
+    const profileLabel = baybayin.PROFILES?.[profile]?.label || profile;
+    return `${leftTitle}:\n${srcText}\n\n${rightTitle}:\n${outText}\n\nMode: ${modeLabel()}\nProfile: ${profileLabel}\n`;
   }
 
+  /**
+   * The transcription as shown, including readings picked from the alternatives menu.
+   * @returns {import('../utils/transcription.js').Transcription|null}
+   */
+  function shownTranscription() {
+    if (!transcription) return null;
+    let output = '';
+    const segments = transcription.segments.map((seg, i) => {
+      const span = out.querySelector(`.seg[data-seg="${i}"]`);
+      const start = output.length;
+      output += span ? span.textContent : transcription.output.slice(seg.output.start, seg.output.end);
+      return { ...seg, output: { start, end: output.length } };
+    });
+    return { ...transcription, output, segments };
+  }
+
+  /**
+   * Collect everything the export formats need from the panels.
+   * @returns {import('../utils/download.js').ExportDocument}
+   */
+  function exportDocument() {
+    const direction = isSwapped ? 'latin' : 'baybayin';
+    const shown = shownTranscription();
+    return {
+      source: edit?.innerText || '',
+      output: out?.innerText || '',
+      direction,
+      sourceTitle: (titleTagalog?.innerText || 'Tagalog').trim(),
+      outputTitle: (titleBaybayin?.innerText || 'Baybayin').trim(),
+      mode,
+      modeLabel: modeLabel(),
+      profile,
+      profileLabel: baybayin.PROFILES?.[profile]?.label || profile,
+      runs: shown && typeof baybayin.alignWords === 'function' ? baybayin.alignWords(shown, direction) : undefined
+    };
+  }
+
+  /**
+   * Build and download the panels in one export format.
+   * @param {string} id - A key of exportFormats.
+   */
+  function exportAs(id) {
+    const format = exportFormats[id] || exportFormats.txt;
+    const content = format.build(exportDocument());
+    downloadBlob(timestampName('bybyn', format.ext), new Blob([content], { type: format.type || 'text/plain;charset=utf-8' }));
+  }
+
+  /**
+   * Fill the export menu with one item per format.
+   */
+  function populateExportMenu() {
+    if (!exportMenu) return;
+    exportMenu.textContent = '';
+    for (const [id, format] of Object.entries(exportFormats)) {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      item.dataset.format = id;
+      item.textContent = format.label;
+      exportMenu.appendChild(item);
+    }
+  }
+
+  /**
+   * Open or close the export menu.
+   * @param {boolean} [open]
+   */
+  function toggleExportMenu(open = exportMenu?.hidden) {
+    if (!exportMenu) return;
+    exportMenu.hidden = !open;
+    downloadBtn?.setAttribute('aria-expanded', String(Boolean(open)));
+    if (open) exportMenu.querySelector('[role="menuitem"]')?.focus();
+  }
+
+  // Picking a format downloads it and closes the menu.
+  const onExportMenuClick = (e) => {
+    const item = e.target instanceof Element ? e.target.closest('[data-format]') : null;
+    if (!item) return;
+    e.stopPropagation();
+    toggleExportMenu(false);
+    exportAs(item.dataset.format);
+  };
+
+  populateProfiles();
+  populateLanguages();
+  populateScripts();
+  populateRomanizations();
+  populateExportMenu();
+  if (numbersSelect) numbersSelect.value = numbers;
+  updateImeButton();
   placeModeButton();
   applyModeStyling();
   enforceKillerStyle();
@@ -249,13 +996,55 @@ export function initHome(services) {
   window.toggleBaybayinMode = toggleMode;
  
   // Ensure headings are populated and reflect the active mode.
-  if (titleBaybayin) titleBaybayin.innerText = modeLabel();
-  if (titleTagalog && titleTagalog.innerText.trim() === '') titleTagalog.innerText = 'Tagalog';
+  updateHeadings();
   if (mode === 'pamupod') modeBtn?.classList.add('rotated');
 
+  // Custom dictionary panel; edits re-render with the new overrides.
+  const dictionaryPanel = initDictionaryPanel(root, {
+    onChange: (entries) => { dictionary = entries; render(); },
+    download: (json) => downloadText(timestampName('bybyn-dictionary', 'json'), json)
+  });
+  dictionary = dictionaryPanel.entries();
+
+  // Image export of the Baybayin panel, with the Latin panel as its optional caption.
+  const teardownImagePanel = initImagePanel(root, {
+    getContent: () => ({
+      baybayin: (isSwapped ? edit.innerText : out.innerText) || '',
+      latin: (isSwapped ? out.innerText : edit.innerText) || '',
+      mode
+    }),
+    download: (filename, blob) => downloadBlob(filename, blob),
+    filename: (ext) => timestampName('bybyn', ext)
+  });
+
+  // Legacy font import: the converted Baybayin replaces the editor, which then reads it back to Latin.
+  const teardownLegacyPanel = initLegacyPanel(root, {
+    getBaybayin: () => (isSwapped ? edit.innerText : out.innerText) || '',
+    onImport: (text) => { edit.innerText = text; render(); syncUrl({ push: true }); }
+  });
+
+  // On-screen Baybayin keyboard, usable while the editable panel holds Baybayin.
+  const keyboardPanel = initKeyboardPanel(root, {
+    editor: edit,
+    getMode: () => mode,
+    isActive: () => isSwapped,
+    shortcuts: () => !ime
+  });
+
+  // Stroke order of a glyph clicked in the output.
+  const strokePanel = initStrokePanel(root);
+
+  // Phonetic input: while swapped and turned on, Latin typed into the editor is written as Baybayin.
+  const unbindIme = bindIme(edit, {
+    getOptions: () => ({ mode, profile }),
+    isEnabled: () => isSwapped && ime
+  });
+
   // Live rendering from the editable panel.
-  edit.addEventListener('input', render);
+  edit.addEventListener('input', onEdit);
   edit.addEventListener('paste', handlePaste);
+  edit.addEventListener('click', onEditClick);
+  edit.addEventListener('keydown', onEditKeydown);
   render();
 
   // Mode button and download button.
@@ -265,6 +1054,19 @@ export function initHome(services) {
     modeBtn.addEventListener('click', onModeClick);
   }
   downloadBtn?.addEventListener('click', onDownloadClick);
+  exportMenu?.addEventListener('click', onExportMenuClick);
+  profileSelect?.addEventListener('change', changeProfile);
+  languageSelect?.addEventListener('change', changeLanguage);
+  scriptSelect?.addEventListener('change', changeScript);
+  romanizationSelect?.addEventListener('change', changeRomanization);
+  numbersSelect?.addEventListener('change', changeNumbers);
+  imeBtn?.addEventListener('click', toggleIme);
+  linkBtn?.addEventListener('click', copyLink);
+  out.addEventListener('click', onOutputClick);
+  document.addEventListener('selectionchange', onSelectionChange);
+  document.addEventListener('click', onDocumentDismiss);
+  document.addEventListener('keydown', onDocumentDismiss);
+  window.addEventListener('pagehide', flushRecord);
 
   // Seed session state on navigation to translator routes.
   const navTriggers = root.querySelectorAll('a[href*="#/translate"], [data-action="open-translate"], .translator-button');
@@ -272,16 +1074,53 @@ export function initHome(services) {
     try {
       sessionStorage.setItem('bybyn:seed', edit?.innerText || '');
       sessionStorage.setItem('bybyn:mode', mode);
+      sessionStorage.setItem('bybyn:profile', profile);
+      sessionStorage.setItem('bybyn:language', language);
+      sessionStorage.setItem('bybyn:script', script);
+      sessionStorage.setItem('bybyn:romanization', romanization);
+      sessionStorage.setItem('bybyn:numbers', numbers);
+      sessionStorage.setItem('bybyn:ime', ime ? 'on' : 'off');
     } catch {}
   };
   navTriggers.forEach((el) => el.addEventListener('click', seed, { capture: true }));
 
   /* ================ TEARDOWNS ================ */
-  return () => {
-    edit.removeEventListener('input', render);
+  const teardown = () => {
+    clearTimeout(urlTimer);
+    clearTimeout(linkTimer);
+    flushRecord();
+    window.removeEventListener('pagehide', flushRecord);
+    edit.removeEventListener('input', onEdit);
     edit.removeEventListener('paste', handlePaste);
+    edit.removeEventListener('click', onEditClick);
+    edit.removeEventListener('keydown', onEditKeydown);
     if (modeBtn) modeBtn.removeEventListener('click', onModeClick);
     if (downloadBtn) downloadBtn.removeEventListener('click', onDownloadClick);
+    exportMenu?.removeEventListener('click', onExportMenuClick);
+    profileSelect?.removeEventListener('change', changeProfile);
+    languageSelect?.removeEventListener('change', changeLanguage);
+    scriptSelect?.removeEventListener('change', changeScript);
+    romanizationSelect?.removeEventListener('change', changeRomanization);
+    numbersSelect?.removeEventListener('change', changeNumbers);
+    imeBtn?.removeEventListener('click', toggleIme);
+    linkBtn?.removeEventListener('click', copyLink);
+    out.removeEventListener('click', onOutputClick);
+    document.removeEventListener('selectionchange', onSelectionChange);
+    clearLinks();
+    document.removeEventListener('click', onDocumentDismiss);
+    document.removeEventListener('keydown', onDocumentDismiss);
+    closeReadingMenu();
+    closeLintMenu();
+    globalThis.CSS?.highlights?.delete('bybyn-lint-error');
+    globalThis.CSS?.highlights?.delete('bybyn-lint-warning');
+    dictionaryPanel.teardown();
+    teardownImagePanel();
+    teardownLegacyPanel();
+    keyboardPanel.teardown();
+    strokePanel.teardown();
+    unbindIme();
     navTriggers.forEach((el) => el.removeEventListener('click', seed, { capture: true }));
   };
+
+  return { teardown, update };
 }
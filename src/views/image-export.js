@@ -0,0 +1,150 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/image-export.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Image export panel of the Home View: renders the current Baybayin output as SVG or PNG.
+- Options for font, size, colours, padding, glyph style and the Latin source underneath.
+- Returns a teardown that removes its listeners, like the views themselves.
+*/
+
+import { IMAGE_FONTS, loadFont, renderSvg, renderPng } from '../utils/image.js';
+
+/**
+ * Wire up the image export panel inside a view.
+ * @param {HTMLElement} root - The view containing .image-panel and .image-button.
+ * @param {{ getContent: () => { baybayin: string, latin: string, mode: string }, download: (filename: string, blob: Blob) => void, filename: (ext: string) => string }} opts
+ * @returns {() => void} Teardown.
+ */
+export function initImagePanel(root, { getContent, download, filename }) {
+  const panel = root.querySelector('.image-panel');
+  const openBtn = root.querySelector('.image-button');
+  if (!panel) return () => {};
+
+  const form = panel.querySelector('.image-form');
+  const fontSelect = panel.querySelector('.image-font');
+  const error = panel.querySelector('.image-error');
+  const closeBtn = panel.querySelector('.image-close');
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Fill the font picker from the bundled fonts.
+   */
+  function populateFonts() {
+    if (!fontSelect) return;
+    fontSelect.innerHTML = '';
+    for (const f of Object.values(IMAGE_FONTS)) {
+      const opt = document.createElement('option');
+      opt.value = f.id;
+      opt.textContent = f.label;
+      fontSelect.appendChild(opt);
+    }
+  }
+
+  /**
+   * Show or clear the panel's error line.
+   * @param {string} [message='']
+   */
+  function showError(message = '') {
+    if (!error) return;
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * Read the export options from the form.
+   * @returns {import('../utils/image.js').ImageOptions & { font: string }}
+   */
+  function readOptions() {
+    const f = form.elements;
+    const number = (el, fallback) => (Number.isFinite(el?.valueAsNumber) ? el.valueAsNumber : fallback);
+    return {
+      font: f.font.value,
+      size: number(f.size, 64),
+      color: f.color.value,
+      background: f.transparent.checked ? 'transparent' : f.background.value,
+      padding: number(f.padding, 32),
+      glyphs: f.glyphs.value
+    };
+  }
+
+  /**
+   * Width of Latin text in the page's own font, via a canvas.
+   * @returns {((text: string, px: number) => number)|undefined}
+   */
+  function canvasMeasure() {
+    const ctx = document.createElement('canvas').getContext?.('2d');
+    if (!ctx) return undefined;
+    return (text, px) => {
+      ctx.font = `${px}px 'GTVC-Book', system-ui, sans-serif`;
+      return ctx.measureText(text).width;
+    };
+  }
+
+  /**
+   * Render the current output and download it.
+   * @param {'svg'|'png'} format
+   */
+  async function exportImage(format) {
+    showError();
+    const { baybayin, latin } = getContent();
+    if (!baybayin.trim()) { showError('There is no Baybayin text to export yet.'); return; }
+    const { font, ...opts } = readOptions();
+    try {
+      const loaded = await loadFont(font);
+      const rendered = renderSvg(baybayin, loaded, {
+        ...opts,
+        source: form.elements.source.checked ? latin : '',
+        measure: canvasMeasure()
+      });
+      const blob = format === 'png'
+        ? await renderPng(rendered)
+        : new Blob([rendered.svg], { type: 'image/svg+xml;charset=utf-8' });
+      download(filename(format), blob);
+    } catch (err) {
+      showError(err.message || 'The image could not be created.');
+    }
+  }
+
+  /**
+   * Open or close the panel. Opening picks the font that matches the active mode.
+   * @param {boolean} [open]
+   */
+  function toggle(open = panel.hidden) {
+    panel.hidden = !open;
+    openBtn?.setAttribute('aria-expanded', String(open));
+    if (open && fontSelect && !fontSelect.dataset.touched) {
+      fontSelect.value = getContent().mode === 'pamupod' ? 'pamudpod' : 'noto';
+    }
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  const onOpenClick = () => toggle();
+  const onCloseClick = () => toggle(false);
+  const onFontChange = () => { fontSelect.dataset.touched = '1'; };
+  const onSubmit = (e) => {
+    e.preventDefault();
+    exportImage(e.submitter?.value === 'png' ? 'png' : 'svg');
+  };
+  const onKeydown = (e) => { if (e.key === 'Escape' && !panel.hidden) toggle(false); };
+
+  /* ================ INITALIZATIONS ================ */
+  populateFonts();
+  openBtn?.addEventListener('click', onOpenClick);
+  closeBtn?.addEventListener('click', onCloseClick);
+  fontSelect?.addEventListener('change', onFontChange);
+  form?.addEventListener('submit', onSubmit);
+  panel.addEventListener('keydown', onKeydown);
+
+  /* ================ TEARDOWNS ================ */
+  return () => {
+    openBtn?.removeEventListener('click', onOpenClick);
+    closeBtn?.removeEventListener('click', onCloseClick);
+    fontSelect?.removeEventListener('change', onFontChange);
+    form?.removeEventListener('submit', onSubmit);
+    panel.removeEventListener('keydown', onKeydown);
+  };
+}
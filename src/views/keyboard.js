@@ -0,0 +1,178 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/keyboard.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- On-screen Baybayin keyboard of the Home View, for typing into the editable panel once it holds Baybayin.
+- Inserts at the caret, keeps vowel signs and the killer mark after their consonant, and writes
+  the kudlit or pamudpod of the active mode.
+- While open, physical keys type Baybayin too (shown on each key's tooltip).
+- Returns { refresh, teardown }, like the dictionary panel.
+*/
+
+import { KEYBOARD_ROWS, KEYBOARD_KEYS, KEYBOARD_SHORTCUTS, keyGlyph, composeKey } from '../utils/keyboard.js';
+import { selectionOffsets, replaceText, textOffset, textBetween } from '../utils/caret.js';
+
+/**
+ * Wire up the keyboard panel inside a view.
+ * @param {HTMLElement} root - The view containing .keyboard-panel and .keyboard-button.
+ * @param {{ editor: HTMLElement, getMode: () => 'krus-kudlit'|'pamupod', isActive: () => boolean, shortcuts?: () => boolean }} opts
+ *   isActive tells whether the editor currently takes Baybayin; shortcuts whether physical keys may be taken over.
+ * @returns {{ refresh: () => void, teardown: () => void }}
+ */
+export function initKeyboardPanel(root, { editor, getMode, isActive, shortcuts = () => true }) {
+  const panel = root.querySelector('.keyboard-panel');
+  const openBtn = root.querySelector('.keyboard-button');
+  if (!panel || !editor) return { refresh: () => {}, teardown: () => {} };
+
+  const keys = panel.querySelector('.keyboard-keys');
+  const closeBtn = panel.querySelector('.keyboard-close');
+  let pending = '';   // a sign pressed before its consonant
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Build the key buttons from the layout.
+   */
+  function renderKeys() {
+    if (!keys) return;
+    keys.textContent = '';
+    for (const row of KEYBOARD_ROWS) {
+      const line = document.createElement('div');
+      line.className = 'keyboard-row';
+      for (const key of row) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `keyboard-key is-${key.kind}`;
+        btn.dataset.key = key.id;
+        btn.setAttribute('aria-label', key.label);
+        btn.title = key.shortcut ? `${key.label} (${key.shortcut})` : key.label;
+        line.appendChild(btn);
+      }
+      keys.appendChild(line);
+    }
+    updateKeys();
+  }
+
+  /**
+   * Show the mode's killer mark and which sign is waiting for a consonant.
+   */
+  function updateKeys() {
+    keys?.querySelectorAll('.keyboard-key').forEach((btn) => {
+      const key = KEYBOARD_KEYS[btn.dataset.key];
+      if (key.kind === 'backspace') btn.innerHTML = '<i class="fas fa-backspace"></i>';
+      else if (key.kind === 'space') btn.textContent = '␣';
+      else btn.textContent = key.kind === 'sign' ? `◌${keyGlyph(key, getMode())}` : keyGlyph(key, getMode());
+      if (key.kind === 'sign') btn.setAttribute('aria-pressed', String(pending !== '' && pending === keyGlyph(key, getMode())));
+    });
+  }
+
+  /**
+   * Replace the characters between two offsets of the editor and put the caret after the new text.
+   * Fires an input event so the view re-renders as if the user had typed.
+   * @param {number} from
+   * @param {number} to
+   * @param {string} text
+   */
+  function replace(from, to, text) {
+    if (from === to && !text) return;
+    replaceText(editor, from, to, text);
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Press a key: write its glyph at the caret (or the end of the editor), composing signs.
+   * @param {import('../utils/keyboard.js').KeyboardKey} key
+   */
+  function press(key) {
+    const length = textOffset(editor, editor, editor.childNodes.length);
+    const { start, end } = selectionOffsets(editor) || { start: length, end: length };
+
+    if (key.kind === 'backspace') {
+      if (pending) pending = '';
+      else if (start !== end) replace(start, end, '');
+      else if (start > 0) replace(start - 1, start, '');
+      updateKeys();
+      return;
+    }
+
+    const result = composeKey(textBetween(editor, Math.max(0, start - 2), start), key, { mode: getMode(), pending });
+    pending = result.pending;
+    replace(start - result.remove, end, result.insert);
+    updateKeys();
+  }
+
+  /**
+   * Open or close the panel. It only opens while the editor takes Baybayin.
+   * @param {boolean} [open]
+   */
+  function toggle(open = panel.hidden) {
+    const show = Boolean(open) && isActive();
+    panel.hidden = !show;
+    openBtn?.setAttribute('aria-expanded', String(show));
+    if (!show) pending = '';
+    updateKeys();
+  }
+
+  /**
+   * Follow the view: show the open button only while the editor takes Baybayin,
+   * and relabel the killer key after a mode change.
+   */
+  function refresh() {
+    if (openBtn) openBtn.hidden = !isActive();
+    if (!isActive() && !panel.hidden) toggle(false);
+    updateKeys();
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  const onOpenClick = () => toggle();
+  const onCloseClick = () => toggle(false);
+
+  // Keep the caret in the editor while keys are clicked.
+  const onKeyMousedown = (e) => { if (e.target instanceof Element && e.target.closest('.keyboard-key')) e.preventDefault(); };
+
+  const onKeyClick = (e) => {
+    const btn = e.target instanceof Element ? e.target.closest('.keyboard-key') : null;
+    if (btn) press(KEYBOARD_KEYS[btn.dataset.key]);
+  };
+
+  // Physical shortcuts apply only while the panel is open and the editor takes Baybayin.
+  const onEditorKeydown = (e) => {
+    if (panel.hidden || !isActive() || !shortcuts() || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Backspace' && pending) {
+      e.preventDefault();
+      press(KEYBOARD_KEYS.backspace);
+      return;
+    }
+    const key = KEYBOARD_SHORTCUTS[e.key];
+    if (!key) return;
+    e.preventDefault();
+    press(key);
+  };
+
+  const onKeydown = (e) => { if (e.key === 'Escape' && !panel.hidden) toggle(false); };
+
+  /* ================ INITALIZATIONS ================ */
+  renderKeys();
+  refresh();
+  openBtn?.addEventListener('click', onOpenClick);
+  closeBtn?.addEventListener('click', onCloseClick);
+  keys?.addEventListener('mousedown', onKeyMousedown);
+  keys?.addEventListener('click', onKeyClick);
+  editor.addEventListener('keydown', onEditorKeydown);
+  panel.addEventListener('keydown', onKeydown);
+
+  /* ================ TEARDOWNS ================ */
+  const teardown = () => {
+    openBtn?.removeEventListener('click', onOpenClick);
+    closeBtn?.removeEventListener('click', onCloseClick);
+    keys?.removeEventListener('mousedown', onKeyMousedown);
+    keys?.removeEventListener('click', onKeyClick);
+    editor.removeEventListener('keydown', onEditorKeydown);
+    panel.removeEventListener('keydown', onKeydown);
+  };
+
+  return { refresh, teardown };
+}
@@ -0,0 +1,246 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/learn.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Initalization of the Learn View (#/learn/krus-kudlit, #/learn/pamupod): one card at a time,
+  scored as it is answered and rescheduled by spaced repetition.
+- Syllable cards are picked from choices; the others are typed, with write cards composing Baybayin
+  through the phonetic input method.
+- Progress is kept per deck in localStorage.
+- The stroke order of a card's glyphs opens from the card, once seeing them gives nothing away.
+*/
+
+import { DECKS, QUALITY, buildCards, checkAnswer, choicesFor, review, nextCard, deckStats, loadProgress, saveProgress } from '../utils/learn.js';
+import { bindIme } from '../utils/ime.js';
+import { initStrokePanel } from './strokes.js';
+
+const INSTRUCTIONS = {
+  glyph: 'Type the syllable this glyph stands for.',
+  syllable: 'Pick the glyph for this syllable.',
+  read: 'Read this word and type it in Latin letters.',
+  write: 'Write this word in Baybayin. Type it out in Latin letters and it is written in Baybayin as you go.'
+};
+
+/**
+ * Initialize the Learn View.
+ * @param {object} services - Shared services from app.js; the profile is checked against baybayin.PROFILES.
+ * @param {import('../app.js').Route} [route] - Current route; params.deck picks the deck.
+ * @returns {{ teardown: () => void, update: (route: import('../app.js').Route) => void }|(() => void)}
+ */
+export function initLearn(services, route = {}) {
+  const root = document.getElementById('learn-view');
+  if (!root) return () => {};
+
+  const stats = root.querySelector('.learn-stats');
+  const cardBox = root.querySelector('.learn-card');
+  const instruction = root.querySelector('.learn-instruction');
+  const prompt = root.querySelector('.learn-prompt');
+  const choices = root.querySelector('.learn-choices');
+  const form = root.querySelector('.learn-form');
+  const input = root.querySelector('.learn-answer');
+  const feedback = root.querySelector('.learn-feedback');
+  const nextBtn = root.querySelector('.learn-next');
+  const strokesBtn = root.querySelector('.learn-strokes');
+  const done = root.querySelector('.learn-done');
+
+  let profile;                  // orthography profile of the translator, if it has one stored
+  let deck = 'krus-kudlit';
+  let cards = [];
+  const progress = loadProgress();
+  let card = null;              // card on screen
+  let answered = false;         // the card on screen has been scored
+  let newSeen = 0;              // new cards shown this session
+  let score = { right: 0, total: 0 };
+
+  try {
+    const saved = sessionStorage.getItem('bybyn:profile');
+    if (saved && services?.baybayin?.PROFILES?.[saved]) profile = saved;
+  } catch {}
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Progress of the current deck, by card id.
+   * @returns {Record<string, import('../utils/learn.js').CardState>}
+   */
+  const states = () => (progress[deck] ||= {});
+
+  /**
+   * Show how the deck stands and the session score.
+   */
+  function updateStats() {
+    if (!stats) return;
+    const { due, fresh, learned } = deckStats(cards, states());
+    stats.textContent = `Due ${due} · New ${fresh} · Learned ${learned} · Score ${score.right}/${score.total}`;
+  }
+
+  /**
+   * Mark the link of the current deck.
+   */
+  function markDeck() {
+    root.querySelectorAll('.learn-decks [data-deck]').forEach((a) => {
+      if (a.dataset.deck === deck) a.setAttribute('aria-current', 'page');
+      else a.removeAttribute('aria-current');
+    });
+  }
+
+  /**
+   * Offer the stroke order when the card already shows its Baybayin, or once it is answered.
+   */
+  function updateStrokesButton() {
+    if (strokesBtn) strokesBtn.hidden = !card || !(answered || card.kind === 'glyph' || card.kind === 'read');
+  }
+
+  /**
+   * Put a card on screen, or say the deck is done for now.
+   * @param {import('../utils/learn.js').LearnCard|null} next
+   */
+  function showCard(next) {
+    card = next;
+    answered = false;
+    if (feedback) { feedback.hidden = true; feedback.textContent = ''; feedback.className = 'learn-feedback'; }
+    if (nextBtn) nextBtn.hidden = true;
+    strokePanel.close();
+    updateStrokesButton();
+    if (cardBox) cardBox.hidden = !card;
+    if (done) {
+      done.hidden = Boolean(card);
+      done.textContent = card ? '' : 'All caught up. Come back later for more reviews.';
+    }
+    updateStats();
+    if (!card) return;
+
+    if (instruction) instruction.textContent = INSTRUCTIONS[card.kind];
+    if (prompt) {
+      prompt.textContent = card.prompt;
+      prompt.classList.toggle('is-baybayin', card.kind === 'glyph' || card.kind === 'read');
+    }
+    const picking = card.kind === 'syllable';
+    if (form) form.hidden = picking;
+    if (choices) {
+      choices.hidden = !picking;
+      choices.textContent = '';
+      if (picking) {
+        for (const glyph of choicesFor(card, cards)) {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'learn-choice';
+          btn.dataset.glyph = glyph;
+          btn.textContent = glyph;
+          choices.appendChild(btn);
+        }
+      }
+    }
+    if (input) {
+      input.value = '';
+      input.disabled = false;
+      input.classList.toggle('is-baybayin', card.kind === 'write');
+      if (!picking) input.focus();
+    }
+  }
+
+  /**
+   * Pick the next card of the deck and show it.
+   * @param {string} [skip] - Id of the card just answered.
+   */
+  function advance(skip) {
+    const next = nextCard(cards, states(), { newSeen, skip });
+    if (next && !states()[next.id]) newSeen += 1;
+    showCard(next);
+  }
+
+  /**
+   * Score an answer, reschedule the card and show the result.
+   * @param {string} given
+   */
+  function answer(given) {
+    if (!card || answered) return;
+    answered = true;
+    const right = checkAnswer(card, given, { deck, profile });
+    states()[card.id] = review(states()[card.id], right ? QUALITY.correct : QUALITY.wrong);
+    saveProgress(progress);
+    score = { right: score.right + (right ? 1 : 0), total: score.total + 1 };
+
+    if (feedback) {
+      feedback.hidden = false;
+      feedback.className = `learn-feedback ${right ? 'is-right' : 'is-wrong'}`;
+      feedback.textContent = right ? 'Correct!' : `The answer is ${card.answer}.`;
+    }
+    choices?.querySelectorAll('.learn-choice').forEach((btn) => {
+      btn.disabled = true;
+      btn.classList.toggle('is-answer', btn.dataset.glyph === card.glyph);
+    });
+    if (input) input.disabled = true;
+    if (nextBtn) { nextBtn.hidden = false; nextBtn.focus(); }
+    updateStrokesButton();
+    updateStats();
+  }
+
+  /**
+   * Open a deck and start with its first due or new card.
+   * @param {string} [id]
+   */
+  function openDeck(id) {
+    deck = DECKS[id] ? id : 'krus-kudlit';
+    cards = buildCards(deck, { profile });
+    newSeen = 0;
+    score = { right: 0, total: 0 };
+    markDeck();
+    advance();
+  }
+
+  /**
+   * Follow a change of deck without remounting.
+   * @param {import('../app.js').Route} next
+   */
+  function update(next) {
+    route = next;
+    const id = DECKS[next.params?.deck] ? next.params.deck : 'krus-kudlit';
+    if (id !== deck || !card) openDeck(id);
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (answered) advance(card?.id);
+    else answer(input?.value || '');
+  };
+
+  const onChoiceClick = (e) => {
+    const btn = e.target instanceof Element ? e.target.closest('.learn-choice') : null;
+    if (btn) answer(btn.dataset.glyph);
+  };
+
+  const onNextClick = () => advance(card?.id);
+
+  const onStrokesClick = () => { if (card) strokePanel.open(card.glyph); };
+
+  /* ================ INITALIZATIONS ================ */
+  const strokePanel = initStrokePanel(root);
+  form?.addEventListener('submit', onSubmit);
+  choices?.addEventListener('click', onChoiceClick);
+  nextBtn?.addEventListener('click', onNextClick);
+  strokesBtn?.addEventListener('click', onStrokesClick);
+
+  // Write cards take Baybayin: typed Latin is composed in place, in the deck's killer mark.
+  const unbindIme = input
+    ? bindIme(input, { getOptions: () => ({ mode: DECKS[deck].mode, profile }), isEnabled: () => card?.kind === 'write' && !answered })
+    : () => {};
+
+  openDeck(route.params?.deck);
+
+  /* ================ TEARDOWNS ================ */
+  const teardown = () => {
+    form?.removeEventListener('submit', onSubmit);
+    choices?.removeEventListener('click', onChoiceClick);
+    nextBtn?.removeEventListener('click', onNextClick);
+    strokesBtn?.removeEventListener('click', onStrokesClick);
+    strokePanel.teardown();
+    unbindIme();
+  };
+
+  return { teardown, update };
+}
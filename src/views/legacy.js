@@ -0,0 +1,130 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/legacy.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Legacy font panel of the Home View: imports text typed for an ASCII-mapped Baybayin font as Unicode Baybayin,
+  and types the current Baybayin for such a font.
+- The picked font is kept in sessionStorage as bybyn:legacy.
+- Returns a teardown that removes its listeners, like the views themselves.
+*/
+
+import { LEGACY_FONTS, DEFAULT_LEGACY_FONT, fromLegacy, toLegacy } from '../utils/legacy.js';
+
+/**
+ * Wire up the legacy font panel inside a view.
+ * @param {HTMLElement} root - The view containing .legacy-panel and .legacy-button.
+ * @param {{ getBaybayin: () => string, onImport: (text: string) => void }} opts
+ * @returns {() => void} Teardown.
+ */
+export function initLegacyPanel(root, { getBaybayin, onImport }) {
+  const panel = root.querySelector('.legacy-panel');
+  const openBtn = root.querySelector('.legacy-button');
+  if (!panel) return () => {};
+
+  const form = panel.querySelector('.legacy-form');
+  const fontSelect = panel.querySelector('.legacy-font');
+  const textArea = form?.elements.text;
+  const error = panel.querySelector('.legacy-error');
+  const closeBtn = panel.querySelector('.legacy-close');
+
+  let font = DEFAULT_LEGACY_FONT;
+  try {
+    const saved = sessionStorage.getItem('bybyn:legacy');
+    if (saved && LEGACY_FONTS[saved]) font = saved;
+  } catch {}
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Fill the font picker from the known legacy fonts.
+   */
+  function populateFonts() {
+    if (!fontSelect) return;
+    fontSelect.innerHTML = '';
+    for (const f of Object.values(LEGACY_FONTS)) {
+      const opt = document.createElement('option');
+      opt.value = f.id;
+      opt.textContent = f.label;
+      opt.title = f.description;
+      fontSelect.appendChild(opt);
+    }
+    fontSelect.value = font;
+  }
+
+  /**
+   * Show or clear the panel's error line.
+   * @param {string} [message='']
+   */
+  function showError(message = '') {
+    if (!error) return;
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * Convert the pasted text to Unicode Baybayin and hand it to the translator.
+   */
+  function importText() {
+    const text = textArea?.value || '';
+    if (!text.trim()) { showError('Paste some text typed for the font first.'); return; }
+    onImport(fromLegacy(text, font));
+    toggle(false);
+  }
+
+  /**
+   * Type the current Baybayin for the font, ready to copy.
+   */
+  function exportText() {
+    const baybayin = getBaybayin();
+    if (!baybayin.trim()) { showError('There is no Baybayin text to convert yet.'); return; }
+    if (!textArea) return;
+    textArea.value = toLegacy(baybayin, font);
+    textArea.select?.();
+  }
+
+  /**
+   * Open or close the panel.
+   * @param {boolean} [open]
+   */
+  function toggle(open = panel.hidden) {
+    panel.hidden = !open;
+    openBtn?.setAttribute('aria-expanded', String(open));
+    showError();
+    if (open) textArea?.focus();
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  const onOpenClick = () => toggle();
+  const onCloseClick = () => toggle(false);
+  const onFontChange = () => {
+    font = fontSelect.value;
+    try { sessionStorage.setItem('bybyn:legacy', font); } catch {}
+  };
+  const onSubmit = (e) => {
+    e.preventDefault();
+    showError();
+    if (e.submitter?.value === 'export') exportText();
+    else importText();
+  };
+  const onKeydown = (e) => { if (e.key === 'Escape' && !panel.hidden) toggle(false); };
+
+  /* ================ INITALIZATIONS ================ */
+  populateFonts();
+  openBtn?.addEventListener('click', onOpenClick);
+  closeBtn?.addEventListener('click', onCloseClick);
+  fontSelect?.addEventListener('change', onFontChange);
+  form?.addEventListener('submit', onSubmit);
+  panel.addEventListener('keydown', onKeydown);
+
+  /* ================ TEARDOWNS ================ */
+  return () => {
+    openBtn?.removeEventListener('click', onOpenClick);
+    closeBtn?.removeEventListener('click', onCloseClick);
+    fontSelect?.removeEventListener('change', onFontChange);
+    form?.removeEventListener('submit', onSubmit);
+    panel.removeEventListener('keydown', onKeydown);
+  };
+}
@@ -0,0 +1,29 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/not-found.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Initalization of the Not Found View, shown for hashes no route matches.
+- Names the address that was asked for and links back to the translator.
+*/
+
+/**
+ * Initialize the Not Found View.
+ * @param {object} services - Shared services from app.js (unused).
+ * @param {import('../app.js').Route} [route] - The unmatched route.
+ * @returns {() => void} Teardown.
+ */
+export function initNotFound(services, route = {}) {
+  const root = document.getElementById('not-found-view');
+  if (!root) return () => {};
+
+  const path = root.querySelector('.not-found-path');
+  if (path) path.textContent = route.path || location.hash;
+  root.querySelector('.not-found-link')?.focus();
+
+  /* ================ TEARDOWNS ================ */
+  return () => {
+    if (path) path.textContent = '';
+  };
+}
@@ -0,0 +1,247 @@
+/*
+AUTHOR: Kenneth Agonoy
+LOCATION: .../src/views/strokes.js
+LAST EDITED: 2026-10-18
+
+PURPOSE:
+- Stroke order panel, opened from a glyph of the Home View's output or a card of the Learn View.
+- Animates how each glyph is written, stroke by stroke, with each stroke's number at its start.
+- A tracing pad over a faint copy of the glyph takes mouse, pen or touch strokes and scores them.
+- Returns { open, close, teardown }, like the other panels.
+*/
+
+import { glyphClusters, glyphStrokes, strokePath, scoreTrace } from '../utils/strokes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STROKE_SECONDS = 0.8;   // drawing time of one stroke in the animation
+
+/**
+ * Wire up the stroke order panel inside a view.
+ * @param {HTMLElement} root - The view containing .stroke-panel.
+ * @returns {{ open: (text: string) => boolean, close: () => void, teardown: () => void }}
+ */
+export function initStrokePanel(root) {
+  const panel = root.querySelector('.stroke-panel');
+  if (!panel) return { open: () => false, close: () => {}, teardown: () => {} };
+
+  const glyphList = panel.querySelector('.stroke-glyphs');
+  const viewer = panel.querySelector('.stroke-viewer');
+  const pad = panel.querySelector('.stroke-trace');
+  const closeBtn = panel.querySelector('.stroke-close');
+  const replayBtn = panel.querySelector('.stroke-replay');
+  const clearBtn = panel.querySelector('.stroke-clear');
+  const checkBtn = panel.querySelector('.stroke-check');
+  const result = panel.querySelector('.stroke-score');
+
+  let clusters = [];      // glyphs of the opened text that have stroke data
+  let glyph = null;       // strokes of the glyph on show
+  let traced = [];        // strokes drawn on the pad, in box units
+  let drawing = null;     // polyline of the stroke being drawn
+  let opener = null;      // element to give focus back to on close
+
+  /* ================ FUNCTIONS ================ */
+
+  /**
+   * Create an SVG element with attributes.
+   * @param {string} name
+   * @param {Record<string, string|number>} [attrs]
+   * @returns {SVGElement}
+   */
+  function svg(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, String(value));
+    return el;
+  }
+
+  /**
+   * Size an SVG to the glyph on show and empty it.
+   * @param {SVGSVGElement} el
+   */
+  function resetSvg(el) {
+    el.textContent = '';
+    el.setAttribute('viewBox', `0 0 ${glyph.width} ${glyph.height}`);
+  }
+
+  /**
+   * Draw the animated strokes: a faint whole glyph, then each stroke drawn in turn with its number.
+   */
+  function renderViewer() {
+    if (!viewer || !glyph) return;
+    resetSvg(viewer);
+    glyph.strokes.forEach(({ points }) => viewer.appendChild(svg('path', { class: 'stroke-guide', d: strokePath(points) })));
+    glyph.strokes.forEach(({ points }, i) => {
+      const path = svg('path', { class: 'stroke-path', d: strokePath(points), pathLength: 1 });
+      path.style.animationDelay = `${i * STROKE_SECONDS}s`;
+      path.style.animationDuration = `${STROKE_SECONDS}s`;
+      viewer.appendChild(path);
+      const [x, y] = points[0];
+      const label = svg('text', { class: 'stroke-number', x, y });
+      label.textContent = String(i + 1);
+      viewer.appendChild(label);
+    });
+  }
+
+  /**
+   * Empty the tracing pad, leaving the faint glyph to trace over.
+   */
+  function clearTrace() {
+    traced = [];
+    drawing = null;
+    if (result) { result.hidden = true; result.textContent = ''; result.className = 'stroke-score'; }
+    if (!pad || !glyph) return;
+    resetSvg(pad);
+    glyph.strokes.forEach(({ points }) => pad.appendChild(svg('path', { class: 'stroke-guide', d: strokePath(points) })));
+  }
+
+  /**
+   * Show one glyph of the opened text.
+   * @param {number} index
+   */
+  function showGlyph(index) {
+    glyph = glyphStrokes(clusters[index]);
+    glyphList?.querySelectorAll('[data-index]').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(Number(btn.dataset.index) === index));
+    });
+    renderViewer();
+    clearTrace();
+  }
+
+  /**
+   * Open the panel on a glyph, or on every glyph of a word.
+   * @param {string} text - Baybayin text; glyphs without stroke data are skipped.
+   * @returns {boolean} False when the text has no glyph to show.
+   */
+  function open(text) {
+    clusters = glyphClusters(text).filter((c) => glyphStrokes(c));
+    if (!clusters.length) return false;
+    if (glyphList) {
+      glyphList.textContent = '';
+      clusters.forEach((cluster, i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'stroke-glyph';
+        btn.dataset.index = String(i);
+        btn.textContent = cluster;
+        glyphList.appendChild(btn);
+      });
+      glyphList.hidden = clusters.length < 2;
+    }
+    opener = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    panel.hidden = false;
+    showGlyph(0);
+    closeBtn?.focus();
+    return true;
+  }
+
+  /**
+   * Close the panel and give focus back to what opened it.
+   */
+  function close() {
+    if (panel.hidden) return;
+    panel.hidden = true;
+    drawing = null;
+    opener?.focus?.();
+    opener = null;
+  }
+
+  /**
+   * Score what was traced and say how it went.
+   */
+  function check() {
+    if (!glyph || !result) return;
+    const { score, passed, strokes, extra } = scoreTrace(traced, glyph);
+    const notes = [];
+    const missing = strokes.filter((s) => s.missing).length;
+    if (missing) notes.push(`${missing} stroke${missing === 1 ? '' : 's'} missing`);
+    if (extra) notes.push(`${extra} extra stroke${extra === 1 ? '' : 's'}`);
+    const reversed = strokes.flatMap((s, i) => (s.reversed ? [i + 1] : []));
+    if (reversed.length) notes.push(`stroke ${reversed.join(', ')} drawn backwards`);
+    result.hidden = false;
+    result.className = `stroke-score ${passed ? 'is-right' : 'is-wrong'}`;
+    result.textContent = `${score}/100${passed ? ' · Well written!' : ''}${notes.length ? ` · ${notes.join('; ')}` : ''}`;
+  }
+
+  /**
+   * Point of a pointer event in the pad's box units.
+   * @param {PointerEvent} e
+   * @returns {number[]|null} Null while the pad has no size.
+   */
+  function padPoint(e) {
+    const rect = pad.getBoundingClientRect();
+    if (!rect.width || !rect.height || !glyph) return null;
+    const r = (n) => Math.round(n * 10) / 10;
+    return [r(((e.clientX - rect.left) / rect.width) * glyph.width), r(((e.clientY - rect.top) / rect.height) * glyph.height)];
+  }
+
+  /**
+   * Redraw the stroke being traced.
+   */
+  function drawTraced() {
+    const points = traced[traced.length - 1];
+    drawing?.setAttribute('points', points.map(([x, y]) => `${x},${y}`).join(' '));
+  }
+
+  /* ================ EVENT HANDLERS ================ */
+
+  // Each press starts a stroke; the pointer is captured so a stroke can leave the pad and come back.
+  const onPadDown = (e) => {
+    const point = padPoint(e);
+    if (!point || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    e.preventDefault();
+    pad.setPointerCapture?.(e.pointerId);
+    traced.push([point]);
+    drawing = svg('polyline', { class: 'stroke-traced' });
+    pad.appendChild(drawing);
+    drawTraced();
+  };
+
+  const onPadMove = (e) => {
+    if (!drawing) return;
+    const point = padPoint(e);
+    if (!point) return;
+    traced[traced.length - 1].push(point);
+    drawTraced();
+  };
+
+  const onPadUp = () => { drawing = null; };
+
+  const onGlyphClick = (e) => {
+    const btn = e.target instanceof Element ? e.target.closest('[data-index]') : null;
+    if (btn) showGlyph(Number(btn.dataset.index));
+  };
+
+  const onReplayClick = () => renderViewer();
+  const onClearClick = () => clearTrace();
+  const onCheckClick = () => check();
+  const onCloseClick = () => close();
+  const onKeydown = (e) => { if (e.key === 'Escape') close(); };
+
+  /* ================ INITALIZATIONS ================ */
+  pad?.addEventListener('pointerdown', onPadDown);
+  pad?.addEventListener('pointermove', onPadMove);
+  pad?.addEventListener('pointerup', onPadUp);
+  pad?.addEventListener('pointercancel', onPadUp);
+  glyphList?.addEventListener('click', onGlyphClick);
+  replayBtn?.addEventListener('click', onReplayClick);
+  clearBtn?.addEventListener('click', onClearClick);
+  checkBtn?.addEventListener('click', onCheckClick);
+  closeBtn?.addEventListener('click', onCloseClick);
+  panel.addEventListener('keydown', onKeydown);
+
+  /* ================ TEARDOWNS ================ */
+  const teardown = () => {
+    panel.hidden = true;
+    pad?.removeEventListener('pointerdown', onPadDown);
+    pad?.removeEventListener('pointermove', onPadMove);
+    pad?.removeEventListener('pointerup', onPadUp);
+    pad?.removeEventListener('pointercancel', onPadUp);
+    glyphList?.removeEventListener('click', onGlyphClick);
+    replayBtn?.removeEventListener('click', onReplayClick);
+    clearBtn?.removeEventListener('click', onClearClick);
+    checkBtn?.removeEventListener('click', onCheckClick);
+    closeBtn?.removeEventListener('click', onCloseClick);
+    panel.removeEventListener('keydown', onKeydown);
+  };
+
+  return { open, close, teardown };
+}